@@ -0,0 +1,154 @@
+// scripts/prompts.js - prompt registry commands
+//
+//   npm run prompts -- list
+//   npm run prompts -- show <name> [--version N]
+//   npm run prompts -- pin <name> <version> [--reason "..."] [--by you@example.com]
+//   npm run prompts -- rollback <name> [--reason "..."] [--by you@example.com]
+//   npm run prompts -- unpin <name>
+//   npm run prompts -- eval <name> [--version N] [--compare M] [--fixtures file.json] [--output report.json]
+//
+// pin, rollback and unpin write to MongoDB (MONGODB_URI); running instances pick
+// the change up within a minute. eval uses the configured AI provider; run it with
+// AI_PROVIDER=fixture and AI_FIXTURE_FILE set to recorded responses for a fully
+// offline, repeatable comparison.
+import fs from "fs";
+import os from "os";
+import mongoose from "mongoose";
+import connectDB from "../src/db/index.js";
+import promptRegistry from "../src/services/promptRegistryService.js";
+import promptEvaluationService from "../src/services/promptEvaluationService.js";
+
+const USAGE = 'Usage: npm run prompts -- <list|show|pin|rollback|unpin|eval> [name] [version] [options]';
+
+const parseArgs = (argv) => {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, options };
+};
+
+const parseVersion = (value, label = 'version') => {
+    const version = parseInt(value);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`${label} must be a positive integer`);
+    }
+    return version;
+};
+
+const printSummary = (label, report) => {
+    const { summary } = report;
+    console.log(`${label} ${report.prompt} (${report.provider}/${report.model})`);
+    console.log(`  mean score ${summary.meanScore}  min ${summary.minScore}  max ${summary.maxScore}  parse rate ${summary.parseRate}  errors ${summary.errors}`);
+    console.log(`  mean latency ${summary.meanLatencyMs}ms  tokens ${summary.totalTokens}`);
+};
+
+const commands = {
+    async list() {
+        await promptRegistry.refreshPins();
+        for (const prompt of promptRegistry.list()) {
+            const pin = prompt.pin ? ` (pinned by ${prompt.pin.source}${prompt.pin.reason ? `: ${prompt.pin.reason}` : ''})` : '';
+            const drafts = prompt.versions.filter(entry => entry.draft).map(entry => entry.version);
+            console.log(`${prompt.name}  active v${prompt.activeVersion}${pin}  latest v${prompt.latestVersion}${drafts.length ? `  drafts v${drafts.join(', v')}` : ''}`);
+        }
+    },
+
+    async show(name, options) {
+        await promptRegistry.refreshPins();
+        const version = options.version ? parseVersion(options.version) : promptRegistry.getActiveVersion(name);
+        const entry = promptRegistry.findVersion(name, version);
+        if (!entry) {
+            throw new Error(`Prompt "${name}" has no version ${version}`);
+        }
+        console.log(`${name}@${version}${entry.draft ? ' (draft)' : ''}  ${entry.createdAt || ''}  ${entry.notes || ''}`);
+        console.log(`variables: ${promptRegistry.getDefinition(name).variables.join(', ') || 'none'}\n`);
+        console.log(entry.template);
+    },
+
+    async pin(name, options, version) {
+        const result = await promptRegistry.pin(name, parseVersion(version), {
+            pinnedBy: options.by || os.userInfo().username,
+            reason: options.reason
+        });
+        console.log(`${name} pinned to v${result.version} (was v${result.previousVersion})`);
+    },
+
+    async rollback(name, options) {
+        const result = await promptRegistry.rollback(name, {
+            pinnedBy: options.by || os.userInfo().username,
+            reason: options.reason
+        });
+        console.log(`${name} rolled back to v${result.version} (was v${result.previousVersion})`);
+    },
+
+    async unpin(name) {
+        const result = await promptRegistry.unpin(name);
+        console.log(`${name} unpinned, now using v${result.version}`);
+    },
+
+    async eval(name, options) {
+        const fixtures = promptEvaluationService.loadFixtures(options.fixtures);
+        const candidate = options.version ? parseVersion(options.version) : promptRegistry.getActiveVersion(name);
+        let report;
+
+        if (options.compare) {
+            report = await promptEvaluationService.compare(name, candidate, parseVersion(options.compare, '--compare'), fixtures);
+            printSummary('baseline ', report.baseline);
+            printSummary('candidate', report.candidate);
+            console.log(`\nmean score delta ${report.meanScoreDelta >= 0 ? '+' : ''}${report.meanScoreDelta}  improved ${report.improved}  regressed ${report.regressed}`);
+            for (const entry of report.deltas) {
+                console.log(`  ${entry.id.padEnd(28)} ${String(entry.baseline).padStart(5)} -> ${String(entry.candidate).padEnd(5)} ${entry.delta > 0 ? '+' : ''}${entry.delta}`);
+            }
+        } else {
+            report = await promptEvaluationService.evaluate(name, candidate, fixtures);
+            printSummary('evaluated', report);
+            for (const result of report.results) {
+                console.log(`  ${result.id.padEnd(28)} ${String(result.score).padEnd(5)} ${result.error || ''}`);
+            }
+        }
+
+        if (options.output) {
+            fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+            console.log(`\nReport written to ${options.output}`);
+        }
+    }
+};
+
+// Commands that change pins need the database
+const NEEDS_DATABASE = ['pin', 'rollback', 'unpin'];
+
+const main = async () => {
+    const { positional: [command, name, version], options } = parseArgs(process.argv.slice(2));
+    if (!commands[command] || (command !== 'list' && !name)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (command !== 'list' && !promptRegistry.has(name)) {
+        throw new Error(`Unknown prompt "${name}". Run "npm run prompts -- list" to see the registry.`);
+    }
+
+    if (NEEDS_DATABASE.includes(command)) {
+        await connectDB();
+    } else if (process.env.MONGODB_URI) {
+        // Only to show stored pins; without the database the environment pins apply
+        await connectDB().catch(() => console.warn('MongoDB unavailable, only AI_PROMPT_PINS apply'));
+    }
+
+    try {
+        await commands[command](name, options, version);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+// scripts/specialty-benchmark.js - specialty detection benchmark
+//
+//   npm run specialty-benchmark
+//   npm run specialty-benchmark -- [--dataset file.json] [--output report.json] [--threshold 0.8] [--write-calibration]
+//
+// Runs the labeled dataset (src/tests/fixtures/specialtyDetectionDataset.json by
+// default) through specialty detection and prints accuracy, per-specialty
+// precision/recall, the most common confusions and confidence calibration error.
+// --write-calibration saves the calibration fitted on the dataset to
+// SPECIALTY_CALIBRATION_FILE (src/config/specialtyCalibration.json by default);
+// re-run it whenever the detection rules or the dataset change.
+import fs from "fs";
+import aiService from "../src/service/ai.service.js";
+import specialtyBenchmarkService from "../src/services/specialtyBenchmarkService.js";
+
+const parseArgs = (argv) => {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            options[name] = argv[i + 1];
+            i++;
+        } else {
+            options[name] = true;
+        }
+    }
+    return options;
+};
+
+const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const printReport = (report) => {
+    console.log(`Specialty detection on ${report.dataset} labeled transcriptions`);
+    console.log(`  accuracy ${percent(report.accuracy)}  macro precision ${percent(report.macro.precision)}  macro recall ${percent(report.macro.recall)}  macro F1 ${percent(report.macro.f1)}\n`);
+
+    console.log(`  ${'specialty'.padEnd(20)} ${'precision'.padStart(9)} ${'recall'.padStart(7)} ${'F1'.padStart(7)} ${'support'.padStart(7)}`);
+    for (const [specialty, metrics] of Object.entries(report.perLabel)) {
+        console.log(`  ${specialty.padEnd(20)} ${percent(metrics.precision).padStart(9)} ${percent(metrics.recall).padStart(7)} ${percent(metrics.f1).padStart(7)} ${String(metrics.support).padStart(7)}`);
+    }
+
+    console.log('\nMost common confusions (actual -> predicted)');
+    for (const { actual, predicted, count } of report.topConfusions) {
+        console.log(`  ${actual} -> ${predicted}: ${count}`);
+    }
+
+    console.log('\nBy detection method');
+    for (const [method, summary] of Object.entries(report.methods)) {
+        console.log(`  ${method.padEnd(30)} n ${String(summary.n).padStart(3)}  accuracy ${percent(summary.accuracy).padStart(6)}  mean raw confidence ${percent(summary.meanRawConfidence)}`);
+    }
+
+    const { raw, calibrated, folds } = report.calibration;
+    console.log(`\nConfidence calibration (calibrated values are ${folds}-fold cross-validated)`);
+    console.log(`  raw         ECE ${raw.ece}  Brier ${raw.brier}`);
+    console.log(`  calibrated  ECE ${calibrated.ece}  Brier ${calibrated.brier}`);
+
+    const { confirmation } = report;
+    console.log(`\nConfirmation below ${confirmation.threshold}: asks on ${percent(confirmation.confirmationRate)} of detections, catching ${confirmation.errorsCaught} errors and missing ${confirmation.errorsMissed}`);
+    console.log(`  accuracy without confirmation ${percent(confirmation.acceptedAccuracy)}, of those confirmed ${percent(confirmation.confirmedAccuracy)}`);
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const dataset = specialtyBenchmarkService.loadDataset(options.dataset);
+    const threshold = options.threshold ? parseFloat(options.threshold) : aiService.specialtyConfirmationThreshold;
+
+    // Detection logs every keyword match; keep the output to the report
+    const log = console.log;
+    console.log = () => {};
+    let report;
+    try {
+        report = await specialtyBenchmarkService.run({ dataset, threshold });
+    } finally {
+        console.log = log;
+    }
+
+    printReport(report);
+
+    if (options['write-calibration']) {
+        const file = specialtyBenchmarkService.writeCalibration(report.fittedCalibration);
+        console.log(`\nCalibration written to ${file}`);
+    }
+
+    if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+        console.log(`\nReport written to ${options.output}`);
+    }
+};
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -7,6 +7,7 @@ import cors from "cors"
 import cookieParser from "cookie-parser"
 import session from "express-session"
 import MongoStore from "connect-mongo"
+import passport from "./config/passport.js"
 import { errorHandler } from "./middlewares/errorHandler.middleware.js";
 import { enhancedErrorHandler, notFoundHandler, timeoutHandler } from "./middlewares/enhancedErrorHandler.middleware.js";
 import loggingService from "./services/loggingService.js";
@@ -38,6 +39,10 @@ import { csrfProtection, csrfErrorHandler, provideCsrfToken } from "./middleware
 import { xssProtection as enhancedXssProtection, contentSecurityPolicy, antiXssHeaders } from "./middlewares/xss.middleware.js";
 import { httpsRedirect, hsts, sslSecurityHeaders } from "./config/https.config.js";
 import xssClean from 'xss-clean';
+import websiteAnalyticsRouter from './routes/websiteAnalytics.routes.js';
+import websiteLiveRouter from './routes/websiteLive.routes.js';
+import publicSiteRouter from './routes/publicSite.routes.js';
+import { customDomainRouting } from './middlewares/customDomain.middleware.js';
 
 // Security middleware (applied first)
 app.use(httpsRedirect); // Redirect HTTP to HTTPS
@@ -105,6 +110,9 @@ app.use(session({
   rolling: true // Reset expiry on activity
 }));
 
+// OAuth sign-in (the session above only holds the OAuth state parameter)
+app.use(passport.initialize());
+
 // CSRF protection middleware with bypass for API endpoints and development routes
 app.use((req, res, next) => {
   // Skip CSRF for development routes (when NODE_ENV is not production)
@@ -117,10 +125,12 @@ app.use((req, res, next) => {
   const apiExemptPaths = [
     '/api/v1/processing/',
     '/api/v1/users/login',
+    '/api/v1/users/auth/google/link',
     '/api/v1/users/register',
     '/api/v1/users/logout',
     '/api/v1/users/refresh',
     '/api/v1/users/verify-email',
+    '/api/v1/users/email-change/confirm',
     '/api/v1/users/reset-password',
     '/api/v1/auth/login',
     '/api/v1/auth/logout',
@@ -132,6 +142,7 @@ app.use((req, res, next) => {
     '/api/v1/content/optimize-seo',
     '/api/v1/content/adjust-tone',
     '/api/v1/websites/',
+    '/api/v1/organizations',
     '/api/v1/images/',
     '/api/v1/test/',
     '/api/v1/website-generation/',
@@ -147,6 +158,17 @@ app.use((req, res, next) => {
 });
 app.use(provideCsrfToken);
 
+// Public analytics beacon for published sites. Mounted ahead of the credentialed
+// CORS policy below because published sites can be served from any origin.
+app.use("/api/v1/websites", websiteAnalyticsRouter)
+
+// Public live pages, served ahead of the authenticated website routes
+app.use("/api/v1/websites", websiteLiveRouter)
+app.use("/sites", publicSiteRouter)
+
+// Requests to verified custom domains serve the published website
+app.use(customDomainRouting)
+
 // CORS configuration with enhanced security
 app.use(cors({
     origin: function(origin, callback) {
@@ -240,6 +262,8 @@ import websiteGenerationRouter from './routes/websiteGeneration.routes.js'
 import websiteRouter from './routes/websites.js'
 import websitePublishRouter from './routes/websitePublish.routes.js'
 import websiteVersionsRouter from './routes/websiteVersions.routes.js'
+import websiteExperimentsRouter from './routes/websiteExperiments.routes.js'
+import organizationRouter from './routes/organization.routes.js'
 import unifiedProcessingRouter from './routes/unifiedProcessing.routes.js'
 import contentRegenerationRouter from './routes/contentRegeneration.routes.js'
 import imageUploadRouter from './routes/imageUpload.routes.js'
@@ -336,6 +360,8 @@ app.use("/api/v1/website-generation", websiteGenerationRouter)
 app.use("/api/v1/websites", websiteRouter)
 app.use("/api/v1/websites", websitePublishRouter)
 app.use("/api/v1/websites", websiteVersionsRouter)
+app.use("/api/v1/websites", websiteExperimentsRouter)
+app.use("/api/v1/organizations", organizationRouter)
 app.use("/api/v1/processing", processingStatusDebugger, audioProcessingDebugger, unifiedProcessingRouter)
 app.use("/api/v1/content", contentRegenerationRouter)
 app.use("/api/v1/images", imageUploadRouter)
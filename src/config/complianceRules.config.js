@@ -0,0 +1,190 @@
+// src/config/complianceRules.config.js
+// Medical marketing compliance rules applied to website copy.
+//
+// A rule matches either `phrases` (case-insensitive, whole words) or `pattern`
+// (a regular expression source with optional `flags`). A rule with `requires`
+// is a disclaimer rule: it only fires when its phrase/pattern appears somewhere
+// and the `requires` pattern appears nowhere in the content.
+// `specialties` limits a rule to those specialties; without it the rule applies
+// to every practice.
+//
+// Severity: "error" blocks publishing when the compliance gate is enforced,
+// "warning" is reported but doesn't block, "info" is advisory.
+//
+// Rules can be added, changed or disabled ({ "id": "...", "enabled": false })
+// without a code change through a JSON file named by COMPLIANCE_RULES_FILE.
+export const COMPLIANCE_SEVERITIES = ['error', 'warning', 'info'];
+
+export const COMPLIANCE_CATEGORIES = [
+  'outcome_claim',
+  'superlative',
+  'safety_claim',
+  'testimonial',
+  'phi',
+  'pricing'
+];
+
+export const COMPLIANCE_RULES = [
+  // Outcome claims
+  {
+    id: 'guaranteed-outcome',
+    category: 'outcome_claim',
+    severity: 'error',
+    phrases: ['guaranteed results', 'guaranteed outcome', 'results guaranteed', 'we guarantee', 'guaranteed to work', 'guaranteed cure', 'money-back guarantee'],
+    message: 'Guaranteed outcomes are not allowed in medical advertising',
+    suggestion: 'Describe what the treatment aims to achieve and that individual results vary'
+  },
+  {
+    id: 'success-rate-claim',
+    category: 'outcome_claim',
+    severity: 'error',
+    pattern: '\\b100\\s?%\\s+(?:success|effective|cure|satisfaction|results?)\\b',
+    flags: 'i',
+    message: 'A 100% success claim cannot be substantiated',
+    suggestion: 'Remove the figure or cite the published outcome data it comes from'
+  },
+  {
+    id: 'cure-claim',
+    category: 'outcome_claim',
+    severity: 'warning',
+    pattern: '\\b(?:cures?|cured|permanent(?:ly)? (?:fix|fixes|solution|results?))\\b',
+    flags: 'i',
+    message: 'Claims that a treatment cures a condition need clinical support',
+    suggestion: 'Use "treat" or "manage" unless the claim is backed by evidence'
+  },
+  {
+    id: 'miracle-claim',
+    category: 'outcome_claim',
+    severity: 'error',
+    phrases: ['miracle', 'miraculous', 'breakthrough cure', 'secret formula'],
+    message: 'Miracle or secret-remedy language is misleading',
+    suggestion: 'Describe the treatment in plain, factual terms'
+  },
+
+  // Superlatives and comparisons
+  {
+    id: 'unverifiable-superlative',
+    category: 'superlative',
+    severity: 'warning',
+    phrases: ['best doctor', 'best doctors', 'best surgeon', 'best in the country', 'best in town', 'number one', '#1', 'top-rated', 'world-class', 'leading expert'],
+    message: 'Superlatives that can\'t be verified may be considered misleading',
+    suggestion: 'Replace with a verifiable fact, such as board certification or years of experience'
+  },
+
+  // Safety claims
+  {
+    id: 'risk-free-claim',
+    category: 'safety_claim',
+    severity: 'error',
+    phrases: ['risk-free', 'risk free', 'no side effects', 'zero risk', 'completely safe', '100% safe', 'no risks'],
+    message: 'Every medical treatment carries some risk',
+    suggestion: 'Say the procedure has a low complication rate, or invite patients to discuss risks at a consultation'
+  },
+  {
+    id: 'painless-claim',
+    category: 'safety_claim',
+    severity: 'warning',
+    phrases: ['painless', 'pain-free', 'pain free', 'no pain', 'no downtime'],
+    message: 'Absolute comfort and recovery claims depend on the patient',
+    suggestion: 'Use "minimally painful" or "most patients return to normal activities quickly"'
+  },
+
+  // Testimonials
+  {
+    id: 'testimonial-without-disclaimer',
+    category: 'testimonial',
+    severity: 'warning',
+    pattern: '\\b(?:testimonials?|patient stories|what our patients say|reviews from patients)\\b|["“][^"”]{20,}["”]\\s*[-–—]\\s*[A-Z]',
+    flags: 'i',
+    requires: {
+      pattern: '\\b(?:results (?:may|will) vary|individual results|not a guarantee|typical results)\\b',
+      flags: 'i'
+    },
+    message: 'Patient testimonials need a disclaimer that results vary',
+    suggestion: 'Add "Individual results may vary" near the testimonials'
+  },
+
+  // Protected health information
+  {
+    id: 'phi-ssn',
+    category: 'phi',
+    severity: 'error',
+    pattern: '\\b\\d{3}-\\d{2}-\\d{4}\\b',
+    message: 'Text looks like a Social Security number',
+    suggestion: 'Remove any patient identifiers from public content'
+  },
+  {
+    id: 'phi-record-number',
+    category: 'phi',
+    severity: 'error',
+    pattern: '\\b(?:MRN|medical record (?:number|no\\.?|#))\\s*[:#]?\\s*[A-Z0-9-]{4,}',
+    flags: 'i',
+    message: 'Text looks like a medical record number',
+    suggestion: 'Remove any patient identifiers from public content'
+  },
+  {
+    id: 'phi-date-of-birth',
+    category: 'phi',
+    severity: 'error',
+    pattern: '\\b(?:DOB|date of birth|born on)\\s*[:\\-]?\\s*\\d{1,4}[/.-]\\d{1,2}[/.-]\\d{1,4}',
+    flags: 'i',
+    message: 'Text looks like a patient\'s date of birth',
+    suggestion: 'Remove any patient identifiers from public content'
+  },
+  {
+    id: 'phi-named-patient',
+    category: 'phi',
+    severity: 'warning',
+    pattern: '\\b[Pp]atient,?\\s+(?:named\\s+)?(?:Mr\\.?|Mrs\\.?|Ms\\.?)?\\s*[A-Z][a-z]+\\s+[A-Z][a-z]+',
+    message: 'A named patient may be identifiable',
+    suggestion: 'Use initials or remove the name unless the patient gave written authorization'
+  },
+
+  // Pricing
+  {
+    id: 'free-treatment-offer',
+    category: 'pricing',
+    severity: 'info',
+    phrases: ['free consultation', 'free treatment', 'free surgery', 'limited time offer'],
+    message: 'Free-service and time-limited offers may be restricted for some payers',
+    suggestion: 'Check inducement rules (e.g. for Medicare patients) before advertising free services'
+  },
+
+  // Specialty rules
+  {
+    id: 'dermatology-permanent-youth',
+    category: 'outcome_claim',
+    severity: 'error',
+    specialties: ['dermatology'],
+    phrases: ['reverse aging', 'stop aging', 'look 20 years younger', 'erase wrinkles forever', 'no scarring', 'scar-free'],
+    message: 'Cosmetic outcome promises are not allowed',
+    suggestion: 'Describe the expected improvement and that results vary by skin type'
+  },
+  {
+    id: 'cardiology-reversal',
+    category: 'outcome_claim',
+    severity: 'error',
+    specialties: ['cardiology'],
+    phrases: ['reverse heart disease', 'unclog arteries naturally', 'never have a heart attack', 'prevent all heart attacks'],
+    message: 'Claims of reversing or fully preventing heart disease need clinical support',
+    suggestion: 'Talk about reducing risk and managing the condition'
+  },
+  {
+    id: 'orthopedics-regenerative',
+    category: 'outcome_claim',
+    severity: 'error',
+    specialties: ['orthopedics'],
+    phrases: ['regrow cartilage', 'avoid surgery forever', 'stem cell cure', 'replace joint replacement'],
+    message: 'Regenerative medicine claims must not go beyond the evidence',
+    suggestion: 'Describe regenerative treatments as options to discuss, with their evidence and limitations'
+  },
+  {
+    id: 'pediatrics-vaccine-misinformation',
+    category: 'safety_claim',
+    severity: 'error',
+    specialties: ['pediatrics'],
+    phrases: ['vaccines cause autism', 'vaccine injury', 'natural immunity is better'],
+    message: 'Vaccine statements must follow current public health guidance',
+    suggestion: 'Link to CDC or AAP immunization guidance instead'
+  }
+];
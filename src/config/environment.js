@@ -99,6 +99,13 @@ const envSchema = joi.object({
   EMAIL_FROM: joi.string().email().required(),
   EMAIL_FROM_NAME: joi.string().default('Doctor Website Builder'),
   
+  // OAuth Configuration
+  FRONTEND_URL: joi.string().uri().default('http://localhost:3000'),
+  GOOGLE_CLIENT_ID: joi.string().allow('').optional(),
+  GOOGLE_CLIENT_SECRET: joi.string().allow('').optional(),
+  GOOGLE_CALLBACK_URL: joi.string().default('/api/v1/users/auth/google/callback'),
+  OAUTH_MOCK_PROVIDER: joi.boolean().default(false),
+  
   // Audio Configuration
   AUDIO_MAX_FILE_SIZE: joi.number().default(26214400),
   AUDIO_SUPPORTED_FORMATS: joi.string().default('mp3,wav,m4a,flac,ogg,webm'),
@@ -112,6 +119,18 @@ const envSchema = joi.object({
   AI_MODEL_ID: joi.string().required(),
   AI_MODEL_TIMEOUT: joi.number().default(30000),
   AI_MAX_TOKENS: joi.number().default(4000),
+  AI_PROVIDER: joi.string().valid('bedrock', 'openai', 'fixture').default('bedrock'),
+  AI_OPENAI_BASE_URL: joi.string().uri().when('AI_PROVIDER', { is: 'openai', then: joi.required() }),
+  AI_OPENAI_API_KEY: joi.string().allow('').optional(),
+  AI_OPENAI_MODEL: joi.string().when('AI_PROVIDER', { is: 'openai', then: joi.required() }),
+  AI_FIXTURE_FILE: joi.string().allow('').optional(),
+
+  // Medical License Verification (the fixture registry is for development and tests only)
+  LICENSE_VERIFIER_URL: joi.string().uri().when('NODE_ENV', {
+    is: 'production',
+    then: joi.required(),
+    otherwise: joi.allow('').optional()
+  }),
   
   // Security Headers
   HSTS_MAX_AGE: joi.number().default(31536000),
@@ -303,6 +322,18 @@ export const config = {
     fromName: envVars.EMAIL_FROM_NAME,
   },
   
+  // OAuth
+  oauth: {
+    frontendUrl: envVars.FRONTEND_URL,
+    google: {
+      clientId: envVars.GOOGLE_CLIENT_ID,
+      clientSecret: envVars.GOOGLE_CLIENT_SECRET,
+      callbackUrl: envVars.GOOGLE_CALLBACK_URL,
+    },
+    // Stand-in Google provider for tests and local development; never used in production
+    useMockProvider: envVars.OAUTH_MOCK_PROVIDER && envVars.NODE_ENV !== 'production',
+  },
+  
   // Audio
   audio: {
     maxFileSize: envVars.AUDIO_MAX_FILE_SIZE,
@@ -321,6 +352,7 @@ export const config = {
     modelId: envVars.AI_MODEL_ID,
     timeout: envVars.AI_MODEL_TIMEOUT,
     maxTokens: envVars.AI_MAX_TOKENS,
+    provider: envVars.AI_PROVIDER,
   },
   
   // Security Headers
@@ -0,0 +1,36 @@
+// Passport strategies for third-party sign-in. Tokens are ours (per-device sessions),
+// so passport only runs the OAuth exchange and never stores users in the session.
+import passport from 'passport';
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { config } from './environment.js';
+import MockOAuthStrategy from '../utils/mockOAuthStrategy.js';
+
+// The verify callback only passes the Google profile on; account lookup,
+// linking and creation happen in oauthService
+const passProfile = (accessToken, refreshToken, profile, done) => done(null, profile);
+
+const { google, useMockProvider } = config.oauth;
+
+export const googleAuthEnabled = useMockProvider || Boolean(google.clientId && google.clientSecret);
+
+if (useMockProvider) {
+  console.warn('Google sign-in is using the mock OAuth provider');
+  passport.use('google', new MockOAuthStrategy({ callbackURL: google.callbackUrl }, passProfile));
+} else if (googleAuthEnabled) {
+  passport.use('google', new GoogleStrategy({
+    clientID: google.clientId,
+    clientSecret: google.clientSecret,
+    callbackURL: google.callbackUrl
+  }, passProfile));
+}
+
+// Options for both legs of the Google flow. The real provider keeps the OAuth
+// state parameter in the express session to stop login CSRF.
+export const googleAuthOptions = {
+  scope: ['profile', 'email'],
+  session: false,
+  state: !useMockProvider,
+  prompt: 'select_account'
+};
+
+export default passport;
@@ -0,0 +1,368 @@
+// src/config/prompts.config.js
+// Versioned prompt templates used by the AI services. Placeholders are written
+// {{variable}} and every placeholder must be listed in `variables`.
+//
+// To change a prompt, add a new version instead of editing an existing one, so
+// past output stays attributable and the change can be rolled back. A version
+// marked `draft: true` is only used when pinned or evaluated explicitly
+// (npm run prompts -- eval <name> --version N --compare M); otherwise the
+// highest non-draft version is active.
+export const PROMPTS = {
+  'website.generate': {
+    description: 'Full website content generated from a practice description',
+    // Output is website content, so it can be scored with calculateQualityScore
+    evaluation: 'website-content',
+    variables: ['specialty', 'transcription', 'requestId', 'timestamp', 'transcriptionHash'],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        notes: 'Specialty-exclusive prompt with the JSON structure as the response format',
+        template: `===== SPECIALTY-SPECIFIC CONTENT GENERATION =====
+TARGET_SPECIALTY: {{specialty}}
+UNIQUE_REQUEST_ID: {{requestId}}
+GENERATION_TIMESTAMP: {{timestamp}}
+TRANSCRIPTION_HASH: {{transcriptionHash}}
+
+Create professional medical website content EXCLUSIVELY for a {{specialty}} practice.
+
+STRICT REQUIREMENTS:
+- Content must be 100% specific to {{specialty}}
+- Must NOT contain any references to other medical specialties
+- Must use {{specialty}}-specific terminology and services
+- Must be unique and not generic medical content
+
+Practice Description: "{{transcription}}"
+
+Generate comprehensive, professional content following this structure:
+
+{
+    "websiteTitle": "Professional practice name (creative but professional)",
+    "tagline": "Compelling tagline specific to {{specialty}}",
+    "heroSection": {
+        "headline": "Primary headline that captures attention (max 200 chars)",
+        "subheadline": "Supporting text that builds trust and explains value (max 300 chars)",
+        "ctaText": "Action-oriented button text (max 50 chars)"
+    },
+    "aboutSection": {
+        "title": "About section heading",
+        "content": "Professional 2-3 paragraph about section that builds credibility",
+        "highlights": ["3-4 key practice highlights/differentiators"]
+    },
+    "services": [
+        {
+            "name": "Service Name",
+            "description": "Detailed service description",
+            "icon": "relevant-icon-name"
+        }
+    ],
+    "contactInfo": {
+        "phone": "Professional phone format",
+        "email": "Professional email address",
+        "address": "Complete professional address",
+        "hours": "Professional operating hours"
+    },
+    "seoMeta": {
+        "title": "SEO-optimized title (under 55 chars)",
+        "description": "SEO description (under 160 chars)",
+        "keywords": ["relevant", "seo", "keywords"]
+    },
+    "qualityScore": 0.85,
+    "contentFeatures": ["feature1", "feature2", "feature3"]
+}
+
+Requirements:
+- Content must be professional and medically appropriate
+- Include 4-6 relevant services for {{specialty}}
+- Use compelling, trust-building language
+- Ensure all content is unique and engaging
+- Include location-appropriate contact information
+- SEO-optimize all meta content
+- CRITICAL: Respect character limits - headline max 200 chars, subheadline max 300 chars, ctaText max 50 chars
+
+Base the content on the practice description provided, but enhance it professionally.`
+      }
+    ]
+  },
+
+  'website.section': {
+    description: 'Regenerates one section of the website content',
+    variables: ['sectionName', 'specialty', 'transcription', 'sectionFormat'],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        notes: 'Section name, practice description and the section JSON format',
+        template: `Regenerate the {{sectionName}} section for a {{specialty}} medical practice.
+
+Practice Description: "{{transcription}}"
+Section: {{sectionName}}
+
+Generate only the {{sectionName}} content in JSON format:
+{{sectionFormat}}
+
+Make it professional, engaging, and relevant to {{specialty}}.`
+      }
+    ]
+  },
+
+  // Response formats for website.section, one per regenerable section
+  'website.section-format.heroSection': {
+    description: 'JSON format of a regenerated hero section',
+    variables: [],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        template: `{
+    "headline": "Compelling main headline",
+    "subheadline": "Supporting headline that builds trust",
+    "ctaText": "Action button text"
+}`
+      }
+    ]
+  },
+
+  'website.section-format.aboutSection': {
+    description: 'JSON format of a regenerated about section',
+    variables: [],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        template: `{
+    "title": "About section title",
+    "content": "Professional about content (2-3 paragraphs)",
+    "highlights": ["highlight1", "highlight2", "highlight3"]
+}`
+      }
+    ]
+  },
+
+  'website.section-format.services': {
+    description: 'JSON format of regenerated services',
+    variables: [],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        template: `[
+    {
+        "name": "Service Name",
+        "description": "Service description",
+        "icon": "icon-name"
+    }
+]`
+      }
+    ]
+  },
+
+  'content.tone': {
+    description: 'Adjusts the tone of content for an audience',
+    variables: ['content', 'targetTone', 'audience', 'specialty'],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        notes: 'Tone adjustment with change log and audience check',
+        template: `You are a medical content tone specialist.
+
+Content to adjust:
+{{content}}
+
+Target Tone: {{targetTone}}
+Target Audience: {{audience}}
+Medical Specialty: {{specialty}}
+
+Adjust the tone of this content while maintaining:
+1. Medical accuracy and professionalism
+2. Appropriate terminology for the specialty
+3. Clear, understandable language for the audience
+4. Trust-building elements
+
+Return your response in this exact JSON format:
+{
+  "adjustedContent": "tone-adjusted content here",
+  "toneChanges": [
+    {"from": "formal", "to": "friendly", "description": "Made language more approachable"},
+    {"aspect": "terminology", "change": "simplified medical terms"}
+  ],
+  "audienceAppropriate": true,
+  "confidence": 0.92,
+  "suggestedImprovements": [
+    "Consider adding patient testimonials",
+    "Include more empathetic language"
+  ]
+}`
+      }
+    ]
+  },
+
+  'content.expand': {
+    description: 'Expands content towards a target length',
+    variables: ['content', 'expansionType', 'targetLength', 'specialty'],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        notes: 'Expansion with added elements and expansion ratio',
+        template: `You are a medical content expansion specialist.
+
+Content to expand:
+{{content}}
+
+Expansion Type: {{expansionType}}
+Target Length: {{targetLength}}
+Medical Specialty: {{specialty}}
+
+Expand this content while:
+1. Maintaining medical accuracy
+2. Adding valuable information for patients
+3. Including relevant medical terminology
+4. Keeping the content engaging and informative
+5. Following logical structure and flow
+
+Return your response in this exact JSON format:
+{
+  "expandedContent": "expanded content here",
+  "addedElements": [
+    {"type": "detail", "description": "Added procedure explanation"},
+    {"type": "benefit", "description": "Included patient benefits"}
+  ],
+  "wordCount": 250,
+  "expansionRatio": 2.1,
+  "confidence": 0.88,
+  "qualityScore": 0.92
+}`
+      }
+    ]
+  },
+
+  'content.shorten': {
+    description: 'Shortens content towards a target length',
+    variables: ['content', 'targetLength', 'preserveKeyPoints', 'specialty'],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        notes: 'Shortening with removed elements and preserved key points',
+        template: `You are a medical content conciseness specialist.
+
+Content to shorten:
+{{content}}
+
+Target Length: {{targetLength}}
+Preserve Key Points: {{preserveKeyPoints}}
+Medical Specialty: {{specialty}}
+
+Shorten this content while:
+1. Maintaining medical accuracy and essential information
+2. Preserving key points and critical details
+3. Keeping the professional tone
+4. Ensuring clarity and readability
+5. Maintaining patient trust elements
+
+Return your response in this exact JSON format:
+{
+  "shortenedContent": "shortened content here",
+  "removedElements": [
+    {"type": "redundancy", "description": "Removed repetitive information"},
+    {"type": "detail", "description": "Condensed technical explanation"}
+  ],
+  "wordCount": 120,
+  "compressionRatio": 0.6,
+  "keyPointsPreserved": ["benefit 1", "benefit 2", "key info"],
+  "confidence": 0.91,
+  "readabilityScore": 0.88
+}`
+      }
+    ]
+  },
+
+  'content.seo': {
+    description: 'Optimizes content for target keywords',
+    variables: ['content', 'contentType', 'targetKeywords'],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        notes: 'SEO optimization with keyword density and recommendations',
+        template: `You are an SEO expert specializing in medical practice websites.
+
+Content Type: {{contentType}}
+Current Content:
+{{content}}
+
+Target Keywords: {{targetKeywords}}
+
+Optimize this content for SEO while maintaining:
+1. Natural readability and flow
+2. Medical accuracy and professionalism
+3. Patient-friendly language
+4. Keyword integration that feels organic
+5. Search engine optimization best practices
+
+Return your response in this exact JSON format:
+{
+  "optimizedContent": "SEO optimized content here",
+  "seoImprovements": [
+    {"type": "keyword_integration", "description": "Added target keywords naturally"},
+    {"type": "structure", "description": "Improved content structure for SEO"}
+  ],
+  "keywordDensity": {
+    "keyword1": 2.5,
+    "keyword2": 1.8
+  },
+  "seoScore": 0.85,
+  "confidence": 0.91,
+  "recommendations": [
+    "Add more internal linking opportunities",
+    "Consider adding FAQ section"
+  ]
+}`
+      }
+    ]
+  },
+
+  'compliance.review': {
+    description: 'AI review of website copy for medical marketing compliance issues the phrase rules miss',
+    variables: ['specialty', 'content'],
+    versions: [
+      {
+        version: 1,
+        createdAt: '2026-10-19',
+        notes: 'Outcome claims, testimonials without disclaimers and PHI-like content',
+        template: `You are a healthcare marketing compliance reviewer for a {{specialty}} practice website.
+
+Review the website copy below. Each line is "path: text".
+
+{{content}}
+
+Flag only these issues:
+1. outcome_claim - promised, guaranteed or unsupported treatment outcomes or success rates
+2. testimonial - patient testimonials or endorsements without a "results may vary" style disclaimer
+3. phi - anything that could identify a patient: names tied to conditions or treatments, dates of birth, record numbers, photos described as a specific patient
+
+Do not flag the practice's own contact details, the doctor's name or factual descriptions of services.
+
+Return your response in this exact JSON format:
+{
+  "findings": [
+    {
+      "category": "outcome_claim",
+      "severity": "error",
+      "path": "aboutSection.content",
+      "excerpt": "the exact words that are the problem",
+      "message": "Why this is a problem",
+      "suggestion": "How to rewrite it"
+    }
+  ]
+}
+
+Use "error" for clear violations and "warning" for borderline wording. Return {"findings": []} if there are no issues.`
+      }
+    ]
+  }
+};
+
+export const getPromptNames = () => Object.keys(PROMPTS);
@@ -5,7 +5,10 @@ import { ApiError } from "../utils/apierror.js";
 import { ApiResponse } from "../utils/apirespose.js";
 import AIService from "../service/ai.service.js";
 import { Website, ContentVariation, ContentTemplate } from "../models/website.models.js";
+import authorizationService from "../services/authorizationService.js";
+import websiteService from "../services/websiteService.js";
 import AudioTranscriptionService from "../services/audioTranscriptionService.js";
+import aiUsageService from "../services/aiUsageService.js";
 import { cleanupFiles } from "../middlewares/multer.middleware.js";
 
 // Test AI connectivity
@@ -95,6 +98,7 @@ const generateContent = asyncHandler(async (req, res) => {
           userId: req.user._id,
           generationMetadata: {
             aiModel: AIService.modelId,
+            prompt: websiteContent.prompt,
             processingTime: processingTime,
             fallbackUsed: websiteContent.fallbackUsed || false,
             confidenceScore: websiteContent.confidenceScore || 0.8
@@ -178,7 +182,9 @@ const getUserWebsites = asyncHandler(async (req, res) => {
   try {
     const { page = 1, limit = 10, specialty, status } = req.query;
     
-    const query = { userId: req.user._id, isActive: true };
+    // Own websites plus those shared through organizations
+    const scope = await authorizationService.websiteScope(req.user._id);
+    const query = { ...scope, isActive: true };
     
     if (specialty) {
       query.specialty = specialty.toLowerCase();
@@ -243,7 +249,7 @@ const getUserWebsites = asyncHandler(async (req, res) => {
         hasNext: page < Math.ceil(totalCount / limit),
         hasPrev: page > 1
       },
-      specialties: await Website.distinct('specialty', { userId: req.user._id, isActive: true }),
+      specialties: await Website.distinct('specialty', { ...scope, isActive: true }),
       empty_state: false,
       summary: {
         total_websites: totalCount,
@@ -268,9 +274,10 @@ const getWebsiteById = asyncHandler(async (req, res) => {
   const { websiteId } = req.params;
 
   try {
+    await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
     const website = await Website.findOne({
       _id: websiteId,
-      userId: req.user._id,
       isActive: true
     });
 
@@ -284,7 +291,7 @@ const getWebsiteById = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error("Get website by ID error:", error);
-    throw new ApiError(500, "Failed to retrieve website");
+    throw error instanceof ApiError ? error : new ApiError(500, "Failed to retrieve website");
   }
 });
 
@@ -294,9 +301,10 @@ const updateWebsiteContent = asyncHandler(async (req, res) => {
   const updateData = req.body;
 
   try {
+    await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
     const website = await Website.findOne({
       _id: websiteId,
-      userId: req.user._id,
       isActive: true
     });
 
@@ -324,7 +332,7 @@ const updateWebsiteContent = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error("Update website error:", error);
-    throw new ApiError(500, "Failed to update website");
+    throw error instanceof ApiError ? error : new ApiError(500, "Failed to update website");
   }
 });
 
@@ -333,9 +341,10 @@ const deleteWebsite = asyncHandler(async (req, res) => {
   const { websiteId } = req.params;
 
   try {
+    await authorizationService.authorizeWebsite(websiteId, req.user._id, 'manage');
+
     const website = await Website.findOne({
       _id: websiteId,
-      userId: req.user._id,
       isActive: true
     });
 
@@ -345,6 +354,7 @@ const deleteWebsite = asyncHandler(async (req, res) => {
 
     website.isActive = false;
     await website.save();
+    websiteService.invalidateWebsiteCache(websiteId);
 
     return res.status(200).json(
       new ApiResponse(200, { websiteId }, "Website deleted successfully")
@@ -352,7 +362,7 @@ const deleteWebsite = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error("Delete website error:", error);
-    throw new ApiError(500, "Failed to delete website");
+    throw error instanceof ApiError ? error : new ApiError(500, "Failed to delete website");
   }
 });
 
@@ -362,9 +372,10 @@ const regenerateWebsiteContent = asyncHandler(async (req, res) => {
   const { section } = req.body; // optional: specific section to regenerate
 
   try {
+    await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
     const website = await Website.findOne({
       _id: websiteId,
-      userId: req.user._id,
       isActive: true
     });
 
@@ -391,6 +402,7 @@ const regenerateWebsiteContent = asyncHandler(async (req, res) => {
       );
       
       Object.assign(website, newContent);
+      website.generationMetadata.prompt = newContent.prompt;
     }
 
     website.generationMetadata.processingTime = Date.now() - startTime;
@@ -404,7 +416,7 @@ const regenerateWebsiteContent = asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error("Regenerate website content error:", error);
-    throw new ApiError(500, "Failed to regenerate website content");
+    throw error instanceof ApiError ? error : new ApiError(500, "Failed to regenerate website content");
   }
 });
 
@@ -486,12 +498,13 @@ const getAvailableModels = asyncHandler(async (req, res) => {
 // Get analytics for user's websites
 const getWebsiteAnalytics = asyncHandler(async (req, res) => {
   try {
-    const userId = req.user._id;
+    // Own websites plus those shared through organizations
+    const query = { ...(await authorizationService.websiteScope(req.user._id)), isActive: true };
 
     // Get basic statistics
-    const totalWebsites = await Website.countDocuments({ userId, isActive: true });
-    const publishedWebsites = await Website.countDocuments({ userId, isActive: true, status: 'published' });
-    const draftWebsites = await Website.countDocuments({ userId, isActive: true, status: 'draft' });
+    const totalWebsites = await Website.countDocuments(query);
+    const publishedWebsites = await Website.countDocuments({ ...query, status: 'published' });
+    const draftWebsites = await Website.countDocuments({ ...query, status: 'draft' });
 
     // Handle empty state for analytics
     if (totalWebsites === 0) {
@@ -528,20 +541,20 @@ const getWebsiteAnalytics = asyncHandler(async (req, res) => {
 
     // Get specialty distribution
     const specialtyStats = await Website.aggregate([
-      { $match: { userId, isActive: true } },
+      { $match: query },
       { $group: { _id: '$specialty', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]);
 
     // Get recent generation activity
-    const recentActivity = await Website.find({ userId, isActive: true })
+    const recentActivity = await Website.find(query)
       .sort({ createdAt: -1 })
       .limit(5)
       .select('websiteTitle specialty status createdAt');
 
     // Calculate average processing time
     const avgProcessingTime = await Website.aggregate([
-      { $match: { userId, isActive: true } },
+      { $match: query },
       { $group: { _id: null, avgTime: { $avg: '$generationMetadata.processingTime' } } }
     ]);
 
@@ -761,6 +774,7 @@ const generateFromAudio = asyncHandler(async (req, res) => {
           userId: req.user._id,
           generationMetadata: {
             aiModel: AIService.modelId,
+            prompt: websiteContent.prompt,
             processingTime: processingTime,
             fallbackUsed: websiteContent.fallbackUsed || false,
             confidenceScore: transcriptionResult.confidence,
@@ -937,6 +951,15 @@ const getTranscriptionStats = asyncHandler(async (req, res) => {
   }
 });
 
+// AI token usage for the current (or a given) month against the plan quota
+const getAIUsage = asyncHandler(async (req, res) => {
+  const summary = await aiUsageService.getUsageSummary(req.user._id, req.query.period || undefined);
+
+  return res.status(200).json(
+    new ApiResponse(200, summary, "AI usage retrieved successfully")
+  );
+});
+
 // Cleanup expired transcription jobs (utility function)
 const cleanupExpiredJobs = () => {
   const now = new Date();
@@ -977,5 +1000,6 @@ export {
   generateFromAudio,
   deleteTranscription,
   getSupportedLanguages,
-  getTranscriptionStats
+  getTranscriptionStats,
+  getAIUsage
 };
\ No newline at end of file
@@ -4,6 +4,8 @@ import { ApiError } from "../utils/apierror.js";
 import { ApiResponse } from "../utils/apirespose.js";
 import TemplateService from "../service/template.service.js";
 import AIService from "../service/ai.service.js";
+import ExportService from "../services/exportService.js";
+import authorizationService from "../services/authorizationService.js";
 
 // Get available templates
 const getAvailableTemplates = asyncHandler(async (req, res) => {
@@ -61,9 +63,10 @@ const generateWebsiteFromAI = asyncHandler(async (req, res) => {
     try {
         // Get website data from database
         const { Website } = await import("../models/website.models.js");
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
         
@@ -104,7 +107,7 @@ const generateWebsiteFromAI = asyncHandler(async (req, res) => {
             }, "Website generated successfully")
         );
     } catch (error) {
-        throw new ApiError(500, `Failed to generate website: ${error.message}`);
+        throw error instanceof ApiError ? error : new ApiError(500, `Failed to generate website: ${error.message}`);
     }
 });
 
@@ -137,6 +140,7 @@ const generateWebsiteFromTranscription = asyncHandler(async (req, res) => {
                 lastGenerated: new Date(),
                 generationMetadata: {
                     aiModel: AIService.modelId,
+                    prompt: aiResult.prompt,
                     processingTime: Date.now(),
                     fallbackUsed: aiResult.fallbackUsed || false,
                     confidenceScore: aiResult.confidenceScore || 0.8
@@ -168,9 +172,10 @@ const regenerateWithTemplate = asyncHandler(async (req, res) => {
     
     try {
         const { Website } = await import("../models/website.models.js");
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
         
@@ -202,7 +207,7 @@ const regenerateWithTemplate = asyncHandler(async (req, res) => {
             }, "Website regenerated with new template successfully")
         );
     } catch (error) {
-        throw new ApiError(500, `Failed to regenerate website: ${error.message}`);
+        throw error instanceof ApiError ? error : new ApiError(500, `Failed to regenerate website: ${error.message}`);
     }
 });
 
@@ -250,12 +255,24 @@ const validateTemplateData = asyncHandler(async (req, res) => {
 // Export HTML file
 const exportWebsiteHtml = asyncHandler(async (req, res) => {
     const { websiteId } = req.params;
+    const { format = 'html', source } = req.query;
     
     try {
+        // Static site bundle with pages, assets, sitemap and robots.txt
+        if (format === 'bundle') {
+            const bundle = await ExportService.exportWebsiteBundle(websiteId, req.user._id, { source });
+            
+            res.setHeader('Content-Type', 'application/gzip');
+            res.setHeader('Content-Disposition', `attachment; filename="${bundle.filename}"`);
+            
+            return res.send(bundle.archive);
+        }
+        
         const { Website } = await import("../models/website.models.js");
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
         
@@ -273,7 +290,7 @@ const exportWebsiteHtml = asyncHandler(async (req, res) => {
         
         return res.send(website.generatedHtml);
     } catch (error) {
-        throw new ApiError(500, `Failed to export website HTML: ${error.message}`);
+        throw error instanceof ApiError ? error : new ApiError(500, `Failed to export website HTML: ${error.message}`);
     }
 });
 
@@ -16,7 +16,8 @@ const processTextToWebsite = asyncHandler(async (req, res) => {
     specialty, 
     saveToDatabase = true, 
     skipCache = false,
-    notifyProgress = true 
+    notifyProgress = true,
+    requestId
   } = req.body;
 
   // Comprehensive input validation
@@ -43,6 +44,10 @@ const processTextToWebsite = asyncHandler(async (req, res) => {
     throw new ApiError(400, `Invalid specialty. Supported specialties: ${validSpecialties.join(', ')}`);
   }
 
+  if (requestId) {
+    await unifiedProcessingService.assertRequestIdAvailable(requestId);
+  }
+
   try {
     const textData = {
       text: cleanText,
@@ -53,7 +58,8 @@ const processTextToWebsite = asyncHandler(async (req, res) => {
     const options = {
       saveToDatabase: saveToDatabase && !!req.user && isMongoDBAvailable(),
       skipCache: skipCache === true,
-      notifyProgress: notifyProgress !== false
+      notifyProgress: notifyProgress !== false,
+      requestId
     };
 
     const result = await unifiedProcessingService.processTextInput(
@@ -100,7 +106,9 @@ const processTextToWebsite = asyncHandler(async (req, res) => {
     console.error("Text to website processing error:", error);
     
     // Provide user-friendly error messages
-    if (error.message.includes('specialty')) {
+    if (error.statusCode && error.statusCode < 500) {
+      throw error;
+    } else if (error.message.includes('specialty')) {
       throw new ApiError(400, "Failed to detect medical specialty from your text. Please provide more specific information about your medical practice.");
     } else if (error.message.includes('content generation')) {
       throw new ApiError(500, "AI content generation failed. Please try again or contact support if the issue persists.");
@@ -203,10 +211,15 @@ const processAudioToWebsite = asyncHandler(async (req, res) => {
       }
     };
 
+    if (req.body.requestId) {
+      await unifiedProcessingService.assertRequestIdAvailable(req.body.requestId);
+    }
+
     const options = {
       saveToDatabase: saveToDatabase !== 'false' && !!req.user && isMongoDBAvailable(),
       skipCache: skipCache === 'true' || skipCache === true,
-      notifyProgress: notifyProgress !== 'false'
+      notifyProgress: notifyProgress !== 'false',
+      requestId: req.body.requestId
     };
 
     console.log(`[DEBUG] Audio data prepared:`, audioData);
@@ -469,7 +482,7 @@ const getProcessingResult = asyncHandler(async (req, res) => {
 
   try {
     console.log(`[DEBUG] Fetching result from unifiedProcessingService for: ${requestId}`);
-    const result = unifiedProcessingService.getProcessingResult(requestId);
+    const result = await unifiedProcessingService.getProcessingResult(requestId);
     
     console.log(`[DEBUG] Result:`, result ? 'Found' : 'Not found');
 
@@ -489,9 +502,11 @@ const getProcessingResult = asyncHandler(async (req, res) => {
       }
     }
 
-    // Check if processing is actually completed
+    // Still running or failed: return the sections generated so far
     if (result.status !== 'completed') {
-      throw new ApiError(400, `Processing not completed yet. Current status: ${result.status}`);
+      return res.status(200).json(
+        new ApiResponse(200, result, `Processing not completed yet (status: ${result.status}). Partial result retrieved`)
+      );
     }
 
     console.log(`[DEBUG] Returning result for ${requestId} with websiteId: ${result.websiteId}`);
@@ -5,28 +5,98 @@ import { uploadOnCloudinary } from "../utils/cloudinary.js";
 import { ApiResponse } from "../utils/apirespose.js";
 import { sendPasswordResetEmail, sendPasswordResetConfirmationEmail } from "../utils/email.js";
 import crypto from "crypto";
-import jwt from "jsonwebtoken"; // Added missing import
+import mfaService from "../services/mfaService.js";
+import sessionService from "../services/sessionService.js";
+import oauthService from "../services/oauthService.js";
+import apiKeyService from "../services/apiKeyService.js";
+import privacyService from "../services/privacyService.js";
+import licenseVerificationService from "../services/licenseVerificationService.js";
+import emailVerificationService from "../services/emailVerificationService.js";
+import passport, { googleAuthEnabled, googleAuthOptions } from "../config/passport.js";
+import { config } from "../config/environment.js";
+
+
+const authCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
+  path: '/'
+};
 
+// Device details recorded on the session
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
 
-// Helper function to generate tokens
-const generateAccessAndRefreshTokens = async (userId) => {
+// Helper function to start a device session and set auth cookies on a successful sign-in
+const startSession = async (req, res, user) => {
+  let tokens;
   try {
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new ApiError(404, "User not found");
-    }
-    
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-    
-    user.accountInfo.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
-    
-    return { accessToken, refreshToken };
+    tokens = await sessionService.createSession(user, getClientInfo(req));
   } catch (error) {
     console.error('Token generation error:', error);
     throw new ApiError(500, "Something went wrong while generating refresh and access tokens");
   }
+
+  const options = {
+    ...authCookieOptions,
+    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  };
+
+  res.cookie("accessToken", tokens.accessToken, options);
+  res.cookie("refreshToken", tokens.refreshToken, options);
+
+  return tokens;
+};
+
+const sendLoginResponse = async (req, res, user, message, extra = {}) => {
+  const { accessToken, refreshToken } = await startSession(req, res, user);
+  const loggedInUser = await User.findById(user._id).select("-accountInfo.password -accountInfo.refreshToken");
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      user: loggedInUser,
+      accessToken,
+      refreshToken,
+      ...extra
+    }, message)
+  );
+};
+
+// Finish a first-factor sign-in: tokens, or a challenge for accounts with two-step verification
+const completeSignIn = async (req, res, user, message) => {
+  if (user.accountInfo.mfaEnabled) {
+    const challenge = await mfaService.createChallenge(user);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        mfaRequired: true,
+        ...challenge
+      }, "Verification code required to complete sign-in")
+    );
+  }
+
+  return sendLoginResponse(req, res, user, message);
+};
+
+// Check a newly entered license in the background; the monitor retries anything that fails here
+const verifyLicenseInBackground = (userId) => {
+  licenseVerificationService.verifyUser(userId, { trigger: 'profile' }).catch((error) => {
+    console.error('Background license verification failed:', error.message);
+  });
+};
+
+// Send the browser back to the frontend once the Google callback is handled.
+// Tokens go in the URL fragment, which browsers never send to servers, so they
+// stay out of access logs, Referer headers and proxies.
+const redirectToFrontend = (res, params, tokens = {}) => {
+  const url = new URL('/auth/google/callback', config.oauth.frontendUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  if (Object.keys(tokens).length > 0) {
+    url.hash = new URLSearchParams(tokens).toString();
+  }
+  return res.redirect(url.toString());
 };
 
 const registerUser = asyncHandler(async (req, res) => {
@@ -474,7 +544,8 @@ const registerUser = asyncHandler(async (req, res) => {
       insuranceAccepted: parseArrayField(insuranceAccepted)
     },
     accountInfo: {
-      password: password
+      password: password,
+      emailVerified: false
     }
   };
 
@@ -533,8 +604,21 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while registering the user");
   }
 
+  verifyLicenseInBackground(createdUser._id);
+
+  // The account works without it, but publishing waits for a verified address
+  let verificationEmailSent = true;
+  try {
+    await emailVerificationService.sendVerification(createdUser);
+  } catch (error) {
+    console.error('Verification email failed after registration:', error.message);
+    verificationEmailSent = false;
+  }
+
   return res.status(201).json(
-    new ApiResponse(201, createdUser, "User registered successfully")
+    new ApiResponse(201, createdUser, verificationEmailSent
+      ? "User registered successfully. Check your inbox to verify your email address"
+      : "User registered successfully. Request a new verification email from your profile")
   );
 });
 
@@ -580,6 +664,11 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found. Please check your email address.");
   }
 
+  // Accounts created through Google sign-in have no password until one is set
+  if (!user.accountInfo.password) {
+    throw new ApiError(401, "This account uses Google sign-in. Continue with Google to log in");
+  }
+
   const isPasswordValid = await user.isPasswordCorrect(password);
   console.log('Password valid:', isPasswordValid);
   
@@ -587,58 +676,150 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Invalid user credentials");
   }
 
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id);
+  return completeSignIn(req, res, user, "User logged in successfully");
+});
 
-  const loggedInUser = await User.findById(user._id).select("-accountInfo.password -accountInfo.refreshToken");
+// Start Google sign-in (redirects to Google's consent screen)
+const startGoogleAuth = (req, res, next) => {
+  if (!googleAuthEnabled) {
+    return next(new ApiError(503, "Google sign-in is not configured"));
+  }
 
-  const options = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-    path: '/',
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
-  };
+  return passport.authenticate('google', googleAuthOptions)(req, res, next);
+};
 
-  return res.status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
-    .json(
-      new ApiResponse(200, {
-        user: loggedInUser,
-        accessToken,
-        refreshToken
-      }, "User logged in successfully")
-    );
-});
+// Google redirects back here; the outcome is passed to the frontend in the redirect
+const googleAuthCallback = (req, res, next) => {
+  if (!googleAuthEnabled) {
+    return next(new ApiError(503, "Google sign-in is not configured"));
+  }
 
-const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $unset: {
-        "accountInfo.refreshToken": 1
+  passport.authenticate('google', googleAuthOptions, async (err, profile) => {
+    try {
+      if (err || !profile) {
+        console.error('Google sign-in failed:', err?.message || 'no profile returned');
+        return redirectToFrontend(res, { status: 'error', message: "Google sign-in was cancelled or failed" });
       }
-    },
-    {
-      new: true
+
+      const result = await oauthService.resolveGoogleUser(profile);
+
+      // Existing password account: the frontend asks for the password, then calls /auth/google/link
+      if (result.status === 'link_required') {
+        return redirectToFrontend(res, {
+          status: 'link_required',
+          email: result.email
+        }, { linkToken: result.linkToken });
+      }
+
+      if (result.user.accountInfo.mfaEnabled) {
+        const challenge = await mfaService.createChallenge(result.user);
+        return redirectToFrontend(res, { status: 'mfa_required' }, { challengeToken: challenge.challengeToken });
+      }
+
+      await startSession(req, res, result.user);
+
+      return redirectToFrontend(res, {
+        status: result.user.accountInfo.profileComplete === false ? 'profile_incomplete' : 'success'
+      });
+    } catch (error) {
+      if (error instanceof ApiError && error.statusCode < 500) {
+        return redirectToFrontend(res, { status: 'error', message: error.message });
+      }
+      return next(error);
     }
+  })(req, res, next);
+};
+
+// Link Google to an existing account after confirming its password
+const linkGoogleAccount = asyncHandler(async (req, res) => {
+  const { linkToken, password } = req.body;
+
+  const user = await oauthService.linkGoogleAccount(linkToken, password);
+
+  return completeSignIn(req, res, user, "Google account linked successfully");
+});
+
+// Fill in the professional and practice details missing from a Google-created account
+const completeProfile = asyncHandler(async (req, res) => {
+  const user = await oauthService.completeProfile(req.user._id, req.body);
+  verifyLicenseInBackground(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, user, "Profile completed successfully")
   );
+});
 
-  const options = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-    path: '/'
-  };
+// Second sign-in step for accounts with two-step verification
+const verifyLoginMFA = asyncHandler(async (req, res) => {
+  const { challengeToken, mfaToken, backupCode } = req.body;
+
+  const result = await mfaService.verifyChallenge(challengeToken, { mfaToken, backupCode });
+
+  return sendLoginResponse(req, res, result.user, "User logged in successfully", {
+    verificationMethod: result.method,
+    ...(result.method === 'backup_code' && {
+      backupCodesRemaining: result.backupCodesRemaining,
+      lowOnBackupCodes: result.lowOnBackupCodes
+    })
+  });
+});
+
+const getMFAStatus = asyncHandler(async (req, res) => {
+  const status = await mfaService.getStatus(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, status, "Two-step verification status retrieved successfully")
+  );
+});
+
+const setupMFA = asyncHandler(async (req, res) => {
+  const setup = await mfaService.setupMFA(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, setup, "Scan the QR code and confirm with a code from your authenticator app")
+  );
+});
+
+const confirmMFA = asyncHandler(async (req, res) => {
+  const result = await mfaService.confirmMFA(req.user._id, req.body.mfaToken);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Two-step verification enabled. Store your backup codes somewhere safe")
+  );
+});
+
+const disableMFA = asyncHandler(async (req, res) => {
+  const { password, mfaToken, backupCode } = req.body;
+
+  const result = await mfaService.disableMFA(req.user._id, { password, mfaToken, backupCode });
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Two-step verification disabled")
+  );
+});
+
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const result = await mfaService.regenerateBackupCodes(req.user._id, req.body.mfaToken);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Backup codes regenerated. Previous codes no longer work")
+  );
+});
+
+const logoutUser = asyncHandler(async (req, res) => {
+  // Only this device is signed out; other sessions stay active
+  if (req.sessionId) {
+    await sessionService.revokeSession(req.user._id, req.sessionId, 'logout').catch(() => null);
+  }
 
   return res
     .status(200)
-    .clearCookie("accessToken", options)
-    .clearCookie("refreshToken", options)
+    .clearCookie("accessToken", authCookieOptions)
+    .clearCookie("refreshToken", authCookieOptions)
     .json(new ApiResponse(200, {}, "User logged out successfully"));
 });
 
-// Refresh Access Token
+// Refresh Access Token (rotates the refresh token for this device session)
 const refreshAccessToken = asyncHandler(async (req, res) => {
   const incomingRefreshToken = req.cookies.refreshToken || req.body.refreshToken;
 
@@ -646,46 +827,221 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized request");
   }
 
-  try {
-    const decodedToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
+  const { accessToken, refreshToken } = await sessionService.rotateSession(
+    incomingRefreshToken,
+    getClientInfo(req)
+  );
+
+  const options = {
+    ...authCookieOptions,
+    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        { accessToken, refreshToken },
+        "Access token refreshed"
+      )
     );
+});
 
-    const user = await User.findById(decodedToken?._id);
+// List the devices this account is signed in on
+const getSessions = asyncHandler(async (req, res) => {
+  const result = await sessionService.listSessions(req.user._id, req.sessionId);
 
-    if (!user) {
-      throw new ApiError(401, "Invalid refresh token");
-    }
+  return res.status(200).json(
+    new ApiResponse(200, result, "Sessions retrieved successfully")
+  );
+});
 
-    if (incomingRefreshToken !== user?.accountInfo?.refreshToken) {
-      throw new ApiError(401, "Refresh token is expired or used");
-    }
+// Sign out a single device
+const revokeSession = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeSession(req.user._id, req.params.sessionId);
 
-    const options = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-      path: '/',
-      maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    };
-
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id);
-
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", refreshToken, options)
-      .json(
-        new ApiResponse(
-          200,
-          { accessToken, refreshToken },
-          "Access token refreshed"
-        )
-      );
-  } catch (error) {
-    throw new ApiError(401, error?.message || "Invalid refresh token");
-  }
+  return res.status(200).json(
+    new ApiResponse(200, result, "Session signed out successfully")
+  );
+});
+
+// Sign out every device except the current one
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeOtherSessions(req.user._id, req.sessionId);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Other sessions signed out successfully")
+  );
+});
+
+// List the user's API keys (never the keys themselves)
+const getApiKeys = asyncHandler(async (req, res) => {
+  const result = await apiKeyService.listKeys(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "API keys retrieved successfully")
+  );
+});
+
+// Create an API key; the plaintext key is only returned in this response
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays, rateLimitPerMinute } = req.body;
+
+  const result = await apiKeyService.createKey(req.user._id, {
+    name,
+    scopes,
+    expiresInDays,
+    rateLimitPerMinute
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, result, "API key created. Copy it now; it won't be shown again")
+  );
+});
+
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const result = await apiKeyService.revokeKey(req.user._id, req.params.keyId);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "API key revoked successfully")
+  );
+});
+
+// Email verification and change of email
+const verifyEmail = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.verifyEmail(req.body.token);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Email address verified successfully")
+  );
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.sendVerification(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Verification email sent")
+  );
+});
+
+const getEmailChange = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.getEmailChange(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Email change status retrieved successfully")
+  );
+});
+
+// Start a change of email; both the current and the new address must confirm it
+const requestEmailChange = asyncHandler(async (req, res) => {
+  const { newEmail, password } = req.body;
+
+  const result = await emailVerificationService.requestEmailChange(req.user._id, { newEmail, password });
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Confirmation links sent to your current and new email addresses")
+  );
+});
+
+const confirmEmailChange = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.confirmEmailChange(req.body.token);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, result.status === 'completed'
+      ? "Email address changed successfully"
+      : "Confirmation recorded. Confirm from the other address to complete the change")
+  );
+});
+
+const cancelEmailChange = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.cancelEmailChange(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Email change cancelled")
+  );
+});
+
+// Medical license verification
+const getLicenseStatus = asyncHandler(async (req, res) => {
+  const result = await licenseVerificationService.getStatus(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "License status retrieved successfully")
+  );
+});
+
+const verifyLicense = asyncHandler(async (req, res) => {
+  const result = await licenseVerificationService.requestVerification(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, result.status === 'verified'
+      ? "License verified successfully"
+      : "License could not be verified")
+  );
+});
+
+// Privacy: data export and account deletion
+const getPrivacyStatus = asyncHandler(async (req, res) => {
+  const result = await privacyService.getPrivacyStatus(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Privacy status retrieved successfully")
+  );
+});
+
+// Queue a "download my data" archive; it is built in the background
+const requestDataExport = asyncHandler(async (req, res) => {
+  const result = await privacyService.requestDataExport(req.user._id, { ip: req.ip });
+
+  return res.status(202).json(
+    new ApiResponse(202, result, result.alreadyQueued
+      ? "A data export is already being prepared"
+      : "Data export requested. It will be ready to download shortly")
+  );
+});
+
+const getDataExports = asyncHandler(async (req, res) => {
+  const result = await privacyService.getDataExports(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Data exports retrieved successfully")
+  );
+});
+
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const { filePath, filename } = await privacyService.getExportDownload(req.user._id, req.params.exportId, { ip: req.ip });
+
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  return res.sendFile(filePath);
+});
+
+// Schedule account deletion after the grace period
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+  const { password, confirmEmail } = req.body;
+
+  const result = await privacyService.requestAccountDeletion(req.user._id, {
+    password,
+    confirmEmail,
+    ip: req.ip
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Account deletion scheduled. You can cancel it until the scheduled date")
+  );
+});
+
+const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const result = await privacyService.cancelAccountDeletion(req.user._id, { ip: req.ip });
+
+  return res.status(200).json(
+    new ApiResponse(200, result, "Account deletion cancelled")
+  );
 });
 
 // Enhanced database debugging function
@@ -867,9 +1223,9 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.accountInfo.passwordResetToken = undefined;
   user.accountInfo.passwordResetExpires = undefined;
   user.accountInfo.passwordResetUsed = true;
-  user.accountInfo.refreshToken = undefined; // Invalidate all sessions
 
   await user.save();
+  await sessionService.revokeAllSessions(user._id, 'password_reset'); // Sign out every device
 
   console.log('Password updated successfully');
 
@@ -967,8 +1323,8 @@ const changePassword = asyncHandler(async (req, res) => {
   }
 
   user.accountInfo.password = newPassword;
-  user.accountInfo.refreshToken = undefined; // Invalidate all sessions
   await user.save();
+  await sessionService.revokeAllSessions(user._id, 'password_changed'); // Sign out every device
 
   res.status(200).json(
     new ApiResponse(200, {}, "Password changed successfully. Please login again.")
@@ -1018,8 +1374,30 @@ const updateUserProfile = asyncHandler(async (req, res) => {
 
   // Remove sensitive fields that shouldn't be updated via this endpoint
   delete updateData.accountInfo;
+  delete updateData.licenseVerification;
+  delete updateData.aiUsage;
   delete updateData.password;
   delete updateData._id;
+  // Including dotted paths such as "accountInfo.plan"
+  Object.keys(updateData)
+    .filter(key => /^(accountInfo|licenseVerification|aiUsage)\./.test(key))
+    .forEach(key => delete updateData[key]);
+
+  const previous = await User.findById(userId).select("personalInfo.professionalEmail professionalInfo");
+  if (!previous) {
+    throw new ApiError(404, "User not found");
+  }
+
+  // Email changes go through the confirmed change-of-email flow
+  const requestedEmail = updateData['personalInfo.professionalEmail'] ?? updateData.personalInfo?.professionalEmail;
+  if (requestedEmail !== undefined &&
+      String(requestedEmail).trim().toLowerCase() !== previous.personalInfo.professionalEmail) {
+    throw new ApiError(400, "Email address can't be changed here. Use the change email option, which confirms both addresses");
+  }
+  delete updateData['personalInfo.professionalEmail'];
+  if (updateData.personalInfo && typeof updateData.personalInfo === 'object') {
+    updateData.personalInfo.professionalEmail = previous.personalInfo.professionalEmail;
+  }
 
   const user = await User.findByIdAndUpdate(
     userId,
@@ -1031,6 +1409,17 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found");
   }
 
+  // A different license has to be verified again
+  const licenseFields = ['licenseNumber', 'licenseState', 'licenseExpiryDate'];
+  const licenseChanged = licenseFields.some(field =>
+    String(previous.professionalInfo?.[field] ?? '') !== String(user.professionalInfo?.[field] ?? '')
+  );
+  if (licenseChanged) {
+    licenseVerificationService.resetVerification(user);
+    await user.save({ validateBeforeSave: false });
+    verifyLicenseInBackground(userId);
+  }
+
   res.status(200).json(
     new ApiResponse(200, user, "User profile updated successfully")
   );
@@ -1047,5 +1436,35 @@ export {
   verifyResetToken,
   changePassword,
   getCurrentUser,
-  updateUserProfile
+  updateUserProfile,
+  verifyLoginMFA,
+  getMFAStatus,
+  setupMFA,
+  confirmMFA,
+  disableMFA,
+  regenerateBackupCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  verifyEmail,
+  resendVerificationEmail,
+  getEmailChange,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  getLicenseStatus,
+  verifyLicense,
+  getPrivacyStatus,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  startGoogleAuth,
+  googleAuthCallback,
+  linkGoogleAccount,
+  completeProfile
 };
\ No newline at end of file
@@ -5,6 +5,7 @@ import { ApiResponse } from "../utils/apirespose.js";
 import WebsiteGenerator from "../services/websiteGenerator.js";
 import { Website, GenerationHistory } from "../models/website.models.js";
 import loggingService from "../services/loggingService.js";
+import authorizationService from "../services/authorizationService.js";
 
 // Main website generation endpoint
 const generateWebsite = asyncHandler(async (req, res) => {
@@ -37,7 +38,7 @@ const generateWebsite = asyncHandler(async (req, res) => {
                 userId: req.user._id,
                 action: 'generated',
                 metadata: {
-                    aiModel: 'bedrock-claude',
+                    aiModel: WebsiteGenerator.aiService.modelId,
                     processingTime: result.websiteData.metadata.processingTime,
                     userAgent: req.get('User-Agent'),
                     ipAddress: req.ip
@@ -89,9 +90,10 @@ const generateWebsitePreview = asyncHandler(async (req, res) => {
 
     try {
         // Get website data
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -162,9 +164,10 @@ const getWebsitePreview = asyncHandler(async (req, res) => {
     const { websiteId } = req.params;
 
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -338,9 +341,10 @@ const exportWebsiteData = asyncHandler(async (req, res) => {
     const { format = 'html' } = req.query;
 
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -411,9 +415,10 @@ const validateWebsiteData = asyncHandler(async (req, res) => {
     const { websiteId } = req.params;
 
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -493,9 +498,10 @@ const getWebsiteGenerationHistory = asyncHandler(async (req, res) => {
     const { limit = 10, offset = 0 } = req.query;
 
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -504,16 +510,14 @@ const getWebsiteGenerationHistory = asyncHandler(async (req, res) => {
         }
 
         const history = await GenerationHistory.find({
-            websiteId: websiteId,
-            userId: req.user._id
+            websiteId: websiteId
         })
         .sort({ createdAt: -1 })
         .limit(parseInt(limit))
         .skip(parseInt(offset));
 
         const totalCount = await GenerationHistory.countDocuments({
-            websiteId: websiteId,
-            userId: req.user._id
+            websiteId: websiteId
         });
 
         return res.status(200).json(
@@ -550,9 +554,10 @@ const duplicateWebsite = asyncHandler(async (req, res) => {
     const { newTitle } = req.body;
 
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const originalWebsite = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -567,6 +572,8 @@ const duplicateWebsite = asyncHandler(async (req, res) => {
         delete duplicateData.updatedAt;
         delete duplicateData.__v;
 
+        duplicateData.userId = req.user._id;
+
         duplicateData.websiteTitle = newTitle || `${originalWebsite.websiteTitle} (Copy)`;
         duplicateData.status = 'draft';
         duplicateData.version = 1;
@@ -636,9 +643,10 @@ const getWebsiteStats = asyncHandler(async (req, res) => {
     const { websiteId } = req.params;
 
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'view');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -647,8 +655,7 @@ const getWebsiteStats = asyncHandler(async (req, res) => {
         }
 
         const generationHistory = await GenerationHistory.find({
-            websiteId: websiteId,
-            userId: req.user._id
+            websiteId: websiteId
         }).sort({ createdAt: -1 });
 
         const stats = {
@@ -136,6 +136,13 @@ export const websiteRateLimiter = {
         1 * 60 * 1000, // 1 minute
         120, // 120 auto-saves per minute
         'Auto-save rate limit exceeded. Please slow down your editing.'
+    ),
+    
+    // Analytics beacons from published sites - per visitor IP
+    beacon: createRateLimiter(
+        1 * 60 * 1000, // 1 minute
+        60, // 60 beacons per minute
+        'Too many analytics events. Please slow down.'
     )
 };
 
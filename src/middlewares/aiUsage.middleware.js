@@ -0,0 +1,29 @@
+// src/middlewares/aiUsage.middleware.js
+import aiUsageService from "../services/aiUsageService.js";
+import { ApiError } from "../utils/apierror.js";
+
+// For routes that call the AI provider: rejects the request up front once the
+// user's monthly token quota is used up, and attributes every provider call
+// made while handling it to the user, website and endpoint.
+// Mount after authentication (and after multer for uploads); anonymous requests
+// are rejected, since there is no quota to charge them to.
+export const meterAIUsage = async (req, res, next) => {
+  try {
+    if (!req.user?._id) {
+      throw new ApiError(401, "Authentication required for AI features");
+    }
+
+    const userId = String(req.user._id);
+    await aiUsageService.assertWithinQuota(userId);
+
+    const context = {
+      userId,
+      websiteId: req.params?.websiteId || req.body?.websiteId || null,
+      endpoint: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`
+    };
+
+    aiUsageService.runWithContext(context, () => next());
+  } catch (error) {
+    next(error);
+  }
+};
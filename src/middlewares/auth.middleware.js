@@ -2,6 +2,9 @@ import { ApiError } from "../utils/apierror.js";
 import { asyncHandler } from "../utils/asyncHandler.js"
 import jwt from "jsonwebtoken"
 import { User } from "../models/user.models.js";
+import sessionService from "../services/sessionService.js";
+import apiKeyService from "../services/apiKeyService.js";
+import { apiKeyRateLimit } from "./rateLimiting.middleware.js";
 
 export const verifyJWT = asyncHandler(async(req, res, next) => {
     try {
@@ -48,7 +51,14 @@ export const verifyJWT = asyncHandler(async(req, res, next) => {
             timestamp: new Date().toISOString()
         });
     
+        // Tokens from a signed-out device stop working immediately. Tokens issued
+        // before per-device sessions have no sid and simply run out.
+        if (decodedToken.sid && !(await sessionService.isSessionActive(decodedToken.sid))) {
+            throw new ApiError(401, "Session has been signed out")
+        }
+    
         req.user = user;
+        req.sessionId = decodedToken.sid;
         next()
     } catch (error) {
         console.error(`[AUTH ERROR] Authentication failed:`, {
@@ -60,4 +70,45 @@ export const verifyJWT = asyncHandler(async(req, res, next) => {
         throw new ApiError(401, error?.message || "Invalid access token")
     }
     
-})
\ No newline at end of file
+})
+
+// For endpoints integrations may call: accepts a personal API key or falls back to
+// verifyJWT. Keys only reach routes listed in apiKeyService with a matching scope.
+export const verifyJWTOrApiKey = asyncHandler(async(req, res, next) => {
+    // Several routers share a mount path; authenticate the key only once
+    if (req.apiKey) {
+        return next()
+    }
+
+    const rawKey = apiKeyService.extractKey(req)
+    if (!rawKey) {
+        return verifyJWT(req, res, next)
+    }
+
+    const requiredScope = apiKeyService.getRequiredScope(req.method, req.originalUrl.split('?')[0])
+    if (!requiredScope) {
+        throw new ApiError(403, "API keys cannot be used for this endpoint")
+    }
+
+    const { apiKey, user } = await apiKeyService.authenticate(rawKey, { ip: req.ip })
+
+    if (!apiKey.scopes.includes(requiredScope)) {
+        throw new ApiError(403, `This API key is missing the '${requiredScope}' scope`)
+    }
+
+    req.user = user
+    req.apiKey = apiKey
+    return apiKeyRateLimit(req, res, next)
+})
+
+// Google-created accounts must finish their professional and practice details
+// before generating a website. Use after verifyJWT.
+export const requireCompleteProfile = (req, res, next) => {
+    if (req.user?.accountInfo?.profileComplete === false) {
+        const error = new ApiError(403, "Complete your professional and practice details before generating a website")
+        error.data = { missingFields: req.user.getMissingProfileFields() }
+        return next(error)
+    }
+
+    next()
+}
@@ -0,0 +1,63 @@
+// src/middlewares/customDomain.middleware.js
+import domainService from "../services/domainService.js";
+import publishService from "../services/publishService.js";
+import experimentService from "../services/experimentService.js";
+
+// Serve published websites on their verified custom domains. Platform hosts,
+// API calls and asset paths fall through to the regular routes.
+export const customDomainRouting = async (req, res, next) => {
+  if (!['GET', 'HEAD'].includes(req.method) || req.path.startsWith('/api/')) {
+    return next();
+  }
+
+  try {
+    const website = await domainService.findWebsiteByHost(req.hostname);
+    if (!website) {
+      return next();
+    }
+
+    if (req.path === '/sitemap.xml') {
+      res.setHeader('Content-Type', 'application/xml');
+      res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+      return res.send(await publishService.generateSitemap(website._id));
+    }
+
+    if (req.path === '/robots.txt') {
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+      return res.send(await publishService.generateRobotsTxt(website._id));
+    }
+
+    // Pages have no file extension; anything else (assets) is not ours to serve
+    if (/\.[a-z0-9]+$/i.test(req.path)) {
+      return next();
+    }
+
+    // Running experiments split custom-domain traffic too
+    const result = await experimentService.renderLiveSite(website._id, {
+      cookieHeader: req.get('cookie'),
+      userAgent: req.get('user-agent'),
+      doNotTrack: req.get('dnt') === '1' || req.get('sec-gpc') === '1'
+    });
+
+    if (result.cookie) {
+      res.cookie(result.cookie.name, result.cookie.value, result.cookie.options);
+    }
+
+    res.setHeader('Content-Type', 'text/html');
+    if (result.experimentId) {
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.setHeader('Vary', 'Cookie');
+    } else {
+      res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+    }
+
+    return res.send(result.html);
+  } catch (error) {
+    // Unpublished sites on a verified domain get a plain 404 page
+    if (error.statusCode === 404) {
+      return res.status(404).type('text/plain').send('Website not found');
+    }
+    return next(error);
+  }
+};
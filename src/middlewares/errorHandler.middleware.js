@@ -294,7 +294,8 @@ const errorHandler = (err, req, res, next) => {
   const response = {
     success: false,
     statusCode: error.statusCode || 500,
-    data: null,
+    // Structured details, e.g. the conflict report for a rejected merge
+    data: error.data ?? null,
     message: error.message || 'Internal Server Error',
     timestamp: new Date().toISOString(),
     errorId: errorId
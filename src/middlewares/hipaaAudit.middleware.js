@@ -3,6 +3,7 @@ import WintonMongoDB from 'winston-mongodb';
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 import os from 'os';
 import { config } from '../config/environment.js';
 
@@ -436,27 +437,55 @@ export const auditSecurityEvent = (eventType, details = {}) => {
   });
 };
 
+// Read audit entries back from the rotated audit log files (hipaa-audit.log,
+// hipaa-audit1.log, ...), newest first
+const readAuditLogFiles = async (filters, limit) => {
+  const logDir = path.resolve('./logs');
+  if (!fs.existsSync(logDir)) {
+    return [];
+  }
+
+  const files = fs.readdirSync(logDir).filter(file => /^hipaa-audit\d*\.log$/.test(file));
+  const matches = [];
+
+  for (const file of files) {
+    const input = fs.createReadStream(path.join(logDir, file), { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = decryptAuditData(JSON.parse(line));
+      } catch (error) {
+        continue;
+      }
+
+      if (filters.userId && String(entry.userId) !== String(filters.userId)) continue;
+      if (filters.recordId && entry.recordId !== filters.recordId) continue;
+      if (filters.eventType && entry.eventType !== filters.eventType) continue;
+      if (filters.startDate && new Date(entry.timestamp) < new Date(filters.startDate)) continue;
+      if (filters.endDate && new Date(entry.timestamp) > new Date(filters.endDate)) continue;
+
+      matches.push(entry);
+    }
+  }
+
+  return matches
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit);
+};
+
 // Get audit trail for a specific user or record
 export const getAuditTrail = async (filters = {}) => {
   try {
-    // This would query the audit log database
-    // Implementation depends on your database choice
-    const query = {};
-    
-    if (filters.userId) query.userId = filters.userId;
-    if (filters.recordId) query.recordId = filters.recordId;
-    if (filters.eventType) query.eventType = filters.eventType;
-    if (filters.startDate) query.timestamp = { $gte: filters.startDate };
-    if (filters.endDate) query.timestamp = { ...query.timestamp, $lte: filters.endDate };
-    
-    // TODO: Implement database query
-    // const results = await AuditLog.find(query).sort({ timestamp: -1 }).limit(filters.limit || 100);
-    
+    const data = await readAuditLogFiles(filters, filters.limit || 100);
+
     return {
       success: true,
       message: 'Audit trail retrieved',
-      // data: results.map(decryptAuditData)
-      data: []
+      data
     };
   } catch (error) {
     console.error('Failed to retrieve audit trail:', error);
@@ -1,6 +1,12 @@
+import crypto from 'crypto';
 import speakeasy from 'speakeasy';
 import QRCode from 'qrcode';
 import { ApiError } from '../utils/apierror.js';
+import { User } from '../models/user.models.js';
+import { decryptString } from '../utils/encryption.js';
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 2; // Allow 2 time steps tolerance
 
 // Generate MFA secret for user
 export const generateMFASecret = (userEmail, appName = 'Doctor Website Builder') => {
@@ -32,10 +38,45 @@ export const verifyMFAToken = (token, secret) => {
     secret: secret,
     encoding: 'base32',
     token: token,
-    window: 2 // Allow 2 time steps tolerance
+    window: TOTP_WINDOW
   });
 };
 
+// Load a user with the (select: false) second-factor fields
+export const loadUserWithMFA = (userId) => {
+  return User.findById(userId)
+    .select('+accountInfo.mfaSecret +accountInfo.mfaBackupCodes +accountInfo.mfaLastUsedStep');
+};
+
+// Check a TOTP code or a backup code against a user loaded with loadUserWithMFA.
+// Accepted TOTP steps and used backup codes are recorded on the document; the caller saves it.
+export const verifySecondFactor = (user, { mfaToken, backupCode } = {}) => {
+  const account = user.accountInfo;
+
+  if (mfaToken && account.mfaSecret) {
+    const result = speakeasy.totp.verifyDelta({
+      secret: decryptString(account.mfaSecret),
+      encoding: 'base32',
+      token: String(mfaToken),
+      window: TOTP_WINDOW
+    });
+
+    if (result) {
+      const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+      if (account.mfaLastUsedStep === undefined || account.mfaLastUsedStep === null || step > account.mfaLastUsedStep) {
+        account.mfaLastUsedStep = step;
+        return { verified: true, method: 'totp' };
+      }
+    }
+  }
+
+  if (backupCode && account.mfaBackupCodes?.length && verifyBackupCode(backupCode, account.mfaBackupCodes)) {
+    return { verified: true, method: 'backup_code', backupCodesRemaining: account.mfaBackupCodes.length };
+  }
+
+  return { verified: false };
+};
+
 // Middleware to check if MFA is required
 export const checkMFARequired = async (req, res, next) => {
   try {
@@ -43,9 +84,10 @@ export const checkMFARequired = async (req, res, next) => {
     
     // Check if user has MFA enabled
     if (user.accountInfo?.mfaEnabled) {
-      const mfaToken = req.headers['x-mfa-token'] || req.body.mfaToken;
+      const mfaToken = req.headers['x-mfa-token'] || req.body?.mfaToken;
+      const backupCode = req.headers['x-backup-code'] || req.body?.backupCode;
       
-      if (!mfaToken) {
+      if (!mfaToken && !backupCode) {
         return res.status(401).json({
           error: 'MFA token required',
           code: 'MFA_TOKEN_REQUIRED',
@@ -53,15 +95,18 @@ export const checkMFARequired = async (req, res, next) => {
         });
       }
       
-      // Verify MFA token
-      const isValid = verifyMFAToken(mfaToken, user.accountInfo.mfaSecret);
+      // Verify MFA token (or backup code)
+      const account = await loadUserWithMFA(user._id);
+      const result = verifySecondFactor(account, { mfaToken, backupCode });
       
-      if (!isValid) {
+      if (!result.verified) {
         return res.status(401).json({
           error: 'Invalid MFA token',
           code: 'MFA_TOKEN_INVALID'
         });
       }
+      
+      await account.save({ validateBeforeSave: false });
     }
     
     next();
@@ -87,7 +132,7 @@ export const enforceMFAForSensitiveOps = async (req, res, next) => {
     const operation = req.headers['x-operation'] || req.body.operation;
     
     if (sensitiveOperations.includes(operation)) {
-      const mfaToken = req.headers['x-mfa-token'] || req.body.mfaToken;
+      const mfaToken = req.headers['x-mfa-token'] || req.body?.mfaToken;
       
       if (!mfaToken) {
         return res.status(401).json({
@@ -97,22 +142,26 @@ export const enforceMFAForSensitiveOps = async (req, res, next) => {
         });
       }
       
-      if (!user.accountInfo?.mfaSecret) {
+      if (!user.accountInfo?.mfaEnabled) {
         return res.status(401).json({
           error: 'MFA must be enabled for sensitive operations',
           code: 'MFA_SETUP_REQUIRED'
         });
       }
       
-      const isValid = verifyMFAToken(mfaToken, user.accountInfo.mfaSecret);
+      // Backup codes are not accepted here: sensitive operations need the authenticator
+      const account = await loadUserWithMFA(user._id);
+      const result = verifySecondFactor(account, { mfaToken });
       
-      if (!isValid) {
+      if (!result.verified) {
         return res.status(401).json({
           error: 'Invalid MFA token for sensitive operation',
           code: 'MFA_TOKEN_INVALID_SENSITIVE',
           operation: operation
         });
       }
+      
+      await account.save({ validateBeforeSave: false });
     }
     
     next();
@@ -121,18 +170,25 @@ export const enforceMFAForSensitiveOps = async (req, res, next) => {
   }
 };
 
-// Generate backup codes for MFA
-export const generateBackupCodes = () => {
+// Generate backup codes for MFA (shown to the user once; only hashes are stored)
+export const generateBackupCodes = (count = 10) => {
   const codes = [];
-  for (let i = 0; i < 10; i++) {
-    codes.push(Math.random().toString(36).substr(2, 8).toUpperCase());
+  for (let i = 0; i < count; i++) {
+    const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
   }
   return codes;
 };
 
-// Verify backup code
+// Backup codes are compared case- and separator-insensitively
+export const hashBackupCode = (code) => {
+  const normalized = String(code).replace(/[^a-z0-9]/gi, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Verify backup code against the stored hashes
 export const verifyBackupCode = (code, userBackupCodes) => {
-  const index = userBackupCodes.indexOf(code);
+  const index = userBackupCodes.indexOf(hashBackupCode(code));
   if (index !== -1) {
     // Remove used backup code
     userBackupCodes.splice(index, 1);
@@ -141,25 +197,5 @@ export const verifyBackupCode = (code, userBackupCodes) => {
   return false;
 };
 
-// Middleware to handle MFA fallback with backup codes
-export const handleMFAFallback = async (req, res, next) => {
-  try {
-    const user = req.user;
-    const backupCode = req.headers['x-backup-code'] || req.body.backupCode;
-    
-    if (backupCode && user.accountInfo?.mfaBackupCodes) {
-      const isValidBackup = verifyBackupCode(backupCode, user.accountInfo.mfaBackupCodes);
-      
-      if (isValidBackup) {
-        // Save updated backup codes
-        await user.save();
-        return next();
-      }
-    }
-    
-    // If no valid backup code, proceed with normal MFA check
-    return checkMFARequired(req, res, next);
-  } catch (error) {
-    next(error);
-  }
-};
\ No newline at end of file
+// Backup codes are accepted wherever checkMFARequired accepts a token
+export const handleMFAFallback = (req, res, next) => checkMFARequired(req, res, next);
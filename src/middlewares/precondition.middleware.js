@@ -0,0 +1,30 @@
+// src/middlewares/precondition.middleware.js
+import { ApiError } from "../utils/apierror.js";
+
+// ETag for a website revision
+export const formatRevisionEtag = (version) => `"${version}"`;
+
+// Read the website version the client edited from If-Match ("12" or W/"12")
+// or body.expectedVersion into req.expectedVersion. Both are optional so
+// existing clients keep last-write-wins behaviour.
+export const readRevisionPrecondition = (req, res, next) => {
+  const ifMatch = req.get('if-match');
+  let value = req.body?.expectedVersion;
+
+  if (ifMatch && ifMatch.trim() !== '*') {
+    value = ifMatch.trim().replace(/^W\//, '').replace(/"/g, '');
+  }
+
+  if (value === undefined || value === null || value === '') {
+    req.expectedVersion = undefined;
+    return next();
+  }
+
+  const expectedVersion = Number(value);
+  if (!Number.isInteger(expectedVersion) || expectedVersion < 1) {
+    return next(new ApiError(400, "If-Match must be a single website version ETag"));
+  }
+
+  req.expectedVersion = expectedVersion;
+  next();
+};
@@ -289,6 +289,79 @@ export const createRateLimitMiddleware = (type, options = {}) => {
   };
 };
 
+// API key limiters, one per requests-per-minute value since each key sets its own limit
+const apiKeyLimiters = new Map();
+
+const getApiKeyRateLimiter = (points) => {
+  if (!apiKeyLimiters.has(points)) {
+    const limiterConfig = {
+      keyPrefix: `rl_api_key_${points}_`,
+      points,
+      duration: 60
+    };
+    const redisClient = isRedisHealthy() ? getRedisClient() : null;
+
+    apiKeyLimiters.set(points, redisClient
+      ? new RateLimiterRedis({ ...limiterConfig, storeClient: redisClient })
+      : new RateLimiterMemory(limiterConfig));
+  }
+
+  return apiKeyLimiters.get(points);
+};
+
+// Per-key rate limiting for requests authenticated with an API key (req.apiKey)
+export const apiKeyRateLimit = async (req, res, next) => {
+  if (!req.apiKey || (config.development.bypassRateLimit && config.env === 'development')) {
+    return next();
+  }
+
+  const points = req.apiKey.rateLimitPerMinute || 60;
+  const key = String(req.apiKey._id);
+
+  try {
+    const result = await getApiKeyRateLimiter(points).consume(key);
+
+    res.set({
+      'X-RateLimit-Limit': points,
+      'X-RateLimit-Remaining': result.remainingPoints,
+      'X-RateLimit-Reset': new Date(Date.now() + result.msBeforeNext).toISOString()
+    });
+
+    next();
+  } catch (rejRes) {
+    if (rejRes instanceof Error) {
+      logger.error('API key rate limiter failed:', rejRes);
+      return next();
+    }
+
+    const msBeforeNext = rejRes.msBeforeNext || 1000;
+
+    logger.warn('API key rate limit exceeded', {
+      apiKeyId: key,
+      userId: String(req.apiKey.userId),
+      ip: req.ip,
+      path: req.originalUrl,
+      msBeforeNext
+    });
+
+    res.set({
+      'X-RateLimit-Limit': points,
+      'X-RateLimit-Remaining': 0,
+      'X-RateLimit-Reset': new Date(Date.now() + msBeforeNext).toISOString(),
+      'Retry-After': Math.round(msBeforeNext / 1000)
+    });
+
+    res.status(429).json({
+      success: false,
+      message: 'Too many requests for this API key. Please try again later.',
+      error: 'RATE_LIMIT_EXCEEDED',
+      retryAfter: Math.round(msBeforeNext / 1000),
+      limit: points,
+      remaining: 0
+    });
+  }
+};
+
 // Express rate limit middleware (fallback)
 export const expressRateLimit = rateLimit({
   windowMs: config.rateLimit.windowMs,
@@ -482,6 +555,7 @@ export default {
   resetRateLimit,
   getRateLimitStats,
   cleanupRateLimitEntries,
+  apiKeyRateLimit,
   // Specific middleware exports
   generalRateLimit,
   authRateLimit,
@@ -0,0 +1,75 @@
+// src/models/AIUsage.js
+import mongoose from "mongoose";
+
+// One entry per AI provider call (or generation cache hit). Monthly quotas are
+// summed from these entries by `period`.
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Website'
+  },
+  // Route that triggered the call, e.g. "POST /api/v1/content/improve"
+  endpoint: {
+    type: String,
+    default: 'internal'
+  },
+  // Service that made the call
+  source: String,
+  provider: String,
+  model: String,
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  latencyMs: Number,
+  cacheHit: {
+    type: Boolean,
+    default: false
+  },
+  streamed: {
+    type: Boolean,
+    default: false
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  error: String,
+  // Calendar month in UTC, "YYYY-MM"
+  period: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+aiUsageSchema.index({ userId: 1, period: 1 });
+aiUsageSchema.index({ websiteId: 1, createdAt: -1 });
+
+// Tokens a user consumed in a period
+aiUsageSchema.statics.getPeriodTotal = async function(userId, period) {
+  const [total] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), period } },
+    { $group: { _id: null, tokens: { $sum: '$totalTokens' } } }
+  ]);
+
+  return total?.tokens || 0;
+};
+
+const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
+
+export default AIUsage;
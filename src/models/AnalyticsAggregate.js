@@ -0,0 +1,118 @@
+// src/models/AnalyticsAggregate.js
+import mongoose from "mongoose";
+
+const performanceMetricSchema = new mongoose.Schema({
+  total: { type: Number, default: 0 },
+  samples: { type: Number, default: 0 }
+}, { _id: false });
+
+// Daily first-party analytics counters for published websites.
+// One document per website/day/page/referrer/device; no visitor identifiers
+// (IP, user agent, cookies) are stored.
+const analyticsAggregateSchema = new mongoose.Schema({
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true
+  },
+  // UTC midnight of the day the hits were recorded
+  date: {
+    type: Date,
+    required: true
+  },
+  page: {
+    type: String,
+    required: true,
+    maxlength: 200,
+    default: '/'
+  },
+  // Referring hostname, or 'direct' when there was none
+  referrer: {
+    type: String,
+    required: true,
+    maxlength: 255,
+    default: 'direct'
+  },
+  device: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet'],
+    required: true,
+    default: 'desktop'
+  },
+
+  // Traffic counters
+  pageViews: {
+    type: Number,
+    default: 0
+  },
+  sessions: {
+    type: Number,
+    default: 0
+  },
+  // Sessions that went on to view a second page; the rest bounced
+  engagedSessions: {
+    type: Number,
+    default: 0
+  },
+  engagementTime: {
+    type: Number,
+    default: 0 // seconds, summed
+  },
+  engagementSamples: {
+    type: Number,
+    default: 0
+  },
+
+  // Custom event counts keyed by event name (e.g. cta_click)
+  events: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  // Performance timings: running total and sample count per metric
+  // (milliseconds, CLS unitless)
+  performance: {
+    pageLoadTime: performanceMetricSchema,
+    firstContentfulPaint: performanceMetricSchema,
+    largestContentfulPaint: performanceMetricSchema,
+    cumulativeLayoutShift: performanceMetricSchema,
+    timeToInteractive: performanceMetricSchema
+  }
+}, {
+  timestamps: true
+});
+
+// One bucket per dimension combination
+analyticsAggregateSchema.index(
+  { websiteId: 1, date: 1, page: 1, referrer: 1, device: 1 },
+  { unique: true }
+);
+analyticsAggregateSchema.index({ websiteId: 1, date: -1 });
+
+// Static methods
+analyticsAggregateSchema.statics.getBucketDate = function(timestamp = new Date()) {
+  const date = new Date(timestamp);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Atomically add counters to a bucket, creating it on first hit
+analyticsAggregateSchema.statics.increment = function(bucket, counters) {
+  return this.updateOne(
+    {
+      websiteId: bucket.websiteId,
+      date: this.getBucketDate(bucket.date),
+      page: bucket.page,
+      referrer: bucket.referrer,
+      device: bucket.device
+    },
+    { $inc: counters },
+    { upsert: true }
+  );
+};
+
+// Export model
+const AnalyticsAggregate = mongoose.model('AnalyticsAggregate', analyticsAggregateSchema);
+
+export default AnalyticsAggregate;
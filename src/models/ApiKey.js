@@ -0,0 +1,67 @@
+// src/models/ApiKey.js
+import mongoose from "mongoose";
+
+export const API_KEY_SCOPES = ['websites:read', 'generate', 'publish'];
+
+// Personal API key for scripts and integrations. Only a hash of the key is stored;
+// the prefix is kept in clear so users can tell their keys apart.
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'An API key needs at least one scope'
+    }
+  },
+  // Requests per minute allowed for this key
+  rateLimitPerMinute: {
+    type: Number,
+    default: 60,
+    min: 1,
+    max: 600
+  },
+
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,92 @@
+// src/models/DataExport.js
+import mongoose from "mongoose";
+
+// "Download my data" job. The archive is built in the background and kept on
+// disk until it expires.
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  requestedIp: String,
+
+  // Archive details, set once the job completes
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  checksum: String,
+  counts: {
+    websites: Number,
+    versions: Number,
+    transcriptions: Number,
+    auditEntries: Number
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+
+  // Worker lock
+  lockedBy: String,
+  lockedAt: Date
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+dataExportSchema.statics.getActiveExport = function(userId) {
+  return this.findOne({ userId, status: { $in: ['queued', 'processing'] } });
+};
+
+// Atomically claim the oldest queued export for a worker
+dataExportSchema.statics.claimNextQueued = function(workerId) {
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: {
+        status: 'processing',
+        startedAt: new Date(),
+        lockedBy: workerId,
+        lockedAt: new Date()
+      }
+    },
+    {
+      new: true,
+      sort: { createdAt: 1 }
+    }
+  );
+};
+
+// Put exports abandoned by a crashed worker back in the queue
+dataExportSchema.statics.releaseStaleLocks = function(lockTimeoutMs) {
+  return this.updateMany(
+    {
+      status: 'processing',
+      lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) }
+    },
+    {
+      $set: { status: 'queued' },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    }
+  );
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
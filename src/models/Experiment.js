@@ -0,0 +1,109 @@
+// src/models/Experiment.js
+import mongoose from "mongoose";
+
+// One arm of an experiment: the published content (control) or a content variation
+const experimentVariantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  variationId: {
+    type: String,
+    default: null
+  },
+  label: {
+    type: String,
+    maxlength: 100
+  },
+  // Variation content frozen at start so later edits don't skew a running test
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  weight: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 50
+  },
+  visitors: {
+    type: Number,
+    default: 0
+  },
+  conversions: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A/B test splitting live-site traffic between published content and variations
+const experimentSchema = new mongoose.Schema({
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['running', 'stopped', 'completed'],
+    default: 'running',
+    index: true
+  },
+
+  // Beacon event names that count as a conversion
+  conversionEvents: {
+    type: [String],
+    default: ['appointment_click', 'appointment_request']
+  },
+
+  // Published version the variations are overlaid on
+  baseVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebsiteVersion',
+    required: true
+  },
+  variants: [experimentVariantSchema],
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+
+  // Set when a variant is promoted into a new published version
+  winner: String,
+  promotedVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebsiteVersion'
+  }
+}, {
+  timestamps: true
+});
+
+// Only one experiment per website can split traffic at a time
+experimentSchema.index(
+  { websiteId: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' }, name: 'one_running_experiment' }
+);
+experimentSchema.index({ websiteId: 1, createdAt: -1 });
+
+// Static method to get the running experiment for a website
+experimentSchema.statics.getRunning = function(websiteId) {
+  return this.findOne({ websiteId, status: 'running' });
+};
+
+const Experiment = mongoose.model('Experiment', experimentSchema);
+
+export default Experiment;
@@ -0,0 +1,65 @@
+// src/models/Organization.js
+import mongoose from "mongoose";
+
+export const ORGANIZATION_ROLES = ['owner', 'editor', 'reviewer', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// A practice team. Websites assigned to it are shared with every member
+// according to their role.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: (members) => members.some(member => member.role === 'owner'),
+      message: 'An organization needs at least one owner'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.userId': 1, isActive: 1 });
+
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => String(member.userId) === String(userId)) || null;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
@@ -0,0 +1,61 @@
+// src/models/OrganizationInvitation.js
+import mongoose from "mongoose";
+import { ORGANIZATION_ROLES } from "./Organization.js";
+
+// Emailed invitation to join an organization. Only a hash of the token is stored.
+const organizationInvitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+// At most one open invitation per email and organization
+organizationInvitationSchema.index(
+  { organizationId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+export default OrganizationInvitation;
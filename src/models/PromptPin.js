@@ -0,0 +1,27 @@
+// src/models/PromptPin.js
+import mongoose from "mongoose";
+
+// A prompt held at a specific version instead of following the latest one.
+// Written by the prompt registry's pin and rollback commands.
+const promptPinSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Version that was active before this pin, for the audit trail
+  previousVersion: Number,
+  pinnedBy: String,
+  reason: String
+}, {
+  timestamps: true
+});
+
+const PromptPin = mongoose.model('PromptPin', promptPinSchema);
+
+export default PromptPin;
@@ -0,0 +1,129 @@
+// src/models/PublishReview.js
+import mongoose from "mongoose";
+
+// Website content sections a review comment can point at
+export const REVIEW_SECTIONS = [
+  'websiteTitle', 'tagline', 'heroSection', 'aboutSection', 'services',
+  'contactInfo', 'seoMeta', 'customizations'
+];
+
+// Comment anchored to a section of the reviewed version, optionally to a
+// nested path inside it (e.g. services[2].description)
+const reviewCommentSchema = new mongoose.Schema({
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  section: {
+    type: String,
+    enum: REVIEW_SECTIONS,
+    required: true
+  },
+  path: {
+    type: String,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const reviewDecisionSchema = new mongoose.Schema({
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['approved', 'changes_requested'],
+    required: true
+  },
+  note: {
+    type: String,
+    maxlength: 1000
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Review of one draft WebsiteVersion before it may be published. The content hash
+// pins the approval to the exact content that was reviewed.
+const publishReviewSchema = new mongoose.Schema({
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true,
+    index: true
+  },
+  versionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebsiteVersion',
+    required: true
+  },
+  versionNumber: {
+    type: Number,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'changes_requested', 'withdrawn', 'superseded', 'published'],
+    default: 'pending'
+  },
+  requiredApprovals: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  decisions: [reviewDecisionSchema],
+  comments: [reviewCommentSchema],
+  resolvedAt: Date,
+  publishedVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebsiteVersion'
+  }
+}, {
+  timestamps: true
+});
+
+publishReviewSchema.index({ websiteId: 1, createdAt: -1 });
+publishReviewSchema.index({ websiteId: 1, status: 1 });
+
+publishReviewSchema.methods.getApprovalCount = function() {
+  return new Set(
+    this.decisions
+      .filter(decision => decision.decision === 'approved')
+      .map(decision => String(decision.reviewerId))
+  ).size;
+};
+
+publishReviewSchema.statics.getOpenReview = function(websiteId) {
+  return this.findOne({ websiteId, status: { $in: ['pending', 'approved'] } });
+};
+
+const PublishReview = mongoose.model('PublishReview', publishReviewSchema);
+
+export default PublishReview;
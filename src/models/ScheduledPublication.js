@@ -0,0 +1,197 @@
+// src/models/ScheduledPublication.js
+import mongoose from "mongoose";
+
+// Individual publish attempt made by the scheduler
+const publishAttemptSchema = new mongoose.Schema({
+  attemptNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  error: {
+    type: String,
+    maxlength: 1000
+  },
+  versionNumber: Number,
+  publicUrl: String,
+  workerId: String
+}, { _id: false });
+
+// Scheduled Publication Schema for durable, restart-safe publishing
+const scheduledPublicationSchema = new mongoose.Schema({
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  publishAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'scheduled',
+    index: true
+  },
+
+  // Options forwarded to PublishService.publishWebsite. The draft version is
+  // fixed when scheduling; contentHash makes the run fail if it was edited since.
+  versionNumber: Number,
+  contentHash: String,
+  publishMessage: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Retry bookkeeping
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    required: true
+  },
+  attempts: [publishAttemptSchema],
+  lastError: String,
+
+  // Worker lock so only one poller processes a job at a time
+  lockedBy: String,
+  lockedAt: Date,
+
+  // Outcome
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the poller and per-website lookups
+scheduledPublicationSchema.index({ status: 1, nextAttemptAt: 1 });
+scheduledPublicationSchema.index({ websiteId: 1, status: 1 });
+scheduledPublicationSchema.index({ status: 1, lockedAt: 1 });
+
+// Virtual for whether the job can still be cancelled
+scheduledPublicationSchema.virtual('isCancellable').get(function() {
+  return this.status === 'scheduled';
+});
+
+// Instance methods
+scheduledPublicationSchema.methods.recordSuccess = function(attempt) {
+  this.attempts.push({ ...attempt, outcome: 'success', finishedAt: new Date() });
+  this.status = 'completed';
+  this.completedAt = new Date();
+  this.lastError = undefined;
+  this.lockedBy = undefined;
+  this.lockedAt = undefined;
+  return this.save();
+};
+
+// Pass a null retry delay to fail the job without further attempts
+scheduledPublicationSchema.methods.recordFailure = function(attempt, retryDelayMs = null) {
+  this.attempts.push({ ...attempt, outcome: 'failure', finishedAt: new Date() });
+  this.lastError = attempt.error;
+  this.lockedBy = undefined;
+  this.lockedAt = undefined;
+
+  if (retryDelayMs === null || this.attemptCount >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    this.status = 'scheduled';
+    this.nextAttemptAt = new Date(Date.now() + retryDelayMs);
+  }
+
+  return this.save();
+};
+
+// Static methods
+scheduledPublicationSchema.statics.getActiveSchedule = function(websiteId) {
+  return this.findOne({
+    websiteId,
+    status: { $in: ['scheduled', 'processing'] }
+  }).sort({ publishAt: 1 });
+};
+
+// Atomically claim the next due job for a worker
+scheduledPublicationSchema.statics.claimNextDue = function(workerId) {
+  return this.findOneAndUpdate(
+    {
+      status: 'scheduled',
+      nextAttemptAt: { $lte: new Date() }
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedBy: workerId,
+        lockedAt: new Date()
+      },
+      $inc: { attemptCount: 1 }
+    },
+    {
+      new: true,
+      sort: { nextAttemptAt: 1 }
+    }
+  );
+};
+
+// Release jobs whose worker died mid-publish (e.g. process restart)
+scheduledPublicationSchema.statics.releaseStaleLocks = async function(lockTimeoutMs) {
+  const staleQuery = {
+    status: 'processing',
+    lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) }
+  };
+
+  // Jobs that already used up their attempts are failed rather than retried
+  const failed = await this.updateMany(
+    { ...staleQuery, $expr: { $gte: ['$attemptCount', '$maxAttempts'] } },
+    {
+      $set: { status: 'failed', lastError: 'Publish worker stopped before the attempt finished' },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    }
+  );
+
+  const released = await this.updateMany(
+    staleQuery,
+    {
+      $set: { status: 'scheduled', nextAttemptAt: new Date() },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    }
+  );
+
+  return {
+    failedCount: failed.modifiedCount,
+    releasedCount: released.modifiedCount
+  };
+};
+
+// Export model
+const ScheduledPublication = mongoose.model('ScheduledPublication', scheduledPublicationSchema);
+
+export default ScheduledPublication;
@@ -0,0 +1,75 @@
+// src/models/Session.js
+import mongoose from "mongoose";
+
+// One signed-in device. Each refresh rotates the token but keeps the session,
+// so a session is the whole family of refresh tokens issued from one login.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // sha256 of the jti of the only refresh token currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Kept briefly after a rotation so parallel refreshes aren't mistaken for reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Device details
+  userAgent: {
+    type: String,
+    maxlength: 512
+  },
+  device: {
+    browser: String,
+    os: String,
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+      default: 'unknown'
+    }
+  },
+  createdIp: String,
+  lastUsedIp: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'refresh_token_reuse', 'password_changed', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB; revoked ones stay until then for reuse detection
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
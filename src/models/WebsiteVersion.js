@@ -39,11 +39,14 @@ const websiteVersionSchema = new mongoose.Schema({
   // Version metadata
   changes: [{
     field: String,
+    // Full path of the change, e.g. services[2].description
+    path: String,
     oldValue: mongoose.Schema.Types.Mixed,
     newValue: mongoose.Schema.Types.Mixed,
     changeType: {
       type: String,
-      enum: ['created', 'updated', 'deleted']
+      // calculateChanges reports added/modified/removed/moved
+      enum: ['created', 'updated', 'deleted', 'added', 'modified', 'removed', 'moved']
     }
   }],
   
@@ -92,6 +95,15 @@ const websiteVersionSchema = new mongoose.Schema({
     ref: 'WebsiteVersion'
   },
   
+  // Website.version this snapshot was taken at; the base for merging stale edits
+  revision: Number,
+  
+  // Named branch (e.g. "spring-campaign"); main line versions have none
+  branch: {
+    type: String,
+    default: null
+  },
+  
   // Metadata
   createdAt: {
     type: Date,
@@ -110,6 +122,8 @@ const websiteVersionSchema = new mongoose.Schema({
 // Indexes for better performance
 websiteVersionSchema.index({ websiteId: 1, versionNumber: -1 });
 websiteVersionSchema.index({ websiteId: 1, versionType: 1 });
+websiteVersionSchema.index({ websiteId: 1, revision: -1 });
+websiteVersionSchema.index({ websiteId: 1, branch: 1, versionNumber: -1 });
 websiteVersionSchema.index({ createdAt: -1 });
 websiteVersionSchema.index({ publishedAt: -1 });
 websiteVersionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -143,7 +157,8 @@ websiteVersionSchema.methods.createNextVersion = function(changes = {}) {
       ...changes
     },
     createdBy: this.createdBy,
-    parentVersionId: this._id
+    parentVersionId: this._id,
+    branch: this.branch
   });
   
   return nextVersion.save();
@@ -151,7 +166,7 @@ websiteVersionSchema.methods.createNextVersion = function(changes = {}) {
 
 // Static methods
 websiteVersionSchema.statics.getLatestVersion = function(websiteId, versionType = 'draft') {
-  return this.findOne({ websiteId, versionType })
+  return this.findOne({ websiteId, versionType, branch: null })
     .sort({ versionNumber: -1 })
     .limit(1);
 };
@@ -170,8 +185,18 @@ websiteVersionSchema.statics.getPublishedVersion = function(websiteId) {
   }).sort({ publishedAt: -1 });
 };
 
+websiteVersionSchema.statics.getRevision = function(websiteId, revision) {
+  return this.findOne({ websiteId, revision })
+    .sort({ versionNumber: -1 });
+};
+
+websiteVersionSchema.statics.getBranchHead = function(websiteId, branch) {
+  return this.findOne({ websiteId, branch })
+    .sort({ versionNumber: -1 });
+};
+
 websiteVersionSchema.statics.cleanupOldDrafts = function(websiteId, keepCount = 5) {
-  return this.find({ websiteId, versionType: 'draft' })
+  return this.find({ websiteId, versionType: 'draft', branch: null })
     .sort({ versionNumber: -1 })
     .skip(keepCount)
     .then(oldVersions => {
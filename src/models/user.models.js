@@ -5,6 +5,12 @@ import crypto from "crypto"
 import argon2 from "argon2"
 import { encryptData, decryptData } from "../middlewares/security.middleware.js"
 
+// Accounts created through Google sign-in start without these details and must
+// complete them before generating a website
+const requiredUntilProfileComplete = function() {
+  return this.accountInfo?.profileComplete !== false;
+}
+
 const UserSchema = new mongoose.Schema({
 
   // Personal Information
@@ -48,7 +54,7 @@ const UserSchema = new mongoose.Schema({
     },
     phone: {
       type: String,
-      required: [true, 'Phone number is required'],
+      required: [requiredUntilProfileComplete, 'Phone number is required'],
       validate: {
         validator: function(v) {
           return /^\+?[\d\s\-\(\)]{10,}$/.test(v);
@@ -58,11 +64,11 @@ const UserSchema = new mongoose.Schema({
     },
     dateOfBirth: {
       type: String,
-      required: [true, 'Date of birth is required'],
+      required: [requiredUntilProfileComplete, 'Date of birth is required'],
     },
     gender: {
       type: String,
-      required: [true, 'Gender is required'],
+      required: [requiredUntilProfileComplete, 'Gender is required'],
       enum: ['male', 'female', 'other', 'prefer-not-to-say']
     },
     profilePhoto: {
@@ -74,7 +80,7 @@ const UserSchema = new mongoose.Schema({
   professionalInfo: {
     specialty: {
       type: String,
-      required: [true, 'Medical specialty is required'],
+      required: [requiredUntilProfileComplete, 'Medical specialty is required'],
       enum: [
         'general-practice', 'internal-medicine', 'cardiology', 'dermatology',
         'neurology', 'orthopedics', 'pediatrics', 'psychiatry', 'surgery',
@@ -92,14 +98,15 @@ const UserSchema = new mongoose.Schema({
     },
     licenseNumber: {
       type: String,
-      required: [true, 'License number is required'],
+      required: [requiredUntilProfileComplete, 'License number is required'],
       trim: true,
       unique: true,
+      sparse: true, // Partial profiles have no license number yet
       index: true
     },
     licenseState: {
       type: String,
-      required: [true, 'License state is required'],
+      required: [requiredUntilProfileComplete, 'License state is required'],
       trim: true
     },
     licenseExpiryDate: {
@@ -108,12 +115,12 @@ const UserSchema = new mongoose.Schema({
     },
     yearsOfExperience: {
       type: String,
-      required: [true, 'Years of experience is required'],
+      required: [requiredUntilProfileComplete, 'Years of experience is required'],
       enum: ['0-2', '3-5', '6-10', '11-15', '16-20', '20+']
     },
     medicalSchool: {
       type: String,
-      required: [true, 'Medical school is required'],
+      required: [requiredUntilProfileComplete, 'Medical school is required'],
       trim: true,
       maxlength: [200, 'Medical school name cannot exceed 200 characters']
     },
@@ -147,7 +154,7 @@ const UserSchema = new mongoose.Schema({
   practiceInfo: {
     practiceType: {
       type: String,
-      required: [true, 'Practice type is required'],
+      required: [requiredUntilProfileComplete, 'Practice type is required'],
       enum: [
         'private-practice', 'hospital', 'clinic', 'academic-medical-center',
         'group-practice', 'telemedicine', 'government-hospital',
@@ -156,35 +163,35 @@ const UserSchema = new mongoose.Schema({
     },
     institutionName: {
       type: String,
-      required: [true, 'Institution name is required'],
+      required: [requiredUntilProfileComplete, 'Institution name is required'],
       trim: true,
       maxlength: [201, 'Institution name cannot exceed 200 characters']
     },
     address: {
       street: {
         type: String,
-        required: [true, 'Street address is required'],
+        required: [requiredUntilProfileComplete, 'Street address is required'],
         trim: true
       },
       city: {
         type: String,
-        required: [true, 'City is required'],
+        required: [requiredUntilProfileComplete, 'City is required'],
         trim: true
       },
       state: {
         type: String,
-        required: [true, 'State is required'],
+        required: [requiredUntilProfileComplete, 'State is required'],
         trim: true
       },
       zipCode: {
         type: String,
-        required: [true, 'ZIP code is required'],
+        required: [requiredUntilProfileComplete, 'ZIP code is required'],
         trim: true,
 
       },
       country: {
         type: String,
-        required: [true, 'Country is required'],
+        required: [requiredUntilProfileComplete, 'Country is required'],
         trim: true,
         default: 'IN' // Default to India
       },
@@ -216,7 +223,8 @@ const UserSchema = new mongoose.Schema({
   accountInfo: {
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      // Accounts created through Google sign-in may never set a password
+      required: [function() { return !this.accountInfo?.googleId; }, 'Password is required'],
       minlength: [8, 'Password must be at least 8 characters'],
       select: false,
       validate: {
@@ -245,6 +253,66 @@ const UserSchema = new mongoose.Schema({
       default: false,
       select: false
     },
+    // Google sign-in
+    googleId: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false
+    },
+    googleLinkedAt: {
+      type: Date
+    },
+    // False for Google-created accounts until professional and practice details are filled in
+    profileComplete: {
+      type: Boolean,
+      default: true
+    },
+    // Subscription plan; sets the monthly AI token quota
+    plan: {
+      type: String,
+      enum: ['free', 'professional', 'enterprise'],
+      default: 'free'
+    },
+    // Email verification; unverified accounts can sign in but not publish.
+    // No default: registration sets false, and accounts created before
+    // verification existed (field missing) count as verified.
+    emailVerified: {
+      type: Boolean
+    },
+    emailVerifiedAt: {
+      type: Date
+    },
+    // Hash of the jti of the only verification link currently valid
+    emailVerificationTokenId: {
+      type: String,
+      select: false
+    },
+    // Throttle for verification and change-of-email messages
+    emailDelivery: {
+      lastSentAt: Date,
+      windowStart: Date,
+      sentInWindow: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Change of email waiting for confirmation from both the old and new address
+    pendingEmailChange: {
+      newEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+      },
+      tokenId: {
+        type: String,
+        select: false
+      },
+      requestedAt: Date,
+      expiresAt: Date,
+      oldConfirmedAt: Date,
+      newConfirmedAt: Date
+    },
     // MFA Configuration
     mfaEnabled: {
       type: Boolean,
@@ -261,6 +329,25 @@ const UserSchema = new mongoose.Schema({
     mfaSetupDate: {
       type: Date
     },
+    // Secret awaiting confirmation with a first code from the authenticator app
+    mfaPendingSecret: {
+      type: String,
+      select: false
+    },
+    mfaPendingExpires: {
+      type: Date,
+      select: false
+    },
+    // Last accepted TOTP time step, so a code can't be replayed within its window
+    mfaLastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Hash of the current login challenge id; cleared once the challenge is used
+    mfaChallengeId: {
+      type: String,
+      select: false
+    },
     // Security Settings
     loginAttempts: {
       type: Number,
@@ -316,6 +403,44 @@ const UserSchema = new mongoose.Schema({
     accountDeletionDate: {
       type: Date
     }
+  },
+
+  // Result of checking professionalInfo.license* against the license registry.
+  // Kept outside professionalInfo so profile updates can't overwrite it.
+  licenseVerification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'verified', 'not_found', 'name_mismatch', 'expired', 'suspended', 'revoked', 'unknown'],
+      default: 'unverified'
+    },
+    source: String,
+    verifiedAt: Date,
+    lastCheckedAt: Date,
+    nextCheckAt: Date,
+    registryExpiryDate: Date,
+    // Last registry error; the previous result stays in place
+    lastError: String,
+    // Reminder thresholds (days before expiry) already sent for reminderExpiryDate
+    remindersSent: {
+      type: [Number],
+      default: []
+    },
+    reminderExpiryDate: Date,
+    // Set once published websites have been handled for a lapsed license
+    lapsedAt: Date,
+    lapseAction: {
+      type: String,
+      enum: ['flag', 'unpublish']
+    }
+  },
+
+  // AI quota warnings (percent thresholds) already sent for warningPeriod ("YYYY-MM")
+  aiUsage: {
+    warningPeriod: String,
+    warningsSent: {
+      type: [Number],
+      default: []
+    }
   }
 },
 {
@@ -351,6 +476,23 @@ UserSchema.pre("save", async function (next) {
     next();
 })
 
+// Profile fields a Google-created account still has to fill in
+UserSchema.methods.getMissingProfileFields = function() {
+  const missing = [];
+
+  UserSchema.eachPath((path, schemaType) => {
+    const required = schemaType.options.required;
+    if (Array.isArray(required) && required[0] === requiredUntilProfileComplete) {
+      const value = this.get(path);
+      if (value === undefined || value === null || value === '') {
+        missing.push(path);
+      }
+    }
+  });
+
+  return missing;
+}
+
 UserSchema.methods.generatePasswordResetToken = function() {
   // Generate random token
   const resetToken = crypto.randomBytes(32).toString('hex');
@@ -435,10 +577,11 @@ UserSchema.methods.resetLoginAttempts = async function() {
   });
 }
 
-UserSchema.methods.generateAccessToken = function(){
+UserSchema.methods.generateAccessToken = function(sessionId){
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       professionalEmail: this.personalInfo.professionalEmail,
       firstName: this.personalInfo.firstName,
       lastName: this.personalInfo.lastName,
@@ -450,10 +593,12 @@ UserSchema.methods.generateAccessToken = function(){
   )
 }
 
-UserSchema.methods.generateRefreshToken = function(){
+UserSchema.methods.generateRefreshToken = function(sessionId, tokenId){
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
+      jti: tokenId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
@@ -1,6 +1,7 @@
 // src/models/website.models.js
 // src/models/website.models.js
 import mongoose from "mongoose";
+import { generateShortId } from "../utils/urlGenerator.js";
 
 // Content Variation Schema (for A/B testing)
 const contentVariationSchema = new mongoose.Schema({
@@ -200,6 +201,8 @@ const generationMetadataSchema = new mongoose.Schema({
     max: 1,
     default: 0.8
   },
+  // Prompt version the content was generated with ("name@version")
+  prompt: String,
   regeneratedAt: Date,
   regenerationCount: {
     type: Number,
@@ -597,6 +600,41 @@ const footerSchema = new mongoose.Schema({
   }]
 });
 
+// Custom Domain Schema (DNS TXT ownership verification)
+const customDomainSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 253
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'failed'],
+    default: 'pending'
+  },
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  sslEnabled: {
+    type: Boolean,
+    default: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  verifiedAt: Date,
+  lastCheckedAt: Date,
+  checkCount: {
+    type: Number,
+    default: 0
+  },
+  failureReason: String
+}, { _id: false });
+
 // Main Website Schema
 const websiteSchema = new mongoose.Schema({
   // Basic Information
@@ -727,12 +765,25 @@ const websiteSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Practice team sharing the website. Members' roles decide access; without
+  // an organization only the creator (userId) can access it.
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
   status: {
     type: String,
     enum: ['draft', 'published', 'archived'],
     default: 'draft',
     index: true
   },
+  // Public address on the platform host: /sites/<shortId>
+  shortId: {
+    type: String,
+    index: true
+  },
   
   // Quality and Performance
   qualityScore: {
@@ -760,6 +811,31 @@ const websiteSchema = new mongoose.Schema({
     createdAt: Date
   }],
   
+  // Custom domain
+  customDomain: customDomainSchema,
+  
+  // Publishing policy: when approval is required, only a draft version approved
+  // through a PublishReview can go live
+  publishingPolicy: {
+    requiresApproval: {
+      type: Boolean,
+      default: false
+    },
+    requiredApprovals: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 5
+    }
+  },
+  
+  // Set while the owner's medical license has lapsed (see licenseVerificationService)
+  licenseFlag: {
+    reason: String,
+    licenseStatus: String,
+    flaggedAt: Date
+  },
+  
   // Analytics
   analytics: {
     views: {
@@ -874,7 +950,11 @@ const generationHistorySchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['generated', 'regenerated', 'updated', 'published', 'archived'],
+    enum: [
+      'generated', 'regenerated', 'updated', 'published', 'archived',
+      'unpublished', 'review_submitted', 'review_approved', 'review_changes_requested', 'review_withdrawn',
+      'license_flagged', 'license_flag_cleared'
+    ],
     required: true
   },
   changes: {
@@ -899,6 +979,11 @@ websiteSchema.index({ userId: 1, status: 1 });
 websiteSchema.index({ userId: 1, createdAt: -1 });
 websiteSchema.index({ specialty: 1, isPublic: 1 });
 websiteSchema.index({ qualityScore: -1 });
+// A domain can only be verified (and routed) for one website
+websiteSchema.index(
+  { 'customDomain.domain': 1 },
+  { unique: true, partialFilterExpression: { 'customDomain.status': 'verified' } }
+);
 
 contentTemplateSchema.index({ specialty: 1, isActive: 1 });
 contentTemplateSchema.index({ createdBy: 1 });
@@ -953,6 +1038,10 @@ websiteSchema.virtual('contentCompleteness').get(function() {
 // Pre-save middleware
 websiteSchema.pre('save', function(next) {
   this.lastModified = new Date();
+
+  if (!this.shortId) {
+    this.shortId = generateShortId(this._id);
+  }
   
   // Auto-increment version on content changes
   if (this.isModified() && !this.isNew) {
@@ -21,11 +21,13 @@ import {
   generateFromAudio,
   deleteTranscription,
   getSupportedLanguages,
-  getTranscriptionStats
+  getTranscriptionStats,
+  getAIUsage
 } from "../controllers/ai.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import { singleAudioUpload, handleMulterError, validateAudioFile } from "../middlewares/multer.middleware.js";
 import { rateLimiter, aiRateLimiter, uploadRateLimiter } from "../middleware/rateLimit.js";
+import { meterAIUsage } from "../middlewares/aiUsage.middleware.js";
 
 const router = express.Router();
 
@@ -37,8 +39,8 @@ router.route("/languages").get(getSupportedLanguages);
 
 // Protected routes (require authentication)
 // Content generation routes
-router.route("/generate-content").post(verifyJWT, aiRateLimiter.generation, generateContent);
-router.route("/generate-variations").post(verifyJWT, aiRateLimiter.variations, generateContentVariations);
+router.route("/generate-content").post(verifyJWT, aiRateLimiter.generation, meterAIUsage, generateContent);
+router.route("/generate-variations").post(verifyJWT, aiRateLimiter.variations, meterAIUsage, generateContentVariations);
 
 // Audio transcription routes (AUTH REQUIRED for security)
 router.route("/transcribe-audio").post(
@@ -59,6 +61,7 @@ router.route("/generate-from-audio").post(
   singleAudioUpload, 
   handleMulterError,
   validateAudioFile,
+  meterAIUsage,
   generateFromAudio
 );
 
@@ -69,7 +72,7 @@ router.route("/websites/:websiteId").put(verifyJWT, updateWebsiteContent);
 router.route("/websites/:websiteId").delete(verifyJWT, deleteWebsite);
 
 // Website regeneration
-router.route("/websites/:websiteId/regenerate").post(verifyJWT, aiRateLimiter.regeneration, regenerateWebsiteContent);
+router.route("/websites/:websiteId/regenerate").post(verifyJWT, aiRateLimiter.regeneration, meterAIUsage, regenerateWebsiteContent);
 
 // Content templates
 router.route("/templates").post(verifyJWT, createContentTemplate);
@@ -77,5 +80,6 @@ router.route("/templates").post(verifyJWT, createContentTemplate);
 // Analytics and statistics
 router.route("/analytics").get(verifyJWT, getWebsiteAnalytics);
 router.route("/transcription-stats").get(verifyJWT, getTranscriptionStats);
+router.route("/usage").get(verifyJWT, getAIUsage);
 
 export default router;
\ No newline at end of file
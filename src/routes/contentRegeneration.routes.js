@@ -5,11 +5,13 @@ import { ApiResponse } from '../utils/apirespose.js';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
 import contentRegenerationService from '../services/contentRegenerationService.js';
 import rateLimiter from '../middleware/rateLimit.js';
+import { meterAIUsage } from '../middlewares/aiUsage.middleware.js';
 
 const router = express.Router();
 
-// Apply authentication to all routes
+// Apply authentication and AI usage metering to all routes
 router.use(verifyJWT);
+router.use(meterAIUsage);
 
 // Regenerate content section
 router.post('/regenerate', rateLimiter.moderate, asyncHandler(async (req, res) => {
@@ -156,7 +158,7 @@ router.post('/optimize-seo', rateLimiter.moderate, asyncHandler(async (req, res)
 
 // Check content quality
 router.post('/quality-check', rateLimiter.standard, asyncHandler(async (req, res) => {
-    const { content, contentType = 'general', specialty } = req.body;
+    const { content, contentType = 'general', specialty, aiReview } = req.body;
     
     // Validation
     if (!content) {
@@ -167,12 +169,17 @@ router.post('/quality-check', rateLimiter.standard, asyncHandler(async (req, res
         throw new ApiError(400, "Content must be less than 5000 characters");
     }
     
+    if (aiReview !== undefined && typeof aiReview !== 'boolean') {
+        throw new ApiError(400, "aiReview must be a boolean");
+    }
+    
     try {
         const result = await contentRegenerationService.checkContentQuality(
             content,
             contentType,
             specialty || 'general medicine',
-            req.user._id
+            req.user._id,
+            { aiReview }
         );
         
         return res.status(200).json(
@@ -5,6 +5,7 @@ import { ApiError } from '../utils/apierror.js';
 import { ApiResponse } from '../utils/apirespose.js';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
 import imageUploadService from '../services/imageUploadService.js';
+import authorizationService from '../services/authorizationService.js';
 import rateLimiter from '../middleware/rateLimit.js';
 import { Website } from '../models/website.models.js';
 
@@ -149,9 +150,10 @@ router.put('/websites/:websiteId/images/:imageId', rateLimiter.standard, asyncHa
     try {
         // This would update image metadata in the database
         // For now, we'll implement a basic version
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -0,0 +1,204 @@
+// src/routes/organization.routes.js
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/apierror.js";
+import { ApiResponse } from "../utils/apirespose.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import rateLimiter from "../middleware/rateLimit.js";
+import organizationService from "../services/organizationService.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyJWT);
+
+// Create an organization; the creator becomes its first owner
+router.post("/", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        throw new ApiError(400, "Organization name is required");
+    }
+
+    try {
+        const result = await organizationService.createOrganization(req.user._id, { name });
+
+        return res.status(201).json(
+            new ApiResponse(201, result, "Organization created successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// List organizations the user belongs to
+router.get("/", rateLimiter.standard, asyncHandler(async (req, res) => {
+    try {
+        const result = await organizationService.getUserOrganizations(req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, { organizations: result }, "Organizations retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Accept an emailed invitation
+router.post("/invitations/accept", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    try {
+        const result = await organizationService.acceptInvitation(token, req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Invitation accepted successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Organization details with members
+router.get("/:organizationId", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { organizationId } = req.params;
+
+    try {
+        const result = await organizationService.getOrganization(organizationId, req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Organization retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Rename an organization (owners)
+router.patch("/:organizationId", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { organizationId } = req.params;
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        throw new ApiError(400, "Organization name is required");
+    }
+
+    try {
+        const result = await organizationService.renameOrganization(organizationId, req.user._id, name);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Organization updated successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Change a member's role (owners)
+router.patch("/:organizationId/members/:memberId", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { organizationId, memberId } = req.params;
+    const { role } = req.body;
+
+    try {
+        const result = await organizationService.updateMemberRole(organizationId, req.user._id, memberId, role);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Member role updated successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Remove a member (owners), or leave when removing yourself
+router.delete("/:organizationId/members/:memberId", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { organizationId, memberId } = req.params;
+
+    try {
+        const result = await organizationService.removeMember(organizationId, req.user._id, memberId);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Member removed successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Invite someone by email (owners)
+router.post("/:organizationId/invitations", rateLimiter.strict, asyncHandler(async (req, res) => {
+    const { organizationId } = req.params;
+    const { email, role } = req.body;
+
+    try {
+        const result = await organizationService.inviteMember(organizationId, req.user._id, { email, role });
+
+        return res.status(201).json(
+            new ApiResponse(201, result, "Invitation sent successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// List open invitations (owners)
+router.get("/:organizationId/invitations", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { organizationId } = req.params;
+
+    try {
+        const result = await organizationService.getInvitations(organizationId, req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, { invitations: result }, "Invitations retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Revoke an open invitation (owners)
+router.delete("/:organizationId/invitations/:invitationId", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { organizationId, invitationId } = req.params;
+
+    try {
+        const result = await organizationService.revokeInvitation(organizationId, req.user._id, invitationId);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Invitation revoked successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Share one of your websites with the organization
+router.post("/:organizationId/websites/:websiteId", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { organizationId, websiteId } = req.params;
+
+    try {
+        const result = await organizationService.attachWebsite(organizationId, req.user._id, websiteId);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Website added to organization successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Move a website back to its creator's personal workspace (owners)
+router.delete("/:organizationId/websites/:websiteId", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { organizationId, websiteId } = req.params;
+
+    try {
+        const result = await organizationService.detachWebsite(organizationId, req.user._id, websiteId);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Website removed from organization successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+export default router;
@@ -0,0 +1,78 @@
+// src/routes/publicSite.routes.js
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import domainService from "../services/domainService.js";
+import experimentService from "../services/experimentService.js";
+import publishService from "../services/publishService.js";
+import sitemapService from "../services/sitemapService.js";
+
+const router = express.Router();
+
+// Published websites without a verified custom domain live at /sites/<shortId>
+// on the platform host; this is the URL their sitemap and robots.txt advertise.
+// Sites with a verified domain redirect there so each page has one address.
+const findSite = async (req, res, next) => {
+    req.site = await domainService.findWebsiteByShortId(req.params.shortId);
+    if (!req.site) {
+        return res.status(404).type('text/plain').send('Website not found');
+    }
+
+    if (req.site.customDomain?.status === 'verified') {
+        const rest = req.path.slice(`/${req.params.shortId}`.length);
+        return res.redirect(301, `${sitemapService.getSiteUrl(req.site, req.site._id)}${rest}`);
+    }
+
+    next();
+};
+
+// Get website sitemap
+router.get("/:shortId/sitemap.xml", asyncHandler(findSite), asyncHandler(async (req, res) => {
+    const result = await publishService.generateSitemap(req.site._id);
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+
+    return res.send(result);
+}));
+
+// Get website robots.txt
+router.get("/:shortId/robots.txt", asyncHandler(findSite), asyncHandler(async (req, res) => {
+    const result = await publishService.generateRobotsTxt(req.site._id);
+
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+
+    return res.send(result);
+}));
+
+// Serve the published website; running experiments split this traffic too
+router.get("/:shortId", asyncHandler(findSite), asyncHandler(async (req, res) => {
+    try {
+        const result = await experimentService.renderLiveSite(req.site._id, {
+            cookieHeader: req.get('cookie'),
+            userAgent: req.get('user-agent'),
+            doNotTrack: req.get('dnt') === '1' || req.get('sec-gpc') === '1'
+        });
+
+        if (result.cookie) {
+            res.cookie(result.cookie.name, result.cookie.value, result.cookie.options);
+        }
+
+        res.setHeader('Content-Type', 'text/html');
+        if (result.experimentId) {
+            res.setHeader('Cache-Control', 'private, no-store');
+            res.setHeader('Vary', 'Cookie');
+        } else {
+            res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+        }
+
+        return res.send(result.html);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return res.status(404).type('text/plain').send('Website not found');
+        }
+        throw error;
+    }
+}));
+
+export default router;
@@ -14,6 +14,7 @@ import {
     getTemplateMapping
 } from "../controllers/template.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { meterAIUsage } from "../middlewares/aiUsage.middleware.js";
 
 const router = express.Router();
 
@@ -24,7 +25,7 @@ router.route("/templates/:specialty/preview").get(generateTemplatePreview);
 router.route("/templates/:specialty/mapping").get(getTemplateMapping);
 
 // Protected routes (require authentication)
-router.route("/generate-from-transcription").post(verifyJWT, generateWebsiteFromTranscription);
+router.route("/generate-from-transcription").post(verifyJWT, meterAIUsage, generateWebsiteFromTranscription);
 router.route("/websites/:websiteId/generate").post(verifyJWT, generateWebsiteFromAI);
 router.route("/websites/:websiteId/regenerate").post(verifyJWT, regenerateWithTemplate);
 router.route("/websites/:websiteId/export").get(verifyJWT, exportWebsiteHtml);
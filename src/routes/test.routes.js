@@ -5,6 +5,7 @@ import { ApiResponse } from '../utils/apirespose.js';
 import { ApiError } from '../utils/apierror.js';
 import SpecialtyTestSuite from '../utils/specialty-test.js';
 import AIService from '../service/ai.service.js';
+import SpecialtyBenchmarkService from '../services/specialtyBenchmarkService.js';
 
 const router = Router();
 
@@ -59,6 +60,21 @@ router.get('/ai-detection', asyncHandler(async (req, res) => {
     );
 }));
 
+// 🧪 TEST ROUTE: Benchmark specialty detection on the labeled dataset
+// (per-specialty precision/recall, confusion matrix and confidence calibration)
+router.get('/specialty-benchmark', asyncHandler(async (req, res) => {
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+        throw new ApiError(400, "threshold must be a number between 0 and 1");
+    }
+
+    const report = await SpecialtyBenchmarkService.run({ threshold });
+
+    return res.status(200).json(
+        new ApiResponse(200, report, `Specialty benchmark completed: ${Math.round(report.accuracy * 100)}% accuracy`)
+    );
+}));
+
 // 🧪 TEST ROUTE: Test specific specialty detection
 router.post('/test-specialty', asyncHandler(async (req, res) => {
     const { input } = req.body;
@@ -87,7 +103,8 @@ router.get('/health', asyncHandler(async (req, res) => {
             'POST /api/v1/test/quick-test - Quick test for specific input',
             'GET /api/v1/test/keyword-detection - Test keyword detection',
             'GET /api/v1/test/ai-detection - Test AI detection',
-            'POST /api/v1/test/test-specialty - Test specific specialty detection'
+            'POST /api/v1/test/test-specialty - Test specific specialty detection',
+            'GET /api/v1/test/specialty-benchmark - Benchmark specialty detection on the labeled dataset'
         ]
     };
     
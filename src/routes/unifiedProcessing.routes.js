@@ -10,9 +10,10 @@ import {
   getServiceStats,
   clearCache
 } from "../controllers/unifiedProcessing.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, verifyJWTOrApiKey, requireCompleteProfile } from "../middlewares/auth.middleware.js";
 import { singleAudioUpload, flexibleAudioUpload, handleMulterError, validateAudioFile } from "../middlewares/multer.middleware.js";
 import { authLoggingMiddleware } from "../middlewares/authLogging.middleware.js";
+import { meterAIUsage } from "../middlewares/aiUsage.middleware.js";
 import { rateLimiter, aiRateLimiter, uploadRateLimiter } from "../middleware/rateLimit.js";
 import { body, param, query, validationResult } from "express-validator";
 import { ApiError } from "../utils/apierror.js";
@@ -75,7 +76,11 @@ const textInputValidation = [
   body('notifyProgress')
     .optional()
     .isBoolean()
-    .withMessage('notifyProgress must be a boolean')
+    .withMessage('notifyProgress must be a boolean'),
+  body('requestId')
+    .optional()
+    .isUUID()
+    .withMessage('requestId must be a valid UUID')
 ];
 
 // Audio input validation rules - flexible for FormData
@@ -126,7 +131,11 @@ const audioInputValidation = [
       if (value === undefined || value === null || value === '') return true;
       return ['true', 'false', true, false].includes(value);
     })
-    .withMessage('notifyProgress must be a boolean or boolean string')
+    .withMessage('notifyProgress must be a boolean or boolean string'),
+  body('requestId')
+    .optional()
+    .isUUID()
+    .withMessage('requestId must be a valid UUID')
 ];
 
 // Request ID validation
@@ -154,29 +163,33 @@ router.route("/health").get(getServiceStats);
 
 // Text processing endpoints
 router.route("/process-text").post(
-  verifyJWT,
+  verifyJWTOrApiKey,
+  requireCompleteProfile,
   aiRateLimiter.generation,
   textInputValidation,
   handleValidationErrors,
+  meterAIUsage,
   processTextToWebsite
 );
 
 // Audio processing endpoints
 router.route("/process-audio").post(
   verifyJWT,
+  requireCompleteProfile,
   uploadRateLimiter.audio,
   flexibleAudioUpload,
   handleMulterError,
   validateAudioFile,
   audioInputValidation,
   handleValidationErrors,
+  meterAIUsage,
   processAudioToWebsite
 );
 
 // Processing status and management endpoints
 router.route("/status/:requestId").get(
   authLoggingMiddleware,
-  verifyJWT,
+  verifyJWTOrApiKey,
   requestIdValidation,
   handleValidationErrors,
   getProcessingStatus
@@ -184,7 +197,7 @@ router.route("/status/:requestId").get(
 
 router.route("/result/:requestId").get(
   authLoggingMiddleware,
-  verifyJWT,
+  verifyJWTOrApiKey,
   requestIdValidation,
   handleValidationErrors,
   getProcessingResult
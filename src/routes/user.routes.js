@@ -10,9 +10,40 @@ import {
   getCurrentUser,
   updateUserProfile,
   changePassword,
-  refreshAccessToken
+  refreshAccessToken,
+  verifyLoginMFA,
+  getMFAStatus,
+  setupMFA,
+  confirmMFA,
+  disableMFA,
+  regenerateBackupCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  verifyEmail,
+  resendVerificationEmail,
+  getEmailChange,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  getLicenseStatus,
+  verifyLicense,
+  getPrivacyStatus,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  startGoogleAuth,
+  googleAuthCallback,
+  linkGoogleAccount,
+  completeProfile
 } from "../controllers/user.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validateMFASetup } from "../middlewares/validation.middleware.js";
 
 const router = express.Router();
 
@@ -64,6 +95,12 @@ if (process.env.NODE_ENV !== 'production') {
 
 // Authentication routes
 router.route("/login").post(loginUser)
+router.route("/login/mfa").post(verifyLoginMFA)
+
+// Google sign-in
+router.route("/auth/google").get(startGoogleAuth)
+router.route("/auth/google/callback").get(googleAuthCallback)
+router.route("/auth/google/link").post(linkGoogleAccount)
 
 // Development login route without CSRF protection for testing
 if (process.env.NODE_ENV !== 'production') {
@@ -75,11 +112,45 @@ router.route("/forgot-password").post(forgotPassword)
 router.route("/reset-password").post(resetPassword)
 router.route("/verify-reset-token/:token").get(verifyResetToken)
 
+// Email verification links (the token authenticates the request)
+router.route("/verify-email").post(verifyEmail)
+router.route("/email-change/confirm").post(confirmEmailChange)
+
 // Secured routes
 router.route("/logout").post(verifyJWT, logoutUser)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
 router.route("/update-profile").put(verifyJWT, updateUserProfile)
+router.route("/complete-profile").put(verifyJWT, completeProfile)
 router.route("/change-password").post(verifyJWT, changePassword)
 router.route("/refresh-token").post(refreshAccessToken)
 
+// Device session management
+router.route("/sessions").get(verifyJWT, getSessions).delete(verifyJWT, revokeOtherSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession)
+
+// Personal API keys for integrations
+router.route("/api-keys").get(verifyJWT, getApiKeys).post(verifyJWT, createApiKey)
+router.route("/api-keys/:keyId").delete(verifyJWT, revokeApiKey)
+
+// Email verification and change of email
+router.route("/verify-email/resend").post(verifyJWT, resendVerificationEmail)
+router.route("/email-change").get(verifyJWT, getEmailChange).post(verifyJWT, requestEmailChange).delete(verifyJWT, cancelEmailChange)
+
+// Medical license verification
+router.route("/license").get(verifyJWT, getLicenseStatus)
+router.route("/license/verify").post(verifyJWT, verifyLicense)
+
+// Personal data export and account deletion
+router.route("/privacy").get(verifyJWT, getPrivacyStatus)
+router.route("/data-export").get(verifyJWT, getDataExports).post(verifyJWT, requestDataExport)
+router.route("/data-export/:exportId/download").get(verifyJWT, downloadDataExport)
+router.route("/account-deletion").post(verifyJWT, requestAccountDeletion).delete(verifyJWT, cancelAccountDeletion)
+
+// Two-step verification management
+router.route("/mfa").get(verifyJWT, getMFAStatus)
+router.route("/mfa/setup").post(verifyJWT, setupMFA)
+router.route("/mfa/confirm").post(verifyJWT, validateMFASetup, confirmMFA)
+router.route("/mfa/disable").post(verifyJWT, disableMFA)
+router.route("/mfa/backup-codes").post(verifyJWT, validateMFASetup, regenerateBackupCodes)
+
 export default router;
\ No newline at end of file
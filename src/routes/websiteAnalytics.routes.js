@@ -0,0 +1,79 @@
+// src/routes/websiteAnalytics.routes.js
+import express from "express";
+import cors from "cors";
+import path from "path";
+import { fileURLToPath } from "url";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/apierror.js";
+import { websiteRateLimiter } from "../middleware/rateLimit.js";
+import analyticsService from "../services/analyticsService.js";
+import experimentService from "../services/experimentService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const router = express.Router();
+
+// Public endpoints: published sites can live on any origin and send no credentials
+const beaconCors = cors({
+    origin: true,
+    credentials: false,
+    methods: ['GET', 'POST', 'OPTIONS']
+});
+
+// sendBeacon posts text/plain to avoid a CORS preflight, so parse the body ourselves
+const beaconBody = express.text({
+    type: ['text/plain', 'application/json'],
+    limit: '4kb'
+});
+
+// Beacon script for published websites
+router.get("/:id/beacon.js", beaconCors, (req, res) => {
+    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    return res.sendFile(path.join(__dirname, '../templates/scripts/analytics.js'));
+});
+
+router.options("/:id/beacon", beaconCors);
+
+// Record a page view, engagement, performance or custom event
+router.post("/:id/beacon", beaconCors, websiteRateLimiter.beacon, beaconBody, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    let payload;
+    try {
+        payload = typeof req.body === 'string' && req.body.length > 0 ? JSON.parse(req.body) : {};
+    } catch (error) {
+        throw new ApiError(400, "Beacon payload must be valid JSON");
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new ApiError(400, "Beacon payload must be a JSON object");
+    }
+
+    try {
+        const result = await analyticsService.recordBeacon(id, payload, {
+            userAgent: req.get('user-agent'),
+            origin: req.get('origin'),
+            host: req.get('host'),
+            doNotTrack: req.get('dnt') === '1' || req.get('sec-gpc') === '1'
+        });
+
+        // Conversions for a running experiment are attributed through the assignment cookie
+        if (result.recorded && payload.type === 'event') {
+            const cookie = await experimentService.recordConversion(id, payload.name, {
+                cookieHeader: req.get('cookie')
+            });
+            if (cookie) {
+                res.cookie(cookie.name, cookie.value, cookie.options);
+            }
+        }
+
+        // Beacons ignore the response body
+        return res.status(204).end();
+    } catch (error) {
+        throw error;
+    }
+}));
+
+export default router;
@@ -0,0 +1,154 @@
+// src/routes/websiteExperiments.routes.js
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/apierror.js";
+import { ApiResponse } from "../utils/apirespose.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import rateLimiter from "../middleware/rateLimit.js";
+import experimentService from "../services/experimentService.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyJWT);
+
+// List content variations
+router.get("/:websiteId/variations", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { websiteId } = req.params;
+
+    try {
+        const result = await experimentService.getVariations(websiteId, req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Content variations retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Add a content variation
+router.post("/:websiteId/variations", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId } = req.params;
+    const { focus, content, qualityScore } = req.body;
+
+    if (!content) {
+        throw new ApiError(400, "Variation content is required");
+    }
+
+    try {
+        const result = await experimentService.addVariation(websiteId, req.user._id, {
+            focus,
+            content,
+            qualityScore
+        });
+
+        return res.status(201).json(
+            new ApiResponse(201, result, "Content variation added successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Delete a content variation
+router.delete("/:websiteId/variations/:variationId", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId, variationId } = req.params;
+
+    try {
+        const result = await experimentService.deleteVariation(websiteId, req.user._id, variationId);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Content variation deleted successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// List experiments
+router.get("/:websiteId/experiments", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { websiteId } = req.params;
+
+    try {
+        const result = await experimentService.getExperiments(websiteId, req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Experiments retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Start an experiment on the live site
+router.post("/:websiteId/experiments", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId } = req.params;
+    const { name, variationIds, weights, conversionEvents } = req.body;
+
+    try {
+        const result = await experimentService.startExperiment(websiteId, req.user._id, {
+            name,
+            variationIds,
+            weights,
+            conversionEvents
+        });
+
+        return res.status(201).json(
+            new ApiResponse(201, result, "Experiment started successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Get experiment results with significance statistics
+router.get("/:websiteId/experiments/:experimentId/results", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { websiteId, experimentId } = req.params;
+
+    try {
+        const result = await experimentService.getResults(websiteId, experimentId, req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Experiment results retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Stop an experiment
+router.post("/:websiteId/experiments/:experimentId/stop", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId, experimentId } = req.params;
+
+    try {
+        const result = await experimentService.stopExperiment(websiteId, experimentId, req.user._id);
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Experiment stopped successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Promote the winning variant into a new published version
+router.post("/:websiteId/experiments/:experimentId/promote", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId, experimentId } = req.params;
+    const { variantKey, publishMessage } = req.body;
+
+    try {
+        const result = await experimentService.promoteWinner(websiteId, experimentId, req.user._id, {
+            variantKey,
+            publishMessage
+        });
+
+        return res.status(200).json(
+            new ApiResponse(200, result, "Experiment winner promoted successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+export default router;
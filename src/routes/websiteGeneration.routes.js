@@ -12,15 +12,16 @@ import {
     duplicateWebsite,
     getWebsiteStats
 } from "../controllers/websiteGeneration.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, requireCompleteProfile } from "../middlewares/auth.middleware.js";
+import { meterAIUsage } from "../middlewares/aiUsage.middleware.js";
 
 const router = express.Router();
 
 // Primary website generation endpoint
-router.route("/generate-website").post(verifyJWT, generateWebsite);
+router.route("/generate-website").post(verifyJWT, requireCompleteProfile, meterAIUsage, generateWebsite);
 
-// Test endpoint without authentication for debugging
-router.route("/generate").post(generateWebsite);
+// Debugging endpoint; still authenticated so generation counts against the user's AI quota
+router.route("/generate").post(verifyJWT, meterAIUsage, generateWebsite);
 
 // Website preview and customization
 router.route("/websites/:websiteId/preview").get(verifyJWT, getWebsitePreview);
@@ -28,7 +29,7 @@ router.route("/websites/:websiteId/preview").post(verifyJWT, generateWebsitePrev
 router.route("/websites/:websiteId/customize").put(verifyJWT, updateWebsiteCustomization);
 
 // Section-specific regeneration
-router.route("/websites/:websiteId/regenerate/:section").post(verifyJWT, regenerateWebsiteSection);
+router.route("/websites/:websiteId/regenerate/:section").post(verifyJWT, meterAIUsage, regenerateWebsiteSection);
 
 // Website data operations
 router.route("/websites/:websiteId/export").get(verifyJWT, exportWebsiteData);
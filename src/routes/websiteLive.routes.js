@@ -0,0 +1,54 @@
+// src/routes/websiteLive.routes.js
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import rateLimiter from "../middleware/rateLimit.js";
+import experimentService from "../services/experimentService.js";
+import publishService from "../services/publishService.js";
+
+const router = express.Router();
+
+// Serve the published website (public endpoint). While an experiment is running
+// visitors are split between the published content and its variations.
+router.get("/:id/live", asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await experimentService.renderLiveSite(id, {
+            cookieHeader: req.get('cookie'),
+            userAgent: req.get('user-agent'),
+            doNotTrack: req.get('dnt') === '1' || req.get('sec-gpc') === '1'
+        });
+
+        if (result.cookie) {
+            res.cookie(result.cookie.name, result.cookie.value, result.cookie.options);
+        }
+
+        res.setHeader('Content-Type', 'text/html');
+        if (result.experimentId) {
+            // Each visitor may see a different variant, so shared caches must not store the page
+            res.setHeader('Cache-Control', 'private, no-store');
+            res.setHeader('Vary', 'Cookie');
+        } else {
+            res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+        }
+
+        return res.send(result.html);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return res.status(404).type('text/plain').send('Website not found');
+        }
+        throw error;
+    }
+}));
+
+// Sitemap index for all of a user's published websites (public, for search consoles)
+router.get("/sitemaps/:userId/index.xml", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const result = await publishService.generateSitemapIndex(req.params.userId);
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+
+    return res.send(result);
+}));
+
+export default router;
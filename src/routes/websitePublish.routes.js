@@ -3,25 +3,27 @@ import express from "express";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/apierror.js";
 import { ApiResponse } from "../utils/apirespose.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWTOrApiKey } from "../middlewares/auth.middleware.js";
 import { validatePublishWebsite } from "../middleware/validation.js";
 import rateLimiter from "../middleware/rateLimit.js";
 import publishService from "../services/publishService.js";
 import versionService from "../services/versionService.js";
+import publishReviewService from "../services/publishReviewService.js";
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(verifyJWT);
+// Apply authentication to all routes; API keys only reach their scoped endpoints
+router.use(verifyJWTOrApiKey);
 
 // Publish website (make it live)
 router.post("/:id/publish", rateLimiter.standard, validatePublishWebsite, asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { versionNumber, publishMessage } = req.body;
+    const { versionNumber, publishMessage, branch } = req.body;
     
     try {
         const result = await publishService.publishWebsite(id, req.user._id, {
             versionNumber,
+            branch,
             publishMessage: publishMessage || 'Website published via API'
         });
         
@@ -51,27 +53,6 @@ router.post("/:id/unpublish", rateLimiter.standard, asyncHandler(async (req, res
     }
 }));
 
-// Get published website content (public endpoint)
-router.get("/:id/live", asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    
-    try {
-        const result = await publishService.getPublishedWebsite(id);
-        
-        if (!result) {
-            throw new ApiError(404, "Published website not found");
-        }
-        
-        // Return HTML content for public viewing
-        res.setHeader('Content-Type', 'text/html');
-        res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
-        
-        return res.send(result.content);
-    } catch (error) {
-        throw error;
-    }
-}));
-
 // Get published website metadata (public endpoint)
 router.get("/:id/live/meta", asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -137,6 +118,10 @@ router.post("/:id/schedule-publish", rateLimiter.standard, asyncHandler(async (r
     }
     
     const scheduleDate = new Date(scheduledDate);
+    if (isNaN(scheduleDate.getTime())) {
+        throw new ApiError(400, "Scheduled date is invalid");
+    }
+    
     if (scheduleDate <= new Date()) {
         throw new ApiError(400, "Scheduled date must be in the future");
     }
@@ -156,6 +141,24 @@ router.post("/:id/schedule-publish", rateLimiter.standard, asyncHandler(async (r
     }
 }));
 
+// Get scheduled publication status and attempt history
+router.get("/:id/schedule-publish", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { limit = 5 } = req.query;
+    
+    try {
+        const result = await publishService.getScheduledPublish(id, req.user._id, {
+            limit: Math.min(parseInt(limit) || 5, 50)
+        });
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Scheduled publication retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
 // Cancel scheduled publication
 router.delete("/:id/schedule-publish", rateLimiter.moderate, asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -171,6 +174,136 @@ router.delete("/:id/schedule-publish", rateLimiter.moderate, asyncHandler(async
     }
 }));
 
+// Require (or stop requiring) reviewer approval before publishing
+router.put("/:id/publishing-policy", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { requiresApproval, requiredApprovals } = req.body;
+    
+    if (requiresApproval === undefined && requiredApprovals === undefined) {
+        throw new ApiError(400, "requiresApproval or requiredApprovals is required");
+    }
+    
+    try {
+        const result = await publishReviewService.updatePolicy(id, req.user._id, { requiresApproval, requiredApprovals });
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Publishing policy updated successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Submit the latest draft for review
+router.post("/:id/reviews", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { note } = req.body;
+    
+    try {
+        const result = await publishReviewService.submitForReview(id, req.user._id, { note });
+        
+        return res.status(201).json(
+            new ApiResponse(201, result, "Draft submitted for review successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// List reviews
+router.get("/:id/reviews", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, limit = 20, offset = 0 } = req.query;
+    
+    try {
+        const result = await publishReviewService.getReviews(id, req.user._id, { status, limit, offset });
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Reviews retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Get a review with its decisions and section comments
+router.get("/:id/reviews/:reviewId", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { id, reviewId } = req.params;
+    
+    try {
+        const result = await publishReviewService.getReview(id, reviewId, req.user._id);
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Review retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Approve a review
+router.post("/:id/reviews/:reviewId/approve", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { id, reviewId } = req.params;
+    const { note, comments } = req.body;
+    
+    try {
+        const result = await publishReviewService.approveReview(id, reviewId, req.user._id, { note, comments });
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, result.status === 'approved' ? "Review approved" : "Approval recorded")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Request changes
+router.post("/:id/reviews/:reviewId/request-changes", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { id, reviewId } = req.params;
+    const { note, comments } = req.body;
+    
+    try {
+        const result = await publishReviewService.requestChanges(id, reviewId, req.user._id, { note, comments });
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Changes requested")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Comment on sections of a pending review
+router.post("/:id/reviews/:reviewId/comments", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { id, reviewId } = req.params;
+    const { comments } = req.body;
+    
+    try {
+        const result = await publishReviewService.addComments(id, reviewId, req.user._id, comments);
+        
+        return res.status(201).json(
+            new ApiResponse(201, result, "Review comments added successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Withdraw an open review
+router.post("/:id/reviews/:reviewId/withdraw", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { id, reviewId } = req.params;
+    
+    try {
+        const result = await publishReviewService.withdrawReview(id, reviewId, req.user._id);
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Review withdrawn")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
 // Get website SEO analysis for published version
 router.get("/:id/seo-analysis", rateLimiter.standard, asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -281,7 +414,41 @@ router.post("/:id/custom-domain", rateLimiter.moderate, asyncHandler(async (req,
         });
         
         return res.status(200).json(
-            new ApiResponse(200, result, "Custom domain configured successfully")
+            new ApiResponse(200, result, "Custom domain saved. Add the DNS records, then verify the domain")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Get custom domain status and required DNS records
+router.get("/:id/custom-domain", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const result = await publishService.getCustomDomain(id, req.user._id);
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Custom domain retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Verify custom domain ownership (DNS TXT record)
+router.post("/:id/custom-domain/verify", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const result = await publishService.verifyCustomDomain(id, req.user._id);
+        
+        const message = result.status === 'verified'
+            ? "Custom domain verified successfully"
+            : "Custom domain verification failed";
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, message)
         );
     } catch (error) {
         throw error;
@@ -5,7 +5,10 @@ import { ApiError } from "../utils/apierror.js";
 import { ApiResponse } from "../utils/apirespose.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import rateLimiter from "../middleware/rateLimit.js";
+import { readRevisionPrecondition, formatRevisionEtag } from "../middlewares/precondition.middleware.js";
 import versionService from "../services/versionService.js";
+import publishService from "../services/publishService.js";
+import { renderDiffHtml } from "../utils/contentDiff.js";
 
 const router = express.Router();
 
@@ -15,13 +18,14 @@ router.use(verifyJWT);
 // Get all versions for a website
 router.get("/:websiteId/versions", rateLimiter.standard, asyncHandler(async (req, res) => {
     const { websiteId } = req.params;
-    const { limit = 10, offset = 0, type = 'all' } = req.query;
+    const { limit = 10, offset = 0, type = 'all', branch } = req.query;
     
     try {
         const result = await versionService.getVersionHistory(websiteId, req.user._id, {
             limit: parseInt(limit),
             offset: parseInt(offset),
-            type: type
+            type: type,
+            branch
         });
         
         return res.status(200).json(
@@ -68,15 +72,17 @@ router.post("/:websiteId/versions", rateLimiter.moderate, asyncHandler(async (re
 }));
 
 // Revert to specific version
-router.post("/:websiteId/versions/:versionId/revert", rateLimiter.moderate, asyncHandler(async (req, res) => {
+router.post("/:websiteId/versions/:versionId/revert", rateLimiter.moderate, readRevisionPrecondition, asyncHandler(async (req, res) => {
     const { websiteId, versionId } = req.params;
     const { createNewVersion = true } = req.body;
     
     try {
         const result = await versionService.revertToVersion(websiteId, versionId, req.user._id, {
+            expectedVersion: req.expectedVersion,
             createNewVersion
         });
         
+        res.set('ETag', formatRevisionEtag(result.website.version));
         return res.status(200).json(
             new ApiResponse(200, result, "Successfully reverted to version")
         );
@@ -85,6 +91,24 @@ router.post("/:websiteId/versions/:versionId/revert", rateLimiter.moderate, asyn
     }
 }));
 
+// Merge a concurrent draft version into the current content
+router.post("/:websiteId/versions/:versionId/merge", rateLimiter.moderate, readRevisionPrecondition, asyncHandler(async (req, res) => {
+    const { websiteId, versionId } = req.params;
+    
+    try {
+        const result = await versionService.mergeVersion(websiteId, versionId, req.user._id, {
+            expectedVersion: req.expectedVersion
+        });
+        
+        res.set('ETag', formatRevisionEtag(result.website.version));
+        return res.status(200).json(
+            new ApiResponse(200, result, result.message)
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
 // Compare two versions
 router.get("/:websiteId/versions/:versionId1/compare/:versionId2", rateLimiter.standard, asyncHandler(async (req, res) => {
     const { websiteId, versionId1, versionId2 } = req.params;
@@ -189,13 +213,29 @@ router.get("/:websiteId/versions/:versionId/export", rateLimiter.standard, async
     }
 }));
 
-// Get version diff (changes made in this version)
+// Get version diff (changes made in this version); ?format=html renders it side by side
 router.get("/:websiteId/versions/:versionId/diff", rateLimiter.standard, asyncHandler(async (req, res) => {
     const { websiteId, versionId } = req.params;
+    const { format = 'json' } = req.query;
+    
+    if (!['json', 'html'].includes(format)) {
+        throw new ApiError(400, "Unsupported diff format. Supported formats: json, html");
+    }
     
     try {
         const result = await versionService.getVersionDiff(websiteId, versionId, req.user._id);
         
+        if (format === 'html') {
+            const { version, parentVersion } = result;
+            
+            res.setHeader('Content-Type', 'text/html');
+            return res.send(renderDiffHtml(result.changes, {
+                title: `Changes in version ${version.versionNumber}`,
+                oldLabel: parentVersion ? `Version ${parentVersion.versionNumber}` : 'Before',
+                newLabel: `Version ${version.versionNumber}`
+            }));
+        }
+        
         return res.status(200).json(
             new ApiResponse(200, result, "Version diff retrieved successfully")
         );
@@ -204,4 +244,113 @@ router.get("/:websiteId/versions/:versionId/diff", rateLimiter.standard, asyncHa
     }
 }));
 
-export default router;
\ No newline at end of file
+// Branch drafts: named variants forked from any version, previewable with
+// GET /:websiteId/preview?branch=<name> and published by promoting them
+
+// List branches
+router.get("/:websiteId/branches", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { websiteId } = req.params;
+    
+    try {
+        const result = await versionService.getBranches(websiteId, req.user._id);
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Branches retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Create a branch from a version (defaults to the current content)
+router.post("/:websiteId/branches", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId } = req.params;
+    const { name, fromVersionId, description } = req.body;
+    
+    if (!name) {
+        throw new ApiError(400, "Branch name is required");
+    }
+    
+    try {
+        const result = await versionService.createBranch(websiteId, req.user._id, {
+            name,
+            fromVersionId,
+            description
+        });
+        
+        return res.status(201).json(
+            new ApiResponse(201, result, result.message)
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Get a branch with its changes since the fork point
+router.get("/:websiteId/branches/:branch", rateLimiter.standard, asyncHandler(async (req, res) => {
+    const { websiteId, branch } = req.params;
+    
+    try {
+        const result = await versionService.getBranch(websiteId, req.user._id, branch);
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, "Branch retrieved successfully")
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Save content changes to a branch
+router.put("/:websiteId/branches/:branch", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId, branch } = req.params;
+    const { changeDescription } = req.query;
+    
+    try {
+        const result = await versionService.updateBranch(websiteId, req.user._id, branch, req.body, {
+            changeDescription
+        });
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, result.message)
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Delete a branch and its versions
+router.delete("/:websiteId/branches/:branch", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId, branch } = req.params;
+    
+    try {
+        const result = await versionService.deleteBranch(websiteId, req.user._id, branch);
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, result.message)
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+// Merge a branch into the main line and publish the result
+router.post("/:websiteId/branches/:branch/promote", rateLimiter.moderate, asyncHandler(async (req, res) => {
+    const { websiteId, branch } = req.params;
+    const { publishMessage } = req.body;
+    
+    try {
+        const result = await publishService.publishWebsite(websiteId, req.user._id, {
+            branch,
+            publishMessage: publishMessage || `Promoted branch '${branch}'`
+        });
+        
+        return res.status(200).json(
+            new ApiResponse(200, result, result.message)
+        );
+    } catch (error) {
+        throw error;
+    }
+}));
+
+export default router;
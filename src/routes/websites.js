@@ -4,17 +4,20 @@ import crypto from "crypto";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/apierror.js";
 import { ApiResponse } from "../utils/apirespose.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWTOrApiKey } from "../middlewares/auth.middleware.js";
+import { readRevisionPrecondition, formatRevisionEtag } from "../middlewares/precondition.middleware.js";
 import websiteService from "../services/websiteService.js";
+import authorizationService from "../services/authorizationService.js";
 import optimizedPreviewService from "../services/optimizedPreviewService.js";
+import exportService from "../services/exportService.js";
 import { validateWebsiteUpdate } from "../middleware/validation.js";
 import rateLimiter from "../middleware/rateLimit.js";
 import { Website } from "../models/website.models.js";
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(verifyJWT);
+// Apply authentication to all routes; API keys only reach their scoped endpoints
+router.use(verifyJWTOrApiKey);
 
 // Get single website by ID
 router.get("/:id", rateLimiter.standard, asyncHandler(async (req, res) => {
@@ -27,6 +30,7 @@ router.get("/:id", rateLimiter.standard, asyncHandler(async (req, res) => {
             includeHistory: includeHistory === 'true'
         });
         
+        res.set('ETag', formatRevisionEtag(result.website.version));
         return res.status(200).json(
             new ApiResponse(200, result, "Website retrieved successfully")
         );
@@ -65,17 +69,20 @@ router.get("/", rateLimiter.standard, asyncHandler(async (req, res) => {
 }));
 
 // Update website
-router.put("/:id", rateLimiter.moderate, validateWebsiteUpdate, asyncHandler(async (req, res) => {
+// Send If-Match with the ETag from GET /:id; stale edits are merged or rejected with 409
+router.put("/:id", rateLimiter.moderate, validateWebsiteUpdate, readRevisionPrecondition, asyncHandler(async (req, res) => {
     const { id } = req.params;
     const updateData = req.body;
     const { createNewVersion = 'false', changeDescription } = req.query;
     
     try {
         const result = await websiteService.updateWebsite(id, req.user._id, updateData, {
+            expectedVersion: req.expectedVersion,
             createNewVersion: createNewVersion === 'true',
             changeDescription: changeDescription || 'Website updated via API'
         });
         
+        res.set('ETag', formatRevisionEtag(result.website.version));
         return res.status(200).json(
             new ApiResponse(200, result, "Website updated successfully")
         );
@@ -312,8 +319,17 @@ router.get("/:id/export", rateLimiter.standard, asyncHandler(async (req, res) =>
                     throw new ApiError(400, "No HTML content available for export");
                 }
                 
+            case 'bundle':
+                const bundle = await exportService.exportWebsiteBundle(id, req.user._id, {
+                    source: req.query.source
+                });
+                
+                res.setHeader('Content-Type', 'application/gzip');
+                res.setHeader('Content-Disposition', `attachment; filename="${bundle.filename}"`);
+                return res.send(bundle.archive);
+                
             default:
-                throw new ApiError(400, "Unsupported export format. Use 'json' or 'html'");
+                throw new ApiError(400, "Unsupported export format. Use 'json', 'html' or 'bundle'");
         }
     } catch (error) {
         throw error;
@@ -393,13 +409,14 @@ router.put("/bulk/status", rateLimiter.moderate, asyncHandler(async (req, res) =
 // Get website preview (alias for preview-data for frontend compatibility)
 router.get('/:websiteId/preview', rateLimiter.standard, asyncHandler(async (req, res) => {
     const { websiteId } = req.params;
-    const { deviceType = 'desktop', zoom = 100, forceRegenerate = false, format = 'json' } = req.query;
+    const { deviceType = 'desktop', zoom = 100, forceRegenerate = false, format = 'json', branch } = req.query;
     
     try {
         const previewData = await optimizedPreviewService.generatePreview(websiteId, req.user._id, {
             deviceType,
             zoom: parseInt(zoom),
-            forceRegenerate: forceRegenerate === 'true'
+            forceRegenerate: forceRegenerate === 'true',
+            branch
         });
         
         // If format is 'html', return raw HTML for iframe
@@ -454,13 +471,14 @@ router.get('/:websiteId/preview', rateLimiter.standard, asyncHandler(async (req,
 // Get raw HTML preview for iframe rendering
 router.get('/:websiteId/preview/html', rateLimiter.standard, asyncHandler(async (req, res) => {
     const { websiteId } = req.params;
-    const { deviceType = 'desktop', zoom = 100, forceRegenerate = false } = req.query;
+    const { deviceType = 'desktop', zoom = 100, forceRegenerate = false, branch } = req.query;
     
     try {
         const previewData = await optimizedPreviewService.generatePreview(websiteId, req.user._id, {
             deviceType,
             zoom: parseInt(zoom),
-            forceRegenerate: forceRegenerate === 'true'
+            forceRegenerate: forceRegenerate === 'true',
+            branch
         });
         
         // Set proper headers for HTML content
@@ -580,6 +598,7 @@ router.get('/:websiteId/content/:sectionId', rateLimiter.standard, asyncHandler(
     try {
         const sectionData = await websiteService.getContentSection(websiteId, req.user._id, sectionId);
         
+        res.set('ETag', formatRevisionEtag(sectionData.metadata.version));
         return res.status(200).json(
             new ApiResponse(200, sectionData, "Content section retrieved successfully")
         );
@@ -589,13 +608,16 @@ router.get('/:websiteId/content/:sectionId', rateLimiter.standard, asyncHandler(
 }));
 
 // Update content section
-router.put('/:websiteId/content/:sectionId', rateLimiter.moderate, asyncHandler(async (req, res) => {
+router.put('/:websiteId/content/:sectionId', rateLimiter.moderate, readRevisionPrecondition, asyncHandler(async (req, res) => {
     const { websiteId, sectionId } = req.params;
     const { content } = req.body;
     
     try {
-        const updated = await websiteService.updateContentSection(websiteId, req.user._id, sectionId, content);
+        const updated = await websiteService.updateContentSection(websiteId, req.user._id, sectionId, content, {
+            expectedVersion: req.expectedVersion
+        });
         
+        res.set('ETag', formatRevisionEtag(updated.metadata.version));
         return res.status(200).json(
             new ApiResponse(200, updated, "Content section updated successfully")
         );
@@ -617,9 +639,10 @@ router.post('/:websiteId/services', rateLimiter.moderate, asyncHandler(async (re
     }
     
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -661,9 +684,10 @@ router.put('/:websiteId/services/:serviceId', rateLimiter.moderate, asyncHandler
     const updateData = req.body;
     
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -702,9 +726,10 @@ router.delete('/:websiteId/services/:serviceId', rateLimiter.moderate, asyncHand
     const { websiteId, serviceId } = req.params;
     
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -745,9 +770,10 @@ router.put('/:websiteId/services/reorder', rateLimiter.moderate, asyncHandler(as
     }
     
     try {
+        await authorizationService.authorizeWebsite(websiteId, req.user._id, 'edit');
+
         const website = await Website.findOne({
             _id: websiteId,
-            userId: req.user._id,
             isActive: true
         });
 
@@ -785,41 +811,4 @@ router.put('/:websiteId/services/reorder', rateLimiter.moderate, asyncHandler(as
     }
 }));
 
-// Get website analytics
-router.get("/:id/analytics", rateLimiter.standard, asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { period = '30d' } = req.query;
-    
-    try {
-        const website = await websiteService.getWebsite(id, req.user._id);
-        
-        if (!website) {
-            throw new ApiError(404, "Website not found");
-        }
-        
-        // Return current analytics (in production, this would query analytics service)
-        const analytics = {
-            website: {
-                id: website.website._id,
-                title: website.website.websiteTitle,
-                status: website.website.status
-            },
-            metrics: {
-                views: website.website.analytics.views,
-                generatedViews: website.website.analytics.generatedViews,
-                exportCount: website.website.analytics.exportCount,
-                lastViewed: website.website.analytics.lastViewed
-            },
-            period: period,
-            generatedAt: new Date()
-        };
-        
-        return res.status(200).json(
-            new ApiResponse(200, analytics, "Website analytics retrieved successfully")
-        );
-    } catch (error) {
-        throw error;
-    }
-}));
-
 export default router;
\ No newline at end of file
@@ -9,6 +9,10 @@ import { checkClamAVStatus } from './middlewares/malwareScanning.middleware.js';
 import { logAuditEvent, HIPAA_EVENTS } from './middlewares/hipaaAudit.middleware.js';
 import websocketService from './services/websocketService.js';
 import cacheService from './services/cacheService.js';
+import publishSchedulerService from './services/publishSchedulerService.js';
+import privacyJobService from './services/privacyJobService.js';
+import licenseMonitorService from './services/licenseMonitorService.js';
+import promptRegistryService from './services/promptRegistryService.js';
 import winston from 'winston';
 import fs from 'fs';
 import path from 'path';
@@ -309,6 +313,20 @@ const startServer = async () => {
     // Start HTTPS server if enabled
     const httpsServer = startHTTPSServer();
     
+    // Start background workers (their jobs and state are stored in MongoDB)
+    if (process.env.MONGODB_AVAILABLE !== 'false') {
+      publishSchedulerService.start();
+      logger.info('Publish scheduler started');
+      privacyJobService.start();
+      logger.info('Privacy job worker started');
+      licenseMonitorService.start();
+      logger.info('License monitor started');
+      await promptRegistryService.refreshPins();
+      logger.info('Prompt version pins loaded');
+    } else {
+      logger.warn('Background workers not started (MongoDB unavailable)');
+    }
+    
     // Store server instances for graceful shutdown
     global.servers = {
       http: httpServer,
@@ -351,6 +369,11 @@ const gracefulShutdown = async (signal) => {
   }, 10000); // 10 second timeout
   
   try {
+    // Stop background workers
+    publishSchedulerService.stop();
+    privacyJobService.stop();
+    licenseMonitorService.stop();
+    
     // Close HTTP server
     if (global.servers?.http) {
       await new Promise((resolve) => {
@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { ApiError } from '../utils/apierror.js';
+import { compileTemplate } from '../utils/templateEngine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,6 +17,9 @@ class TemplateService {
         this.templatesPath = path.join(__dirname, '..', 'templates');
         this.config = templateConfig;
         this.templateCache = new Map();
+        // Compiled render functions keyed by template source
+        this.compiledTemplates = new Map();
+        this.maxPartialDepth = 10;
         this.initializeTemplateCache();
     }
 
@@ -24,6 +28,7 @@ class TemplateService {
         try {
             // CRITICAL FIX: Clear all existing cache first to prevent corruption
             this.templateCache.clear();
+            this.compiledTemplates.clear();
             console.log('[Template Cache] 🧹 Cleared all existing cache');
             
             // Cache base templates (no specialty needed)
@@ -52,6 +57,9 @@ class TemplateService {
                 const cacheKey = specialty ? `${templatePath}:${specialty}` : templatePath;
                 this.templateCache.set(cacheKey, content);
                 console.log(`[Template Cache] ✅ Cached template: ${cacheKey}`);
+                
+                // Compile up front so syntax errors are reported at startup with their line
+                this.getCompiledTemplate(content, templatePath);
             }
         } catch (error) {
             console.error(`Failed to cache template ${templatePath}:`, error);
@@ -208,107 +216,50 @@ class TemplateService {
         };
     }
 
-    // Replace template variables with actual data
-    renderTemplate(templateContent, data) {
+    // Render a template with data. Values are HTML-escaped unless written as {{{raw}}}.
+    renderTemplate(templateContent, data, templateName = 'inline template', depth = 0) {
         if (!templateContent || !data) return templateContent;
         
-        let rendered = templateContent;
+        const render = this.getCompiledTemplate(templateContent, templateName);
         
-        // Handle simple variable replacement {{variable}}
-        rendered = rendered.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-            const value = this.getNestedValue(data, key.trim());
-            return value !== undefined ? value : match;
+        return render(data, {
+            partial: (partialName, context) => this.renderPartial(partialName, context, data, depth)
         });
-        
-        // Handle conditional blocks {{#if condition}}...{{/if}}
-        rendered = this.handleConditionals(rendered, data);
-        
-        // Handle loops {{#each array}}...{{/each}}
-        rendered = this.handleLoops(rendered, data);
-        
-        // Handle partials {{> partial}}
-        rendered = this.handlePartials(rendered, data);
-        
-        return rendered;
-    }
-
-    // Get nested object value using dot notation
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => {
-            return current && current[key] !== undefined ? current[key] : undefined;
-        }, obj);
     }
 
-    // Handle conditional blocks
-    handleConditionals(template, data) {
-        const conditionalRegex = /\{\{#if\s+([^}]+)\}\}([\s\S]*?)\{\{\/if\}\}/g;
+    // Compile a template once and reuse the render function
+    getCompiledTemplate(templateContent, templateName) {
+        let render = this.compiledTemplates.get(templateContent);
         
-        return template.replace(conditionalRegex, (match, condition, content) => {
-            const conditionValue = this.getNestedValue(data, condition.trim());
-            return conditionValue ? content : '';
-        });
-    }
-
-    // Handle loops
-    handleLoops(template, data) {
-        const loopRegex = /\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g;
+        if (!render) {
+            render = compileTemplate(templateContent, templateName);
+            this.compiledTemplates.set(templateContent, render);
+        }
         
-        return template.replace(loopRegex, (match, arrayPath, content) => {
-            const array = this.getNestedValue(data, arrayPath.trim());
-            
-            if (!Array.isArray(array)) return '';
-            
-            return array.map(item => {
-                return this.renderTemplate(content, { ...data, ...item, this: item });
-            }).join('');
-        });
+        return render;
     }
 
-    // Handle partials (nested templates)
-    handlePartials(template, data) {
-        const partialRegex = /\{\{>\s*([^}]+)\}\}/g;
+    // Partials are base/<name>.html templates or pre-rendered markup passed in the data (e.g. page content)
+    renderPartial(partialName, context, data, depth) {
+        if (depth >= this.maxPartialDepth) {
+            throw new ApiError(500, `Partials nested more than ${this.maxPartialDepth} levels deep (at "${partialName}")`);
+        }
         
-        return template.replace(partialRegex, (match, partialName) => {
-            const partialPath = `base/${partialName.trim()}.html`;
-            const partialContent = this.getTemplate(partialPath);
-            
-            if (partialContent) {
-                return this.renderTemplate(partialContent, data);
-            }
-            
-            return match;
-        });
+        const partialPath = `base/${partialName}.html`;
+        const partialContent = this.getTemplate(partialPath);
+        
+        if (partialContent) {
+            return this.renderTemplate(partialContent, context, partialPath, depth + 1);
+        }
+        
+        const inlinePartial = data[partialName];
+        return typeof inlinePartial === 'string' ? inlinePartial : null;
     }
 
     // Generate complete website HTML
     generateWebsite(websiteData) {
         try {
-            const templateConfig = this.getTemplateConfig(websiteData.specialty);
-            
-            // Prepare template data
-            const templateData = this.prepareTemplateData(websiteData, templateConfig);
-            
-            // Get layout template
-            const layoutTemplate = this.getTemplate('base/layout.html');
-            if (!layoutTemplate) {
-                throw new ApiError(500, 'Layout template not found');
-            }
-            
-            // Get specialty template with specialty validation
-            const specialtyTemplate = this.getTemplate(`specialties/${templateConfig.templateName}.html`, templateConfig.templateName);
-            if (!specialtyTemplate) {
-                throw new ApiError(500, `Specialty template not found: ${templateConfig.templateName}`);
-            }
-            
-            // CRITICAL FIX: Validate template content matches specialty
-            console.log(`[Template Generation] 🔍 Using template: ${templateConfig.templateName} for specialty: ${websiteData.specialty}`);
-            if (!this.validateTemplateForSpecialty(specialtyTemplate, templateConfig.templateName, `specialties/${templateConfig.templateName}.html`)) {
-                console.error(`[Template Generation] ❌ Template validation failed for ${templateConfig.templateName}`);
-                throw new ApiError(500, `Template validation failed for specialty: ${templateConfig.templateName}`);
-            }
-            
-            // Render specialty template
-            const renderedSpecialty = this.renderTemplate(specialtyTemplate, templateData);
+            const { templateConfig, templateData, layoutTemplate, renderedSpecialty } = this.renderSpecialtyContent(websiteData);
             
             // Combine with layout
             const finalData = {
@@ -317,7 +268,7 @@ class TemplateService {
             };
             
             // Render final HTML
-            const finalHtml = this.renderTemplate(layoutTemplate, finalData);
+            const finalHtml = this.renderTemplate(layoutTemplate, finalData, 'base/layout.html');
             
             return {
                 html: finalHtml,
@@ -336,6 +287,72 @@ class TemplateService {
         }
     }
 
+    // Generate standalone pages for individual sections of the specialty template
+    generateSectionPages(websiteData, sectionIds = ['about', 'services', 'contact']) {
+        try {
+            const { templateConfig, templateData, layoutTemplate, renderedSpecialty } = this.renderSpecialtyContent(websiteData);
+            const pages = {};
+            
+            sectionIds.forEach(sectionId => {
+                const sectionRegex = new RegExp(`<section[^>]*\\bid="${sectionId}"[^>]*>[\\s\\S]*?<\\/section>`);
+                const sectionMatch = renderedSpecialty.match(sectionRegex);
+                
+                if (!sectionMatch) {
+                    return;
+                }
+                
+                pages[sectionId] = this.renderTemplate(layoutTemplate, {
+                    ...templateData,
+                    pageTitle: sectionId.charAt(0).toUpperCase() + sectionId.slice(1),
+                    content: sectionMatch[0]
+                }, 'base/layout.html');
+            });
+            
+            return {
+                pages,
+                templateName: templateConfig.templateName
+            };
+            
+        } catch (error) {
+            console.error('Section page generation error:', error);
+            throw new ApiError(500, `Failed to generate section pages: ${error.message}`);
+        }
+    }
+
+    // Load and render the specialty template for the given website data
+    renderSpecialtyContent(websiteData) {
+        const templateConfig = this.getTemplateConfig(websiteData.specialty);
+        
+        // Prepare template data
+        const templateData = this.prepareTemplateData(websiteData, templateConfig);
+        
+        // Get layout template
+        const layoutTemplate = this.getTemplate('base/layout.html');
+        if (!layoutTemplate) {
+            throw new ApiError(500, 'Layout template not found');
+        }
+        
+        // Get specialty template with specialty validation
+        const specialtyTemplate = this.getTemplate(`specialties/${templateConfig.templateName}.html`, templateConfig.templateName);
+        if (!specialtyTemplate) {
+            throw new ApiError(500, `Specialty template not found: ${templateConfig.templateName}`);
+        }
+        
+        // CRITICAL FIX: Validate template content matches specialty
+        console.log(`[Template Generation] 🔍 Using template: ${templateConfig.templateName} for specialty: ${websiteData.specialty}`);
+        if (!this.validateTemplateForSpecialty(specialtyTemplate, templateConfig.templateName, `specialties/${templateConfig.templateName}.html`)) {
+            console.error(`[Template Generation] ❌ Template validation failed for ${templateConfig.templateName}`);
+            throw new ApiError(500, `Template validation failed for specialty: ${templateConfig.templateName}`);
+        }
+        
+        return {
+            templateConfig,
+            templateData,
+            layoutTemplate,
+            renderedSpecialty: this.renderTemplate(specialtyTemplate, templateData, `specialties/${templateConfig.templateName}.html`)
+        };
+    }
+
     // Prepare template data with defaults and configurations
     prepareTemplateData(websiteData, templateConfig) {
         const currentYear = new Date().getFullYear();
@@ -559,6 +576,7 @@ class TemplateService {
     clearCache() {
         console.log('[Template Cache] 🧹 Clearing all template cache');
         this.templateCache.clear();
+        this.compiledTemplates.clear();
         
         // CRITICAL FIX: Force garbage collection of old cache entries
         if (global.gc) {
@@ -577,6 +595,7 @@ class TemplateService {
         
         return {
             cachedTemplates: this.templateCache.size,
+            compiledTemplates: this.compiledTemplates.size,
             cacheKeys: keys,
             specialtySpecificKeys: specialtyKeys,
             baseTemplateKeys: baseKeys,
@@ -0,0 +1,312 @@
+// src/services/aiUsageService.js
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import AIUsage from "../models/AIUsage.js";
+import { ApiError } from "../utils/apierror.js";
+import { isMongoDBAvailable } from "../utils/dbHelper.js";
+import websocketService from "./websocketService.js";
+import loggingService from "./loggingService.js";
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Monthly token quota from the environment; 0 means unlimited
+const parseQuota = (value, fallback) => {
+    const quota = value === undefined || value === '' ? fallback : parseInt(value);
+    return Number.isFinite(quota) && quota > 0 ? quota : null;
+};
+
+// Wraps an AI provider so every call is checked against the caller's quota
+// first and written to the usage ledger afterwards
+class MeteredProvider {
+    constructor(provider, source, usageService) {
+        this.provider = provider;
+        this.source = source;
+        this.usageService = usageService;
+    }
+
+    get name() {
+        return this.provider.name;
+    }
+
+    get model() {
+        return this.provider.model;
+    }
+
+    countTokens(text) {
+        return this.provider.countTokens(text);
+    }
+
+    async generate(prompt, options) {
+        await this.usageService.assertWithinQuota();
+        const startedAt = Date.now();
+
+        try {
+            const result = await this.provider.generate(prompt, options);
+            this.usageService.record({
+                source: this.source,
+                provider: this.name,
+                model: result.model || this.model,
+                inputTokens: result.usage?.inputTokens,
+                outputTokens: result.usage?.outputTokens,
+                latencyMs: Date.now() - startedAt
+            });
+            return result;
+        } catch (error) {
+            this.recordFailure(error, startedAt, false);
+            throw error;
+        }
+    }
+
+    async *stream(prompt, options) {
+        await this.usageService.assertWithinQuota();
+        const startedAt = Date.now();
+
+        try {
+            for await (const chunk of this.provider.stream(prompt, options)) {
+                if (chunk.type === 'end') {
+                    this.usageService.record({
+                        source: this.source,
+                        provider: this.name,
+                        model: this.model,
+                        inputTokens: chunk.usage?.inputTokens,
+                        outputTokens: chunk.usage?.outputTokens,
+                        latencyMs: Date.now() - startedAt,
+                        streamed: true
+                    });
+                }
+                yield chunk;
+            }
+        } catch (error) {
+            this.recordFailure(error, startedAt, true);
+            throw error;
+        }
+    }
+
+    recordFailure(error, startedAt, streamed) {
+        this.usageService.record({
+            source: this.source,
+            provider: this.name,
+            model: this.model,
+            latencyMs: Date.now() - startedAt,
+            streamed,
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// AI token usage: a ledger of every provider call attributed to the user,
+// website and endpoint that caused it, monthly quotas by plan and websocket
+// warnings as a user gets close to the quota. Attribution comes from the
+// request context set by the meterAIUsage middleware, so services deep in
+// the generation pipeline don't need the user passed down to them.
+class AIUsageService {
+    constructor() {
+        this.context = new AsyncLocalStorage();
+        this.quotas = {
+            free: parseQuota(process.env.AI_TOKEN_QUOTA_FREE, 200000),
+            professional: parseQuota(process.env.AI_TOKEN_QUOTA_PROFESSIONAL, 2000000),
+            enterprise: parseQuota(process.env.AI_TOKEN_QUOTA_ENTERPRISE, 0)
+        };
+        // Percent of the quota at which the user is warned, once per threshold and month
+        this.warningThresholds = (process.env.AI_USAGE_WARNING_THRESHOLDS || '80,95,100')
+            .split(',')
+            .map(percent => parseInt(percent))
+            .filter(percent => percent > 0)
+            .sort((a, b) => a - b);
+    }
+
+    // Attribute AI calls made while fn runs to { userId, websiteId, endpoint }
+    runWithContext(context, fn) {
+        return this.context.run(context, fn);
+    }
+
+    getContext() {
+        return this.context.getStore() || {};
+    }
+
+    meterProvider(provider, source) {
+        return new MeteredProvider(provider, source, this);
+    }
+
+    // Calendar month in UTC, "YYYY-MM"
+    getPeriod(date = new Date()) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    getPeriodEnd(period) {
+        const [year, month] = period.split('-').map(Number);
+        return new Date(Date.UTC(year, month, 1));
+    }
+
+    // Tokens per month for a plan; null when unlimited
+    getQuota(plan) {
+        return plan in this.quotas ? this.quotas[plan] : this.quotas.free;
+    }
+
+    async getQuotaStatus(userId, period = this.getPeriod()) {
+        const user = await User.findById(userId).select('accountInfo.plan');
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        const plan = user.accountInfo?.plan || 'free';
+        const limit = this.getQuota(plan);
+        const used = await AIUsage.getPeriodTotal(userId, period);
+
+        return {
+            plan,
+            period,
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+            percentUsed: limit === null ? null : Math.round((used / limit) * 1000) / 10,
+            resetsAt: this.getPeriodEnd(period)
+        };
+    }
+
+    // Checked before calling the provider; without a user (or a database) there is nothing to enforce
+    async assertWithinQuota(userId = this.getContext().userId) {
+        if (!userId || !isMongoDBAvailable()) {
+            return;
+        }
+
+        const status = await this.getQuotaStatus(userId);
+        if (status.limit !== null && status.used >= status.limit) {
+            throw new ApiError(429, `Monthly AI token quota reached for the ${status.plan} plan (${status.used} of ${status.limit} tokens used). It resets on ${status.resetsAt.toISOString().slice(0, 10)}`);
+        }
+    }
+
+    // Write one ledger entry. Never throws, so metering can't break the call it describes.
+    async record(entry) {
+        const context = this.getContext();
+        const userId = entry.userId || context.userId || null;
+        const websiteId = entry.websiteId || context.websiteId;
+        const inputTokens = entry.inputTokens || 0;
+        const outputTokens = entry.outputTokens || 0;
+
+        try {
+            if (!isMongoDBAvailable()) {
+                return null;
+            }
+
+            const usage = await AIUsage.create({
+                userId,
+                websiteId: mongoose.isValidObjectId(websiteId) ? websiteId : undefined,
+                endpoint: entry.endpoint || context.endpoint || 'internal',
+                source: entry.source,
+                provider: entry.provider,
+                model: entry.model,
+                inputTokens,
+                outputTokens,
+                totalTokens: inputTokens + outputTokens,
+                latencyMs: entry.latencyMs,
+                cacheHit: !!entry.cacheHit,
+                streamed: !!entry.streamed,
+                success: entry.success !== false,
+                error: entry.error,
+                period: this.getPeriod()
+            });
+
+            if (userId && usage.totalTokens > 0) {
+                await this.checkWarnings(userId);
+            }
+
+            return usage;
+        } catch (error) {
+            loggingService.logError(error, { operation: 'ai_usage_record', userId });
+            return null;
+        }
+    }
+
+    // Warn over the websocket notification channel when a threshold is crossed
+    async checkWarnings(userId) {
+        const status = await this.getQuotaStatus(userId);
+        if (status.limit === null) {
+            return null;
+        }
+
+        const user = await User.findById(userId).select('aiUsage');
+        const sent = user.aiUsage?.warningPeriod === status.period ? user.aiUsage.warningsSent : [];
+        const reached = this.warningThresholds.filter(percent => status.percentUsed >= percent);
+        const threshold = reached[reached.length - 1];
+
+        if (!threshold || sent.includes(threshold)) {
+            return null;
+        }
+
+        // Lower thresholds crossed at the same time are not sent separately
+        await User.updateOne(
+            { _id: userId },
+            { $set: { 'aiUsage.warningPeriod': status.period, 'aiUsage.warningsSent': [...new Set([...sent, ...reached])] } }
+        );
+
+        const exhausted = status.used >= status.limit;
+        websocketService.sendNotification(String(userId), {
+            type: 'ai_usage_warning',
+            level: exhausted ? 'error' : 'warning',
+            message: exhausted
+                ? `You have used all ${status.limit} AI tokens included in your ${status.plan} plan this month`
+                : `You have used ${status.percentUsed}% of the AI tokens included in your ${status.plan} plan this month`,
+            usage: {
+                plan: status.plan,
+                period: status.period,
+                used: status.used,
+                limit: status.limit,
+                percentUsed: status.percentUsed,
+                resetsAt: status.resetsAt
+            }
+        });
+
+        return threshold;
+    }
+
+    // Quota status plus a breakdown of the month's calls
+    async getUsageSummary(userId, period = this.getPeriod()) {
+        if (!PERIOD_PATTERN.test(period)) {
+            throw new ApiError(400, "Period must be a month in YYYY-MM format");
+        }
+
+        const quota = await this.getQuotaStatus(userId, period);
+        const match = { $match: { userId: new mongoose.Types.ObjectId(String(userId)), period } };
+        const totals = {
+            calls: { $sum: 1 },
+            cacheHits: { $sum: { $cond: ['$cacheHit', 1, 0] } },
+            failures: { $sum: { $cond: ['$success', 0, 1] } },
+            inputTokens: { $sum: '$inputTokens' },
+            outputTokens: { $sum: '$outputTokens' },
+            totalTokens: { $sum: '$totalTokens' },
+            averageLatencyMs: { $avg: '$latencyMs' }
+        };
+        const breakdown = (field) => AIUsage.aggregate([
+            match,
+            { $group: { _id: `$${field}`, ...totals } },
+            { $sort: { totalTokens: -1 } }
+        ]);
+
+        const [[overall], byEndpoint, byWebsite, byModel] = await Promise.all([
+            AIUsage.aggregate([match, { $group: { _id: null, ...totals } }]),
+            breakdown('endpoint'),
+            breakdown('websiteId'),
+            breakdown('model')
+        ]);
+
+        const format = ({ _id, averageLatencyMs, ...rest }) => ({
+            ...rest,
+            averageLatencyMs: averageLatencyMs === null || averageLatencyMs === undefined ? null : Math.round(averageLatencyMs)
+        });
+
+        return {
+            ...quota,
+            totals: overall
+                ? format(overall)
+                : { calls: 0, cacheHits: 0, failures: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, averageLatencyMs: null },
+            byEndpoint: byEndpoint.map(row => ({ endpoint: row._id, ...format(row) })),
+            byWebsite: byWebsite.map(row => ({ websiteId: row._id || null, ...format(row) })),
+            byModel: byModel.map(row => ({ model: row._id || null, ...format(row) }))
+        };
+    }
+}
+
+export default new AIUsageService();
@@ -0,0 +1,503 @@
+// src/services/analyticsService.js
+import mongoose from "mongoose";
+import AnalyticsAggregate from "../models/AnalyticsAggregate.js";
+import { Website } from "../models/website.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { LruCache } from "../utils/lruCache.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First-party analytics for published websites. Beacons are folded straight
+// into daily aggregate buckets, so no per-visitor data is ever stored.
+class AnalyticsService {
+    constructor() {
+        this.beaconTypes = ['pageview', 'engagement', 'performance', 'event'];
+        this.groupByOptions = ['day', 'week', 'month', 'page', 'referrer', 'device'];
+        this.metricFields = {
+            views: 'views',
+            page_views: 'pageViews',
+            sessions: 'sessions',
+            bounce_rate: 'bounceRate',
+            avg_session_duration: 'avgSessionDuration',
+            pages_per_session: 'pagesPerSession',
+            conversions: 'conversions',
+            conversion_rate: 'conversionRate'
+        };
+        this.performanceMetrics = [
+            'pageLoadTime',
+            'firstContentfulPaint',
+            'largestContentfulPaint',
+            'cumulativeLayoutShift',
+            'timeToInteractive'
+        ];
+        this.conversionEvents = ['cta_click', 'phone_click', 'email_click', 'appointment_click', 'appointment_request'];
+        this.maxPeriodDays = 365;
+        this.maxEngagementSeconds = 30 * 60;
+        this.botPattern = /bot|crawler|spider|crawling|headless|lighthouse|preview|monitor/i;
+
+        // Published-state lookups are cached briefly so beacons don't hit Website on every
+        // request. Bounded, since the public beacon endpoint accepts any website ID.
+        this.publishedCacheTTL = 5 * 60 * 1000; // 5 minutes
+        this.publishedCache = new LruCache({ maxSize: 5000, ttl: this.publishedCacheTTL });
+    }
+
+    // Add the beacon script to a served page
+    injectBeacon(html, websiteId) {
+        const beacon = `<script src="/api/v1/websites/${websiteId}/beacon.js" defer></script>`;
+        return html.includes('</body>') ? html.replace('</body>', `${beacon}\n</body>`) : `${html}\n${beacon}`;
+    }
+
+    // Record a beacon sent from a published site
+    async recordBeacon(websiteId, payload = {}, context = {}) {
+        try {
+            // Honour Do Not Track and Global Privacy Control
+            if (context.doNotTrack) {
+                return { recorded: false, reason: 'opt-out' };
+            }
+
+            if (!context.userAgent || this.botPattern.test(context.userAgent)) {
+                return { recorded: false, reason: 'bot' };
+            }
+
+            const type = payload.type || 'pageview';
+            if (!this.beaconTypes.includes(type)) {
+                throw new ApiError(400, `Unsupported beacon type. Use one of: ${this.beaconTypes.join(', ')}`);
+            }
+
+            if (!mongoose.Types.ObjectId.isValid(websiteId) || !(await this.isPublished(websiteId))) {
+                throw new ApiError(404, "Published website not found");
+            }
+
+            const counters = this.getCounters(type, payload);
+            if (!counters) {
+                return { recorded: false, reason: 'empty' };
+            }
+
+            const bucket = {
+                websiteId,
+                date: new Date(),
+                page: this.normalizePage(payload.page),
+                referrer: this.normalizeReferrer(payload.referrer, this.getSiteHost(context)),
+                device: this.detectDevice(context.userAgent)
+            };
+
+            try {
+                await AnalyticsAggregate.increment(bucket, counters);
+            } catch (error) {
+                // Two first hits on a new bucket can race on the unique index; the retry updates
+                if (error.code !== 11000) {
+                    throw error;
+                }
+                await AnalyticsAggregate.increment(bucket, counters);
+            }
+
+            return { recorded: true };
+
+        } catch (error) {
+            console.error('Record analytics beacon error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to record analytics: ${error.message}`);
+        }
+    }
+
+    // Aggregate traffic for a website over a period, broken down by groupBy
+    async getAnalytics(websiteId, options = {}) {
+        try {
+            const { period = '30d', groupBy = 'day', metrics = ['views', 'sessions', 'bounce_rate'] } = options;
+
+            if (!this.groupByOptions.includes(groupBy)) {
+                throw new ApiError(400, `Invalid groupBy. Use one of: ${this.groupByOptions.join(', ')}`);
+            }
+
+            const selectedMetrics = metrics.map(metric => metric.trim()).filter(Boolean);
+            const unknownMetrics = selectedMetrics.filter(metric => !this.metricFields[metric]);
+            if (unknownMetrics.length > 0) {
+                throw new ApiError(400, `Unsupported metrics: ${unknownMetrics.join(', ')}`);
+            }
+
+            const range = this.parsePeriod(period);
+            const match = this.getMatchStage(websiteId, range);
+
+            const [totals] = await AnalyticsAggregate.aggregate([
+                { $match: match },
+                { $group: this.getGroupStage(null) }
+            ]);
+            const events = await this.getEventTotals(match);
+
+            const breakdown = ['day', 'week', 'month'].includes(groupBy)
+                ? await this.getTimeBreakdown(match, range, groupBy)
+                : await this.getDimensionBreakdown(match, groupBy);
+
+            return {
+                analytics: {
+                    ...this.formatTotals(totals),
+                    events
+                },
+                period,
+                groupBy,
+                range: {
+                    start: range.start,
+                    end: range.end
+                },
+                breakdown: breakdown.map(entry => this.selectMetrics(entry, selectedMetrics)),
+                topPages: await this.getTopDimension(match, 'page'),
+                topReferrers: await this.getTopDimension(match, 'referrer'),
+                devices: await this.getTopDimension(match, 'device')
+            };
+
+        } catch (error) {
+            console.error('Get analytics error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to aggregate analytics: ${error.message}`);
+        }
+    }
+
+    // Average real-user performance timings over a period
+    async getPerformance(websiteId, options = {}) {
+        try {
+            const { period = '7d' } = options;
+            const range = this.parsePeriod(period);
+            const match = this.getMatchStage(websiteId, range);
+
+            const performanceSums = this.performanceMetrics.reduce((stage, metric) => {
+                stage[`${metric}Total`] = { $sum: `$performance.${metric}.total` };
+                stage[`${metric}Samples`] = { $sum: `$performance.${metric}.samples` };
+                return stage;
+            }, {});
+
+            const [totals] = await AnalyticsAggregate.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        ...this.getGroupStage(null),
+                        ...performanceSums
+                    }
+                }
+            ]);
+
+            const samples = {};
+            const metrics = this.performanceMetrics.reduce((result, metric) => {
+                samples[metric] = totals?.[`${metric}Samples`] || 0;
+                result[metric] = samples[metric] > 0
+                    ? this.round(totals[`${metric}Total`] / samples[metric], metric === 'cumulativeLayoutShift' ? 3 : 0)
+                    : null;
+                return result;
+            }, {});
+
+            return {
+                metrics,
+                samples,
+                analytics: this.formatTotals(totals),
+                period,
+                range: {
+                    start: range.start,
+                    end: range.end
+                },
+                generatedAt: new Date()
+            };
+
+        } catch (error) {
+            console.error('Get performance error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to aggregate performance metrics: ${error.message}`);
+        }
+    }
+
+    // Helper methods
+    async isPublished(websiteId) {
+        const cached = this.publishedCache.get(String(websiteId));
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const website = await Website.findOne({ _id: websiteId, isActive: true }).select('status').lean();
+        const published = website?.status === 'published';
+
+        this.publishedCache.set(String(websiteId), published);
+
+        return published;
+    }
+
+    getCounters(type, payload) {
+        switch (type) {
+            case 'pageview':
+                return {
+                    pageViews: 1,
+                    sessions: payload.newSession ? 1 : 0,
+                    engagedSessions: payload.engagedSession ? 1 : 0
+                };
+
+            case 'engagement': {
+                const duration = Number(payload.duration);
+                if (!Number.isFinite(duration) || duration < 0) {
+                    return null;
+                }
+                return {
+                    engagementTime: Math.min(Math.round(duration), this.maxEngagementSeconds),
+                    engagementSamples: 1
+                };
+            }
+
+            case 'performance': {
+                const counters = {};
+                this.performanceMetrics.forEach(metric => {
+                    const value = Number(payload.metrics?.[metric]);
+                    if (Number.isFinite(value) && value >= 0 && value < 120000) {
+                        counters[`performance.${metric}.total`] = value;
+                        counters[`performance.${metric}.samples`] = 1;
+                    }
+                });
+                return Object.keys(counters).length > 0 ? counters : null;
+            }
+
+            case 'event': {
+                const name = String(payload.name || '').toLowerCase();
+                if (!/^[a-z0-9_-]{1,40}$/.test(name)) {
+                    throw new ApiError(400, "Event name must be 1-40 characters of a-z, 0-9, _ or -");
+                }
+                return { [`events.${name}`]: 1 };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    // Keep only the path; query strings and fragments can carry personal data
+    normalizePage(page) {
+        if (!page || typeof page !== 'string') {
+            return '/';
+        }
+
+        let pathname = page;
+        try {
+            pathname = new URL(page, 'http://localhost').pathname;
+        } catch (error) {
+            return '/';
+        }
+
+        pathname = pathname.toLowerCase().replace(/\/{2,}/g, '/');
+        if (pathname.length > 1) {
+            pathname = pathname.replace(/\/$/, '');
+        }
+
+        return pathname.slice(0, 200) || '/';
+    }
+
+    // Beacons from custom domains carry the site in Origin; same-origin ones may not
+    getSiteHost(context) {
+        try {
+            return new URL(context.origin).host;
+        } catch (error) {
+            return context.host || '';
+        }
+    }
+
+    normalizeReferrer(referrer, host) {
+        if (!referrer || typeof referrer !== 'string') {
+            return 'direct';
+        }
+
+        try {
+            const hostname = new URL(referrer).hostname.toLowerCase().replace(/^www\./, '');
+            const ownHost = (host || '').toLowerCase().split(':')[0].replace(/^www\./, '');
+
+            // Navigation within the site itself is not a referral
+            if (!hostname || hostname === ownHost) {
+                return 'direct';
+            }
+
+            return hostname.slice(0, 255);
+        } catch (error) {
+            return 'direct';
+        }
+    }
+
+    detectDevice(userAgent = '') {
+        if (/ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i.test(userAgent)) {
+            return 'tablet';
+        }
+        if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) {
+            return 'mobile';
+        }
+        return 'desktop';
+    }
+
+    // Accepts periods such as 24h, 7d, 4w, 12m
+    parsePeriod(period) {
+        const match = /^(\d{1,3})([hdwm])$/.exec(String(period));
+        if (!match) {
+            throw new ApiError(400, "Invalid period. Use a number followed by h, d, w or m (e.g. 7d, 12m)");
+        }
+
+        const amount = parseInt(match[1]);
+        const unitDays = { h: 1 / 24, d: 1, w: 7, m: 30 }[match[2]];
+        const days = Math.ceil(amount * unitDays);
+
+        if (amount < 1 || days > this.maxPeriodDays) {
+            throw new ApiError(400, `Period must be between 1h and ${this.maxPeriodDays} days`);
+        }
+
+        // Buckets are daily, so ranges always cover whole days ending today
+        const end = new Date();
+        const start = AnalyticsAggregate.getBucketDate(new Date(end.getTime() - (days - 1) * DAY_MS));
+
+        return { start, end, days };
+    }
+
+    getMatchStage(websiteId, range) {
+        return {
+            websiteId: new mongoose.Types.ObjectId(String(websiteId)),
+            date: { $gte: range.start, $lte: range.end }
+        };
+    }
+
+    getGroupStage(key) {
+        return {
+            _id: key,
+            pageViews: { $sum: '$pageViews' },
+            sessions: { $sum: '$sessions' },
+            engagedSessions: { $sum: '$engagedSessions' },
+            engagementTime: { $sum: '$engagementTime' },
+            engagementSamples: { $sum: '$engagementSamples' },
+            conversions: {
+                $sum: {
+                    $add: this.conversionEvents.map(name => ({ $ifNull: [`$events.${name}`, 0] }))
+                }
+            }
+        };
+    }
+
+    async getEventTotals(match) {
+        const rows = await AnalyticsAggregate.aggregate([
+            { $match: match },
+            { $project: { events: { $objectToArray: '$events' } } },
+            { $unwind: '$events' },
+            { $group: { _id: '$events.k', count: { $sum: '$events.v' } } }
+        ]);
+
+        return rows.reduce((events, row) => {
+            events[row._id] = row.count;
+            return events;
+        }, {});
+    }
+
+    async getTimeBreakdown(match, range, groupBy) {
+        const rows = await AnalyticsAggregate.aggregate([
+            { $match: match },
+            { $group: this.getGroupStage('$date') }
+        ]);
+        const rowsByDay = new Map(rows.map(row => [row._id.toISOString(), row]));
+
+        // Roll daily buckets up into the requested interval, keeping empty days
+        const periods = new Map();
+        for (let time = range.start.getTime(); time <= range.end.getTime(); time += DAY_MS) {
+            const day = new Date(time);
+            const key = this.getPeriodKey(day, groupBy);
+            const row = rowsByDay.get(day.toISOString());
+
+            const entry = periods.get(key) || this.emptyCounts();
+            if (row) {
+                Object.keys(entry).forEach(field => {
+                    entry[field] += row[field];
+                });
+            }
+            periods.set(key, entry);
+        }
+
+        return Array.from(periods.entries()).map(([key, counts]) => ({
+            period: key,
+            ...this.formatTotals(counts)
+        }));
+    }
+
+    async getDimensionBreakdown(match, dimension, limit = 50) {
+        const rows = await AnalyticsAggregate.aggregate([
+            { $match: match },
+            { $group: this.getGroupStage(`$${dimension}`) },
+            { $sort: { pageViews: -1 } },
+            { $limit: limit }
+        ]);
+
+        return rows.map(row => ({
+            [dimension]: row._id,
+            ...this.formatTotals(row)
+        }));
+    }
+
+    async getTopDimension(match, dimension, limit = 10) {
+        const rows = await AnalyticsAggregate.aggregate([
+            { $match: match },
+            { $group: { _id: `$${dimension}`, views: { $sum: '$pageViews' } } },
+            { $sort: { views: -1 } },
+            { $limit: limit }
+        ]);
+
+        return rows.map(row => ({ [dimension]: row._id, views: row.views }));
+    }
+
+    // ISO date for day, Monday of the week, or YYYY-MM for month (all UTC)
+    getPeriodKey(date, groupBy) {
+        if (groupBy === 'month') {
+            return date.toISOString().slice(0, 7);
+        }
+
+        if (groupBy === 'week') {
+            const monday = new Date(date);
+            monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+            return monday.toISOString().slice(0, 10);
+        }
+
+        return date.toISOString().slice(0, 10);
+    }
+
+    emptyCounts() {
+        return {
+            pageViews: 0,
+            sessions: 0,
+            engagedSessions: 0,
+            engagementTime: 0,
+            engagementSamples: 0,
+            conversions: 0
+        };
+    }
+
+    formatTotals(counts) {
+        const totals = counts || this.emptyCounts();
+        const conversions = totals.conversions || 0;
+
+        return {
+            views: totals.pageViews,
+            pageViews: totals.pageViews,
+            sessions: totals.sessions,
+            bounceRate: totals.sessions > 0 ? this.round(Math.max(totals.sessions - totals.engagedSessions, 0) / totals.sessions, 3) : 0,
+            avgSessionDuration: totals.engagementSamples > 0 ? Math.round(totals.engagementTime / totals.engagementSamples) : 0,
+            pagesPerSession: totals.sessions > 0 ? this.round(totals.pageViews / totals.sessions, 2) : 0,
+            conversions,
+            conversionRate: totals.sessions > 0 ? this.round(conversions / totals.sessions, 3) : 0
+        };
+    }
+
+    selectMetrics(entry, metrics) {
+        if (metrics.length === 0) {
+            return entry;
+        }
+
+        const selected = {};
+        ['period', 'page', 'referrer', 'device'].forEach(key => {
+            if (entry[key] !== undefined) {
+                selected[key] = entry[key];
+            }
+        });
+        metrics.forEach(metric => {
+            const field = this.metricFields[metric];
+            selected[field] = entry[field];
+        });
+
+        return selected;
+    }
+
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+export default new AnalyticsService();
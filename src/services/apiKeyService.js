@@ -0,0 +1,204 @@
+// src/services/apiKeyService.js
+import crypto from "crypto";
+import ApiKey, { API_KEY_SCOPES } from "../models/ApiKey.js";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { logAuditEvent, HIPAA_EVENTS } from "../middlewares/hipaaAudit.middleware.js";
+
+const KEY_PREFIX = 'dwb_';
+const OBJECT_ID = '[a-f\\d]{24}';
+
+// Endpoints reachable with an API key and the scope each needs. Anything not listed
+// is refused for key-authenticated requests, so new routes stay JWT-only until added here.
+const API_KEY_ROUTES = [
+    { method: 'GET', pattern: new RegExp('^/api/v1/websites/?$'), scope: 'websites:read' },
+    { method: 'GET', pattern: new RegExp(`^/api/v1/websites/${OBJECT_ID}/?$`, 'i'), scope: 'websites:read' },
+    { method: 'GET', pattern: new RegExp(`^/api/v1/websites/${OBJECT_ID}/(publish-status|publish-history)/?$`, 'i'), scope: 'websites:read' },
+    { method: 'POST', pattern: new RegExp('^/api/v1/processing/process-text/?$'), scope: 'generate' },
+    { method: 'GET', pattern: new RegExp('^/api/v1/processing/(status|result)/[\\w-]+/?$'), scope: 'generate' },
+    { method: 'POST', pattern: new RegExp(`^/api/v1/websites/${OBJECT_ID}/(publish|unpublish)/?$`, 'i'), scope: 'publish' },
+    { method: 'PUT', pattern: new RegExp(`^/api/v1/websites/${OBJECT_ID}/republish/?$`, 'i'), scope: 'publish' }
+];
+
+// Personal API keys: creation, listing, revocation and request authentication
+class ApiKeyService {
+    constructor() {
+        this.maxKeysPerUser = 10;
+        this.maxExpiryDays = 365;
+    }
+
+    // Returns the plaintext key once; only its hash is stored
+    async createKey(userId, options = {}) {
+        try {
+            const { name, scopes, expiresInDays, rateLimitPerMinute } = options;
+
+            if (!name || typeof name !== 'string' || !name.trim()) {
+                throw new ApiError(400, "API key name is required");
+            }
+
+            const requestedScopes = [...new Set(Array.isArray(scopes) ? scopes : [])];
+            const unknownScopes = requestedScopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+            if (requestedScopes.length === 0 || unknownScopes.length > 0) {
+                throw new ApiError(400, `Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`);
+            }
+
+            let expiresAt;
+            if (expiresInDays !== undefined && expiresInDays !== null) {
+                const days = Number(expiresInDays);
+                if (!Number.isInteger(days) || days < 1 || days > this.maxExpiryDays) {
+                    throw new ApiError(400, `expiresInDays must be a whole number between 1 and ${this.maxExpiryDays}`);
+                }
+                expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+            }
+
+            if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null) {
+                const limit = Number(rateLimitPerMinute);
+                if (!Number.isInteger(limit) || limit < 1 || limit > 600) {
+                    throw new ApiError(400, "rateLimitPerMinute must be a whole number between 1 and 600");
+                }
+            }
+
+            const activeKeys = await ApiKey.countDocuments({
+                userId,
+                revokedAt: { $exists: false },
+                $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }]
+            });
+            if (activeKeys >= this.maxKeysPerUser) {
+                throw new ApiError(400, `You can have at most ${this.maxKeysPerUser} active API keys`);
+            }
+
+            const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+            const apiKey = await ApiKey.create({
+                userId,
+                name: name.trim(),
+                prefix: key.substring(0, KEY_PREFIX.length + 8),
+                keyHash: this.hashKey(key),
+                scopes: requestedScopes,
+                rateLimitPerMinute: rateLimitPerMinute ?? undefined,
+                expiresAt
+            });
+
+            logAuditEvent(HIPAA_EVENTS.CONFIGURATION_CHANGE, {
+                userId: String(userId),
+                resource: 'api_key',
+                resourceId: String(apiKey._id),
+                action: 'create',
+                outcome: 'success',
+                additionalInfo: { scopes: apiKey.scopes, expiresAt }
+            });
+
+            return {
+                key,
+                apiKey: this.formatKey(apiKey)
+            };
+        } catch (error) {
+            console.error('Create API key error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to create API key: ${error.message}`);
+        }
+    }
+
+    async listKeys(userId) {
+        const keys = await ApiKey.find({ userId }).sort({ createdAt: -1 });
+        return { apiKeys: keys.map(key => this.formatKey(key)) };
+    }
+
+    async revokeKey(userId, keyId) {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: keyId, userId, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        ).catch(() => null);
+
+        if (!apiKey) {
+            throw new ApiError(404, "API key not found");
+        }
+
+        logAuditEvent(HIPAA_EVENTS.CONFIGURATION_CHANGE, {
+            userId: String(userId),
+            resource: 'api_key',
+            resourceId: String(apiKey._id),
+            action: 'revoke',
+            outcome: 'success'
+        });
+
+        return { apiKey: this.formatKey(apiKey) };
+    }
+
+    // API keys are sent as "X-API-Key: dwb_..." or "Authorization: Bearer dwb_..."
+    extractKey(req) {
+        const headerKey = req.header('X-API-Key');
+        if (headerKey) {
+            return headerKey.trim();
+        }
+
+        const bearer = req.header('Authorization')?.replace('Bearer ', '').trim();
+        return bearer?.startsWith(KEY_PREFIX) ? bearer : null;
+    }
+
+    getRequiredScope(method, path) {
+        const route = API_KEY_ROUTES.find(entry => entry.method === method && entry.pattern.test(path));
+        return route ? route.scope : null;
+    }
+
+    // Resolve a presented key to its owner, recording when and where it was used
+    async authenticate(rawKey, { ip } = {}) {
+        if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+            throw new ApiError(401, "Invalid API key");
+        }
+
+        const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(rawKey) });
+        if (!apiKey) {
+            throw new ApiError(401, "Invalid API key");
+        }
+
+        if (apiKey.revokedAt) {
+            throw new ApiError(401, "API key has been revoked");
+        }
+
+        if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+            throw new ApiError(401, "API key has expired");
+        }
+
+        const user = await User.findById(apiKey.userId).select("-accountInfo.password -accountInfo.refreshToken");
+        if (!user) {
+            throw new ApiError(401, "Invalid API key");
+        }
+
+        this.recordUsage(apiKey, ip);
+
+        return { apiKey, user };
+    }
+
+    // Usage tracking must never fail the request
+    recordUsage(apiKey, ip) {
+        ApiKey.updateOne(
+            { _id: apiKey._id },
+            { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+        ).catch(error => {
+            console.error('Failed to record API key usage:', error.message);
+        });
+    }
+
+    hashKey(key) {
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+
+    formatKey(apiKey) {
+        return {
+            _id: apiKey._id,
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            scopes: apiKey.scopes,
+            rateLimitPerMinute: apiKey.rateLimitPerMinute,
+            expiresAt: apiKey.expiresAt || null,
+            lastUsedAt: apiKey.lastUsedAt || null,
+            lastUsedIp: apiKey.lastUsedIp || null,
+            usageCount: apiKey.usageCount,
+            revokedAt: apiKey.revokedAt || null,
+            isActive: apiKey.isActive(),
+            createdAt: apiKey.createdAt
+        };
+    }
+}
+
+export default new ApiKeyService();
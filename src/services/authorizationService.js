@@ -0,0 +1,129 @@
+// src/services/authorizationService.js
+import mongoose from "mongoose";
+import { Website } from "../models/website.models.js";
+import Organization from "../models/Organization.js";
+import { ApiError } from "../utils/apierror.js";
+
+// What each role may do. Websites outside an organization belong to their creator,
+// who acts as owner.
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'review', 'edit', 'publish', 'manage'],
+    editor: ['view', 'review', 'edit', 'publish'],
+    reviewer: ['view', 'review'],
+    viewer: ['view']
+};
+
+// Shared access checks for websites and organizations. Services call these instead
+// of matching the website's userId, so team members get access through their role.
+class AuthorizationService {
+    constructor() {
+        this.rolePermissions = ROLE_PERMISSIONS;
+    }
+
+    can(role, permission) {
+        return Boolean(role && this.rolePermissions[role]?.includes(permission));
+    }
+
+    rolesWith(permission) {
+        return Object.keys(this.rolePermissions).filter(role => this.can(role, permission));
+    }
+
+    // Check the user's role on a website; throws 404 without access and 403 when the role falls short
+    async authorizeWebsite(websiteId, userId, permission = 'view', options = {}) {
+        const { includeInactive = false } = options;
+
+        if (!mongoose.Types.ObjectId.isValid(String(websiteId))) {
+            throw new ApiError(404, "Website not found or access denied");
+        }
+
+        const filter = { _id: websiteId };
+        if (!includeInactive) {
+            filter.isActive = true;
+        }
+
+        const website = await Website.findOne(filter)
+            .select('userId organizationId isActive')
+            .lean();
+
+        const role = website ? await this.getWebsiteRole(website, userId) : null;
+
+        if (!role) {
+            throw new ApiError(404, "Website not found or access denied");
+        }
+
+        if (!this.can(role, permission)) {
+            throw new ApiError(403, `Your ${role} role does not allow you to ${permission} this website`);
+        }
+
+        return { website, role };
+    }
+
+    async getWebsiteRole(website, userId) {
+        if (website.organizationId) {
+            return this.getOrganizationRole(website.organizationId, userId);
+        }
+
+        return String(website.userId) === String(userId) ? 'owner' : null;
+    }
+
+    // Query filter matching every website the user has the permission on, for list queries.
+    // Combine with other $or conditions through $and. `prefix` targets a joined
+    // document, e.g. 'website.' after a $lookup.
+    async websiteScope(userId, permission = 'view', prefix = '') {
+        const organizationIds = await this.getOrganizationIds(userId, permission);
+
+        return {
+            $or: [
+                { [`${prefix}userId`]: new mongoose.Types.ObjectId(String(userId)), [`${prefix}organizationId`]: null },
+                { [`${prefix}organizationId`]: { $in: organizationIds } }
+            ]
+        };
+    }
+
+    async getOrganizationIds(userId, permission = 'view') {
+        return Organization.find({
+            isActive: true,
+            members: {
+                $elemMatch: {
+                    userId: new mongoose.Types.ObjectId(String(userId)),
+                    role: { $in: this.rolesWith(permission) }
+                }
+            }
+        }).distinct('_id');
+    }
+
+    async getOrganizationRole(organizationId, userId) {
+        const organization = await Organization.findOne({
+            _id: organizationId,
+            isActive: true,
+            'members.userId': userId
+        })
+            .select('members')
+            .lean();
+
+        const member = organization?.members.find(m => String(m.userId) === String(userId));
+        return member ? member.role : null;
+    }
+
+    // Load an organization the user belongs to and check their role allows the permission
+    async authorizeOrganization(organizationId, userId, permission = 'view') {
+        if (!mongoose.Types.ObjectId.isValid(String(organizationId))) {
+            throw new ApiError(404, "Organization not found or access denied");
+        }
+
+        const organization = await Organization.findOne({ _id: organizationId, isActive: true });
+        const member = organization?.getMember(userId);
+
+        if (!member) {
+            throw new ApiError(404, "Organization not found or access denied");
+        }
+
+        if (!this.can(member.role, permission)) {
+            throw new ApiError(403, `Your ${member.role} role does not allow you to ${permission} this organization`);
+        }
+
+        return { organization, role: member.role };
+    }
+}
+
+export default new AuthorizationService();
@@ -0,0 +1,146 @@
+// src/services/complianceService.js
+import fs from "fs";
+import aiService from "../service/ai.service.js";
+import promptRegistry from "./promptRegistryService.js";
+import loggingService from "./loggingService.js";
+import { COMPLIANCE_RULES, COMPLIANCE_SEVERITIES } from "../config/complianceRules.config.js";
+import { mergeRules, compileRules, collectText, evaluateRules, summarizeFindings } from "../utils/complianceRules.js";
+
+const GATE_MODES = ['off', 'warn', 'enforce'];
+const AI_REVIEW_CATEGORIES = ['outcome_claim', 'testimonial', 'phi'];
+
+// Content fields that aren't visitor-facing copy (or repeat it, like the rendered HTML)
+const IGNORED_FIELDS = ['generatedHtml', 'generatedAt', 'icon', 'specialty', 'contentFeatures', 'qualityScore', 'validationPassed', 'fallbackUsed'];
+
+// Copy sent for AI review is capped to keep the call's token use predictable
+const AI_REVIEW_MAX_CHARS = 12000;
+
+// Medical marketing compliance: phrase/regex rules (src/config/complianceRules.config.js,
+// extended by COMPLIANCE_RULES_FILE) run on every check, and an optional AI review
+// catches outcome claims, testimonials and PHI the rules can't phrase-match.
+// Used by the content quality check and as a publish gate, which
+// COMPLIANCE_PUBLISH_GATE sets to off, warn (report only) or enforce (errors block).
+class ComplianceService {
+    constructor() {
+        this.publishGate = GATE_MODES.includes(process.env.COMPLIANCE_PUBLISH_GATE) ? process.env.COMPLIANCE_PUBLISH_GATE : 'warn';
+        this.aiReviewByDefault = process.env.COMPLIANCE_AI_REVIEW === 'true';
+        this.rules = this.loadRules();
+    }
+
+    // Built-in rules merged with the optional rules file. An invalid file is logged and
+    // ignored so a typo can't disable checking altogether.
+    loadRules(file = process.env.COMPLIANCE_RULES_FILE) {
+        const defaults = compileRules(COMPLIANCE_RULES);
+        if (!file) {
+            return defaults;
+        }
+
+        try {
+            const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(overrides)) {
+                throw new Error('expected a JSON array of rules');
+            }
+            return compileRules(mergeRules(COMPLIANCE_RULES, overrides));
+        } catch (error) {
+            loggingService.logError(error, { operation: 'compliance_rules_load', file });
+            return defaults;
+        }
+    }
+
+    // Replace the rule set (e.g. in tests); pass nothing to reload the configured rules
+    setRules(rules) {
+        this.rules = rules ? compileRules(rules) : this.loadRules();
+    }
+
+    getRules() {
+        return this.rules.map(({ matcher, disclaimer, ...rule }) => rule);
+    }
+
+    // Text blocks to check: a plain string, or every copy field of website content
+    collectCopy(content) {
+        if (typeof content === 'string') {
+            return content.trim() ? [{ path: 'content', text: content }] : [];
+        }
+
+        const withoutIgnored = JSON.parse(JSON.stringify(content || {}, (key, value) => (IGNORED_FIELDS.includes(key) ? undefined : value)));
+        return collectText(withoutIgnored);
+    }
+
+    // Check copy against the rules and, when asked, the AI reviewer.
+    // Returns { status: pass|warn|fail, passed, counts, findings, aiReview, ... }.
+    async checkContent(content, { specialty = null, aiReview = this.aiReviewByDefault } = {}) {
+        const texts = this.collectCopy(content);
+        const findings = evaluateRules(this.rules, texts, specialty);
+        const { findings: aiFindings = [], ...review } = aiReview
+            ? await this.reviewWithAI(texts, specialty, findings)
+            : { status: 'skipped' };
+
+        const allFindings = [...findings, ...aiFindings];
+        return {
+            ...summarizeFindings(allFindings),
+            findings: allFindings,
+            specialty,
+            rulesChecked: this.rules.filter(rule => !rule.specialties || rule.specialties.includes(specialty?.toLowerCase())).length,
+            aiReview: { ...review, findingsCount: aiFindings.length },
+            checkedAt: new Date()
+        };
+    }
+
+    // AI review never fails the check: if the model is unavailable the rule results stand
+    async reviewWithAI(texts, specialty, ruleFindings = []) {
+        if (texts.length === 0) {
+            return { status: 'completed', findings: [] };
+        }
+
+        try {
+            const prompt = promptRegistry.render('compliance.review', {
+                specialty: specialty || 'general medicine',
+                content: texts.map(({ path, text }) => `${path}: ${text}`).join('\n').slice(0, AI_REVIEW_MAX_CHARS)
+            });
+            const { text } = await aiService.provider.generate(prompt.text, { maxTokens: 1500 });
+            const parsed = JSON.parse(aiService.extractJson(text));
+
+            // Drop anything outside the review's remit and anything a rule already reported
+            const findings = (Array.isArray(parsed.findings) ? parsed.findings : [])
+                .filter(finding => AI_REVIEW_CATEGORIES.includes(finding.category) && COMPLIANCE_SEVERITIES.includes(finding.severity) && finding.excerpt)
+                .filter(finding => !ruleFindings.some(existing =>
+                    existing.path === finding.path && String(finding.excerpt).toLowerCase().includes(existing.match.toLowerCase())))
+                .map(finding => ({
+                    ruleId: `ai-${finding.category}`,
+                    category: finding.category,
+                    severity: finding.severity,
+                    message: finding.message || 'Flagged by AI compliance review',
+                    suggestion: finding.suggestion || null,
+                    path: finding.path || null,
+                    match: String(finding.excerpt),
+                    excerpt: String(finding.excerpt),
+                    source: 'ai'
+                }));
+
+            return { status: 'completed', findings, prompt: prompt.id, model: aiService.modelId };
+        } catch (error) {
+            loggingService.logError(error, { operation: 'ai_compliance_review', specialty });
+            return { status: 'unavailable', error: error.message, findings: [] };
+        }
+    }
+
+    // Compliance part of publish validation: { errors, warnings, compliance } to merge into
+    // PublishService's result. Error findings only block publishing when the gate is enforced.
+    async checkForPublishing(content, specialty) {
+        if (this.publishGate === 'off') {
+            return { errors: [], warnings: [], compliance: null };
+        }
+
+        const compliance = await this.checkContent(content, { specialty });
+        const describe = (finding) => `Compliance (${finding.ruleId}) at ${finding.path || 'content'}: ${finding.message} - "${finding.match}"`;
+        const blocking = this.publishGate === 'enforce' ? compliance.findings.filter(finding => finding.severity === 'error') : [];
+
+        return {
+            errors: blocking.map(describe),
+            warnings: compliance.findings.filter(finding => !blocking.includes(finding) && finding.severity !== 'info').map(describe),
+            compliance: { ...compliance, gate: this.publishGate }
+        };
+    }
+}
+
+export default new ComplianceService();
@@ -1,32 +1,51 @@
-import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+import { BedrockRuntimeClient } from '@aws-sdk/client-bedrock-runtime';
 import { ApiError } from '../utils/apierror.js';
 import { config } from '../config/environment.js';
 import loggingService from './loggingService.js';
 import { Website } from '../models/website.models.js';
+import authorizationService from './authorizationService.js';
+import { createAIProvider } from '../utils/aiProviders.js';
+import aiUsageService from './aiUsageService.js';
+import promptRegistry from './promptRegistryService.js';
+import complianceService from './complianceService.js';
 
 class ContentRegenerationService {
     constructor() {
-        this.bedrockClient = new BedrockRuntimeClient({
-            region: config.aws.bedrockRegion || 'us-east-1',
-            credentials: {
-                accessKeyId: config.aws.accessKeyId,
-                secretAccessKey: config.aws.secretAccessKey
-            }
-        });
-        
-        this.modelId = config.ai.modelId || 'anthropic.claude-3-5-sonnet-20241022-v2:0';
         this.maxTokens = config.ai.maxTokens || 2000;
         this.timeout = config.ai.timeout || 30000;
+        this.provider = aiUsageService.meterProvider(this.createProvider(), 'content_regeneration');
+    }
+
+    createProvider() {
+        return createAIProvider(process.env.AI_PROVIDER, {
+            client: new BedrockRuntimeClient({
+                region: config.aws.bedrockRegion || 'us-east-1',
+                credentials: {
+                    accessKeyId: config.aws.accessKeyId,
+                    secretAccessKey: config.aws.secretAccessKey
+                }
+            }),
+            model: config.ai.modelId || 'anthropic.claude-3-5-sonnet-20241022-v2:0'
+        });
+    }
+
+    get modelId() {
+        return this.provider.model;
+    }
+
+    // Swap the AI provider (e.g. a fixture in tests); pass nothing to restore the configured one
+    setProvider(provider) {
+        this.provider = aiUsageService.meterProvider(provider || this.createProvider(), 'content_regeneration');
     }
 
     async regenerateSection(websiteId, sectionId, prompt, currentContent, userId, options = {}) {
         try {
             const { fieldId, action = 'regenerate', targetAudience = 'patients', keywords = [] } = options;
             
-            // Verify user owns the website
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -88,7 +107,7 @@ Return your response in this exact JSON format:
   }
 }`;
 
-            const result = await this.callBedrock(regenerationPrompt);
+            const result = await this.callModel(regenerationPrompt);
             
             // Log the regeneration
             loggingService.logAIUsage('content_regeneration', {
@@ -174,7 +193,7 @@ Return your response in this exact JSON format:
   "seoKeywords": ["keyword1", "keyword2", "keyword3"]
 }`;
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt);
             
             // Log the improvement
             loggingService.logAIUsage('content_improvement', {
@@ -244,7 +263,7 @@ Return your response in this exact JSON format:
   "overallConfidence": 0.89
 }`;
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt);
             
             // Log the variation generation
             loggingService.logAIUsage('content_variations', {
@@ -280,41 +299,13 @@ Return your response in this exact JSON format:
         try {
             const keywordList = Array.isArray(targetKeywords) ? targetKeywords.join(', ') : targetKeywords || '';
             
-            const prompt = `You are an SEO expert specializing in medical practice websites.
-
-Content Type: ${contentType}
-Current Content:
-${content}
-
-Target Keywords: ${keywordList}
-
-Optimize this content for SEO while maintaining:
-1. Natural readability and flow
-2. Medical accuracy and professionalism
-3. Patient-friendly language
-4. Keyword integration that feels organic
-5. Search engine optimization best practices
-
-Return your response in this exact JSON format:
-{
-  "optimizedContent": "SEO optimized content here",
-  "seoImprovements": [
-    {"type": "keyword_integration", "description": "Added target keywords naturally"},
-    {"type": "structure", "description": "Improved content structure for SEO"}
-  ],
-  "keywordDensity": {
-    "keyword1": 2.5,
-    "keyword2": 1.8
-  },
-  "seoScore": 0.85,
-  "confidence": 0.91,
-  "recommendations": [
-    "Add more internal linking opportunities",
-    "Consider adding FAQ section"
-  ]
-}`;
+            const prompt = promptRegistry.render('content.seo', {
+                content,
+                contentType,
+                targetKeywords: keywordList
+            });
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt.text);
             
             // Log the SEO optimization
             loggingService.logAIUsage('seo_optimization', {
@@ -338,7 +329,8 @@ Return your response in this exact JSON format:
                     contentType,
                     targetKeywords: keywordList,
                     optimizedAt: new Date(),
-                    model: this.modelId
+                    model: this.modelId,
+                    prompt: prompt.id
                 }
             };
 
@@ -348,7 +340,9 @@ Return your response in this exact JSON format:
         }
     }
 
-    async checkContentQuality(content, contentType, specialty, userId) {
+    // AI quality analysis plus the medical marketing compliance check (rules, and
+    // the AI compliance review when options.aiReview is set)
+    async checkContentQuality(content, contentType, specialty, userId, options = {}) {
         try {
             const prompt = `You are a medical content quality expert specializing in ${specialty}.
 
@@ -392,7 +386,10 @@ Return your response in this exact JSON format:
   "confidence": 0.92
 }`;
 
-            const result = await this.callBedrock(prompt);
+            const [result, compliance] = await Promise.all([
+                this.callModel(prompt),
+                complianceService.checkContent(content, { specialty, aiReview: options.aiReview })
+            ]);
             
             // Log the quality check
             loggingService.logAIUsage('content_quality_check', {
@@ -400,7 +397,8 @@ Return your response in this exact JSON format:
                 specialty,
                 userId,
                 contentLength: content.length,
-                qualityScore: result.qualityScore
+                qualityScore: result.qualityScore,
+                complianceStatus: compliance.status
             });
 
             return {
@@ -411,6 +409,7 @@ Return your response in this exact JSON format:
                 improvements: result.improvements || [],
                 recommendations: result.recommendations || [],
                 riskFactors: result.riskFactors || [],
+                compliance,
                 confidence: result.confidence || 0.9,
                 metadata: {
                     contentType,
@@ -469,7 +468,7 @@ Return your response in this exact JSON format:
   "confidence": 0.88
 }`;
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt);
             
             // Log the suggestion generation
             loggingService.logAIUsage('content_suggestions', {
@@ -501,45 +500,29 @@ Return your response in this exact JSON format:
         }
     }
 
-    async callBedrock(prompt) {
+    async callModel(prompt) {
         try {
-            const command = new InvokeModelCommand({
-                modelId: this.modelId,
-                body: JSON.stringify({
-                    anthropic_version: 'bedrock-2023-05-31',
-                    max_tokens: this.maxTokens,
-                    messages: [{ 
-                        role: 'user', 
-                        content: prompt 
-                    }],
-                    temperature: 0.7,
-                    top_p: 0.9
-                })
-            });
-
-            const response = await this.bedrockClient.send(command);
-            const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-            
-            if (!responseBody.content || !responseBody.content[0] || !responseBody.content[0].text) {
-                throw new Error('Invalid response from Bedrock');
-            }
+            const { text } = await this.provider.generate(prompt, { maxTokens: this.maxTokens });
             
             try {
-                return JSON.parse(responseBody.content[0].text);
+                return JSON.parse(text);
             } catch (parseError) {
                 // If JSON parsing fails, return a fallback response
-                loggingService.logError('Failed to parse Bedrock response as JSON', parseError, { 
-                    response: responseBody.content[0].text 
+                loggingService.logError('Failed to parse AI response as JSON', parseError, { 
+                    response: text 
                 });
                 return {
-                    content: responseBody.content[0].text,
+                    content: text,
                     confidence: 0.7,
                     error: 'Failed to parse structured response'
                 };
             }
 
         } catch (error) {
-            loggingService.logError('Bedrock API call failed', error);
+            loggingService.logError('AI provider call failed', error, { provider: this.provider.name });
+            if (error instanceof ApiError && error.statusCode < 500) {
+                throw error;
+            }
             throw new ApiError(500, `AI service unavailable: ${error.message}`);
         }
     }
@@ -553,37 +536,14 @@ Return your response in this exact JSON format:
     // Adjust content tone
     async adjustTone(content, targetTone, audience, specialty = 'general medicine', userId) {
         try {
-            const prompt = `You are a medical content tone specialist.
-
-Content to adjust:
-${content}
-
-Target Tone: ${targetTone}
-Target Audience: ${audience}
-Medical Specialty: ${specialty}
-
-Adjust the tone of this content while maintaining:
-1. Medical accuracy and professionalism
-2. Appropriate terminology for the specialty
-3. Clear, understandable language for the audience
-4. Trust-building elements
-
-Return your response in this exact JSON format:
-{
-  "adjustedContent": "tone-adjusted content here",
-  "toneChanges": [
-    {"from": "formal", "to": "friendly", "description": "Made language more approachable"},
-    {"aspect": "terminology", "change": "simplified medical terms"}
-  ],
-  "audienceAppropriate": true,
-  "confidence": 0.92,
-  "suggestedImprovements": [
-    "Consider adding patient testimonials",
-    "Include more empathetic language"
-  ]
-}`;
+            const prompt = promptRegistry.render('content.tone', {
+                content,
+                targetTone,
+                audience,
+                specialty
+            });
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt.text);
             
             loggingService.logAIUsage('tone_adjustment', {
                 targetTone,
@@ -606,7 +566,8 @@ Return your response in this exact JSON format:
                     audience,
                     specialty,
                     adjustedAt: new Date(),
-                    model: this.modelId
+                    model: this.modelId,
+                    prompt: prompt.id
                 }
             };
 
@@ -619,36 +580,14 @@ Return your response in this exact JSON format:
     // Expand content
     async expandContent(content, expansionType = 'detailed', targetLength, specialty = 'general medicine', userId) {
         try {
-            const prompt = `You are a medical content expansion specialist.
-
-Content to expand:
-${content}
-
-Expansion Type: ${expansionType}
-Target Length: ${targetLength ? `approximately ${targetLength} words` : 'significantly longer'}
-Medical Specialty: ${specialty}
-
-Expand this content while:
-1. Maintaining medical accuracy
-2. Adding valuable information for patients
-3. Including relevant medical terminology
-4. Keeping the content engaging and informative
-5. Following logical structure and flow
-
-Return your response in this exact JSON format:
-{
-  "expandedContent": "expanded content here",
-  "addedElements": [
-    {"type": "detail", "description": "Added procedure explanation"},
-    {"type": "benefit", "description": "Included patient benefits"}
-  ],
-  "wordCount": 250,
-  "expansionRatio": 2.1,
-  "confidence": 0.88,
-  "qualityScore": 0.92
-}`;
+            const prompt = promptRegistry.render('content.expand', {
+                content,
+                expansionType,
+                targetLength: targetLength ? `approximately ${targetLength} words` : 'significantly longer',
+                specialty
+            });
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt.text);
             
             loggingService.logAIUsage('content_expansion', {
                 expansionType,
@@ -672,7 +611,8 @@ Return your response in this exact JSON format:
                     targetLength,
                     specialty,
                     expandedAt: new Date(),
-                    model: this.modelId
+                    model: this.modelId,
+                    prompt: prompt.id
                 }
             };
 
@@ -685,37 +625,14 @@ Return your response in this exact JSON format:
     // Shorten content
     async shortenContent(content, targetLength, preserveKeyPoints = true, specialty = 'general medicine', userId) {
         try {
-            const prompt = `You are a medical content conciseness specialist.
-
-Content to shorten:
-${content}
-
-Target Length: ${targetLength ? `approximately ${targetLength} words` : 'significantly shorter'}
-Preserve Key Points: ${preserveKeyPoints}
-Medical Specialty: ${specialty}
-
-Shorten this content while:
-1. Maintaining medical accuracy and essential information
-2. Preserving key points and critical details
-3. Keeping the professional tone
-4. Ensuring clarity and readability
-5. Maintaining patient trust elements
-
-Return your response in this exact JSON format:
-{
-  "shortenedContent": "shortened content here",
-  "removedElements": [
-    {"type": "redundancy", "description": "Removed repetitive information"},
-    {"type": "detail", "description": "Condensed technical explanation"}
-  ],
-  "wordCount": 120,
-  "compressionRatio": 0.6,
-  "keyPointsPreserved": ["benefit 1", "benefit 2", "key info"],
-  "confidence": 0.91,
-  "readabilityScore": 0.88
-}`;
+            const prompt = promptRegistry.render('content.shorten', {
+                content,
+                targetLength: targetLength ? `approximately ${targetLength} words` : 'significantly shorter',
+                preserveKeyPoints,
+                specialty
+            });
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt.text);
             
             loggingService.logAIUsage('content_shortening', {
                 targetLength,
@@ -740,7 +657,8 @@ Return your response in this exact JSON format:
                     preserveKeyPoints,
                     specialty,
                     shortenedAt: new Date(),
-                    model: this.modelId
+                    model: this.modelId,
+                    prompt: prompt.id
                 }
             };
 
@@ -811,7 +729,7 @@ Return your response in this exact JSON format:
   "confidence": 0.92
 }`;
 
-            const result = await this.callBedrock(prompt);
+            const result = await this.callModel(prompt);
             
             loggingService.logAIUsage('content_analysis', {
                 sectionType,
@@ -846,10 +764,11 @@ Return your response in this exact JSON format:
     // Get service statistics
     getServiceStats() {
         return {
+            provider: this.provider.name,
             modelId: this.modelId,
             maxTokens: this.maxTokens,
             timeout: this.timeout,
-            isConfigured: !!(this.bedrockClient && config.aws.accessKeyId),
+            isConfigured: this.provider.name !== 'bedrock' || !!config.aws.accessKeyId,
             supportedActions: [
                 'regenerate', 'improve', 'optimize-seo', 'adjust-tone', 
                 'expand', 'shorten', 'analyze', 'suggestions'
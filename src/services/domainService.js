@@ -0,0 +1,408 @@
+// src/services/domainService.js
+import dns from "dns";
+import crypto from "crypto";
+import { Website } from "../models/website.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { generateShortId } from "../utils/urlGenerator.js";
+import { LruCache } from "../utils/lruCache.js";
+import authorizationService from "./authorizationService.js";
+import loggingService from "./loggingService.js";
+
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?!-)([a-z0-9-]{1,63}(?<!-)\.)+[a-z]{2,63}$/;
+
+// Custom domain ownership verification and host lookup. Owners prove control of
+// a domain by publishing a TXT record containing a per-website token.
+class DomainService {
+    constructor() {
+        this.defaultResolver = (hostname) => dns.promises.resolveTxt(hostname);
+        this.resolveTxt = this.defaultResolver;
+        this.recordPrefix = process.env.CUSTOM_DOMAIN_TXT_PREFIX || '_medsite-verification';
+        this.cnameTarget = process.env.CUSTOM_DOMAIN_CNAME_TARGET || 'sites.medical-websites.com';
+        this.platformHosts = (process.env.PLATFORM_HOSTS || 'localhost,127.0.0.1')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+        this.platformDomain = this.getHostname(process.env.PUBLIC_BASE_URL || 'https://medical-websites.com');
+
+        // Host -> website lookups for routing. Hits are re-checked against the
+        // database every minute; misses (any hostname a client sends) expire sooner
+        // so a newly verified domain starts routing quickly.
+        this.hostCacheTTL = 60 * 1000; // 1 minute
+        this.hostMissTTL = 10 * 1000; // 10 seconds
+        this.hostCache = new LruCache({ maxSize: 5000, ttl: this.hostCacheTTL });
+    }
+
+    // Swap the TXT resolver (e.g. a stub in tests); pass nothing to restore DNS
+    setResolver(resolver) {
+        this.resolveTxt = resolver || this.defaultResolver;
+    }
+
+    // Attach a domain to a website and issue a verification token
+    async setCustomDomain(websiteId, userId, options = {}) {
+        try {
+            const { sslEnabled = true } = options;
+            const domain = this.normalizeDomain(options.domain);
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'manage');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const claimedBy = await Website.findOne({
+                _id: { $ne: websiteId },
+                'customDomain.domain': domain,
+                'customDomain.status': 'verified'
+            }).select('_id');
+
+            if (claimedBy) {
+                throw new ApiError(409, "Domain is already connected to another website");
+            }
+
+            const previousDomain = website.customDomain?.domain;
+
+            // Re-submitting the current domain keeps its token and verification
+            if (previousDomain === domain) {
+                website.customDomain.sslEnabled = sslEnabled;
+            } else {
+                website.customDomain = {
+                    domain,
+                    status: 'pending',
+                    verificationToken: crypto.randomBytes(16).toString('hex'),
+                    sslEnabled,
+                    requestedAt: new Date()
+                };
+            }
+
+            await website.save();
+
+            this.invalidateHost(previousDomain);
+            this.invalidateHost(domain);
+
+            loggingService.logAppEvent('info', 'Custom domain requested', {
+                websiteId,
+                userId,
+                domain,
+                previousDomain
+            });
+
+            return this.formatCustomDomain(website.customDomain);
+
+        } catch (error) {
+            console.error('Set custom domain error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to set custom domain: ${error.message}`);
+        }
+    }
+
+    // Look up the TXT record and mark the domain verified or failed
+    async verifyCustomDomain(websiteId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'manage');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const customDomain = website.customDomain;
+            if (!customDomain?.domain) {
+                throw new ApiError(404, "No custom domain configured for this website");
+            }
+
+            const record = this.getVerificationRecord(customDomain);
+            const check = await this.checkTxtRecord(record);
+
+            customDomain.lastCheckedAt = new Date();
+            customDomain.checkCount = (customDomain.checkCount || 0) + 1;
+
+            if (check.verified) {
+                customDomain.status = 'verified';
+                customDomain.verifiedAt = customDomain.verifiedAt || new Date();
+                customDomain.failureReason = undefined;
+            } else if (check.transient) {
+                customDomain.failureReason = check.reason;
+            } else {
+                customDomain.status = 'failed';
+                customDomain.failureReason = check.reason;
+            }
+
+            try {
+                await website.save();
+            } catch (error) {
+                // Unique index on verified domains: someone else verified it first
+                if (error.code === 11000) {
+                    throw new ApiError(409, "Domain is already connected to another website");
+                }
+                throw error;
+            }
+
+            this.invalidateHost(customDomain.domain);
+
+            loggingService.logAppEvent(check.verified ? 'info' : 'warn', 'Custom domain verification checked', {
+                websiteId,
+                domain: customDomain.domain,
+                status: customDomain.status,
+                reason: check.reason
+            });
+
+            return this.formatCustomDomain(customDomain);
+
+        } catch (error) {
+            console.error('Verify custom domain error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to verify custom domain: ${error.message}`);
+        }
+    }
+
+    // Get current domain status with DNS setup instructions
+    async getCustomDomain(websiteId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            }).select('customDomain');
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            if (!website.customDomain?.domain) {
+                throw new ApiError(404, "No custom domain configured for this website");
+            }
+
+            return this.formatCustomDomain(website.customDomain);
+
+        } catch (error) {
+            console.error('Get custom domain error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve custom domain: ${error.message}`);
+        }
+    }
+
+    // Detach the domain; routing stops immediately
+    async removeCustomDomain(websiteId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'manage');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const domain = website.customDomain?.domain;
+            if (!domain) {
+                throw new ApiError(404, "No custom domain configured for this website");
+            }
+
+            website.customDomain = undefined;
+            await website.save();
+
+            this.invalidateHost(domain);
+
+            loggingService.logAppEvent('info', 'Custom domain removed', {
+                websiteId,
+                userId,
+                domain
+            });
+
+            return {
+                success: true,
+                domain,
+                message: "Custom domain removed successfully"
+            };
+
+        } catch (error) {
+            console.error('Remove custom domain error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to remove custom domain: ${error.message}`);
+        }
+    }
+
+    // Resolve a request host to the website with that verified domain
+    async findWebsiteByHost(host) {
+        const hostname = this.getHostname(host);
+        if (!hostname || this.isPlatformHost(hostname)) {
+            return null;
+        }
+
+        const cached = this.hostCache.get(hostname);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        // www.example.com falls back to a verified example.com
+        const candidates = [hostname];
+        if (hostname.startsWith('www.')) {
+            candidates.push(hostname.slice(4));
+        }
+
+        const website = await Website.findOne({
+            'customDomain.domain': { $in: candidates },
+            'customDomain.status': 'verified',
+            isActive: true
+        }).select('_id userId customDomain status').lean();
+
+        this.hostCache.set(hostname, website, website ? this.hostCacheTTL : this.hostMissTTL);
+
+        return website;
+    }
+
+    // Resolve /sites/<shortId> on the platform host to its published website
+    async findWebsiteByShortId(shortId) {
+        if (!/^[0-9a-f]{8}$/.test(shortId || '')) {
+            return null;
+        }
+
+        const query = { status: 'published', isActive: true };
+        const website = await Website.findOne({ ...query, shortId }).select('_id userId customDomain status').lean();
+        if (website) {
+            return website;
+        }
+
+        // Sites last saved before shortId was stored: backfill them all at once so
+        // later misses don't scan again
+        const legacy = await Website.find({ ...query, shortId: { $exists: false } }).select('_id userId customDomain status').lean();
+        if (legacy.length === 0) {
+            return null;
+        }
+
+        await Website.bulkWrite(legacy.map(site => ({
+            updateOne: {
+                filter: { _id: site._id },
+                update: { $set: { shortId: generateShortId(site._id) } }
+            }
+        })));
+
+        return legacy.find(site => generateShortId(site._id) === shortId) || null;
+    }
+
+    // Helper methods
+    normalizeDomain(domain) {
+        if (!domain || typeof domain !== 'string') {
+            throw new ApiError(400, "Domain is required");
+        }
+
+        const hostname = domain
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .split(/[/?#]/)[0]
+            .replace(/:\d+$/, '')
+            .replace(/\.$/, '');
+
+        if (!DOMAIN_PATTERN.test(hostname)) {
+            throw new ApiError(400, "Invalid domain name");
+        }
+
+        if (this.isPlatformHost(hostname)) {
+            throw new ApiError(400, "Platform domains cannot be used as a custom domain");
+        }
+
+        return hostname;
+    }
+
+    getHostname(value) {
+        if (!value) {
+            return '';
+        }
+
+        try {
+            const url = value.includes('://') ? value : `http://${value}`;
+            return new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    isPlatformHost(hostname) {
+        if (this.platformHosts.includes(hostname)) {
+            return true;
+        }
+
+        return !!this.platformDomain &&
+            (hostname === this.platformDomain || hostname.endsWith(`.${this.platformDomain}`));
+    }
+
+    getVerificationRecord(customDomain) {
+        return {
+            type: 'TXT',
+            name: `${this.recordPrefix}.${customDomain.domain}`,
+            value: `medsite-verification=${customDomain.verificationToken}`
+        };
+    }
+
+    async checkTxtRecord(record) {
+        try {
+            const records = await this.resolveTxt(record.name);
+
+            // TXT records arrive as arrays of character-string chunks
+            const values = (records || []).map(chunks => (Array.isArray(chunks) ? chunks.join('') : String(chunks)).trim());
+
+            if (values.includes(record.value)) {
+                return { verified: true };
+            }
+
+            return {
+                verified: false,
+                reason: values.length > 0
+                    ? `TXT record found at ${record.name} but the value does not match`
+                    : `No TXT record found at ${record.name}`
+            };
+        } catch (error) {
+            if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+                return { verified: false, reason: `No TXT record found at ${record.name}` };
+            }
+
+            // Timeouts and server failures say nothing about ownership
+            return { verified: false, transient: true, reason: `DNS lookup failed: ${error.code || error.message}` };
+        }
+    }
+
+    invalidateHost(domain) {
+        if (!domain) {
+            return;
+        }
+
+        this.hostCache.delete(domain);
+        this.hostCache.delete(`www.${domain}`);
+    }
+
+    // Forget cached hosts of a website that was unpublished, deleted or purged
+    invalidateWebsite(websiteId) {
+        this.hostCache.deleteWhere(website => website && String(website._id) === String(websiteId));
+    }
+
+    formatCustomDomain(customDomain) {
+        return {
+            domain: customDomain.domain,
+            status: customDomain.status,
+            sslEnabled: customDomain.sslEnabled,
+            requestedAt: customDomain.requestedAt,
+            verifiedAt: customDomain.verifiedAt,
+            lastCheckedAt: customDomain.lastCheckedAt,
+            failureReason: customDomain.failureReason,
+            dnsRecords: [
+                this.getVerificationRecord(customDomain),
+                {
+                    type: 'CNAME',
+                    name: customDomain.domain,
+                    value: this.cnameTarget
+                }
+            ]
+        };
+    }
+}
+
+export default new DomainService();
@@ -0,0 +1,318 @@
+// src/services/emailVerificationService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { sendEmailVerificationEmail, sendEmailChangeConfirmationEmail } from "../utils/email.js";
+import { logAuditEvent, HIPAA_EVENTS } from "../middlewares/hipaaAudit.middleware.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Email ownership: verification links for the account address and a change-of-email
+// flow that only switches once both the old and the new address have confirmed.
+// Links are signed, short-lived and single-use (only the hash of the current jti is stored).
+class EmailVerificationService {
+    constructor() {
+        this.verificationExpiry = '24h';
+        this.changeExpiry = '2h';
+        this.changeTTL = 2 * 60 * 60 * 1000;
+        this.verificationPurpose = 'email_verification';
+        this.changePurpose = 'email_change';
+        // At most maxSendsPerWindow messages per window, and one per cooldown
+        this.resendCooldown = 60 * 1000; // 1 minute
+        this.sendWindow = 60 * 60 * 1000; // 1 hour
+        this.maxSendsPerWindow = 5;
+    }
+
+    // Send (or re-send) the verification link for the account's current address
+    async sendVerification(userOrId) {
+        const user = userOrId instanceof User ? userOrId : await User.findById(userOrId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        if (this.isVerified(user)) {
+            throw new ApiError(409, "Email address is already verified");
+        }
+
+        this.assertCanSend(user);
+
+        const tokenId = crypto.randomBytes(16).toString('hex');
+        const token = jwt.sign(
+            { _id: user._id, jti: tokenId, email: user.personalInfo.professionalEmail, purpose: this.verificationPurpose },
+            this.getSecret(this.verificationPurpose),
+            { expiresIn: this.verificationExpiry }
+        );
+
+        await sendEmailVerificationEmail(user.personalInfo.professionalEmail, token, user.personalInfo.firstName);
+
+        // Only the newest link works
+        user.accountInfo.emailVerificationTokenId = this.hashTokenId(tokenId);
+        this.recordSend(user);
+        await user.save({ validateBeforeSave: false });
+
+        return {
+            email: user.personalInfo.professionalEmail,
+            expiresIn: this.verificationExpiry,
+            resendAvailableAt: new Date(Date.now() + this.resendCooldown)
+        };
+    }
+
+    async verifyEmail(token) {
+        const payload = this.verifyToken(token, this.verificationPurpose, "Verification link is invalid or has expired");
+
+        const user = await User.findById(payload._id).select('+accountInfo.emailVerificationTokenId');
+        if (!user || user.accountInfo.emailVerificationTokenId !== this.hashTokenId(payload.jti) ||
+            user.personalInfo.professionalEmail !== payload.email) {
+            throw new ApiError(400, "Verification link is invalid or has expired");
+        }
+
+        user.accountInfo.emailVerified = true;
+        user.accountInfo.emailVerifiedAt = new Date();
+        user.accountInfo.emailVerificationTokenId = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        logAuditEvent(HIPAA_EVENTS.USER_UPDATED, {
+            userId: String(user._id),
+            resource: 'user_account',
+            resourceId: String(user._id),
+            action: 'email_verified',
+            outcome: 'success'
+        });
+
+        return this.formatStatus(user);
+    }
+
+    // Start a change of email: one link to the current address and one to the new one
+    async requestEmailChange(userId, { newEmail, password } = {}) {
+        const user = await User.findById(userId).select('+accountInfo.password');
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        const email = String(newEmail || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) {
+            throw new ApiError(400, "A valid new email address is required");
+        }
+
+        if (email === user.personalInfo.professionalEmail) {
+            throw new ApiError(400, "New email address is the same as the current one");
+        }
+
+        // Password accounts confirm the request; Google-only accounts rely on both confirmations
+        if (user.accountInfo.password && (!password || !(await user.isPasswordCorrect(password)))) {
+            throw new ApiError(401, "Password is incorrect");
+        }
+
+        if (await User.exists({ 'personalInfo.professionalEmail': email })) {
+            throw new ApiError(409, "Email address is already in use");
+        }
+
+        this.assertCanSend(user);
+
+        const tokenId = crypto.randomBytes(16).toString('hex');
+        const createToken = (target) => jwt.sign(
+            { _id: user._id, jti: tokenId, target, email, purpose: this.changePurpose },
+            this.getSecret(this.changePurpose),
+            { expiresIn: this.changeExpiry }
+        );
+
+        await sendEmailChangeConfirmationEmail(
+            user.personalInfo.professionalEmail, createToken('old'), user.personalInfo.firstName, email, 'old'
+        );
+        await sendEmailChangeConfirmationEmail(
+            email, createToken('new'), user.personalInfo.firstName, email, 'new'
+        );
+
+        // Replaces any earlier request, whose links stop working
+        user.accountInfo.pendingEmailChange = {
+            newEmail: email,
+            tokenId: this.hashTokenId(tokenId),
+            requestedAt: new Date(),
+            expiresAt: new Date(Date.now() + this.changeTTL)
+        };
+        this.recordSend(user);
+        await user.save({ validateBeforeSave: false });
+
+        logAuditEvent(HIPAA_EVENTS.USER_UPDATED, {
+            userId: String(user._id),
+            resource: 'user_account',
+            resourceId: String(user._id),
+            action: 'email_change_requested',
+            outcome: 'success',
+            riskLevel: 'medium'
+        });
+
+        return this.formatPendingChange(user);
+    }
+
+    // Record one side's confirmation; switch the address once both sides have confirmed
+    async confirmEmailChange(token) {
+        const payload = this.verifyToken(token, this.changePurpose, "Confirmation link is invalid or has expired");
+
+        const user = await User.findById(payload._id).select('+accountInfo.pendingEmailChange.tokenId');
+        const pending = user?.accountInfo.pendingEmailChange;
+        if (!pending?.tokenId || pending.tokenId !== this.hashTokenId(payload.jti) ||
+            pending.newEmail !== payload.email || pending.expiresAt <= new Date()) {
+            throw new ApiError(400, "Confirmation link is invalid or has expired");
+        }
+
+        if (payload.target === 'old') {
+            pending.oldConfirmedAt = pending.oldConfirmedAt || new Date();
+        } else if (payload.target === 'new') {
+            pending.newConfirmedAt = pending.newConfirmedAt || new Date();
+        } else {
+            throw new ApiError(400, "Confirmation link is invalid or has expired");
+        }
+
+        if (!pending.oldConfirmedAt || !pending.newConfirmedAt) {
+            await user.save({ validateBeforeSave: false });
+            return this.formatPendingChange(user);
+        }
+
+        const previousEmail = user.personalInfo.professionalEmail;
+        user.personalInfo.professionalEmail = pending.newEmail;
+        user.accountInfo.emailVerified = true;
+        user.accountInfo.emailVerifiedAt = new Date();
+        user.accountInfo.emailVerificationTokenId = undefined;
+        user.accountInfo.pendingEmailChange = undefined;
+
+        try {
+            await user.save({ validateBeforeSave: false });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ApiError(409, "Email address is already in use");
+            }
+            throw error;
+        }
+
+        logAuditEvent(HIPAA_EVENTS.USER_UPDATED, {
+            userId: String(user._id),
+            resource: 'user_account',
+            resourceId: String(user._id),
+            action: 'email_changed',
+            outcome: 'success',
+            riskLevel: 'medium',
+            additionalInfo: { previousEmailDomain: previousEmail.split('@')[1] }
+        });
+
+        return {
+            status: 'completed',
+            email: user.personalInfo.professionalEmail
+        };
+    }
+
+    async getEmailChange(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        return this.formatPendingChange(user);
+    }
+
+    async cancelEmailChange(userId) {
+        const user = await User.findById(userId);
+        if (!user?.accountInfo.pendingEmailChange?.newEmail) {
+            throw new ApiError(409, "No email change is pending");
+        }
+
+        user.accountInfo.pendingEmailChange = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        return { status: 'none' };
+    }
+
+    // Accounts from before email verification have no emailVerified field and are
+    // treated as verified; only accounts explicitly marked unverified are held back
+    isVerified(user) {
+        return user.accountInfo?.emailVerified !== false;
+    }
+
+    // Only verified addresses may publish
+    async assertCanPublish(userId) {
+        const user = await User.findById(userId).select('accountInfo.emailVerified');
+        if (user && !this.isVerified(user)) {
+            throw new ApiError(403, "Verify your email address before publishing. You can request a new verification link from your profile");
+        }
+    }
+
+    // Throttle: one message per cooldown and a cap per window
+    assertCanSend(user, now = new Date()) {
+        const delivery = user.accountInfo.emailDelivery || {};
+
+        if (delivery.lastSentAt && now - delivery.lastSentAt < this.resendCooldown) {
+            const seconds = Math.ceil((this.resendCooldown - (now - delivery.lastSentAt)) / 1000);
+            throw new ApiError(429, `Please wait ${seconds} seconds before requesting another email`);
+        }
+
+        const windowOpen = delivery.windowStart && now - delivery.windowStart < this.sendWindow;
+        if (windowOpen && delivery.sentInWindow >= this.maxSendsPerWindow) {
+            throw new ApiError(429, "Too many emails requested. Please try again later");
+        }
+    }
+
+    recordSend(user, now = new Date()) {
+        const delivery = user.accountInfo.emailDelivery || {};
+        const windowOpen = delivery.windowStart && now - delivery.windowStart < this.sendWindow;
+
+        user.accountInfo.emailDelivery = {
+            lastSentAt: now,
+            windowStart: windowOpen ? delivery.windowStart : now,
+            sentInWindow: windowOpen ? (delivery.sentInWindow || 0) + 1 : 1
+        };
+    }
+
+    verifyToken(token, purpose, message) {
+        if (!token) {
+            throw new ApiError(400, "Token is required");
+        }
+
+        try {
+            const payload = jwt.verify(token, this.getSecret(purpose));
+            if (payload.purpose !== purpose) {
+                throw new Error('Unexpected token purpose');
+            }
+            return payload;
+        } catch (error) {
+            throw new ApiError(400, message);
+        }
+    }
+
+    hashTokenId(tokenId) {
+        return crypto.createHash('sha256').update(String(tokenId)).digest('hex');
+    }
+
+    // Derived from the access token secret so these links can never pass as access tokens
+    getSecret(purpose) {
+        return crypto.createHmac('sha256', process.env.ACCESS_TOKEN_SECRET)
+            .update(purpose)
+            .digest('hex');
+    }
+
+    formatStatus(user) {
+        return {
+            email: user.personalInfo.professionalEmail,
+            emailVerified: this.isVerified(user),
+            emailVerifiedAt: user.accountInfo.emailVerifiedAt || null
+        };
+    }
+
+    formatPendingChange(user) {
+        const pending = user.accountInfo.pendingEmailChange;
+        if (!pending?.newEmail || pending.expiresAt <= new Date()) {
+            return { status: 'none' };
+        }
+
+        return {
+            status: 'pending',
+            newEmail: pending.newEmail,
+            requestedAt: pending.requestedAt,
+            expiresAt: pending.expiresAt,
+            oldAddressConfirmed: !!pending.oldConfirmedAt,
+            newAddressConfirmed: !!pending.newConfirmedAt
+        };
+    }
+}
+
+export default new EmailVerificationService();
@@ -0,0 +1,687 @@
+// src/services/experimentService.js
+import crypto from "crypto";
+import Experiment from "../models/Experiment.js";
+import WebsiteVersion from "../models/WebsiteVersion.js";
+import { Website, GenerationHistory } from "../models/website.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { LruCache } from "../utils/lruCache.js";
+import authorizationService from "./authorizationService.js";
+import analyticsService from "./analyticsService.js";
+import { compareProportions, conversionRate } from "../utils/experimentStats.js";
+import TemplateService from "../service/template.service.js";
+import publishService from "./publishService.js";
+import publishReviewService from "./publishReviewService.js";
+import versionService from "./versionService.js";
+
+// A/B tests of content variations on the live site. Visitors are assigned a
+// variant once and keep it through a cookie; conversions come from the
+// analytics beacon.
+class ExperimentService {
+    constructor() {
+        this.maxVariations = 10;
+        this.maxVariants = 4; // control plus three variations
+        this.cookiePrefix = 'mx_';
+        this.cookieMaxAge = 30 * 24 * 60 * 60 * 1000; // 30 days
+        this.significanceLevel = 0.05;
+        this.minVisitorsPerVariant = 100;
+        this.eventNamePattern = /^[a-z0-9_-]{1,40}$/;
+        this.botPattern = /bot|crawler|spider|crawling|headless|lighthouse|preview|monitor/i;
+        this.variationFields = versionService.contentFields.filter(field => field !== 'generatedHtml');
+
+        // Live pages look up the running experiment on every request. Both caches
+        // are bounded, since every website visited gets an entry.
+        this.runningCacheTTL = 60 * 1000; // 1 minute
+        this.runningCache = new LruCache({ maxSize: 5000, ttl: this.runningCacheTTL });
+        this.renderCache = new LruCache({ maxSize: 500, ttl: 60 * 60 * 1000 }); // 1 hour
+    }
+
+    // List the website's content variations
+    async getVariations(websiteId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            }).select('contentVariations');
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            return {
+                variations: website.contentVariations,
+                totalVariations: website.contentVariations.length
+            };
+
+        } catch (error) {
+            console.error('Get variations error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve variations: ${error.message}`);
+        }
+    }
+
+    // Add a content variation: a partial set of content fields overlaid on the published content
+    async addVariation(websiteId, userId, variationData = {}) {
+        try {
+            const { focus = 'general', qualityScore } = variationData;
+            const content = this.pickVariationContent(variationData.content);
+
+            if (Object.keys(content).length === 0) {
+                throw new ApiError(400, `Variation content must include at least one of: ${this.variationFields.join(', ')}`);
+            }
+
+            const focusOptions = Website.schema.path('contentVariations').schema.path('focus').enumValues;
+            if (!focusOptions.includes(focus)) {
+                throw new ApiError(400, `Invalid focus. Use one of: ${focusOptions.join(', ')}`);
+            }
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            if (website.contentVariations.length >= this.maxVariations) {
+                throw new ApiError(400, `A website can have at most ${this.maxVariations} content variations`);
+            }
+
+            // Only the variation list changes, so the content revision is left alone
+            const variation = {
+                variationId: crypto.randomBytes(6).toString('hex'),
+                focus,
+                content,
+                ...(qualityScore !== undefined && { qualityScore })
+            };
+
+            await Website.updateOne({ _id: website._id }, { $push: { contentVariations: variation } });
+
+            return {
+                variation,
+                message: "Content variation added"
+            };
+
+        } catch (error) {
+            console.error('Add variation error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to add variation: ${error.message}`);
+        }
+    }
+
+    // Delete a content variation that no running experiment uses
+    async deleteVariation(websiteId, userId, variationId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            }).select('contentVariations');
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            if (!website.contentVariations.some(variation => variation.variationId === variationId)) {
+                throw new ApiError(404, "Variation not found");
+            }
+
+            const running = await Experiment.getRunning(website._id);
+            if (running?.variants.some(variant => variant.variationId === variationId)) {
+                throw new ApiError(409, "Variation is part of a running experiment. Stop the experiment first");
+            }
+
+            await Website.updateOne({ _id: website._id }, { $pull: { contentVariations: { variationId } } });
+
+            return {
+                variationId,
+                message: "Content variation deleted"
+            };
+
+        } catch (error) {
+            console.error('Delete variation error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to delete variation: ${error.message}`);
+        }
+    }
+
+    // Start splitting live traffic between the published content and one or more variations
+    async startExperiment(websiteId, userId, options = {}) {
+        try {
+            const { name, variationIds, weights = {}, conversionEvents } = options;
+
+            if (!Array.isArray(variationIds) || variationIds.length === 0) {
+                throw new ApiError(400, "variationIds must list at least one content variation");
+            }
+
+            if (new Set(variationIds).size !== variationIds.length) {
+                throw new ApiError(400, "variationIds must not contain duplicates");
+            }
+
+            if (variationIds.length > this.maxVariants - 1) {
+                throw new ApiError(400, `An experiment can test at most ${this.maxVariants - 1} variations`);
+            }
+
+            if (conversionEvents !== undefined &&
+                (!Array.isArray(conversionEvents) || conversionEvents.length === 0 ||
+                    !conversionEvents.every(event => this.eventNamePattern.test(event)))) {
+                throw new ApiError(400, "conversionEvents must be a non-empty list of analytics event names");
+            }
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'publish');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const publishedVersion = await WebsiteVersion.getPublishedVersion(websiteId);
+            if (!publishedVersion) {
+                throw new ApiError(400, "Publish the website before starting an experiment");
+            }
+
+            if (await Experiment.getRunning(website._id)) {
+                throw new ApiError(409, "An experiment is already running for this website");
+            }
+
+            const variants = [{ key: 'control', label: 'Published content', weight: this.parseWeight(weights.control) }];
+            variationIds.forEach(variationId => {
+                const variation = website.contentVariations.find(item => item.variationId === variationId);
+                if (!variation) {
+                    throw new ApiError(404, `Variation '${variationId}' does not exist`);
+                }
+
+                variants.push({
+                    key: variation.variationId,
+                    variationId: variation.variationId,
+                    label: `${variation.focus} variation`,
+                    content: this.pickVariationContent(variation.toObject().content),
+                    weight: this.parseWeight(weights[variationId])
+                });
+            });
+
+            let experiment;
+            try {
+                experiment = await Experiment.create({
+                    websiteId: website._id,
+                    userId,
+                    name: name || `Experiment ${new Date().toISOString().slice(0, 10)}`,
+                    baseVersionId: publishedVersion._id,
+                    variants,
+                    ...(conversionEvents && { conversionEvents })
+                });
+            } catch (error) {
+                // Two concurrent starts race on the one-running-experiment index
+                if (error.code === 11000) {
+                    throw new ApiError(409, "An experiment is already running for this website");
+                }
+                throw error;
+            }
+
+            this.clearCache(websiteId);
+
+            await GenerationHistory.create({
+                websiteId: website._id,
+                userId,
+                action: 'updated',
+                changes: {
+                    experiment: 'started',
+                    experimentId: experiment._id,
+                    variants: variants.map(variant => variant.key)
+                }
+            });
+
+            return {
+                experiment: this.formatExperiment(experiment),
+                message: "Experiment started"
+            };
+
+        } catch (error) {
+            console.error('Start experiment error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to start experiment: ${error.message}`);
+        }
+    }
+
+    // List a website's experiments, newest first
+    async getExperiments(websiteId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const experiments = await Experiment.find({ websiteId: website._id })
+                .select('-variants.content')
+                .sort({ createdAt: -1 })
+                .lean();
+
+            return {
+                experiments: experiments.map(experiment => this.formatExperiment(experiment)),
+                totalExperiments: experiments.length
+            };
+
+        } catch (error) {
+            console.error('Get experiments error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve experiments: ${error.message}`);
+        }
+    }
+
+    // Conversion rates per variant with a two-proportion z-test against the control.
+    // Comparisons are Bonferroni-corrected when several variations are tested.
+    async getResults(websiteId, experimentId, userId) {
+        try {
+            const experiment = await this.getOwnedExperiment(websiteId, experimentId, userId);
+            const control = experiment.variants.find(variant => variant.key === 'control');
+            const comparisons = experiment.variants.length - 1;
+            const alpha = this.significanceLevel / Math.max(comparisons, 1);
+
+            const variants = experiment.variants.map(variant => {
+                const result = {
+                    key: variant.key,
+                    variationId: variant.variationId,
+                    label: variant.label,
+                    weight: variant.weight,
+                    visitors: variant.visitors,
+                    conversions: variant.conversions,
+                    conversionRate: conversionRate(variant)
+                };
+
+                if (variant.key === 'control') {
+                    return result;
+                }
+
+                const comparison = compareProportions(control, variant);
+                const enoughData = control.visitors >= this.minVisitorsPerVariant &&
+                    variant.visitors >= this.minVisitorsPerVariant;
+
+                return {
+                    ...result,
+                    ...comparison,
+                    confidence: comparison.pValue === null ? null : 1 - comparison.pValue,
+                    significant: enoughData && comparison.pValue !== null && comparison.pValue < alpha
+                };
+            });
+
+            const challengers = variants.filter(variant => variant.key !== 'control');
+            const winners = challengers
+                .filter(variant => variant.significant && variant.difference > 0)
+                .sort((a, b) => b.conversionRate - a.conversionRate);
+
+            let recommendation;
+            if (winners.length > 0) {
+                recommendation = { status: 'variant_wins', winner: winners[0].key };
+            } else if (challengers.every(variant => variant.significant && variant.difference < 0)) {
+                recommendation = { status: 'control_wins', winner: 'control' };
+            } else if (challengers.some(variant => variant.visitors < this.minVisitorsPerVariant) ||
+                control.visitors < this.minVisitorsPerVariant) {
+                recommendation = { status: 'insufficient_data', winner: null };
+            } else {
+                recommendation = { status: 'no_significant_difference', winner: null };
+            }
+
+            return {
+                experiment: this.formatExperiment(experiment),
+                variants,
+                totalVisitors: experiment.variants.reduce((sum, variant) => sum + variant.visitors, 0),
+                totalConversions: experiment.variants.reduce((sum, variant) => sum + variant.conversions, 0),
+                significanceLevel: alpha,
+                minVisitorsPerVariant: this.minVisitorsPerVariant,
+                recommendation
+            };
+
+        } catch (error) {
+            console.error('Get experiment results error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve experiment results: ${error.message}`);
+        }
+    }
+
+    // Stop splitting traffic; every visitor sees the published content again
+    async stopExperiment(websiteId, experimentId, userId) {
+        try {
+            const experiment = await this.getOwnedExperiment(websiteId, experimentId, userId, 'publish');
+
+            if (experiment.status !== 'running') {
+                throw new ApiError(400, `Experiment is already ${experiment.status}`);
+            }
+
+            experiment.status = 'stopped';
+            experiment.endedAt = new Date();
+            await experiment.save();
+
+            this.clearCache(websiteId);
+
+            return {
+                experiment: this.formatExperiment(experiment),
+                message: "Experiment stopped"
+            };
+
+        } catch (error) {
+            console.error('Stop experiment error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to stop experiment: ${error.message}`);
+        }
+    }
+
+    // Publish a variant's content as a new version. The variation is committed to an
+    // experiment branch forked from the tested published version and promoted through
+    // the regular branch merge, so edits made since the test started are kept.
+    async promoteWinner(websiteId, experimentId, userId, options = {}) {
+        try {
+            const experiment = await this.getOwnedExperiment(websiteId, experimentId, userId, 'publish');
+
+            if (experiment.status === 'completed') {
+                throw new ApiError(400, "Experiment winner has already been promoted");
+            }
+
+            let variantKey = options.variantKey;
+            if (!variantKey) {
+                const results = await this.getResults(websiteId, experimentId, userId);
+                if (results.recommendation.status !== 'variant_wins') {
+                    throw new ApiError(400, "No variation has significantly beaten the published content; pass variantKey to promote one anyway");
+                }
+                variantKey = results.recommendation.winner;
+            }
+
+            const variant = experiment.variants.find(item => item.key === variantKey);
+            if (!variant) {
+                throw new ApiError(404, `Variant '${variantKey}' does not exist in this experiment`);
+            }
+            if (variant.key === 'control') {
+                throw new ApiError(400, "The control is already the published content");
+            }
+
+            // Promotion publishes straight from a branch, which an approval policy doesn't allow
+            if (await publishReviewService.requiresApproval(websiteId)) {
+                throw new ApiError(409, "This website requires approval before publishing. Apply the winning variation to a draft and submit it for review.");
+            }
+
+            const baseVersion = await WebsiteVersion.findOne({ _id: experiment.baseVersionId, websiteId });
+            if (!baseVersion) {
+                throw new ApiError(409, "The published version this experiment tested no longer exists");
+            }
+
+            // A previous attempt may have created the branch before hitting a merge conflict
+            const branch = `experiment-${experiment._id}`;
+            if (!(await WebsiteVersion.exists({ websiteId, branch }))) {
+                await versionService.createBranch(websiteId, userId, {
+                    name: branch,
+                    fromVersionId: baseVersion._id,
+                    description: `Experiment '${experiment.name}'`
+                });
+            }
+
+            const website = await Website.findById(websiteId).select('specialty');
+            const content = this.buildVariantContent(baseVersion.toObject().content, variant, website.specialty);
+            await versionService.updateBranch(websiteId, userId, branch, content, {
+                changeDescription: `Winning variant '${variant.label || variant.key}' of experiment '${experiment.name}'`,
+                fields: versionService.contentFields
+            });
+
+            const published = await publishService.publishWebsite(websiteId, userId, {
+                branch,
+                publishMessage: options.publishMessage || `Promoted winner of experiment '${experiment.name}'`
+            });
+
+            experiment.status = 'completed';
+            experiment.endedAt = experiment.endedAt || new Date();
+            experiment.winner = variant.key;
+            experiment.promotedVersionId = published.publishedVersion._id;
+            await experiment.save();
+
+            this.clearCache(websiteId);
+
+            return {
+                experiment: this.formatExperiment(experiment),
+                publishedVersion: published.publishedVersion,
+                publicUrl: published.publicUrl,
+                message: `Variant '${variant.label || variant.key}' promoted and published`
+            };
+
+        } catch (error) {
+            console.error('Promote experiment winner error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to promote experiment winner: ${error.message}`);
+        }
+    }
+
+    // Render the live page for a visitor. Returns the HTML, the variant shown and the
+    // assignment cookie to set (if any). Bots and visitors opting out of tracking
+    // always see the published content and are not counted.
+    async renderLiveSite(websiteId, context = {}) {
+        const published = await publishService.getPublishedWebsite(websiteId);
+        const experiment = await this.getRunningExperiment(websiteId);
+
+        const optedOut = context.doNotTrack || !context.userAgent || this.botPattern.test(context.userAgent);
+        if (!experiment || optedOut) {
+            return {
+                html: analyticsService.injectBeacon(this.renderPublishedHtml(published), websiteId),
+                variant: null,
+                experimentId: experiment?._id ?? null,
+                cookie: null
+            };
+        }
+
+        const assignment = this.readAssignment(context.cookieHeader, experiment);
+        let variant = assignment && experiment.variants.find(item => item.key === assignment.key);
+        let cookie = null;
+
+        if (!variant) {
+            variant = this.pickVariant(experiment.variants);
+            cookie = this.buildCookie(experiment, variant.key);
+
+            await Experiment.updateOne(
+                { _id: experiment._id, status: 'running', 'variants.key': variant.key },
+                { $inc: { 'variants.$.visitors': 1 } }
+            );
+        }
+
+        const html = variant.key === 'control'
+            ? this.renderPublishedHtml(published)
+            : this.renderVariantHtml(published, experiment, variant);
+
+        return {
+            html: analyticsService.injectBeacon(html, websiteId),
+            variant: variant.key,
+            experimentId: experiment._id,
+            cookie
+        };
+    }
+
+    // Count a conversion for the visitor's variant. Each visitor converts at most once;
+    // returns the cookie marking the visitor as converted, or null when nothing was recorded.
+    async recordConversion(websiteId, eventName, context = {}) {
+        try {
+            const experiment = await this.getRunningExperiment(websiteId);
+            if (!experiment || !experiment.conversionEvents.includes(eventName)) {
+                return null;
+            }
+
+            const assignment = this.readAssignment(context.cookieHeader, experiment);
+            if (!assignment || assignment.converted ||
+                !experiment.variants.some(variant => variant.key === assignment.key)) {
+                return null;
+            }
+
+            await Experiment.updateOne(
+                { _id: experiment._id, status: 'running', 'variants.key': assignment.key },
+                { $inc: { 'variants.$.conversions': 1 } }
+            );
+
+            return this.buildCookie(experiment, `${assignment.key}.c`);
+
+        } catch (error) {
+            // Conversion tracking must never fail the beacon
+            console.error('Record experiment conversion error:', error);
+            return null;
+        }
+    }
+
+    // Running experiment for a website, cached briefly
+    async getRunningExperiment(websiteId) {
+        const cacheKey = String(websiteId);
+        const cached = this.runningCache.get(cacheKey);
+
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const experiment = await Experiment.findOne({ websiteId, status: 'running' })
+            .select('variants conversionEvents name')
+            .lean();
+
+        this.runningCache.set(cacheKey, experiment);
+        return experiment;
+    }
+
+    clearCache(websiteId) {
+        const prefix = `${websiteId}:`;
+        this.runningCache.delete(String(websiteId));
+        this.renderCache.deleteWhere((html, key) => key.startsWith(prefix));
+    }
+
+    // Weighted random choice between variants
+    pickVariant(variants) {
+        const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+        let ticket = crypto.randomInt(total);
+
+        for (const variant of variants) {
+            ticket -= variant.weight;
+            if (ticket < 0) {
+                return variant;
+            }
+        }
+
+        return variants[0];
+    }
+
+    // Read the visitor's assignment from the raw Cookie header (the public routes run
+    // before cookie-parser). Cookies set before assignments moved to "/" may still sit
+    // on a more specific path next to the current one.
+    readAssignment(cookieHeader, experiment) {
+        if (!cookieHeader) {
+            return null;
+        }
+
+        const name = `${this.cookiePrefix}${experiment._id}`;
+        const values = cookieHeader.split(';')
+            .map(pair => pair.trim().split('='))
+            .filter(([key, value]) => key === name && value)
+            .map(([, value]) => decodeURIComponent(value));
+
+        if (values.length === 0) {
+            return null;
+        }
+
+        return {
+            key: values[0].replace(/\.c$/, ''),
+            converted: values.some(value => value.endsWith('.c'))
+        };
+    }
+
+    // Scoped to the whole host: the same visitor reaches the site through /sites/<shortId>,
+    // /api/v1/websites/<id>/live or a custom domain, and the beacon posts to the API path
+    buildCookie(experiment, value) {
+        return {
+            name: `${this.cookiePrefix}${experiment._id}`,
+            value,
+            options: {
+                maxAge: this.cookieMaxAge,
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: process.env.NODE_ENV === 'production',
+                path: '/'
+            }
+        };
+    }
+
+    // Published content with the variation's fields overlaid and the HTML re-rendered
+    buildVariantContent(publishedContent, variant, specialty) {
+        const { generatedHtml, ...content } = publishedContent || {};
+        const merged = {
+            ...content,
+            ...this.pickVariationContent(variant.content)
+        };
+
+        return {
+            ...merged,
+            generatedHtml: TemplateService.generateWebsite({ ...merged, specialty }).html
+        };
+    }
+
+    renderVariantHtml(published, experiment, variant) {
+        const cacheKey = `${published.website._id}:${experiment._id}:${variant.key}:${published.metadata.versionNumber}`;
+        let html = this.renderCache.get(cacheKey);
+        if (html === undefined) {
+            html = this.buildVariantContent(published.content, variant, published.website.specialty).generatedHtml;
+            this.renderCache.set(cacheKey, html);
+        }
+
+        return html;
+    }
+
+    // Render the published snapshot, falling back to the template when no HTML was stored
+    renderPublishedHtml(published) {
+        const { content, website } = published;
+
+        if (content?.generatedHtml) {
+            return content.generatedHtml;
+        }
+
+        return TemplateService.generateWebsite({
+            ...content,
+            specialty: website.specialty
+        }).html;
+    }
+
+    // Helper methods
+    async getOwnedExperiment(websiteId, experimentId, userId, permission = 'view') {
+        const { website } = await authorizationService.authorizeWebsite(websiteId, userId, permission);
+
+        const experiment = await Experiment.findOne({ _id: experimentId, websiteId: website._id });
+        if (!experiment) {
+            throw new ApiError(404, "Experiment not found");
+        }
+
+        return experiment;
+    }
+
+    pickVariationContent(content) {
+        if (!content || typeof content !== 'object' || Array.isArray(content)) {
+            return {};
+        }
+        return versionService.pickContent(content, this.variationFields);
+    }
+
+    parseWeight(weight) {
+        if (weight === undefined || weight === null) {
+            return 50;
+        }
+
+        const value = Number(weight);
+        if (!Number.isInteger(value) || value < 1 || value > 100) {
+            throw new ApiError(400, "Variant weights must be integers between 1 and 100");
+        }
+        return value;
+    }
+
+    formatExperiment(experiment) {
+        const { variants = [], ...rest } = experiment.toObject ? experiment.toObject() : experiment;
+
+        return {
+            ...rest,
+            variants: variants.map(({ content, ...variant }) => variant)
+        };
+    }
+}
+
+export default new ExperimentService();
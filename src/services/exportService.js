@@ -0,0 +1,329 @@
+// src/services/exportService.js
+import fs from 'fs';
+import path from 'path';
+import dns from 'dns';
+import net from 'net';
+import https from 'https';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import WebsiteVersion from "../models/WebsiteVersion.js";
+import { Website } from "../models/website.models.js";
+import { ApiError } from "../utils/apierror.js";
+import authorizationService from "./authorizationService.js";
+import { createTarGz } from "../utils/tarArchive.js";
+import TemplateService from "../service/template.service.js";
+import { StyleProcessor } from "./styleProcessor.js";
+import publishService from "./publishService.js";
+import loggingService from "./loggingService.js";
+import { escapeHtml } from "../utils/templateEngine.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Addresses image downloads must never reach: loopback, private networks,
+// link-local (cloud metadata at 169.254.169.254) and other non-public ranges
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address, family) => {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return blockedAddresses.check(mapped[1], 'ipv4');
+    }
+    return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup that fails for blocked addresses. Used by the download agent itself,
+// so the address checked is the one connected to.
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+            return callback(new Error(`${hostname} resolves to a non-public address`));
+        }
+        return options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Builds a self-contained static site (HTML pages, CSS, JS, images, sitemap and
+// robots.txt) that can be uploaded to any static host.
+class ExportService {
+    constructor() {
+        this.templatesPath = path.join(__dirname, '../templates');
+        this.sectionPages = ['about', 'services', 'contact'];
+        this.imageTimeout = 15000; // 15 seconds per image
+        this.maxImageSize = 10 * 1024 * 1024; // 10MB per image
+        // Images are only fetched from our own storage/CDN hosts (subdomains included)
+        this.imageHosts = (process.env.EXPORT_IMAGE_HOSTS || 'res.cloudinary.com')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+        this.imageAgent = new https.Agent({ lookup: publicOnlyLookup });
+        this.styleProcessor = new StyleProcessor();
+    }
+
+    // Export website as a static site bundle (.tar.gz)
+    async exportWebsiteBundle(websiteId, userId, options = {}) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const publishedVersion = await WebsiteVersion.getPublishedVersion(websiteId);
+            const source = options.source === 'draft' || !publishedVersion ? 'draft' : 'published';
+            const websiteData = this.getWebsiteData(website, source === 'published' ? publishedVersion : null);
+
+            const slug = this.getSlug(website.websiteTitle);
+            const warnings = [];
+            const files = {};
+
+            // Pages
+            const { html: indexHtml, templateName } = TemplateService.generateWebsite(websiteData);
+            files['index.html'] = this.rewritePageLinks(indexHtml, { templateName, isIndex: true });
+
+            const { pages } = TemplateService.generateSectionPages(websiteData, this.sectionPages);
+            const sectionPages = Object.keys(pages);
+            Object.entries(pages).forEach(([sectionId, html]) => {
+                files[`${sectionId}.html`] = this.rewritePageLinks(html, { templateName, isIndex: false });
+            });
+
+            // Stylesheets and scripts
+            files['assets/css/base.css'] = this.readTemplateAsset('styles/base.css', warnings);
+            files[`assets/css/${templateName}.css`] = this.readTemplateAsset(`styles/${templateName}.css`, warnings);
+            files['assets/js/main.js'] = this.readTemplateAsset('scripts/main.js', warnings);
+            files['assets/css/styles.css'] = await this.generateStylesheet(websiteData, warnings);
+
+            // Images
+            const imageMap = await this.downloadImages(website.images || [], files, warnings);
+            this.rewriteImageUrls(files, imageMap);
+
+            // SEO files are only meaningful once the site has a public URL
+            if (publishedVersion) {
+                files['sitemap.xml'] = await publishService.generateSitemap(websiteId, { sectionPages });
+                files['robots.txt'] = await publishService.generateRobotsTxt(websiteId);
+            } else {
+                warnings.push('sitemap.xml and robots.txt skipped: website has not been published');
+            }
+
+            const manifest = {
+                websiteId: website._id,
+                websiteTitle: website.websiteTitle,
+                specialty: website.specialty,
+                templateName,
+                source,
+                versionNumber: source === 'published' ? publishedVersion.versionNumber : website.version,
+                exportedAt: new Date().toISOString(),
+                files: Object.keys(files).sort(),
+                warnings
+            };
+            files['manifest.json'] = JSON.stringify(manifest, null, 2);
+
+            const mtime = new Date();
+            const archive = createTarGz(Object.entries(files).map(([filePath, content]) => ({
+                path: `${slug}/${filePath}`,
+                content,
+                mtime
+            })));
+
+            await Website.updateOne({ _id: websiteId }, { $inc: { 'analytics.exportCount': 1 } });
+
+            loggingService.logAppEvent('info', 'Website exported as static bundle', {
+                websiteId,
+                userId,
+                source,
+                fileCount: manifest.files.length,
+                warningCount: warnings.length,
+                size: archive.length
+            });
+
+            return {
+                archive,
+                filename: `${slug}_site.tar.gz`,
+                manifest
+            };
+
+        } catch (error) {
+            console.error('Export website bundle error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to export website bundle: ${error.message}`);
+        }
+    }
+
+    // Helper methods
+    getWebsiteData(website, publishedVersion) {
+        const content = publishedVersion?.content || {};
+
+        return {
+            websiteTitle: content.websiteTitle || website.websiteTitle,
+            tagline: content.tagline || website.tagline,
+            specialty: website.specialty,
+            heroSection: content.heroSection || website.heroSection,
+            aboutSection: content.aboutSection || website.aboutSection,
+            services: content.services?.length ? content.services : website.services,
+            contactInfo: content.contactInfo || website.contactInfo,
+            seoMeta: content.seoMeta || website.seoMeta,
+            customizations: content.customizations || website.customizations || {}
+        };
+    }
+
+    getSlug(title = '') {
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return slug || 'website';
+    }
+
+    readTemplateAsset(assetPath, warnings) {
+        const fullPath = path.join(this.templatesPath, assetPath);
+
+        if (!fs.existsSync(fullPath)) {
+            warnings.push(`Template asset not found: ${assetPath}`);
+            return '';
+        }
+
+        return fs.readFileSync(fullPath, 'utf8');
+    }
+
+    // Generate the customization stylesheet (colors, typography, theme)
+    async generateStylesheet(websiteData, warnings) {
+        const customizations = websiteData.customizations || {};
+
+        try {
+            const styled = await this.styleProcessor.applyStyles(websiteData, {
+                colors: customizations.colorScheme,
+                fonts: customizations.typography,
+                theme: customizations.theme,
+                layout: customizations.layout
+            });
+            return styled.css || '';
+        } catch (error) {
+            warnings.push(`Custom stylesheet could not be generated: ${error.message}`);
+            return '';
+        }
+    }
+
+    // Point template asset URLs and navigation at files inside the bundle
+    rewritePageLinks(html, { templateName, isIndex }) {
+        let output = html
+            .replace(/\/templates\/styles\/base\.css/g, 'assets/css/base.css')
+            .replace(/\/templates\/styles\/[\w-]+\.css/g, `assets/css/${templateName}.css`)
+            .replace(/\/templates\/scripts\/main\.js/g, 'assets/js/main.js')
+            .replace(/href="\/favicon\.ico"/g, 'href="favicon.ico"')
+            .replace(/href="\/"/g, 'href="index.html"')
+            .replace(
+                /(<link rel="stylesheet" href="assets\/css\/[\w-]+\.css">)(?![\s\S]*assets\/css\/[\w-]+\.css)/,
+                '$1\n    <link rel="stylesheet" href="assets/css/styles.css">'
+            );
+
+        // Section links jump within the home page, or to the section's own page elsewhere
+        if (!isIndex) {
+            this.sectionPages.forEach(sectionId => {
+                output = output.replace(new RegExp(`href="#${sectionId}"`, 'g'), `href="${sectionId}.html"`);
+            });
+        }
+
+        return output;
+    }
+
+    // Only https URLs on an allowed storage/CDN host are downloaded
+    isAllowedImageUrl(url) {
+        try {
+            const { protocol, hostname } = new URL(url);
+            const host = hostname.toLowerCase();
+            return protocol === 'https:' &&
+                this.imageHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Bundle path for an image. The image id (or a hash of the URL) keeps names unique
+    // when several uploads share a filename.
+    getImagePath(image, url, prefix = '') {
+        const name = path.basename(image.filename || image.originalName || 'image').replace(/[^\w.-]/g, '_');
+        const id = String(image.id || crypto.createHash('sha1').update(url).digest('hex').slice(0, 12)).replace(/[^\w-]/g, '_');
+        return `assets/images/${prefix}${id}_${name}`;
+    }
+
+    // Download website images into assets/images and return a url -> local path map
+    async downloadImages(images, files, warnings) {
+        const imageMap = new Map();
+
+        for (const image of images) {
+            const sources = [
+                { url: image.url, prefix: '' },
+                { url: image.thumbnailUrl, prefix: 'thumb_' }
+            ];
+
+            for (const { url, prefix } of sources) {
+                if (!url || imageMap.has(url)) {
+                    continue;
+                }
+
+                if (!this.isAllowedImageUrl(url)) {
+                    warnings.push(`Image skipped (not hosted on an allowed image host): ${url}`);
+                    continue;
+                }
+
+                try {
+                    // No redirects: the allowlist only covers the host we asked
+                    const response = await axios.get(url, {
+                        responseType: 'arraybuffer',
+                        timeout: this.imageTimeout,
+                        maxContentLength: this.maxImageSize,
+                        maxRedirects: 0,
+                        httpsAgent: this.imageAgent
+                    });
+
+                    const localPath = this.getImagePath(image, url, prefix);
+                    files[localPath] = Buffer.from(response.data);
+                    imageMap.set(url, localPath);
+                } catch (error) {
+                    warnings.push(`Image could not be downloaded (${url}): ${error.message}`);
+                }
+            }
+        }
+
+        return imageMap;
+    }
+
+    rewriteImageUrls(files, imageMap) {
+        if (imageMap.size === 0) {
+            return;
+        }
+
+        Object.keys(files)
+            .filter(filePath => filePath.endsWith('.html') || filePath.endsWith('.css'))
+            .forEach(filePath => {
+                let content = files[filePath];
+                const prefix = filePath.endsWith('.css') ? '../../' : '';
+
+                // Templates HTML-escape values, so URLs with query strings appear
+                // as ...&amp;... (and &#61; for =) in the pages
+                imageMap.forEach((localPath, url) => {
+                    new Set([url, escapeHtml(url), url.replace(/&/g, '&amp;')]).forEach(form => {
+                        content = content.split(form).join(`${prefix}${localPath}`);
+                    });
+                });
+
+                files[filePath] = content;
+            });
+    }
+}
+
+export default new ExportService();
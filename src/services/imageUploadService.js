@@ -1,5 +1,6 @@
 import { v2 as cloudinary } from 'cloudinary';
 import { ApiError } from '../utils/apierror.js';
+import authorizationService from './authorizationService.js';
 import { Website } from '../models/website.models.js';
 import { config } from '../config/environment.js';
 import loggingService from './loggingService.js';
@@ -26,10 +27,10 @@ class ImageUploadService {
             // Validate file
             this.validateFile(file);
             
-            // Verify user owns the website
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -91,9 +92,10 @@ class ImageUploadService {
 
     async optimizeImage(websiteId, imageId, userId, options = {}) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -155,9 +157,10 @@ class ImageUploadService {
         try {
             const { width, height, x, y, name } = cropData;
             
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -219,9 +222,10 @@ class ImageUploadService {
 
     async deleteImage(websiteId, imageId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -236,18 +240,7 @@ class ImageUploadService {
 
             const image = website.images[imageIndex];
             
-            // Delete from Cloudinary
-            try {
-                await cloudinary.uploader.destroy(path.parse(image.filename).name);
-                // Delete thumbnail if exists
-                if (image.thumbnailUrl) {
-                    const thumbnailFilename = path.parse(image.filename).name + '_thumb';
-                    await cloudinary.uploader.destroy(thumbnailFilename);
-                }
-            } catch (cloudinaryError) {
-                // Log but don't fail if Cloudinary deletion fails
-                loggingService.logError('Cloudinary deletion failed', cloudinaryError, { imageId });
-            }
+            await this.destroyStoredImage(image);
 
             // Remove from website
             website.images.splice(imageIndex, 1);
@@ -272,11 +265,27 @@ class ImageUploadService {
         }
     }
 
+    // Delete an image and its thumbnail from Cloudinary
+    async destroyStoredImage(image) {
+        try {
+            await cloudinary.uploader.destroy(path.parse(image.filename).name);
+            // Delete thumbnail if exists
+            if (image.thumbnailUrl) {
+                const thumbnailFilename = path.parse(image.filename).name + '_thumb';
+                await cloudinary.uploader.destroy(thumbnailFilename);
+            }
+        } catch (cloudinaryError) {
+            // Log but don't fail if Cloudinary deletion fails
+            loggingService.logError('Cloudinary deletion failed', cloudinaryError, { imageId: image.id });
+        }
+    }
+
     async getWebsiteImages(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             }).select('images');
 
@@ -0,0 +1,234 @@
+// src/services/licenseMonitorService.js
+import { User } from "../models/user.models.js";
+import { Website, GenerationHistory } from "../models/website.models.js";
+import { sendLicenseExpiryReminderEmail, sendLicenseLapsedEmail } from "../utils/email.js";
+import { logAuditEvent, HIPAA_EVENTS } from "../middlewares/hipaaAudit.middleware.js";
+import licenseVerificationService from "./licenseVerificationService.js";
+import publishService from "./publishService.js";
+import websiteService from "./websiteService.js";
+import loggingService from "./loggingService.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Periodic license upkeep: re-checks licenses against the registry, emails
+// reminders before expiry and, once a license lapses, flags or unpublishes the
+// owner's published websites (LICENSE_LAPSE_ACTION=flag|unpublish).
+class LicenseMonitorService {
+    constructor() {
+        this.pollInterval = parseInt(process.env.LICENSE_MONITOR_POLL_INTERVAL) || 60 * 60 * 1000; // 1 hour
+        this.lapseAction = process.env.LICENSE_LAPSE_ACTION === 'unpublish' ? 'unpublish' : 'flag';
+        this.batchSize = 25;
+        this.timer = null;
+        this.isPolling = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.poll();
+        }, this.pollInterval);
+
+        this.poll();
+
+        loggingService.logAppEvent('info', 'License monitor started', {
+            pollInterval: this.pollInterval,
+            lapseAction: this.lapseAction
+        });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        if (this.isPolling) {
+            return { checked: 0, reminded: 0, lapsed: 0 };
+        }
+
+        this.isPolling = true;
+        const result = { checked: 0, reminded: 0, lapsed: 0 };
+
+        try {
+            result.checked = await this.recheckLicenses();
+            result.reminded = await this.sendReminders();
+            result.lapsed = await this.enforceLapses();
+        } catch (error) {
+            console.error('License monitor poll error:', error);
+        } finally {
+            this.isPolling = false;
+        }
+
+        return result;
+    }
+
+    // Licenses never checked or due for their periodic re-check
+    async recheckLicenses() {
+        const users = await User.find({
+            'professionalInfo.licenseNumber': { $exists: true, $ne: null },
+            'professionalInfo.licenseState': { $exists: true, $ne: null },
+            $or: [
+                { 'licenseVerification.nextCheckAt': { $lte: new Date() } },
+                { 'licenseVerification.nextCheckAt': { $exists: false } }
+            ]
+        }).limit(this.batchSize);
+
+        let checked = 0;
+        for (const user of users) {
+            try {
+                await licenseVerificationService.verifyUser(user);
+                checked++;
+            } catch (error) {
+                loggingService.logError(error, { operation: 'license_recheck', userId: user._id });
+            }
+        }
+
+        return checked;
+    }
+
+    async sendReminders() {
+        const now = new Date();
+        const horizon = new Date(now.getTime() + Math.max(...licenseVerificationService.reminderDays) * DAY);
+
+        const users = await User.find({
+            'professionalInfo.licenseExpiryDate': { $gt: now, $lte: horizon }
+        }).limit(this.batchSize * 4);
+
+        let reminded = 0;
+        for (const user of users) {
+            const reminder = licenseVerificationService.getDueReminder(user, now);
+            if (!reminder) {
+                continue;
+            }
+
+            try {
+                await sendLicenseExpiryReminderEmail(
+                    user.personalInfo.professionalEmail,
+                    user.personalInfo.firstName,
+                    reminder.expiryDate,
+                    reminder.daysLeft
+                );
+            } catch (error) {
+                // Not marked as sent, so the next poll tries again
+                loggingService.logError(error, { operation: 'license_reminder', userId: user._id });
+                continue;
+            }
+
+            licenseVerificationService.markReminderSent(user, reminder);
+            await user.save({ validateBeforeSave: false });
+            reminded++;
+        }
+
+        return reminded;
+    }
+
+    // Lapsed licenses whose websites haven't been handled yet
+    async enforceLapses() {
+        const users = await User.find({
+            'licenseVerification.lapsedAt': { $exists: false },
+            $or: [
+                { 'licenseVerification.status': { $in: ['expired', 'suspended', 'revoked'] } },
+                { 'professionalInfo.licenseExpiryDate': { $lte: new Date() } }
+            ]
+        }).limit(this.batchSize);
+
+        let lapsed = 0;
+        for (const user of users) {
+            try {
+                await this.enforceLapse(user);
+                lapsed++;
+            } catch (error) {
+                loggingService.logError(error, { operation: 'license_lapse_enforcement', userId: user._id });
+            }
+        }
+
+        return lapsed;
+    }
+
+    // Flag (and with the unpublish action, take offline) the owner's published websites
+    async enforceLapse(user) {
+        const reason = licenseVerificationService.getLapseReason(user);
+        const licenseStatus = user.licenseVerification?.status;
+        const websites = await Website.find({
+            userId: user._id,
+            isActive: true,
+            status: 'published'
+        }).select('_id');
+
+        let unpublished = 0;
+        for (const website of websites) {
+            if (this.lapseAction === 'unpublish') {
+                try {
+                    await publishService.unpublishWebsite(website._id, user._id, { reason });
+                    unpublished++;
+                } catch (error) {
+                    // Still flagged below, so the site is marked even if it stays online
+                    loggingService.logError(error, {
+                        operation: 'license_lapse_unpublish',
+                        websiteId: website._id,
+                        userId: user._id
+                    });
+                }
+            }
+
+            await Website.updateOne(
+                { _id: website._id },
+                { $set: { licenseFlag: { reason, licenseStatus, flaggedAt: new Date() } } }
+            );
+            await GenerationHistory.create({
+                websiteId: website._id,
+                userId: user._id,
+                action: 'license_flagged',
+                changes: { licenseFlag: { reason, licenseStatus }, lapseAction: this.lapseAction }
+            });
+            websiteService.invalidateWebsiteCache(website._id);
+        }
+
+        user.licenseVerification.lapsedAt = new Date();
+        user.licenseVerification.lapseAction = this.lapseAction;
+        await user.save({ validateBeforeSave: false });
+
+        logAuditEvent(HIPAA_EVENTS.USER_UPDATED, {
+            userId: String(user._id),
+            resource: 'medical_license',
+            resourceId: String(user._id),
+            action: 'license_lapse_enforced',
+            outcome: 'success',
+            riskLevel: 'high',
+            additionalInfo: {
+                reason,
+                lapseAction: this.lapseAction,
+                websitesFlagged: websites.length,
+                websitesUnpublished: unpublished
+            }
+        });
+
+        if (websites.length > 0) {
+            await sendLicenseLapsedEmail(
+                user.personalInfo.professionalEmail,
+                user.personalInfo.firstName,
+                reason,
+                websites.length,
+                this.lapseAction
+            );
+        }
+
+        return { websitesFlagged: websites.length, websitesUnpublished: unpublished };
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            isPolling: this.isPolling,
+            pollInterval: this.pollInterval,
+            lapseAction: this.lapseAction
+        };
+    }
+}
+
+export default new LicenseMonitorService();
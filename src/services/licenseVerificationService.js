@@ -0,0 +1,239 @@
+// src/services/licenseVerificationService.js
+import { User } from "../models/user.models.js";
+import { Website, GenerationHistory } from "../models/website.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { createLicenseVerifier } from "../utils/licenseVerifiers.js";
+import {
+    LAPSED_LICENSE_STATUSES,
+    evaluateLicenseResult,
+    isLicenseLapsed,
+    getDueLicenseReminder,
+    markLicenseReminderSent
+} from "../utils/licenseStatus.js";
+import { logAuditEvent, HIPAA_EVENTS } from "../middlewares/hipaaAudit.middleware.js";
+import loggingService from "./loggingService.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Checks the license on a doctor's profile against a license registry and
+// decides when it has lapsed. Reminders and enforcement on published websites
+// run from licenseMonitorService.
+class LicenseVerificationService {
+    constructor() {
+        this.verifier = createLicenseVerifier();
+        this.recheckInterval = (parseInt(process.env.LICENSE_RECHECK_DAYS) || 7) * DAY;
+        this.retryInterval = 6 * 60 * 60 * 1000; // 6 hours after a registry error
+        this.manualCheckCooldown = 60 * 1000; // 1 minute
+        this.reminderDays = (process.env.LICENSE_REMINDER_DAYS || '30,14,7,1')
+            .split(',')
+            .map(days => parseInt(days))
+            .filter(days => days > 0)
+            .sort((a, b) => b - a);
+    }
+
+    // Swap the registry verifier (e.g. a fixture in tests); pass nothing to restore the configured one
+    setVerifier(verifier) {
+        this.verifier = verifier || createLicenseVerifier();
+    }
+
+    async getStatus(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        return this.formatStatus(user);
+    }
+
+    // Manual re-check from the profile page
+    async requestVerification(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        const lastCheckedAt = user.licenseVerification?.lastCheckedAt;
+        if (lastCheckedAt && Date.now() - lastCheckedAt.getTime() < this.manualCheckCooldown) {
+            throw new ApiError(429, "License was checked moments ago. Please wait a minute before checking again");
+        }
+
+        return this.verifyUser(user, { trigger: 'manual' });
+    }
+
+    // Look the user's license up and record the outcome. Accepts a user document or id.
+    async verifyUser(userOrId, { trigger = 'scheduled' } = {}) {
+        const user = userOrId instanceof User ? userOrId : await User.findById(userOrId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        const { licenseNumber, licenseState } = user.professionalInfo || {};
+        if (!licenseNumber || !licenseState) {
+            throw new ApiError(400, "Add your license number and state to your profile before verifying");
+        }
+
+        const verification = user.licenseVerification;
+        const previousStatus = verification.status;
+        verification.lastCheckedAt = new Date();
+
+        let result;
+        try {
+            result = await this.verifier.verify({ licenseNumber, licenseState });
+        } catch (error) {
+            if (!error.transient) {
+                throw error;
+            }
+
+            // Keep the last known result and try again later
+            verification.lastError = error.message;
+            verification.nextCheckAt = new Date(Date.now() + this.retryInterval);
+            await user.save({ validateBeforeSave: false });
+
+            loggingService.logAppEvent('warn', 'License registry check failed', {
+                userId: user._id,
+                error: error.message
+            });
+
+            return this.formatStatus(user);
+        }
+
+        verification.status = this.evaluateResult(result, user);
+        verification.source = result.source;
+        verification.registryExpiryDate = result.expiresAt || undefined;
+        verification.lastError = undefined;
+        verification.nextCheckAt = new Date(Date.now() + this.recheckInterval);
+        if (verification.status === 'verified') {
+            verification.verifiedAt = new Date();
+        }
+
+        // The registry is authoritative for the expiry date
+        if (result.found && result.expiresAt) {
+            user.professionalInfo.licenseExpiryDate = result.expiresAt;
+        }
+
+        await user.save({ validateBeforeSave: false });
+
+        // Websites were flagged or unpublished for the lapse; a renewed license lifts that
+        if (verification.lapsedAt && !this.isLapsed(user)) {
+            await this.clearLapse(user);
+        }
+
+        if (previousStatus !== verification.status) {
+            logAuditEvent(HIPAA_EVENTS.USER_UPDATED, {
+                userId: String(user._id),
+                resource: 'medical_license',
+                resourceId: String(user._id),
+                action: 'license_verification',
+                outcome: verification.status === 'verified' ? 'success' : 'failure',
+                riskLevel: LAPSED_LICENSE_STATUSES.includes(verification.status) ? 'high' : 'low',
+                additionalInfo: {
+                    trigger,
+                    previousStatus,
+                    status: verification.status,
+                    source: result.source
+                }
+            });
+        }
+
+        return this.formatStatus(user);
+    }
+
+    // Map a registry answer to a verification status
+    evaluateResult(result, user) {
+        return evaluateLicenseResult(result, user);
+    }
+
+    // A license has lapsed when the registry says so or its expiry date has passed
+    isLapsed(user, now = new Date()) {
+        return isLicenseLapsed(user, now);
+    }
+
+    getLapseReason(user) {
+        const status = user.licenseVerification?.status;
+        if (LAPSED_LICENSE_STATUSES.includes(status)) {
+            return `License ${status} according to the licensing registry`;
+        }
+
+        return 'License expiry date has passed';
+    }
+
+    // Closest reminder threshold that has been reached and not sent yet for this expiry date
+    getDueReminder(user, now = new Date()) {
+        return getDueLicenseReminder(user, this.reminderDays, now);
+    }
+
+    // Record a sent reminder; thresholds further from expiry are skipped rather than sent late
+    markReminderSent(user, reminder) {
+        markLicenseReminderSent(user, reminder, this.reminderDays);
+    }
+
+    // Publishing stays paused while the website owner's license has lapsed
+    async assertCanPublish(ownerId) {
+        const owner = await User.findById(ownerId).select('professionalInfo.licenseExpiryDate licenseVerification');
+        if (owner && this.isLapsed(owner)) {
+            throw new ApiError(409, `Publishing is paused: ${this.getLapseReason(owner)}. Renew the license and verify it again from your profile.`);
+        }
+    }
+
+    // A renewed license clears the flags left on the owner's websites
+    async clearLapse(user) {
+        const flagged = await Website.find({
+            userId: user._id,
+            'licenseFlag.flaggedAt': { $exists: true }
+        }).select('_id');
+
+        if (flagged.length > 0) {
+            await Website.updateMany(
+                { _id: { $in: flagged.map(website => website._id) } },
+                { $unset: { licenseFlag: 1 } }
+            );
+            await GenerationHistory.insertMany(flagged.map(website => ({
+                websiteId: website._id,
+                userId: user._id,
+                action: 'license_flag_cleared',
+                changes: { licenseFlag: null }
+            })));
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $unset: { 'licenseVerification.lapsedAt': 1, 'licenseVerification.lapseAction': 1 } }
+        );
+
+        return flagged.length;
+    }
+
+    // Reset the result when the license details on the profile change
+    resetVerification(user) {
+        user.licenseVerification = {
+            status: 'unverified',
+            nextCheckAt: new Date(),
+            remindersSent: [],
+            lapsedAt: user.licenseVerification?.lapsedAt,
+            lapseAction: user.licenseVerification?.lapseAction
+        };
+    }
+
+    formatStatus(user) {
+        const verification = user.licenseVerification || {};
+        const expiryDate = user.professionalInfo?.licenseExpiryDate || null;
+
+        return {
+            licenseNumber: user.professionalInfo?.licenseNumber || null,
+            licenseState: user.professionalInfo?.licenseState || null,
+            licenseExpiryDate: expiryDate,
+            status: verification.status || 'unverified',
+            isLapsed: this.isLapsed(user),
+            daysUntilExpiry: expiryDate ? Math.ceil((new Date(expiryDate) - Date.now()) / DAY) : null,
+            source: verification.source || null,
+            verifiedAt: verification.verifiedAt || null,
+            lastCheckedAt: verification.lastCheckedAt || null,
+            nextCheckAt: verification.nextCheckAt || null,
+            lastError: verification.lastError || null,
+            lapsedAt: verification.lapsedAt || null,
+            lapseAction: verification.lapseAction || null
+        };
+    }
+}
+
+export default new LicenseVerificationService();
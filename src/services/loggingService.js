@@ -221,6 +221,15 @@ class LoggingService {
     });
   }
 
+  // Log AI content operations (tone, SEO, quality checks, ...) with their sizes and scores
+  logAIUsage(operation, data = {}) {
+    this.loggers.ai.info(`AI Usage: ${operation}`, {
+      ...data,
+      timestamp: new Date().toISOString(),
+      type: 'ai_usage'
+    });
+  }
+
   // Log WebSocket events
   logWebSocket(event, data = {}) {
     this.loggers.websocket.info(`WebSocket: ${event}`, {
@@ -0,0 +1,264 @@
+// src/services/mfaService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { encryptString, decryptString } from "../utils/encryption.js";
+import {
+    generateMFASecret,
+    generateMFAQRCode,
+    verifyMFAToken,
+    generateBackupCodes,
+    hashBackupCode,
+    loadUserWithMFA,
+    verifySecondFactor
+} from "../middlewares/mfa.middleware.js";
+
+// TOTP two-step verification: enrollment, backup codes and the second login step.
+// Secrets are stored encrypted; backup codes only as hashes.
+class MfaService {
+    constructor() {
+        this.setupTTL = 15 * 60 * 1000; // 15 minutes to confirm a new secret
+        this.challengeExpiry = '5m';
+        this.challengePurpose = 'mfa_challenge';
+        this.backupCodeCount = 10;
+        this.lowBackupCodeThreshold = 2;
+    }
+
+    // Two-step verification status for the account settings page
+    async getStatus(userId) {
+        const user = await User.findById(userId).select('+accountInfo.mfaBackupCodes');
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        return {
+            enabled: Boolean(user.accountInfo.mfaEnabled),
+            enabledAt: user.accountInfo.mfaSetupDate || null,
+            backupCodesRemaining: user.accountInfo.mfaEnabled ? (user.accountInfo.mfaBackupCodes || []).length : 0
+        };
+    }
+
+    // Start enrollment: generate a secret that becomes active once a code from it is confirmed
+    async setupMFA(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        if (user.accountInfo.mfaEnabled) {
+            throw new ApiError(409, "Two-step verification is already enabled. Disable it before enrolling a new authenticator");
+        }
+
+        const { secret, otpauthUrl } = generateMFASecret(user.personalInfo.professionalEmail);
+        const qrCode = await generateMFAQRCode(otpauthUrl);
+        const expiresAt = new Date(Date.now() + this.setupTTL);
+
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                'accountInfo.mfaPendingSecret': encryptString(secret),
+                'accountInfo.mfaPendingExpires': expiresAt
+            }
+        });
+
+        return {
+            qrCode,
+            otpauthUrl,
+            // For authenticator apps that can't scan the QR code
+            manualEntryKey: secret,
+            expiresAt
+        };
+    }
+
+    // Finish enrollment with a code from the new secret; returns the backup codes (shown once)
+    async confirmMFA(userId, mfaToken) {
+        const user = await User.findById(userId)
+            .select('+accountInfo.mfaPendingSecret +accountInfo.mfaPendingExpires');
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        if (user.accountInfo.mfaEnabled) {
+            throw new ApiError(409, "Two-step verification is already enabled");
+        }
+
+        const { mfaPendingSecret, mfaPendingExpires } = user.accountInfo;
+        if (!mfaPendingSecret || !mfaPendingExpires || mfaPendingExpires < new Date()) {
+            throw new ApiError(400, "No pending authenticator setup. Start the setup again");
+        }
+
+        if (!mfaToken || !verifyMFAToken(String(mfaToken), decryptString(mfaPendingSecret))) {
+            throw new ApiError(400, "Invalid verification code");
+        }
+
+        const backupCodes = generateBackupCodes(this.backupCodeCount);
+        const enabledAt = new Date();
+
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                'accountInfo.mfaEnabled': true,
+                'accountInfo.mfaSecret': mfaPendingSecret,
+                'accountInfo.mfaBackupCodes': backupCodes.map(hashBackupCode),
+                'accountInfo.mfaSetupDate': enabledAt
+            },
+            $unset: {
+                'accountInfo.mfaPendingSecret': 1,
+                'accountInfo.mfaPendingExpires': 1,
+                'accountInfo.mfaLastUsedStep': 1
+            }
+        });
+
+        return { enabledAt, backupCodes };
+    }
+
+    // Turn two-step verification off; needs the password and a current code or backup code
+    async disableMFA(userId, { password, mfaToken, backupCode } = {}) {
+        if (!password) {
+            throw new ApiError(400, "Password is required");
+        }
+
+        const user = await loadUserWithMFA(userId).select('+accountInfo.password');
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        if (!user.accountInfo.mfaEnabled) {
+            throw new ApiError(400, "Two-step verification is not enabled");
+        }
+
+        if (!(await user.isPasswordCorrect(password))) {
+            throw new ApiError(401, "Password is incorrect");
+        }
+
+        if (!verifySecondFactor(user, { mfaToken, backupCode }).verified) {
+            throw new ApiError(401, "Invalid verification code");
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'accountInfo.mfaEnabled': false },
+            $unset: {
+                'accountInfo.mfaSecret': 1,
+                'accountInfo.mfaBackupCodes': 1,
+                'accountInfo.mfaSetupDate': 1,
+                'accountInfo.mfaLastUsedStep': 1,
+                'accountInfo.mfaChallengeId': 1
+            }
+        });
+
+        return { enabled: false };
+    }
+
+    // Replace all backup codes; needs a code from the authenticator app
+    async regenerateBackupCodes(userId, mfaToken) {
+        const user = await loadUserWithMFA(userId);
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        if (!user.accountInfo.mfaEnabled) {
+            throw new ApiError(400, "Two-step verification is not enabled");
+        }
+
+        if (!verifySecondFactor(user, { mfaToken }).verified) {
+            throw new ApiError(401, "Invalid verification code");
+        }
+
+        const backupCodes = generateBackupCodes(this.backupCodeCount);
+        user.accountInfo.mfaBackupCodes = backupCodes.map(hashBackupCode);
+        await user.save({ validateBeforeSave: false });
+
+        return { backupCodes };
+    }
+
+    // First login step passed: issue a short-lived token for the second step.
+    // Only the latest challenge is valid, and each can be used once.
+    async createChallenge(user) {
+        const challengeId = crypto.randomBytes(16).toString('hex');
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'accountInfo.mfaChallengeId': this.hashChallengeId(challengeId) }
+        });
+
+        const challengeToken = jwt.sign(
+            { _id: user._id, jti: challengeId, purpose: this.challengePurpose },
+            this.getChallengeSecret(),
+            { expiresIn: this.challengeExpiry }
+        );
+
+        return {
+            challengeToken,
+            expiresIn: this.challengeExpiry,
+            methods: ['totp', 'backup_code']
+        };
+    }
+
+    // Second login step: check the challenge and code, returning the user to sign in
+    async verifyChallenge(challengeToken, { mfaToken, backupCode } = {}) {
+        if (!challengeToken) {
+            throw new ApiError(400, "Challenge token is required");
+        }
+
+        if (!mfaToken && !backupCode) {
+            throw new ApiError(400, "A verification code or backup code is required");
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(challengeToken, this.getChallengeSecret());
+        } catch (error) {
+            throw new ApiError(401, "Sign-in challenge is invalid or has expired. Please sign in again");
+        }
+
+        if (payload.purpose !== this.challengePurpose) {
+            throw new ApiError(401, "Sign-in challenge is invalid or has expired. Please sign in again");
+        }
+
+        const user = await loadUserWithMFA(payload._id).select('+accountInfo.mfaChallengeId');
+
+        if (!user || !user.accountInfo.mfaEnabled ||
+            user.accountInfo.mfaChallengeId !== this.hashChallengeId(payload.jti)) {
+            throw new ApiError(401, "Sign-in challenge is invalid or has expired. Please sign in again");
+        }
+
+        if (user.isAccountLocked()) {
+            throw new ApiError(429, "Too many failed attempts. Account is temporarily locked");
+        }
+
+        const result = verifySecondFactor(user, { mfaToken, backupCode });
+        if (!result.verified) {
+            await user.incLoginAttempts();
+            throw new ApiError(401, "Invalid verification code");
+        }
+
+        user.accountInfo.mfaChallengeId = undefined;
+        await user.save({ validateBeforeSave: false });
+        await user.resetLoginAttempts();
+
+        return {
+            user,
+            method: result.method,
+            backupCodesRemaining: result.backupCodesRemaining,
+            lowOnBackupCodes: result.method === 'backup_code' &&
+                result.backupCodesRemaining <= this.lowBackupCodeThreshold
+        };
+    }
+
+    // Helper methods
+    hashChallengeId(challengeId) {
+        return crypto.createHash('sha256').update(String(challengeId)).digest('hex');
+    }
+
+    // Derived from the access token secret so a challenge token can never pass as an access token
+    getChallengeSecret() {
+        return crypto.createHmac('sha256', process.env.ACCESS_TOKEN_SECRET)
+            .update(this.challengePurpose)
+            .digest('hex');
+    }
+}
+
+export default new MfaService();
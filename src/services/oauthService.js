@@ -0,0 +1,225 @@
+// src/services/oauthService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/apierror.js";
+
+// Google sign-in: resolves a Google profile to an account, links Google to existing
+// password accounts once the password is confirmed, and creates partial profiles
+// for new doctors.
+class OAuthService {
+    constructor() {
+        this.linkTokenExpiry = '10m';
+        this.linkPurpose = 'oauth_link';
+        // Profile sections a Google-created account may fill in when completing its profile
+        this.completableSections = {
+            personalInfo: ['title', 'phone', 'dateOfBirth', 'gender'],
+            professionalInfo: [
+                'specialty', 'subSpecialty', 'licenseNumber', 'licenseState', 'licenseExpiryDate',
+                'yearsOfExperience', 'medicalSchool', 'graduationYear', 'residency', 'fellowship',
+                'boardCertifications'
+            ],
+            practiceInfo: ['practiceType', 'institutionName', 'address', 'officeHours', 'languages', 'insuranceAccepted']
+        };
+    }
+
+    // Decide what a successful Google sign-in means for this profile:
+    //   signed_in     - the Google identity is already linked (or the account was just created)
+    //   link_required - an account with this email exists; its password must be confirmed first
+    async resolveGoogleUser(profile) {
+        const identity = this.normalizeGoogleProfile(profile);
+
+        if (!identity.googleId || !identity.email) {
+            throw new ApiError(400, "Google did not return an email address for this account");
+        }
+
+        const linkedUser = await User.findOne({ 'accountInfo.googleId': identity.googleId });
+        if (linkedUser) {
+            return { status: 'signed_in', user: linkedUser, created: false };
+        }
+
+        // An unverified Google email proves nothing about who owns the address
+        if (!identity.emailVerified) {
+            throw new ApiError(401, "Your Google email address is not verified");
+        }
+
+        const existingUser = await User.findOne({ 'personalInfo.professionalEmail': identity.email })
+            .select('+accountInfo.googleId');
+
+        if (existingUser) {
+            if (existingUser.accountInfo.googleId) {
+                throw new ApiError(409, "This account is already linked to a different Google account");
+            }
+
+            return {
+                status: 'link_required',
+                email: identity.email,
+                linkToken: this.createLinkToken(existingUser._id, identity)
+            };
+        }
+
+        return { status: 'signed_in', user: await this.createPartialUser(identity), created: true };
+    }
+
+    // Link the Google identity from a link token after the account password is confirmed
+    async linkGoogleAccount(linkToken, password) {
+        if (!linkToken) {
+            throw new ApiError(400, "Link token is required");
+        }
+
+        if (!password) {
+            throw new ApiError(400, "Password is required");
+        }
+
+        const { userId, googleId, email } = this.verifyLinkToken(linkToken);
+
+        const user = await User.findById(userId).select('+accountInfo.password +accountInfo.googleId');
+        if (!user) {
+            throw new ApiError(401, "Link request is invalid or has expired. Sign in with Google again");
+        }
+
+        if (user.isAccountLocked()) {
+            throw new ApiError(429, "Too many failed attempts. Account is temporarily locked");
+        }
+
+        if (!(await user.isPasswordCorrect(password))) {
+            await user.incLoginAttempts();
+            throw new ApiError(401, "Invalid user credentials");
+        }
+
+        if (user.accountInfo.googleId && user.accountInfo.googleId !== googleId) {
+            throw new ApiError(409, "This account is already linked to a different Google account");
+        }
+
+        // The link token was issued for a Google-verified address matching this account
+        const verification = user.accountInfo.emailVerified || user.personalInfo.professionalEmail !== email ? {} : {
+            'accountInfo.emailVerified': true,
+            'accountInfo.emailVerifiedAt': new Date()
+        };
+
+        try {
+            await User.updateOne({ _id: user._id }, {
+                $set: {
+                    'accountInfo.googleId': googleId,
+                    'accountInfo.googleLinkedAt': new Date(),
+                    ...verification
+                }
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ApiError(409, "This Google account is already linked to another account");
+            }
+            throw error;
+        }
+
+        await user.resetLoginAttempts();
+
+        return user;
+    }
+
+    // Fill in the details a Google-created account started without
+    async completeProfile(userId, data = {}) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        for (const [section, fields] of Object.entries(this.completableSections)) {
+            const values = data[section] || {};
+            for (const field of fields) {
+                if (values[field] !== undefined) {
+                    user.set(`${section}.${field}`, values[field]);
+                }
+            }
+        }
+
+        user.accountInfo.profileComplete = true;
+
+        // Validation now enforces every required field; mongoose errors are reported by the error handler
+        await user.save();
+
+        return User.findById(userId).select("-accountInfo.password -accountInfo.refreshToken");
+    }
+
+    // Helper methods
+    normalizeGoogleProfile(profile = {}) {
+        const email = profile.emails?.[0]?.value || profile._json?.email;
+        const emailVerified = profile.emails?.[0]?.verified ?? profile._json?.email_verified;
+        const [displayFirst, ...displayRest] = (profile.displayName || '').trim().split(/\s+/);
+
+        return {
+            googleId: profile.id ? String(profile.id) : null,
+            email: email ? email.toLowerCase().trim() : null,
+            emailVerified: emailVerified === true || emailVerified === 'true',
+            firstName: this.fitName(profile.name?.givenName) || this.fitName(displayFirst),
+            lastName: this.fitName(profile.name?.familyName) || this.fitName(displayRest.join(' ')),
+            photo: profile.photos?.[0]?.value || null
+        };
+    }
+
+    async createPartialUser(identity) {
+        try {
+            return await User.create({
+                personalInfo: {
+                    firstName: identity.firstName || this.fitName(identity.email.split('@')[0]) || 'Doctor',
+                    // Doctors can correct this while completing their profile
+                    lastName: identity.lastName || 'Doctor',
+                    professionalEmail: identity.email,
+                    profilePhoto: identity.photo || undefined
+                },
+                accountInfo: {
+                    googleId: identity.googleId,
+                    googleLinkedAt: new Date(),
+                    profileComplete: false,
+                    // Google only gets here with a verified address
+                    emailVerified: true,
+                    emailVerifiedAt: new Date()
+                }
+            });
+        } catch (error) {
+            // A parallel callback for the same Google account created it first
+            if (error.code === 11000) {
+                const user = await User.findOne({ 'accountInfo.googleId': identity.googleId });
+                if (user) return user;
+                throw new ApiError(409, "An account with this email address already exists. Please try signing in again");
+            }
+            throw error;
+        }
+    }
+
+    // Names must be 2-50 characters to pass user validation
+    fitName(value) {
+        const name = typeof value === 'string' ? value.trim().substring(0, 50) : '';
+        return name.length >= 2 ? name : null;
+    }
+
+    createLinkToken(userId, identity) {
+        return jwt.sign(
+            { userId, googleId: identity.googleId, email: identity.email, purpose: this.linkPurpose },
+            this.getLinkSecret(),
+            { expiresIn: this.linkTokenExpiry }
+        );
+    }
+
+    verifyLinkToken(linkToken) {
+        try {
+            const payload = jwt.verify(linkToken, this.getLinkSecret());
+            if (payload.purpose !== this.linkPurpose) {
+                throw new Error('Unexpected token purpose');
+            }
+            return payload;
+        } catch (error) {
+            throw new ApiError(401, "Link request is invalid or has expired. Sign in with Google again");
+        }
+    }
+
+    // Derived from the access token secret so a link token can never pass as an access token
+    getLinkSecret() {
+        return crypto.createHmac('sha256', process.env.ACCESS_TOKEN_SECRET)
+            .update(this.linkPurpose)
+            .digest('hex');
+    }
+}
+
+export default new OAuthService();
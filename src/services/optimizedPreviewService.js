@@ -1,6 +1,8 @@
 // Optimized preview service with better caching and error handling
 import { Website } from "../models/website.models.js";
+import WebsiteVersion from "../models/WebsiteVersion.js";
 import { ApiError } from "../utils/apierror.js";
+import authorizationService from "./authorizationService.js";
 import { PreviewGenerator } from "./previewGenerator.js";
 import { safeRedisOperation } from "../config/redis.config.js";
 import crypto from 'crypto';
@@ -14,8 +16,10 @@ class OptimizedPreviewService {
   }
 
   // Generate cache key for preview
-  generateCacheKey(websiteId, deviceType, zoom, userId) {
-    const keyData = `${websiteId}:${deviceType}:${zoom}:${userId}`;
+  generateCacheKey(websiteId, deviceType, zoom, userId, branchHeadId = null) {
+    const keyData = branchHeadId
+      ? `${websiteId}:${deviceType}:${zoom}:${userId}:${branchHeadId}`
+      : `${websiteId}:${deviceType}:${zoom}:${userId}`;
     return crypto.createHash('md5').update(keyData).digest('hex');
   }
 
@@ -107,10 +111,22 @@ class OptimizedPreviewService {
   // Generate preview with caching
   async generatePreview(websiteId, userId, options = {}) {
     try {
-      const { deviceType = 'desktop', zoom = 100, forceRegenerate = false } = options;
+      const { deviceType = 'desktop', zoom = 100, forceRegenerate = false, branch } = options;
+
+      // Authorize before the cache so removed team members lose access to cached previews
+      await authorizationService.authorizeWebsite(websiteId, userId, 'view');
       
-      // Generate cache key
-      const cacheKey = this.generateCacheKey(websiteId, deviceType, zoom, userId);
+      // Branch previews render the branch head instead of the working copy
+      let branchHead = null;
+      if (branch) {
+        branchHead = await WebsiteVersion.getBranchHead(websiteId, String(branch).toLowerCase());
+        if (!branchHead) {
+          throw new ApiError(404, `Branch '${branch}' does not exist`);
+        }
+      }
+      
+      // Generate cache key (branch heads are immutable, so their id keys the cache)
+      const cacheKey = this.generateCacheKey(websiteId, deviceType, zoom, userId, branchHead?._id);
       
       // Check cache first (unless force regenerate)
       if (!forceRegenerate) {
@@ -127,7 +143,6 @@ class OptimizedPreviewService {
       // Get website data
       const website = await Website.findOne({
         _id: websiteId,
-        userId: userId,
         isActive: true
       });
 
@@ -135,27 +150,29 @@ class OptimizedPreviewService {
         throw new ApiError(404, "Website not found or access denied");
       }
 
+      const source = branchHead ? { ...website.toObject(), ...branchHead.toObject().content } : website;
+
       // Transform website data for preview generation
       const websiteData = {
-        websiteTitle: website.websiteTitle,
-        tagline: website.tagline,
+        websiteTitle: source.websiteTitle,
+        tagline: source.tagline,
         specialty: website.specialty,
-        templateName: website.templateName,
+        templateName: source.templateName,
         logo: website.logo,
         ogImage: website.ogImage,
-        seoMeta: website.seoMeta,
-        heroSection: website.heroSection,
-        aboutSection: website.aboutSection,
-        services: website.services || [],
-        contactInfo: website.contactInfo
+        seoMeta: source.seoMeta,
+        heroSection: source.heroSection,
+        aboutSection: source.aboutSection,
+        services: source.services || [],
+        contactInfo: source.contactInfo
       };
 
       // Transform customizations
       const customizations = {
-        colors: website.customizations?.colorScheme || {},
-        fonts: website.customizations?.typography || {},
-        layout: website.customizations?.layout || {},
-        features: website.customizations?.features || {}
+        colors: source.customizations?.colorScheme || {},
+        fonts: source.customizations?.typography || {},
+        layout: source.customizations?.layout || {},
+        features: source.customizations?.features || {}
       };
 
       // Generate preview
@@ -181,15 +198,16 @@ class OptimizedPreviewService {
         websiteId: website._id,
         html: devicePreview.html,
         css: devicePreview.css,
-        content: this.formatContentForFrontend(website),
+        content: this.formatContentForFrontend(source),
         styling: {
           primaryColor: customizations.colors.primary || '#2563eb',
           fontFamily: customizations.fonts.bodyFont || 'Inter',
-          customCSS: website.customizations?.customCSS || '',
-          ...website.customizations
+          customCSS: source.customizations?.customCSS || '',
+          ...source.customizations
         },
         metadata: {
-          template: website.templateName,
+          template: source.templateName,
+          branch: branchHead ? { name: branchHead.branch, versionNumber: branchHead.versionNumber } : null,
           specialty: website.specialty,
           lastUpdated: website.updatedAt || website.lastModified,
           status: website.status,
@@ -0,0 +1,381 @@
+// src/services/organizationService.js
+import crypto from "crypto";
+import Organization, { ORGANIZATION_ROLES } from "../models/Organization.js";
+import OrganizationInvitation from "../models/OrganizationInvitation.js";
+import { Website } from "../models/website.models.js";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { sendOrganizationInvitationEmail } from "../utils/email.js";
+import authorizationService from "./authorizationService.js";
+import websiteService from "./websiteService.js";
+import emailVerificationService from "./emailVerificationService.js";
+
+// Practice teams: membership, email invitations and which websites are shared
+// with the team. Access checks themselves live in authorizationService.
+class OrganizationService {
+    constructor() {
+        this.invitationTTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+    }
+
+    async createOrganization(userId, { name } = {}) {
+        try {
+            const organization = await Organization.create({
+                name,
+                createdBy: userId,
+                members: [{ userId, role: 'owner' }]
+            });
+
+            return this.formatOrganization(organization, 'owner');
+        } catch (error) {
+            console.error('Create organization error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to create organization: ${error.message}`);
+        }
+    }
+
+    async getUserOrganizations(userId) {
+        try {
+            const organizations = await Organization.find({
+                isActive: true,
+                'members.userId': userId
+            }).sort({ createdAt: -1 });
+
+            return organizations.map(organization =>
+                this.formatOrganization(organization, organization.getMember(userId).role)
+            );
+        } catch (error) {
+            console.error('Get organizations error:', error);
+            throw new ApiError(500, `Failed to retrieve organizations: ${error.message}`);
+        }
+    }
+
+    async getOrganization(organizationId, userId) {
+        try {
+            const { organization, role } = await authorizationService.authorizeOrganization(organizationId, userId, 'view');
+            await organization.populate('members.userId', 'personalInfo.firstName personalInfo.lastName personalInfo.professionalEmail');
+
+            const websiteCount = await Website.countDocuments({ organizationId: organization._id, isActive: true });
+
+            return {
+                ...this.formatOrganization(organization, role),
+                members: organization.members.map(member => ({
+                    userId: member.userId?._id || member.userId,
+                    name: member.userId?.personalInfo
+                        ? `${member.userId.personalInfo.firstName} ${member.userId.personalInfo.lastName}`
+                        : null,
+                    email: member.userId?.personalInfo?.professionalEmail || null,
+                    role: member.role,
+                    joinedAt: member.joinedAt
+                })),
+                websiteCount
+            };
+        } catch (error) {
+            console.error('Get organization error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve organization: ${error.message}`);
+        }
+    }
+
+    async renameOrganization(organizationId, userId, name) {
+        try {
+            const { organization, role } = await authorizationService.authorizeOrganization(organizationId, userId, 'manage');
+
+            organization.name = name;
+            await organization.save();
+
+            return this.formatOrganization(organization, role);
+        } catch (error) {
+            console.error('Rename organization error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to rename organization: ${error.message}`);
+        }
+    }
+
+    async updateMemberRole(organizationId, userId, memberId, role) {
+        try {
+            this.assertRole(role);
+
+            const { organization } = await authorizationService.authorizeOrganization(organizationId, userId, 'manage');
+            const member = organization.getMember(memberId);
+
+            if (!member) {
+                throw new ApiError(404, "Member not found");
+            }
+
+            if (member.role === 'owner' && role !== 'owner') {
+                this.assertAnotherOwner(organization, memberId);
+            }
+
+            member.role = role;
+            await organization.save();
+
+            return { userId: member.userId, role: member.role };
+        } catch (error) {
+            console.error('Update member role error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to update member role: ${error.message}`);
+        }
+    }
+
+    // Owners can remove anyone; every member can remove themselves (leave)
+    async removeMember(organizationId, userId, memberId) {
+        try {
+            const leaving = String(userId) === String(memberId);
+            const { organization } = await authorizationService.authorizeOrganization(
+                organizationId,
+                userId,
+                leaving ? 'view' : 'manage'
+            );
+
+            const member = organization.getMember(memberId);
+            if (!member) {
+                throw new ApiError(404, "Member not found");
+            }
+
+            if (member.role === 'owner') {
+                this.assertAnotherOwner(organization, memberId);
+            }
+
+            organization.members = organization.members.filter(m => String(m.userId) !== String(memberId));
+            await organization.save();
+
+            return { userId: memberId, removed: true };
+        } catch (error) {
+            console.error('Remove member error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to remove member: ${error.message}`);
+        }
+    }
+
+    // Email an invitation link. Inviting the same address again replaces the open invitation.
+    async inviteMember(organizationId, userId, { email, role = 'viewer' } = {}) {
+        try {
+            this.assertRole(role);
+            const normalizedEmail = String(email || '').trim().toLowerCase();
+
+            if (!normalizedEmail) {
+                throw new ApiError(400, "Email is required");
+            }
+
+            const { organization } = await authorizationService.authorizeOrganization(organizationId, userId, 'manage');
+
+            const existingUser = await User.findOne({ 'personalInfo.professionalEmail': normalizedEmail }).select('_id');
+            if (existingUser && organization.getMember(existingUser._id)) {
+                throw new ApiError(409, "This user is already a member of the organization");
+            }
+
+            const inviter = await User.findById(userId).select('personalInfo.firstName personalInfo.lastName');
+
+            await OrganizationInvitation.updateMany(
+                { organizationId: organization._id, email: normalizedEmail, status: 'pending' },
+                { $set: { status: 'revoked' } }
+            );
+
+            const token = crypto.randomBytes(32).toString('hex');
+            const invitation = await OrganizationInvitation.create({
+                organizationId: organization._id,
+                email: normalizedEmail,
+                role,
+                tokenHash: this.hashToken(token),
+                invitedBy: userId,
+                expiresAt: new Date(Date.now() + this.invitationTTL)
+            });
+
+            try {
+                await sendOrganizationInvitationEmail(
+                    normalizedEmail,
+                    token,
+                    organization.name,
+                    inviter ? `Dr. ${inviter.personalInfo.firstName} ${inviter.personalInfo.lastName}` : 'A colleague',
+                    role
+                );
+            } catch (emailError) {
+                invitation.status = 'revoked';
+                await invitation.save();
+                throw new ApiError(502, "Failed to send invitation email. Please try again later.");
+            }
+
+            return this.formatInvitation(invitation);
+        } catch (error) {
+            console.error('Invite member error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to invite member: ${error.message}`);
+        }
+    }
+
+    async getInvitations(organizationId, userId) {
+        try {
+            await authorizationService.authorizeOrganization(organizationId, userId, 'manage');
+
+            const invitations = await OrganizationInvitation.find({
+                organizationId,
+                status: 'pending',
+                expiresAt: { $gt: new Date() }
+            }).sort({ createdAt: -1 });
+
+            return invitations.map(invitation => this.formatInvitation(invitation));
+        } catch (error) {
+            console.error('Get invitations error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve invitations: ${error.message}`);
+        }
+    }
+
+    async revokeInvitation(organizationId, userId, invitationId) {
+        try {
+            await authorizationService.authorizeOrganization(organizationId, userId, 'manage');
+
+            const invitation = await OrganizationInvitation.findOneAndUpdate(
+                { _id: invitationId, organizationId, status: 'pending' },
+                { $set: { status: 'revoked' } },
+                { new: true }
+            );
+
+            if (!invitation) {
+                throw new ApiError(404, "Invitation not found");
+            }
+
+            return this.formatInvitation(invitation);
+        } catch (error) {
+            console.error('Revoke invitation error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to revoke invitation: ${error.message}`);
+        }
+    }
+
+    // Join the organization with the role from the invitation. The signed-in account
+    // must own the invited email address, and must have verified it: otherwise anyone
+    // could register with the invited address and join.
+    async acceptInvitation(token, userId) {
+        try {
+            if (!token) {
+                throw new ApiError(400, "Invitation token is required");
+            }
+
+            const invitation = await OrganizationInvitation.findOne({
+                tokenHash: this.hashToken(token),
+                status: 'pending'
+            });
+
+            if (!invitation || invitation.expiresAt <= new Date()) {
+                throw new ApiError(400, "Invitation is invalid or has expired");
+            }
+
+            const user = await User.findById(userId).select('personalInfo.professionalEmail accountInfo.emailVerified');
+            if (!user || user.personalInfo.professionalEmail.toLowerCase() !== invitation.email) {
+                throw new ApiError(403, "This invitation was sent to a different email address");
+            }
+
+            if (!emailVerificationService.isVerified(user)) {
+                throw new ApiError(403, "Verify your email address before accepting this invitation. You can request a new verification link from your profile");
+            }
+
+            const organization = await Organization.findOne({ _id: invitation.organizationId, isActive: true });
+            if (!organization) {
+                throw new ApiError(404, "Organization not found");
+            }
+
+            if (!organization.getMember(userId)) {
+                organization.members.push({ userId, role: invitation.role, invitedBy: invitation.invitedBy });
+                await organization.save();
+            }
+
+            invitation.status = 'accepted';
+            invitation.acceptedBy = userId;
+            invitation.acceptedAt = new Date();
+            await invitation.save();
+
+            return this.formatOrganization(organization, organization.getMember(userId).role);
+        } catch (error) {
+            console.error('Accept invitation error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to accept invitation: ${error.message}`);
+        }
+    }
+
+    // Share a personal website with the team. Only the website's creator can do this,
+    // and they need edit rights in the organization.
+    async attachWebsite(organizationId, userId, websiteId) {
+        try {
+            const { organization } = await authorizationService.authorizeOrganization(organizationId, userId, 'edit');
+
+            const website = await Website.findOne({ _id: websiteId, userId, isActive: true });
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            if (website.organizationId) {
+                throw new ApiError(409, "Website already belongs to an organization");
+            }
+
+            website.organizationId = organization._id;
+            await website.save();
+            websiteService.invalidateWebsiteCache(websiteId);
+
+            return { websiteId: website._id, organizationId: organization._id };
+        } catch (error) {
+            console.error('Attach website error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to add website to organization: ${error.message}`);
+        }
+    }
+
+    // Return a team website to its creator's personal workspace
+    async detachWebsite(organizationId, userId, websiteId) {
+        try {
+            await authorizationService.authorizeOrganization(organizationId, userId, 'manage');
+
+            const website = await Website.findOneAndUpdate(
+                { _id: websiteId, organizationId, isActive: true },
+                { $set: { organizationId: null } },
+                { new: true }
+            );
+
+            if (!website) {
+                throw new ApiError(404, "Website not found in this organization");
+            }
+
+            websiteService.invalidateWebsiteCache(websiteId);
+
+            return { websiteId: website._id, organizationId: null };
+        } catch (error) {
+            console.error('Detach website error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to remove website from organization: ${error.message}`);
+        }
+    }
+
+    assertRole(role) {
+        if (!ORGANIZATION_ROLES.includes(role)) {
+            throw new ApiError(400, `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`);
+        }
+    }
+
+    assertAnotherOwner(organization, memberId) {
+        const otherOwners = organization.members.filter(m =>
+            m.role === 'owner' && String(m.userId) !== String(memberId)
+        );
+
+        if (otherOwners.length === 0) {
+            throw new ApiError(400, "An organization needs at least one owner");
+        }
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    formatOrganization(organization, role) {
+        return {
+            id: organization._id,
+            name: organization.name,
+            role,
+            memberCount: organization.members.length,
+            createdBy: organization.createdBy,
+            createdAt: organization.createdAt
+        };
+    }
+
+    formatInvitation(invitation) {
+        return {
+            id: invitation._id,
+            organizationId: invitation.organizationId,
+            email: invitation.email,
+            role: invitation.role,
+            status: invitation.status,
+            expiresAt: invitation.expiresAt,
+            createdAt: invitation.createdAt
+        };
+    }
+}
+
+export default new OrganizationService();
@@ -0,0 +1,91 @@
+// src/services/privacyJobService.js
+import os from "os";
+import DataExport from "../models/DataExport.js";
+import privacyService from "./privacyService.js";
+import loggingService from "./loggingService.js";
+
+// Background work for personal data requests: builds queued exports, removes
+// expired archives and purges accounts whose deletion grace period has ended.
+class PrivacyJobService {
+    constructor() {
+        this.pollInterval = parseInt(process.env.PRIVACY_JOB_POLL_INTERVAL) || 60 * 1000; // 1 minute
+        this.lockTimeout = 30 * 60 * 1000; // 30 minutes
+        this.maxExportsPerPoll = 3;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.timer = null;
+        this.isPolling = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.poll();
+        }, this.pollInterval);
+
+        this.poll();
+
+        loggingService.logAppEvent('info', 'Privacy job worker started', {
+            workerId: this.workerId,
+            pollInterval: this.pollInterval
+        });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        if (this.isPolling) {
+            return { exported: 0, expired: 0, purged: 0 };
+        }
+
+        this.isPolling = true;
+        const result = { exported: 0, expired: 0, purged: 0 };
+
+        try {
+            await DataExport.releaseStaleLocks(this.lockTimeout);
+
+            while (result.exported < this.maxExportsPerPoll) {
+                const dataExport = await DataExport.claimNextQueued(this.workerId);
+                if (!dataExport) {
+                    break;
+                }
+
+                await privacyService.processExport(dataExport);
+                result.exported++;
+            }
+
+            result.expired = await privacyService.expireExports();
+            result.purged = await privacyService.purgeDueAccounts();
+
+            if (result.purged > 0) {
+                loggingService.logAppEvent('info', 'Purged accounts past their deletion date', {
+                    purged: result.purged
+                });
+            }
+        } catch (error) {
+            console.error('Privacy job poll error:', error);
+        } finally {
+            this.isPolling = false;
+        }
+
+        return result;
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            isPolling: this.isPolling,
+            workerId: this.workerId,
+            pollInterval: this.pollInterval
+        };
+    }
+}
+
+export default new PrivacyJobService();
@@ -0,0 +1,543 @@
+// src/services/privacyService.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import DataExport from "../models/DataExport.js";
+import WebsiteVersion from "../models/WebsiteVersion.js";
+import Experiment from "../models/Experiment.js";
+import AIUsage from "../models/AIUsage.js";
+import ScheduledPublication from "../models/ScheduledPublication.js";
+import PublishReview from "../models/PublishReview.js";
+import AnalyticsAggregate from "../models/AnalyticsAggregate.js";
+import Organization from "../models/Organization.js";
+import OrganizationInvitation from "../models/OrganizationInvitation.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import { Website, GenerationHistory } from "../models/website.models.js";
+import { Transcription, TranscriptionUsage } from "../models/transcription.models.js";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { createTarGz } from "../utils/tarArchive.js";
+import { logAuditEvent, getAuditTrail, HIPAA_EVENTS } from "../middlewares/hipaaAudit.middleware.js";
+import imageUploadService from "./imageUploadService.js";
+import websiteService from "./websiteService.js";
+import loggingService from "./loggingService.js";
+
+// Records that outlive a purged account (history on shared websites) point here
+const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+// Personal data requests: "download my data" archives and account deletion
+// with a grace period. The background work runs from privacyJobService.
+class PrivacyService {
+    constructor() {
+        this.exportDir = path.resolve(process.env.DATA_EXPORT_DIR || './data-exports');
+        this.exportTTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.deletionGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+        this.maxAuditEntries = 10000;
+    }
+
+    // Queue an export, or return the one already in progress
+    async requestDataExport(userId, { ip } = {}) {
+        try {
+            const activeExport = await DataExport.getActiveExport(userId);
+            if (activeExport) {
+                return { export: this.formatExport(activeExport), alreadyQueued: true };
+            }
+
+            const dataExport = await DataExport.create({ userId, requestedIp: ip });
+
+            logAuditEvent(HIPAA_EVENTS.DATA_EXPORT, {
+                userId: String(userId),
+                sourceIp: ip,
+                resource: 'data_export',
+                resourceId: String(dataExport._id),
+                action: 'export_requested',
+                outcome: 'success',
+                gdpr: true
+            });
+
+            return { export: this.formatExport(dataExport), alreadyQueued: false };
+        } catch (error) {
+            console.error('Request data export error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to request data export: ${error.message}`);
+        }
+    }
+
+    async getDataExports(userId) {
+        const exports = await DataExport.find({ userId }).sort({ createdAt: -1 }).limit(10);
+        return { exports: exports.map(dataExport => this.formatExport(dataExport)) };
+    }
+
+    // Resolve a completed export to the archive on disk
+    async getExportDownload(userId, exportId, { ip } = {}) {
+        const dataExport = await DataExport.findOne({ _id: exportId, userId })
+            .select('+filePath')
+            .catch(() => null);
+
+        if (!dataExport) {
+            throw new ApiError(404, "Data export not found");
+        }
+
+        if (dataExport.status !== 'completed' || dataExport.expiresAt <= new Date()) {
+            throw new ApiError(409, `Data export is ${dataExport.status === 'completed' ? 'expired' : dataExport.status}`);
+        }
+
+        if (!dataExport.filePath || !fs.existsSync(dataExport.filePath)) {
+            throw new ApiError(410, "Data export archive is no longer available");
+        }
+
+        await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+
+        logAuditEvent(HIPAA_EVENTS.DATA_EXPORT, {
+            userId: String(userId),
+            sourceIp: ip,
+            resource: 'data_export',
+            resourceId: String(dataExport._id),
+            action: 'export_downloaded',
+            outcome: 'success',
+            gdpr: true,
+            additionalInfo: { fileSize: dataExport.fileSize, checksum: dataExport.checksum }
+        });
+
+        return {
+            filePath: dataExport.filePath,
+            filename: `my-data-${dataExport.createdAt.toISOString().slice(0, 10)}.tar.gz`,
+            fileSize: dataExport.fileSize
+        };
+    }
+
+    // Build the archive for a claimed export job
+    async processExport(dataExport) {
+        try {
+            const { buffer, counts } = await this.buildExportArchive(dataExport.userId, dataExport);
+
+            fs.mkdirSync(this.exportDir, { recursive: true });
+            const filePath = path.join(this.exportDir, `${dataExport._id}.tar.gz`);
+            fs.writeFileSync(filePath, buffer, { mode: 0o600 });
+
+            dataExport.status = 'completed';
+            dataExport.filePath = filePath;
+            dataExport.fileSize = buffer.length;
+            dataExport.checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+            dataExport.counts = counts;
+            dataExport.completedAt = new Date();
+            dataExport.expiresAt = new Date(Date.now() + this.exportTTL);
+            dataExport.lockedBy = undefined;
+            dataExport.lockedAt = undefined;
+            await dataExport.save();
+
+            logAuditEvent(HIPAA_EVENTS.DATA_EXPORT, {
+                userId: String(dataExport.userId),
+                resource: 'data_export',
+                resourceId: String(dataExport._id),
+                action: 'export_completed',
+                outcome: 'success',
+                gdpr: true,
+                additionalInfo: counts
+            });
+        } catch (error) {
+            dataExport.status = 'failed';
+            dataExport.error = error.message;
+            dataExport.lockedBy = undefined;
+            dataExport.lockedAt = undefined;
+            await dataExport.save();
+
+            loggingService.logError(error, {
+                operation: 'data_export',
+                exportId: dataExport._id,
+                userId: dataExport.userId
+            });
+        }
+
+        return dataExport;
+    }
+
+    // Everything we hold about the user: profile, websites with every version and
+    // their history, transcriptions and the user's own audit trail
+    async buildExportArchive(userId, dataExport) {
+        const user = await User.findById(userId).lean();
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        const mtime = new Date();
+        const entries = [];
+        const addJson = (entryPath, data) => {
+            entries.push({ path: entryPath, content: JSON.stringify(data, null, 2), mtime });
+        };
+
+        addJson('profile.json', user);
+
+        const websites = await Website.find({ userId }).lean();
+        let versionCount = 0;
+        for (const website of websites) {
+            const [versions, history] = await Promise.all([
+                WebsiteVersion.find({ websiteId: website._id }).sort({ versionNumber: 1 }).lean(),
+                GenerationHistory.find({ websiteId: website._id }).sort({ createdAt: 1 }).lean()
+            ]);
+            versionCount += versions.length;
+
+            addJson(`websites/${website._id}/website.json`, website);
+            addJson(`websites/${website._id}/versions.json`, versions);
+            addJson(`websites/${website._id}/history.json`, history);
+        }
+
+        const [transcriptions, transcriptionUsage] = await Promise.all([
+            Transcription.find({ user_id: userId }).sort({ created_at: 1 }).lean(),
+            TranscriptionUsage.find({ user_id: userId }).lean()
+        ]);
+        addJson('transcriptions/transcriptions.json', transcriptions);
+        addJson('transcriptions/usage.json', transcriptionUsage);
+
+        const auditTrail = await getAuditTrail({ userId: String(userId), limit: this.maxAuditEntries });
+        const auditEntries = auditTrail.success ? auditTrail.data : [];
+        addJson('audit-log.json', auditEntries);
+
+        const counts = {
+            websites: websites.length,
+            versions: versionCount,
+            transcriptions: transcriptions.length,
+            auditEntries: auditEntries.length
+        };
+
+        addJson('manifest.json', {
+            exportId: dataExport?._id,
+            userId,
+            generatedAt: mtime.toISOString(),
+            counts,
+            files: entries.map(entry => entry.path)
+        });
+
+        return { buffer: createTarGz(entries), counts };
+    }
+
+    // Remove archives past their expiry
+    async expireExports() {
+        const expired = await DataExport.find({
+            status: 'completed',
+            expiresAt: { $lte: new Date() }
+        }).select('+filePath');
+
+        for (const dataExport of expired) {
+            this.removeExportFile(dataExport.filePath);
+            dataExport.status = 'expired';
+            dataExport.filePath = undefined;
+            await dataExport.save();
+        }
+
+        return expired.length;
+    }
+
+    // Schedule deletion after the grace period. Password-less (Google) accounts
+    // confirm by typing their email address instead.
+    async requestAccountDeletion(userId, { password, confirmEmail, ip } = {}) {
+        try {
+            const user = await User.findById(userId).select('+accountInfo.password');
+            if (!user) {
+                throw new ApiError(404, "User not found");
+            }
+
+            if (user.accountInfo.password) {
+                if (!password || !(await user.isPasswordCorrect(password))) {
+                    throw new ApiError(401, "Password is incorrect");
+                }
+            } else if (!confirmEmail || confirmEmail.trim().toLowerCase() !== user.personalInfo.professionalEmail.toLowerCase()) {
+                throw new ApiError(400, "Confirm deletion by entering your account email");
+            }
+
+            if (!user.accountInfo.accountDeletionRequested) {
+                user.accountInfo.accountDeletionRequested = true;
+                user.accountInfo.accountDeletionDate = new Date(Date.now() + this.deletionGraceDays * 24 * 60 * 60 * 1000);
+                await user.save({ validateBeforeSave: false });
+
+                logAuditEvent(HIPAA_EVENTS.DATA_DELETE, {
+                    userId: String(userId),
+                    sourceIp: ip,
+                    resource: 'user_account',
+                    resourceId: String(userId),
+                    action: 'deletion_requested',
+                    outcome: 'success',
+                    riskLevel: 'medium',
+                    gdpr: true,
+                    additionalInfo: { scheduledFor: user.accountInfo.accountDeletionDate }
+                });
+            }
+
+            return this.formatDeletionStatus(user);
+        } catch (error) {
+            console.error('Request account deletion error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to request account deletion: ${error.message}`);
+        }
+    }
+
+    async cancelAccountDeletion(userId, { ip } = {}) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        if (!user.accountInfo.accountDeletionRequested) {
+            throw new ApiError(409, "No account deletion is scheduled");
+        }
+
+        user.accountInfo.accountDeletionRequested = false;
+        user.accountInfo.accountDeletionDate = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        logAuditEvent(HIPAA_EVENTS.DATA_DELETE, {
+            userId: String(userId),
+            sourceIp: ip,
+            resource: 'user_account',
+            resourceId: String(userId),
+            action: 'deletion_cancelled',
+            outcome: 'success',
+            gdpr: true
+        });
+
+        return this.formatDeletionStatus(user);
+    }
+
+    async getPrivacyStatus(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        const { exports } = await this.getDataExports(userId);
+
+        return {
+            deletion: this.formatDeletionStatus(user),
+            exports,
+            consent: {
+                consentGiven: user.accountInfo.consentGiven,
+                privacyPolicyAccepted: user.accountInfo.privacyPolicyAccepted,
+                dataRetentionConsent: user.accountInfo.dataRetentionConsent
+            }
+        };
+    }
+
+    // Purge every account whose grace period has run out
+    async purgeDueAccounts(limit = 5) {
+        const dueUsers = await User.find({
+            'accountInfo.accountDeletionRequested': true,
+            'accountInfo.accountDeletionDate': { $lte: new Date() }
+        }).select('_id').limit(limit);
+
+        let purged = 0;
+        for (const { _id } of dueUsers) {
+            try {
+                await this.purgeUser(_id);
+                purged++;
+            } catch (error) {
+                loggingService.logError(error, { operation: 'account_purge', userId: _id });
+            }
+        }
+
+        return purged;
+    }
+
+    // Delete the user's personal data. Websites shared with an organization stay
+    // with the organization and only keep anonymized history.
+    async purgeUser(userId) {
+        const summary = {
+            websitesDeleted: 0,
+            websitesTransferred: 0,
+            organizationsClosed: 0,
+            transcriptionsDeleted: 0
+        };
+
+        // Leave every organization, handing ownership on where needed
+        const organizations = await Organization.find({ 'members.userId': userId, isActive: true });
+        const closedOrganizationIds = [];
+        for (const organization of organizations) {
+            const member = organization.getMember(userId);
+            organization.members = organization.members.filter(m => String(m.userId) !== String(userId));
+
+            if (organization.members.length === 0) {
+                // Keep the validator happy on the inactive record
+                organization.members = [member];
+                organization.isActive = false;
+                closedOrganizationIds.push(organization._id);
+                summary.organizationsClosed++;
+            } else if (!organization.members.some(m => m.role === 'owner')) {
+                const successor = [...organization.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+                successor.role = 'owner';
+            }
+
+            await organization.save();
+        }
+
+        // Hand the user's websites in live organizations to an owner
+        const sharedWebsites = await Website.find({
+            userId,
+            organizationId: { $ne: null, $nin: closedOrganizationIds }
+        }).select('_id organizationId');
+        const organizationsById = new Map(organizations.map(org => [String(org._id), org]));
+
+        for (const website of sharedWebsites) {
+            const organization = organizationsById.get(String(website.organizationId))
+                || await Organization.findById(website.organizationId);
+            const owner = organization?.isActive && organization.members.find(m => m.role === 'owner');
+
+            if (owner) {
+                await Website.updateOne({ _id: website._id }, { $set: { userId: owner.userId } });
+                websiteService.invalidateWebsiteCache(website._id);
+                summary.websitesTransferred++;
+            }
+        }
+
+        // Websites others left in a closed organization go back to their creators
+        if (closedOrganizationIds.length > 0) {
+            await Website.updateMany(
+                { organizationId: { $in: closedOrganizationIds }, userId: { $ne: userId } },
+                { $set: { organizationId: null } }
+            );
+        }
+
+        // Everything else the user created
+        const websitesToDelete = await Website.find({ userId });
+        for (const website of websitesToDelete) {
+            await this.deleteWebsiteData(website);
+            summary.websitesDeleted++;
+        }
+
+        await this.anonymizeUserActivity(userId);
+
+        const transcriptions = await Transcription.deleteMany({ user_id: userId });
+        summary.transcriptionsDeleted = transcriptions.deletedCount;
+        await TranscriptionUsage.deleteMany({ user_id: userId });
+
+        const exports = await DataExport.find({ userId }).select('+filePath');
+        exports.forEach(dataExport => this.removeExportFile(dataExport.filePath));
+
+        const user = await User.findById(userId).select('personalInfo.professionalEmail');
+        await Promise.all([
+            DataExport.deleteMany({ userId }),
+            Session.deleteMany({ userId }),
+            ApiKey.deleteMany({ userId }),
+            OrganizationInvitation.deleteMany({ invitedBy: userId, status: 'pending' }),
+            user ? OrganizationInvitation.deleteMany({
+                email: user.personalInfo.professionalEmail.toLowerCase(),
+                status: 'pending'
+            }) : null
+        ]);
+        await User.deleteOne({ _id: userId });
+
+        logAuditEvent(HIPAA_EVENTS.DATA_ANONYMIZED, {
+            userId: String(userId),
+            resource: 'user_account',
+            resourceId: String(userId),
+            action: 'anonymize_shared_records',
+            outcome: 'success',
+            gdpr: true,
+            additionalInfo: { websitesTransferred: summary.websitesTransferred }
+        });
+
+        logAuditEvent(HIPAA_EVENTS.USER_DELETED, {
+            userId: String(userId),
+            resource: 'user_account',
+            resourceId: String(userId),
+            action: 'account_purged',
+            outcome: 'success',
+            riskLevel: 'medium',
+            gdpr: true,
+            additionalInfo: summary
+        });
+
+        return summary;
+    }
+
+    // Hard delete a website with its versions, images and related records
+    async deleteWebsiteData(website) {
+        for (const image of website.images || []) {
+            await imageUploadService.destroyStoredImage(image);
+        }
+
+        const websiteId = website._id;
+        await Promise.all([
+            WebsiteVersion.deleteMany({ websiteId }),
+            GenerationHistory.deleteMany({ websiteId }),
+            Experiment.deleteMany({ websiteId }),
+            ScheduledPublication.deleteMany({ websiteId }),
+            PublishReview.deleteMany({ websiteId }),
+            AnalyticsAggregate.deleteMany({ websiteId })
+        ]);
+        await Website.deleteOne({ _id: websiteId });
+
+        websiteService.invalidateWebsiteCache(websiteId);
+    }
+
+    // Strip the user's identity from records kept on other people's websites
+    async anonymizeUserActivity(userId) {
+        await Promise.all([
+            GenerationHistory.updateMany(
+                { userId },
+                {
+                    $set: { userId: DELETED_USER_ID },
+                    $unset: { 'metadata.ipAddress': 1, 'metadata.userAgent': 1 }
+                }
+            ),
+            WebsiteVersion.updateMany({ createdBy: userId }, { $set: { createdBy: DELETED_USER_ID } }),
+            Experiment.updateMany({ userId }, { $set: { userId: DELETED_USER_ID } }),
+            AIUsage.updateMany({ userId }, { $set: { userId: DELETED_USER_ID } }),
+            ScheduledPublication.updateMany(
+                { userId, status: 'scheduled' },
+                { $set: { status: 'cancelled', lastError: 'Scheduling user deleted their account' } }
+            ),
+            PublishReview.updateMany({ submittedBy: userId }, { $set: { submittedBy: DELETED_USER_ID } }),
+            PublishReview.updateMany(
+                { 'decisions.reviewerId': userId },
+                { $set: { 'decisions.$[decision].reviewerId': DELETED_USER_ID } },
+                { arrayFilters: [{ 'decision.reviewerId': userId }] }
+            ),
+            PublishReview.updateMany(
+                { 'comments.authorId': userId },
+                { $set: { 'comments.$[comment].authorId': DELETED_USER_ID } },
+                { arrayFilters: [{ 'comment.authorId': userId }] }
+            ),
+            Website.updateMany(
+                { 'contentHistory.userId': userId },
+                { $set: { 'contentHistory.$[entry].userId': DELETED_USER_ID } },
+                { arrayFilters: [{ 'entry.userId': userId }] }
+            ),
+            Website.updateMany({ 'autoSaveData.userId': userId }, { $unset: { autoSaveData: 1 } })
+        ]);
+    }
+
+    removeExportFile(filePath) {
+        if (!filePath) {
+            return;
+        }
+
+        try {
+            fs.rmSync(filePath, { force: true });
+        } catch (error) {
+            console.error('Failed to remove data export file:', error.message);
+        }
+    }
+
+    formatExport(dataExport) {
+        return {
+            _id: dataExport._id,
+            status: dataExport.status,
+            fileSize: dataExport.fileSize || null,
+            checksum: dataExport.checksum || null,
+            counts: dataExport.counts || null,
+            requestedAt: dataExport.createdAt,
+            completedAt: dataExport.completedAt || null,
+            expiresAt: dataExport.expiresAt || null,
+            error: dataExport.status === 'failed' ? dataExport.error : null
+        };
+    }
+
+    formatDeletionStatus(user) {
+        return {
+            deletionRequested: !!user.accountInfo.accountDeletionRequested,
+            scheduledFor: user.accountInfo.accountDeletionRequested ? user.accountInfo.accountDeletionDate : null,
+            gracePeriodDays: this.deletionGraceDays
+        };
+    }
+}
+
+export default new PrivacyService();
@@ -0,0 +1,138 @@
+// src/services/promptEvaluationService.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import aiService from "../service/ai.service.js";
+import promptRegistry from "./promptRegistryService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_EVAL_FIXTURES = path.join(__dirname, '..', 'tests', 'fixtures', 'promptEvalTranscriptions.json');
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// How a prompt's output is produced from a fixture and scored, keyed by the
+// prompt's `evaluation` in prompts.config.js
+const EVALUATORS = {
+    'website-content': {
+        render: (fixture, version) => aiService.buildWebsiteContentPrompt(fixture.transcription, fixture.specialty.toLowerCase(), version).text,
+        score: (text) => {
+            const content = JSON.parse(aiService.extractJson(text));
+            return aiService.calculateQualityScore(content);
+        }
+    }
+};
+
+// Offline prompt evaluation: runs a fixture set of transcriptions through a
+// prompt version with the configured AI provider and scores every output, so a
+// new version can be compared against the active one before it is pinned.
+// Calls the provider directly, bypassing the generation cache and retries, and
+// scores the raw model output rather than the output after fallbacks fill gaps.
+class PromptEvaluationService {
+    loadFixtures(file = DEFAULT_EVAL_FIXTURES) {
+        const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(fixtures) || fixtures.length === 0) {
+            throw new Error(`${file} must contain a non-empty array of { id, specialty, transcription }`);
+        }
+
+        return fixtures.map((fixture, index) => {
+            if (!fixture.transcription || !fixture.specialty) {
+                throw new Error(`Fixture ${fixture.id || index} needs a transcription and a specialty`);
+            }
+            return { id: fixture.id || `fixture-${index + 1}`, ...fixture };
+        });
+    }
+
+    getEvaluator(name) {
+        const definition = promptRegistry.getDefinition(name);
+        const evaluator = EVALUATORS[definition.evaluation];
+        if (!evaluator) {
+            throw new Error(`Prompt "${name}" can't be evaluated offline; its output isn't scored by calculateQualityScore`);
+        }
+        return evaluator;
+    }
+
+    async evaluateFixture(evaluator, fixture, version) {
+        const startedAt = Date.now();
+        const result = { id: fixture.id, specialty: fixture.specialty, score: 0, parsed: false };
+
+        try {
+            const { text, usage } = await aiService.provider.generate(evaluator.render(fixture, version), { maxTokens: 3000 });
+            result.latencyMs = Date.now() - startedAt;
+            result.tokens = (usage?.inputTokens || 0) + (usage?.outputTokens || 0);
+
+            try {
+                result.score = evaluator.score(text);
+                result.parsed = true;
+            } catch (parseError) {
+                result.error = `Unparseable output: ${parseError.message}`;
+            }
+        } catch (error) {
+            result.latencyMs = Date.now() - startedAt;
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    // Score one version of a prompt against every fixture (sequentially, to stay within provider rate limits)
+    async evaluate(name, version = promptRegistry.getActiveVersion(name), fixtures = this.loadFixtures()) {
+        const evaluator = this.getEvaluator(name);
+        if (!promptRegistry.findVersion(name, version)) {
+            throw new Error(`Prompt "${name}" has no version ${version}`);
+        }
+
+        const results = [];
+        for (const fixture of fixtures) {
+            results.push(await this.evaluateFixture(evaluator, fixture, version));
+        }
+
+        const scores = results.map(result => result.score);
+        return {
+            prompt: `${name}@${version}`,
+            name,
+            version,
+            provider: aiService.provider.name,
+            model: aiService.modelId,
+            evaluatedAt: new Date().toISOString(),
+            summary: {
+                fixtures: results.length,
+                meanScore: round(mean(scores)),
+                minScore: Math.min(...scores),
+                maxScore: Math.max(...scores),
+                parseRate: round(results.filter(result => result.parsed).length / results.length),
+                errors: results.filter(result => result.error).length,
+                meanLatencyMs: Math.round(mean(results.map(result => result.latencyMs))),
+                totalTokens: results.reduce((sum, result) => sum + (result.tokens || 0), 0)
+            },
+            results
+        };
+    }
+
+    // Evaluate a candidate and a baseline version on the same fixtures and report per-fixture differences
+    async compare(name, candidateVersion, baselineVersion = promptRegistry.getActiveVersion(name), fixtures = this.loadFixtures()) {
+        const baseline = await this.evaluate(name, baselineVersion, fixtures);
+        const candidate = await this.evaluate(name, candidateVersion, fixtures);
+
+        const deltas = candidate.results.map((result, index) => ({
+            id: result.id,
+            baseline: baseline.results[index].score,
+            candidate: result.score,
+            delta: round(result.score - baseline.results[index].score)
+        }));
+
+        return {
+            prompt: name,
+            baseline,
+            candidate,
+            meanScoreDelta: round(candidate.summary.meanScore - baseline.summary.meanScore),
+            improved: deltas.filter(entry => entry.delta > 0).length,
+            regressed: deltas.filter(entry => entry.delta < 0).length,
+            deltas
+        };
+    }
+}
+
+export default new PromptEvaluationService();
@@ -0,0 +1,193 @@
+// src/services/promptRegistryService.js
+import { PROMPTS } from "../config/prompts.config.js";
+import PromptPin from "../models/PromptPin.js";
+import { ApiError } from "../utils/apierror.js";
+import { isMongoDBAvailable } from "../utils/dbHelper.js";
+import loggingService from "./loggingService.js";
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Deploy-time pins from the environment, "website.generate=1,content.tone=2"
+const parsePins = (value = '') => Object.fromEntries(
+    value.split(',')
+        .map(entry => entry.trim().split('='))
+        .filter(([name, version]) => name && parseInt(version) > 0)
+        .map(([name, version]) => [name.trim(), parseInt(version)])
+);
+
+// Named, versioned prompt templates (src/config/prompts.config.js). A prompt
+// follows its latest released version unless it is pinned: pins stored in
+// MongoDB by the pin/rollback commands take precedence over AI_PROMPT_PINS.
+// Stored pins are cached and re-read in the background every minute, so a
+// rollback reaches every instance without a restart.
+class PromptRegistryService {
+    constructor(prompts = PROMPTS) {
+        this.prompts = prompts;
+        this.envPins = parsePins(process.env.AI_PROMPT_PINS);
+        this.storedPins = {};
+        this.pinsLoadedAt = 0;
+        this.pinRefreshInterval = 60 * 1000;
+        this.refreshing = null;
+
+        for (const [name, version] of Object.entries(this.envPins)) {
+            if (!this.findVersion(name, version)) {
+                console.warn(`[Prompt Registry] Ignoring AI_PROMPT_PINS entry ${name}=${version}: no such prompt version`);
+                delete this.envPins[name];
+            }
+        }
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.prompts, name);
+    }
+
+    getDefinition(name) {
+        const definition = this.has(name) ? this.prompts[name] : null;
+        if (!definition) {
+            throw new ApiError(400, `Unknown prompt "${name}"`);
+        }
+        return definition;
+    }
+
+    findVersion(name, version) {
+        return (this.has(name) && this.prompts[name].versions.find(entry => entry.version === version)) || null;
+    }
+
+    // Highest version that isn't a draft
+    getLatestVersion(name) {
+        const released = this.getDefinition(name).versions.filter(entry => !entry.draft);
+        return Math.max(...released.map(entry => entry.version));
+    }
+
+    getPin(name) {
+        return this.storedPins[name] || (this.envPins[name] ? { version: this.envPins[name], source: 'environment' } : null);
+    }
+
+    getActiveVersion(name) {
+        this.refreshPinsIfStale();
+        const pin = this.getPin(name);
+        return pin && this.findVersion(name, pin.version) ? pin.version : this.getLatestVersion(name);
+    }
+
+    // Render a prompt with its variables. Uses the active version unless one is given.
+    // Returns { name, version, id, text }; id ("name@version") goes into result metadata.
+    render(name, variables = {}, version = null) {
+        const definition = this.getDefinition(name);
+        const selected = version ?? this.getActiveVersion(name);
+        const entry = this.findVersion(name, selected);
+        if (!entry) {
+            throw new ApiError(400, `Prompt "${name}" has no version ${selected}`);
+        }
+
+        const missing = definition.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+        if (missing.length > 0) {
+            throw new Error(`Prompt ${name}@${selected} is missing variables: ${missing.join(', ')}`);
+        }
+
+        const text = entry.template.replace(PLACEHOLDER, (match, variable) => {
+            if (!definition.variables.includes(variable)) {
+                throw new Error(`Prompt ${name}@${selected} uses undeclared variable "${variable}"`);
+            }
+            return String(variables[variable]);
+        });
+
+        return { name, version: selected, id: `${name}@${selected}`, text };
+    }
+
+    // Every prompt with its versions and the one in use
+    list() {
+        return Object.entries(this.prompts).map(([name, definition]) => ({
+            name,
+            description: definition.description,
+            variables: definition.variables,
+            evaluation: definition.evaluation || null,
+            activeVersion: this.getActiveVersion(name),
+            latestVersion: this.getLatestVersion(name),
+            pin: this.getPin(name),
+            versions: definition.versions.map(({ template, ...entry }) => ({ ...entry, draft: !!entry.draft }))
+        }));
+    }
+
+    async refreshPins() {
+        if (!isMongoDBAvailable()) {
+            return this.storedPins;
+        }
+
+        try {
+            const pins = await PromptPin.find().lean();
+            this.storedPins = Object.fromEntries(pins
+                .filter(pin => this.findVersion(pin.name, pin.version))
+                .map(pin => [pin.name, { version: pin.version, source: 'database', pinnedBy: pin.pinnedBy, reason: pin.reason, pinnedAt: pin.updatedAt }]));
+            this.pinsLoadedAt = Date.now();
+        } catch (error) {
+            loggingService.logError(error, { operation: 'prompt_pin_refresh' });
+        }
+
+        return this.storedPins;
+    }
+
+    refreshPinsIfStale() {
+        if (this.refreshing || Date.now() - this.pinsLoadedAt < this.pinRefreshInterval || !isMongoDBAvailable()) {
+            return;
+        }
+
+        this.refreshing = this.refreshPins().finally(() => {
+            this.refreshing = null;
+        });
+    }
+
+    // Hold a prompt at a version (drafts included, which is how a draft is rolled out)
+    async pin(name, version, { pinnedBy, reason } = {}) {
+        this.getDefinition(name);
+        if (!this.findVersion(name, version)) {
+            throw new ApiError(400, `Prompt "${name}" has no version ${version}`);
+        }
+        if (!isMongoDBAvailable()) {
+            throw new ApiError(503, "Prompt pins are stored in MongoDB, which is unavailable");
+        }
+
+        await this.refreshPins();
+        const previousVersion = this.getActiveVersion(name);
+        await PromptPin.findOneAndUpdate(
+            { name },
+            { $set: { version, previousVersion, pinnedBy, reason } },
+            { upsert: true }
+        );
+        await this.refreshPins();
+
+        loggingService.logAIService('prompt_pinned', { prompt: name, version, previousVersion, pinnedBy, reason });
+        return { name, version, previousVersion };
+    }
+
+    // Go back to the released version before the active one
+    async rollback(name, options = {}) {
+        await this.refreshPins();
+        const active = this.getActiveVersion(name);
+        const previous = this.getDefinition(name).versions
+            .filter(entry => !entry.draft && entry.version < active)
+            .map(entry => entry.version);
+
+        if (previous.length === 0) {
+            throw new ApiError(400, `Prompt "${name}" has no released version before ${active}`);
+        }
+
+        return this.pin(name, Math.max(...previous), { ...options, reason: options.reason || `Rollback from version ${active}` });
+    }
+
+    // Follow the latest version again (an AI_PROMPT_PINS entry still applies)
+    async unpin(name) {
+        this.getDefinition(name);
+        if (!isMongoDBAvailable()) {
+            throw new ApiError(503, "Prompt pins are stored in MongoDB, which is unavailable");
+        }
+
+        await PromptPin.deleteOne({ name });
+        await this.refreshPins();
+
+        loggingService.logAIService('prompt_unpinned', { prompt: name });
+        return { name, version: this.getActiveVersion(name) };
+    }
+}
+
+export { PromptRegistryService };
+export default new PromptRegistryService();
@@ -0,0 +1,418 @@
+// src/services/publishReviewService.js
+import WebsiteVersion from "../models/WebsiteVersion.js";
+import PublishReview, { REVIEW_SECTIONS } from "../models/PublishReview.js";
+import { Website, GenerationHistory } from "../models/website.models.js";
+import { ApiError } from "../utils/apierror.js";
+import authorizationService from "./authorizationService.js";
+
+// Reviewer sign-off before publishing. Websites opt in through their publishing
+// policy; a draft version is then submitted, reviewed and only goes live once
+// approved. Every transition is logged to GenerationHistory.
+class PublishReviewService {
+    constructor() {
+        this.maxCommentsPerRequest = 50;
+    }
+
+    async updatePolicy(websiteId, userId, policy = {}) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'manage');
+
+            const website = await Website.findOne({ _id: websiteId, isActive: true });
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const previousPolicy = this.formatPolicy(website.publishingPolicy);
+
+            if (policy.requiresApproval !== undefined) {
+                website.publishingPolicy.requiresApproval = Boolean(policy.requiresApproval);
+            }
+            if (policy.requiredApprovals !== undefined) {
+                website.publishingPolicy.requiredApprovals = Number(policy.requiredApprovals);
+            }
+
+            await website.save();
+
+            const publishingPolicy = this.formatPolicy(website.publishingPolicy);
+
+            await GenerationHistory.create({
+                websiteId: website._id,
+                userId,
+                action: 'updated',
+                changes: { publishingPolicy },
+                previousVersion: { publishingPolicy: previousPolicy }
+            });
+
+            return { publishingPolicy };
+        } catch (error) {
+            console.error('Update publishing policy error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to update publishing policy: ${error.message}`);
+        }
+    }
+
+    // Submit the latest main line draft. An earlier open review is superseded.
+    async submitForReview(websiteId, userId, options = {}) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+            const website = await Website.findOne({ _id: websiteId, isActive: true }).select('publishingPolicy');
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const draftVersion = await WebsiteVersion.getLatestVersion(websiteId, 'draft');
+            if (!draftVersion) {
+                throw new ApiError(400, "No draft version found to submit for review");
+            }
+
+            const contentHash = draftVersion.calculateContentHash();
+            const openReview = await PublishReview.getOpenReview(websiteId);
+
+            if (openReview) {
+                if (String(openReview.versionId) === String(draftVersion._id) && openReview.contentHash === contentHash) {
+                    throw new ApiError(409, `Version ${draftVersion.versionNumber} is already ${openReview.status === 'approved' ? 'approved' : 'under review'}`);
+                }
+
+                await this.closeReview(openReview, 'superseded');
+            }
+
+            const review = await PublishReview.create({
+                websiteId,
+                versionId: draftVersion._id,
+                versionNumber: draftVersion.versionNumber,
+                contentHash,
+                submittedBy: userId,
+                note: options.note,
+                requiredApprovals: website.publishingPolicy?.requiredApprovals || 1
+            });
+
+            await this.recordTransition(review, userId, 'review_submitted', {
+                note: review.note,
+                supersededReviewId: openReview?._id
+            });
+
+            return this.formatReview(review);
+        } catch (error) {
+            console.error('Submit for review error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to submit for review: ${error.message}`);
+        }
+    }
+
+    async getReviews(websiteId, userId, options = {}) {
+        try {
+            const { status, limit = 20, offset = 0 } = options;
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const filter = { websiteId };
+            if (status) {
+                filter.status = status;
+            }
+
+            const [reviews, total] = await Promise.all([
+                PublishReview.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip(parseInt(offset))
+                    .limit(Math.min(parseInt(limit) || 20, 100)),
+                PublishReview.countDocuments(filter)
+            ]);
+
+            return {
+                reviews: reviews.map(review => this.formatReview(review)),
+                pagination: {
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: parseInt(offset) + reviews.length < total
+                }
+            };
+        } catch (error) {
+            console.error('Get reviews error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve reviews: ${error.message}`);
+        }
+    }
+
+    async getReview(websiteId, reviewId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+            const review = await this.findReview(websiteId, reviewId);
+
+            return this.formatReview(review);
+        } catch (error) {
+            console.error('Get review error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve review: ${error.message}`);
+        }
+    }
+
+    // Approve a pending review. Submitters cannot approve their own work, and each
+    // reviewer counts once towards the policy's required approvals.
+    async approveReview(websiteId, reviewId, userId, options = {}) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'review');
+            const review = await this.findReview(websiteId, reviewId);
+
+            if (review.status !== 'pending') {
+                throw new ApiError(409, `Review is ${review.status.replace('_', ' ')} and can no longer be approved`);
+            }
+
+            if (String(review.submittedBy) === String(userId)) {
+                throw new ApiError(403, "You cannot approve your own submission");
+            }
+
+            if (review.decisions.some(d => d.decision === 'approved' && String(d.reviewerId) === String(userId))) {
+                throw new ApiError(409, "You have already approved this review");
+            }
+
+            await this.assertReviewCurrent(review);
+
+            const comments = this.buildComments(options.comments, userId);
+            review.decisions.push({ reviewerId: userId, decision: 'approved', note: options.note });
+            review.comments.push(...comments);
+
+            if (review.getApprovalCount() >= review.requiredApprovals) {
+                review.status = 'approved';
+                review.resolvedAt = new Date();
+            }
+
+            await review.save();
+
+            await this.recordTransition(review, userId, 'review_approved', {
+                note: options.note,
+                commentCount: comments.length,
+                approvals: review.getApprovalCount(),
+                requiredApprovals: review.requiredApprovals
+            });
+
+            return this.formatReview(review);
+        } catch (error) {
+            console.error('Approve review error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to approve review: ${error.message}`);
+        }
+    }
+
+    // Send the draft back to its authors. Also withdraws an approval that has not been published yet.
+    async requestChanges(websiteId, reviewId, userId, options = {}) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'review');
+            const review = await this.findReview(websiteId, reviewId);
+
+            if (!['pending', 'approved'].includes(review.status)) {
+                throw new ApiError(409, `Review is ${review.status.replace('_', ' ')} and is no longer open`);
+            }
+
+            const comments = this.buildComments(options.comments, userId);
+            if (!options.note && comments.length === 0) {
+                throw new ApiError(400, "Explain the requested changes with a note or section comments");
+            }
+
+            review.decisions.push({ reviewerId: userId, decision: 'changes_requested', note: options.note });
+            review.comments.push(...comments);
+            review.status = 'changes_requested';
+            review.resolvedAt = new Date();
+            await review.save();
+
+            await this.recordTransition(review, userId, 'review_changes_requested', {
+                note: options.note,
+                commentCount: comments.length,
+                sections: [...new Set(comments.map(comment => comment.section))]
+            });
+
+            return this.formatReview(review);
+        } catch (error) {
+            console.error('Request changes error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to request changes: ${error.message}`);
+        }
+    }
+
+    // Add section comments to a pending review without deciding on it
+    async addComments(websiteId, reviewId, userId, comments) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'review');
+            const review = await this.findReview(websiteId, reviewId);
+
+            if (review.status !== 'pending') {
+                throw new ApiError(409, "Comments can only be added to a pending review");
+            }
+
+            const newComments = this.buildComments(comments, userId);
+            if (newComments.length === 0) {
+                throw new ApiError(400, "At least one comment is required");
+            }
+
+            review.comments.push(...newComments);
+            await review.save();
+
+            return this.formatReview(review);
+        } catch (error) {
+            console.error('Add review comments error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to add review comments: ${error.message}`);
+        }
+    }
+
+    async withdrawReview(websiteId, reviewId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+            const review = await this.findReview(websiteId, reviewId);
+
+            if (!['pending', 'approved'].includes(review.status)) {
+                throw new ApiError(409, `Review is ${review.status.replace('_', ' ')} and is no longer open`);
+            }
+
+            await this.closeReview(review, 'withdrawn');
+            await this.recordTransition(review, userId, 'review_withdrawn', {});
+
+            return this.formatReview(review);
+        } catch (error) {
+            console.error('Withdraw review error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to withdraw review: ${error.message}`);
+        }
+    }
+
+    async requiresApproval(websiteId) {
+        const website = await Website.findById(websiteId).select('publishingPolicy').lean();
+        return Boolean(website?.publishingPolicy?.requiresApproval);
+    }
+
+    // Publish gate: the approved review must cover exactly this draft version and content
+    async getApprovedReview(websiteId, draftVersion) {
+        const review = await PublishReview.findOne({ websiteId, status: 'approved' }).sort({ createdAt: -1 });
+
+        if (!review) {
+            throw new ApiError(409, `Version ${draftVersion.versionNumber} has not been approved. Submit it for review before publishing.`);
+        }
+
+        if (String(review.versionId) !== String(draftVersion._id)) {
+            throw new ApiError(409, `The approved version (${review.versionNumber}) is not the latest draft (${draftVersion.versionNumber}). Submit the latest draft for review.`);
+        }
+
+        if (review.contentHash !== draftVersion.calculateContentHash()) {
+            throw new ApiError(409, "The draft changed after it was approved. Submit it for review again.");
+        }
+
+        return review;
+    }
+
+    async markPublished(review, publishedVersion) {
+        review.status = 'published';
+        review.publishedVersionId = publishedVersion._id;
+        await review.save();
+    }
+
+    // Approval state for the publishing status endpoint
+    async getReviewSummary(websiteId) {
+        const review = await PublishReview.findOne({ websiteId }).sort({ createdAt: -1 });
+        if (!review) {
+            return null;
+        }
+
+        return {
+            _id: review._id,
+            status: review.status,
+            versionNumber: review.versionNumber,
+            approvals: review.getApprovalCount(),
+            requiredApprovals: review.requiredApprovals,
+            submittedAt: review.createdAt
+        };
+    }
+
+    async findReview(websiteId, reviewId) {
+        const review = await PublishReview.findOne({ _id: reviewId, websiteId }).catch(() => null);
+
+        if (!review) {
+            throw new ApiError(404, "Review not found");
+        }
+
+        return review;
+    }
+
+    // Approving content that no longer matches the latest draft would approve nothing
+    async assertReviewCurrent(review) {
+        const draftVersion = await WebsiteVersion.getLatestVersion(review.websiteId, 'draft');
+
+        if (!draftVersion
+            || String(draftVersion._id) !== String(review.versionId)
+            || draftVersion.calculateContentHash() !== review.contentHash) {
+            await this.closeReview(review, 'superseded');
+            throw new ApiError(409, "The draft changed after it was submitted. Submit the latest draft for review again.");
+        }
+    }
+
+    async closeReview(review, status) {
+        review.status = status;
+        review.resolvedAt = new Date();
+        await review.save();
+    }
+
+    buildComments(comments = [], authorId) {
+        if (!Array.isArray(comments)) {
+            throw new ApiError(400, "Comments must be an array");
+        }
+
+        if (comments.length > this.maxCommentsPerRequest) {
+            throw new ApiError(400, `At most ${this.maxCommentsPerRequest} comments can be added at once`);
+        }
+
+        return comments.map((comment, index) => {
+            if (!comment || !REVIEW_SECTIONS.includes(comment.section)) {
+                throw new ApiError(400, `Comment ${index + 1} must reference a section: ${REVIEW_SECTIONS.join(', ')}`);
+            }
+
+            if (!comment.body || typeof comment.body !== 'string' || !comment.body.trim()) {
+                throw new ApiError(400, `Comment ${index + 1} needs a body`);
+            }
+
+            if (comment.path && !String(comment.path).startsWith(comment.section)) {
+                throw new ApiError(400, `Comment ${index + 1} path must be inside the ${comment.section} section`);
+            }
+
+            return {
+                authorId,
+                section: comment.section,
+                path: comment.path || undefined,
+                body: comment.body.trim()
+            };
+        });
+    }
+
+    async recordTransition(review, userId, action, changes) {
+        await GenerationHistory.create({
+            websiteId: review.websiteId,
+            userId,
+            action,
+            changes: {
+                reviewId: review._id,
+                versionNumber: review.versionNumber,
+                status: review.status,
+                ...changes
+            }
+        });
+    }
+
+    formatPolicy(policy = {}) {
+        return {
+            requiresApproval: Boolean(policy.requiresApproval),
+            requiredApprovals: policy.requiredApprovals || 1
+        };
+    }
+
+    formatReview(review) {
+        return {
+            _id: review._id,
+            websiteId: review.websiteId,
+            versionId: review.versionId,
+            versionNumber: review.versionNumber,
+            status: review.status,
+            note: review.note,
+            submittedBy: review.submittedBy,
+            submittedAt: review.createdAt,
+            approvals: review.getApprovalCount(),
+            requiredApprovals: review.requiredApprovals,
+            decisions: review.decisions,
+            comments: review.comments,
+            resolvedAt: review.resolvedAt,
+            publishedVersionId: review.publishedVersionId
+        };
+    }
+}
+
+export default new PublishReviewService();
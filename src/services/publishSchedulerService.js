@@ -0,0 +1,149 @@
+// src/services/publishSchedulerService.js
+import os from "os";
+import ScheduledPublication from "../models/ScheduledPublication.js";
+import publishService from "./publishService.js";
+import loggingService from "./loggingService.js";
+
+// Polls the scheduledpublications collection and publishes websites when they
+// come due. Jobs live in MongoDB, so schedules survive restarts and can be any
+// distance in the future.
+class PublishSchedulerService {
+    constructor() {
+        this.pollInterval = parseInt(process.env.PUBLISH_SCHEDULER_POLL_INTERVAL) || 30 * 1000; // 30 seconds
+        this.lockTimeout = parseInt(process.env.PUBLISH_SCHEDULER_LOCK_TIMEOUT) || 5 * 60 * 1000; // 5 minutes
+        this.retryBaseDelay = parseInt(process.env.PUBLISH_SCHEDULER_RETRY_DELAY) || 60 * 1000; // 1 minute
+        this.maxJobsPerPoll = 10;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.timer = null;
+        this.isPolling = false;
+    }
+
+    // Start polling for due publications
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.poll();
+        }, this.pollInterval);
+
+        // Pick up anything that came due while the server was down
+        this.poll();
+
+        loggingService.logAppEvent('info', 'Publish scheduler started', {
+            workerId: this.workerId,
+            pollInterval: this.pollInterval
+        });
+    }
+
+    // Stop polling (in-flight jobs finish; stale locks are released on next start)
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Process all jobs that are currently due
+    async poll() {
+        if (this.isPolling) {
+            return 0;
+        }
+
+        this.isPolling = true;
+        let processed = 0;
+
+        try {
+            const { failedCount, releasedCount } = await ScheduledPublication.releaseStaleLocks(this.lockTimeout);
+            if (failedCount > 0 || releasedCount > 0) {
+                loggingService.logAppEvent('warn', 'Released stale scheduled publications', {
+                    failedCount,
+                    releasedCount
+                });
+            }
+
+            while (processed < this.maxJobsPerPoll) {
+                const job = await ScheduledPublication.claimNextDue(this.workerId);
+                if (!job) {
+                    break;
+                }
+
+                await this.processJob(job);
+                processed++;
+            }
+        } catch (error) {
+            console.error('Publish scheduler poll error:', error);
+        } finally {
+            this.isPolling = false;
+        }
+
+        return processed;
+    }
+
+    // Run a single publish attempt and record its outcome on the job
+    async processJob(job) {
+        const attempt = {
+            attemptNumber: job.attemptCount,
+            startedAt: new Date(),
+            workerId: this.workerId
+        };
+
+        try {
+            const result = await publishService.publishWebsite(job.websiteId, job.userId, {
+                versionNumber: job.versionNumber,
+                contentHash: job.contentHash,
+                publishMessage: job.publishMessage || 'Scheduled publication'
+            });
+
+            await job.recordSuccess({
+                ...attempt,
+                versionNumber: result.publishedVersion?.versionNumber,
+                publicUrl: result.publicUrl
+            });
+
+            loggingService.logAppEvent('info', 'Scheduled publication completed', {
+                scheduledPublicationId: job._id,
+                websiteId: job.websiteId,
+                attemptNumber: attempt.attemptNumber
+            });
+        } catch (error) {
+            const retryDelay = this.isRetryable(error) ? this.getRetryDelay(job.attemptCount) : null;
+
+            await job.recordFailure({
+                ...attempt,
+                error: error.message
+            }, retryDelay);
+
+            loggingService.logAppEvent('error', 'Scheduled publication attempt failed', {
+                scheduledPublicationId: job._id,
+                websiteId: job.websiteId,
+                attemptNumber: attempt.attemptNumber,
+                status: job.status,
+                error: error.message
+            });
+        }
+    }
+
+    // Missing or inaccessible websites, users who may not publish and drafts edited
+    // since scheduling won't succeed on retry
+    isRetryable(error) {
+        return ![403, 404, 412].includes(error.statusCode);
+    }
+
+    // Exponential backoff: 1m, 2m, 4m, ...
+    getRetryDelay(attemptCount) {
+        return this.retryBaseDelay * Math.pow(2, Math.max(0, attemptCount - 1));
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            isPolling: this.isPolling,
+            workerId: this.workerId,
+            pollInterval: this.pollInterval
+        };
+    }
+}
+
+export default new PublishSchedulerService();
@@ -2,7 +2,17 @@
 import WebsiteVersion from "../models/WebsiteVersion.js";
 import { Website, GenerationHistory } from "../models/website.models.js";
 import { ApiError } from "../utils/apierror.js";
+import authorizationService from "./authorizationService.js";
 import { generatePublicUrl } from "../utils/urlGenerator.js";
+import ScheduledPublication from "../models/ScheduledPublication.js";
+import analyticsService from "./analyticsService.js";
+import domainService from "./domainService.js";
+import sitemapService from "./sitemapService.js";
+import versionService from "./versionService.js";
+import publishReviewService from "./publishReviewService.js";
+import licenseVerificationService from "./licenseVerificationService.js";
+import emailVerificationService from "./emailVerificationService.js";
+import complianceService from "./complianceService.js";
 
 class PublishService {
     constructor() {
@@ -11,7 +21,8 @@ class PublishService {
         this.publishTimeout = 30000; // 30 seconds
     }
 
-    // Publish current draft version
+    // Publish current draft version. options.branch promotes a named branch: its
+    // changes are merged into the main line first, then the result is published.
     async publishWebsite(websiteId, userId, options = {}) {
         try {
             // Check if already publishing
@@ -22,10 +33,40 @@ class PublishService {
             this.publishingQueue.set(websiteId, { userId, startTime: Date.now() });
 
             try {
-                // Verify user owns the website
+                const { website: authorizedWebsite } = await authorizationService.authorizeWebsite(websiteId, userId, 'publish');
+
+                // Publishing needs a verified email address, and sites of doctors whose license has lapsed can't go live
+                await emailVerificationService.assertCanPublish(userId);
+                await licenseVerificationService.assertCanPublish(authorizedWebsite.userId);
+
+                // Approval covers a specific draft, so branches must be merged and reviewed first
+                const requiresApproval = await publishReviewService.requiresApproval(websiteId);
+                if (requiresApproval && options.branch) {
+                    throw new ApiError(409, "This website requires approval before publishing. Merge the branch and submit the resulting draft for review.");
+                }
+                if (options.branch && options.versionNumber) {
+                    throw new ApiError(400, "Publish either a branch or a version number, not both");
+                }
+
+                // Merge before loading the website so the save below sees the merged revision.
+                // The merged content is validated first, so a refused publish leaves the
+                // main line and the branch as they were.
+                let promotedBranch = null;
+                if (options.branch) {
+                    const branch = versionService.normalizeBranchName(options.branch);
+                    const head = await versionService.getBranchHead(websiteId, branch);
+                    const preview = await versionService.previewMerge(websiteId, head._id, userId);
+                    const branchValidation = await this.validateContentForPublishing(preview.content, preview.specialty);
+                    if (!branchValidation.isValid) {
+                        throw new ApiError(400, `Content validation failed: ${branchValidation.errors.join(', ')}`);
+                    }
+
+                    await versionService.mergeVersion(websiteId, head._id, userId);
+                    promotedBranch = { name: branch, versionNumber: head.versionNumber };
+                }
+
                 const website = await Website.findOne({
                     _id: websiteId,
-                    userId: userId,
                     isActive: true
                 });
 
@@ -33,19 +74,23 @@ class PublishService {
                     throw new ApiError(404, "Website not found or access denied");
                 }
 
-                // Get the latest draft version
-                const draftVersion = await WebsiteVersion.getLatestVersion(websiteId, 'draft');
-                
-                if (!draftVersion) {
-                    throw new ApiError(400, "No draft version found to publish");
+                const draftVersion = await this.getDraftToPublish(websiteId, options.versionNumber);
+
+                // Scheduled publications carry the hash of the draft as it was when scheduled
+                if (options.contentHash && options.contentHash !== draftVersion.calculateContentHash()) {
+                    throw new ApiError(412, `Version ${draftVersion.versionNumber} was edited after the publication was scheduled. Schedule it again to publish the changes.`);
                 }
 
                 // Validate content before publishing
-                const validationResult = await this.validateContentForPublishing(draftVersion.content);
+                const validationResult = await this.validateContentForPublishing(draftVersion.content, website.specialty);
                 if (!validationResult.isValid) {
                     throw new ApiError(400, `Content validation failed: ${validationResult.errors.join(', ')}`);
                 }
 
+                const approvedReview = requiresApproval
+                    ? await publishReviewService.getApprovedReview(websiteId, draftVersion)
+                    : null;
+
                 // Check if there's already a published version
                 const currentPublished = await WebsiteVersion.getPublishedVersion(websiteId);
                 
@@ -83,6 +128,10 @@ class PublishService {
                 
                 await website.save();
 
+                if (approvedReview) {
+                    await publishReviewService.markPublished(approvedReview, publishedVersion);
+                }
+
                 // Log the publication
                 await GenerationHistory.create({
                     websiteId: websiteId,
@@ -91,7 +140,9 @@ class PublishService {
                     changes: {
                         status: 'published',
                         versionNumber: publishedVersion.versionNumber,
-                        publicUrl: publishedVersion.publicUrl
+                        publicUrl: publishedVersion.publicUrl,
+                        promotedBranch,
+                        reviewId: approvedReview?._id
                     },
                     metadata: {
                         publishedAt: publishedVersion.publishedAt,
@@ -110,7 +161,10 @@ class PublishService {
                     publishedVersion: publishedVersion.toObject(),
                     publicUrl: publishedVersion.publicUrl,
                     publishedAt: publishedVersion.publishedAt,
-                    message: "Website published successfully"
+                    promotedBranch,
+                    message: promotedBranch
+                        ? `Branch '${promotedBranch.name}' promoted and published successfully`
+                        : "Website published successfully"
                 };
 
             } finally {
@@ -127,10 +181,10 @@ class PublishService {
     // Unpublish website
     async unpublishWebsite(websiteId, userId, options = {}) {
         try {
-            // Verify user owns the website
+            await authorizationService.authorizeWebsite(websiteId, userId, 'publish');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -159,6 +213,9 @@ class PublishService {
             
             await website.save();
 
+            // Stop serving it on its custom domain right away
+            domainService.invalidateWebsite(websiteId);
+
             // Log the unpublication
             await GenerationHistory.create({
                 websiteId: websiteId,
@@ -210,16 +267,18 @@ class PublishService {
                 throw new ApiError(404, "Published website not found");
             }
 
-            // Update view count
-            const website = await Website.findById(websiteId);
-            if (website) {
-                website.analytics.views += 1;
-                website.analytics.lastViewed = new Date();
-                await website.save();
+            // Update view count without a full save, which would bump the content revision
+            const website = await Website.findByIdAndUpdate(websiteId, {
+                $inc: { 'analytics.views': 1 },
+                $set: { 'analytics.lastViewed': new Date() }
+            }, { new: true, timestamps: false }).select('websiteTitle specialty contactInfo').lean();
+
+            if (!website) {
+                throw new ApiError(404, "Published website not found");
             }
 
             return {
-                content: publishedVersion.content,
+                content: publishedVersion.toObject().content,
                 metadata: {
                     versionNumber: publishedVersion.versionNumber,
                     publishedAt: publishedVersion.publishedAt,
@@ -243,9 +302,10 @@ class PublishService {
     // Get publication status
     async getPublicationStatus(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -285,8 +345,8 @@ class PublishService {
         }
     }
 
-    // Validate content for publishing
-    async validateContentForPublishing(content) {
+    // Validate content for publishing, including the medical marketing compliance gate
+    async validateContentForPublishing(content, specialty = content.specialty) {
         const errors = [];
         const warnings = [];
 
@@ -325,11 +385,16 @@ class PublishService {
             warnings.push('About section content should be more detailed');
         }
 
+        const compliance = await complianceService.checkForPublishing(content, specialty);
+        errors.push(...compliance.errors);
+        warnings.push(...compliance.warnings);
+
         return {
             isValid: errors.length === 0,
             errors,
             warnings,
-            score: this.calculateContentScore(content)
+            score: this.calculateContentScore(content),
+            compliance: compliance.compliance
         };
     }
 
@@ -390,64 +455,19 @@ class PublishService {
         return Math.round((score / maxScore) * 100) / 100;
     }
 
-    // Schedule publication
+    // Schedule publication (kept for callers that pass the date positionally)
     async schedulePublication(websiteId, userId, publishAt, options = {}) {
-        try {
-            // Verify user owns the website
-            const website = await Website.findOne({
-                _id: websiteId,
-                userId: userId,
-                isActive: true
-            });
-
-            if (!website) {
-                throw new ApiError(404, "Website not found or access denied");
-            }
-
-            const publishDate = new Date(publishAt);
-            if (publishDate <= new Date()) {
-                throw new ApiError(400, "Publish date must be in the future");
-            }
-
-            // Create scheduled publication record
-            const scheduledPublication = {
-                websiteId: websiteId,
-                userId: userId,
-                publishAt: publishDate,
-                options: options,
-                status: 'scheduled',
-                createdAt: new Date()
-            };
-
-            // Store in database or queue system
-            // For now, we'll use a simple timeout (in production, use a proper job queue)
-            const timeUntilPublish = publishDate.getTime() - Date.now();
-            
-            if (timeUntilPublish <= 24 * 60 * 60 * 1000) { // If within 24 hours
-                setTimeout(async () => {
-                    try {
-                        await this.publishWebsite(websiteId, userId, options);
-                    } catch (error) {
-                        console.error('Scheduled publication failed:', error);
-                    }
-                }, timeUntilPublish);
-            }
-
-            return {
-                success: true,
-                scheduledPublication: scheduledPublication,
-                message: "Website publication scheduled successfully"
-            };
-
-        } catch (error) {
-            console.error('Schedule publication error:', error);
-            throw error instanceof ApiError ? error : new ApiError(500, `Failed to schedule publication: ${error.message}`);
-        }
+        return this.schedulePublish(websiteId, userId, {
+            ...options,
+            scheduledDate: publishAt
+        });
     }
 
     // Get publishing statistics
     async getPublishingStats(userId) {
         try {
+            const scope = await authorizationService.websiteScope(userId, 'view', 'website.');
+
             const stats = await WebsiteVersion.aggregate([
                 {
                     $lookup: {
@@ -459,7 +479,7 @@ class PublishService {
                 },
                 {
                     $match: {
-                        'website.userId': userId,
+                        ...scope,
                         'website.isActive': true,
                         versionType: 'published'
                     }
@@ -487,7 +507,7 @@ class PublishService {
                 },
                 {
                     $match: {
-                        'website.userId': userId,
+                        ...scope,
                         'website.isActive': true,
                         versionType: 'published',
                         publishedAt: {
@@ -584,9 +604,10 @@ class PublishService {
         try {
             const { limit = 10, offset = 0 } = options;
 
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -596,7 +617,6 @@ class PublishService {
 
             const history = await GenerationHistory.find({
                 websiteId: websiteId,
-                userId: userId,
                 action: { $in: ['published', 'unpublished'] }
             })
             .sort({ createdAt: -1 })
@@ -605,7 +625,6 @@ class PublishService {
 
             const totalCount = await GenerationHistory.countDocuments({
                 websiteId: websiteId,
-                userId: userId,
                 action: { $in: ['published', 'unpublished'] }
             });
 
@@ -627,9 +646,10 @@ class PublishService {
     // Get publishing status
     async getPublishingStatus(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -640,6 +660,8 @@ class PublishService {
             const publishedVersion = await WebsiteVersion.getPublishedVersion(websiteId);
             const draftVersion = await WebsiteVersion.getLatestVersion(websiteId, 'draft');
             const isPublishing = this.publishingQueue.has(websiteId);
+            const scheduledPublication = await ScheduledPublication.getActiveSchedule(websiteId);
+            const review = await publishReviewService.getReviewSummary(websiteId);
 
             return {
                 isPublished: !!publishedVersion,
@@ -657,6 +679,15 @@ class PublishService {
                     lastModified: draftVersion.createdAt,
                     isAutoSave: draftVersion.isAutoSave
                 } : null,
+                scheduledPublication: scheduledPublication ? {
+                    _id: scheduledPublication._id,
+                    status: scheduledPublication.status,
+                    publishAt: scheduledPublication.publishAt,
+                    attemptCount: scheduledPublication.attemptCount
+                } : null,
+                publishingPolicy: publishReviewService.formatPolicy(website.publishingPolicy),
+                review,
+                licenseFlag: website.licenseFlag?.flaggedAt ? website.licenseFlag : null,
                 website: {
                     status: website.status,
                     publicUrl: website.publicUrl,
@@ -669,16 +700,31 @@ class PublishService {
         }
     }
 
-    // Schedule publish
+    // Main line draft to publish: the requested version, or the latest one
+    async getDraftToPublish(websiteId, versionNumber = null) {
+        const draftVersion = versionNumber
+            ? await WebsiteVersion.findOne({ websiteId, versionNumber, versionType: 'draft', branch: null })
+            : await WebsiteVersion.getLatestVersion(websiteId, 'draft');
+
+        if (!draftVersion) {
+            throw new ApiError(400, versionNumber
+                ? `Version ${versionNumber} is not a main line draft of this website`
+                : "No draft version found to publish");
+        }
+
+        return draftVersion;
+    }
+
+    // Schedule publish - persisted so the publish scheduler picks it up after restarts
     async schedulePublish(websiteId, userId, options = {}) {
         try {
             const { scheduledDate, versionNumber, publishMessage } = options;
 
-            // This would typically use a job queue system like Bull or Agenda
-            // For now, we'll store the schedule in the database
+            await authorizationService.authorizeWebsite(websiteId, userId, 'publish');
+            await emailVerificationService.assertCanPublish(userId);
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -686,40 +732,152 @@ class PublishService {
                 throw new ApiError(404, "Website not found or access denied");
             }
 
-            // In a real implementation, you'd store this in a schedules collection
-            // and use a job queue to process scheduled publications
+            const publishDate = new Date(scheduledDate);
+            if (isNaN(publishDate.getTime())) {
+                throw new ApiError(400, "Scheduled date is invalid");
+            }
+
+            if (publishDate <= new Date()) {
+                throw new ApiError(400, "Publish date must be in the future");
+            }
+
+            const existingSchedule = await ScheduledPublication.getActiveSchedule(websiteId);
+            if (existingSchedule) {
+                throw new ApiError(409, "Website already has a scheduled publication. Cancel it before scheduling another.");
+            }
+
+            // The schedule covers the draft as it is now; edits made before the publish time aren't published
+            const draftVersion = await this.getDraftToPublish(websiteId, versionNumber);
+
+            const scheduledPublication = await ScheduledPublication.create({
+                websiteId: websiteId,
+                userId: userId,
+                publishAt: publishDate,
+                nextAttemptAt: publishDate,
+                versionNumber: draftVersion.versionNumber,
+                contentHash: draftVersion.calculateContentHash(),
+                publishMessage: publishMessage,
+                maxAttempts: this.maxPublishAttempts
+            });
+
             return {
                 success: true,
-                scheduledDate: scheduledDate,
-                versionNumber: versionNumber,
-                message: "Publication scheduled successfully (Note: Scheduling system not fully implemented)"
+                scheduledPublication: this.formatScheduledPublication(scheduledPublication),
+                message: "Website publication scheduled successfully"
             };
         } catch (error) {
             console.error('Schedule publish error:', error);
-            throw new ApiError(500, `Failed to schedule publication: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to schedule publication: ${error.message}`);
+        }
+    }
+
+    // Get the active scheduled publication and recent attempts
+    async getScheduledPublish(websiteId, userId, options = {}) {
+        try {
+            const { limit = 5 } = options;
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const activeSchedule = await ScheduledPublication.getActiveSchedule(websiteId);
+            const recentSchedules = await ScheduledPublication.find({
+                websiteId: websiteId,
+                status: { $in: ['completed', 'failed', 'cancelled'] }
+            })
+            .sort({ updatedAt: -1 })
+            .limit(limit);
+
+            return {
+                scheduledPublication: activeSchedule ? this.formatScheduledPublication(activeSchedule) : null,
+                history: recentSchedules.map(schedule => this.formatScheduledPublication(schedule))
+            };
+        } catch (error) {
+            console.error('Get scheduled publish error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve scheduled publication: ${error.message}`);
         }
     }
 
     // Cancel scheduled publish
     async cancelScheduledPublish(websiteId, userId) {
         try {
-            // This would cancel the scheduled job
+            await authorizationService.authorizeWebsite(websiteId, userId, 'publish');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const activeSchedule = await ScheduledPublication.getActiveSchedule(websiteId);
+            if (!activeSchedule) {
+                throw new ApiError(404, "No scheduled publication found");
+            }
+
+            // Only cancel if the scheduler hasn't claimed the job in the meantime
+            const cancelledSchedule = await ScheduledPublication.findOneAndUpdate(
+                { _id: activeSchedule._id, status: 'scheduled' },
+                {
+                    $set: {
+                        status: 'cancelled',
+                        cancelledAt: new Date(),
+                        cancelledBy: userId
+                    }
+                },
+                { new: true }
+            );
+
+            if (!cancelledSchedule) {
+                throw new ApiError(409, "Scheduled publication is already being processed and cannot be cancelled");
+            }
+
             return {
                 success: true,
+                scheduledPublication: this.formatScheduledPublication(cancelledSchedule),
                 message: "Scheduled publication cancelled"
             };
         } catch (error) {
             console.error('Cancel scheduled publish error:', error);
-            throw new ApiError(500, `Failed to cancel scheduled publication: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to cancel scheduled publication: ${error.message}`);
         }
     }
 
+    formatScheduledPublication(schedule) {
+        return {
+            _id: schedule._id,
+            websiteId: schedule.websiteId,
+            status: schedule.status,
+            publishAt: schedule.publishAt,
+            nextAttemptAt: schedule.status === 'scheduled' ? schedule.nextAttemptAt : null,
+            versionNumber: schedule.versionNumber,
+            publishMessage: schedule.publishMessage,
+            attemptCount: schedule.attemptCount,
+            maxAttempts: schedule.maxAttempts,
+            attempts: schedule.attempts,
+            lastError: schedule.lastError,
+            completedAt: schedule.completedAt,
+            cancelledAt: schedule.cancelledAt,
+            createdAt: schedule.createdAt
+        };
+    }
+
     // Analyze SEO
     async analyzeSEO(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -770,9 +928,10 @@ class PublishService {
     // Get performance metrics
     async getPerformanceMetrics(websiteId, userId, options = {}) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -780,37 +939,22 @@ class PublishService {
                 throw new ApiError(404, "Website not found or access denied");
             }
 
-            // This would typically integrate with analytics services
-            // For now, return mock performance data
-            return {
-                metrics: {
-                    pageLoadTime: 1.2,
-                    firstContentfulPaint: 0.8,
-                    largestContentfulPaint: 1.5,
-                    cumulativeLayoutShift: 0.1,
-                    timeToInteractive: 1.8
-                },
-                analytics: {
-                    views: website.analytics.views,
-                    sessions: Math.floor(website.analytics.views * 0.8),
-                    bounceRate: 0.35,
-                    avgSessionDuration: 180
-                },
-                period: options.period || '7d',
-                generatedAt: new Date()
-            };
+            return await analyticsService.getPerformance(websiteId, {
+                period: options.period || '7d'
+            });
         } catch (error) {
             console.error('Get performance metrics error:', error);
-            throw new ApiError(500, `Failed to retrieve performance metrics: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve performance metrics: ${error.message}`);
         }
     }
 
     // Test publish
     async testPublish(websiteId, userId, options = {}) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -824,7 +968,7 @@ class PublishService {
                 throw new ApiError(400, "No draft version found to test");
             }
 
-            const validationResult = await this.validateContentForPublishing(draftVersion.content);
+            const validationResult = await this.validateContentForPublishing(draftVersion.content, website.specialty);
             const seoScore = this.calculateSEOScore(draftVersion.content);
             const performanceEstimate = this.estimatePerformance(draftVersion.content);
 
@@ -849,9 +993,10 @@ class PublishService {
     // Get website analytics
     async getWebsiteAnalytics(websiteId, userId, options = {}) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -859,42 +1004,70 @@ class PublishService {
                 throw new ApiError(404, "Website not found or access denied");
             }
 
-            const publishedVersion = await WebsiteVersion.getPublishedVersion(websiteId);
-            
-            if (!publishedVersion) {
-                throw new ApiError(400, "No published version found for analytics");
-            }
+            // Unpublished sites keep the aggregates collected while they were live
+            const result = await analyticsService.getAnalytics(websiteId, {
+                period: options.period || '30d',
+                groupBy: options.groupBy || 'day',
+                metrics: options.metrics
+            });
 
-            // This would typically integrate with Google Analytics or similar
-            // For now, return mock analytics data
             return {
-                analytics: {
+                website: {
+                    id: website._id,
+                    title: website.websiteTitle,
+                    status: website.status
+                },
+                lifetime: {
                     views: website.analytics.views,
-                    sessions: Math.floor(website.analytics.views * 0.8),
-                    users: Math.floor(website.analytics.views * 0.6),
-                    bounceRate: 0.35,
-                    avgSessionDuration: 180,
-                    pageViews: website.analytics.views,
-                    conversionRate: 0.05
+                    generatedViews: website.analytics.generatedViews,
+                    exportCount: website.analytics.exportCount,
+                    lastViewed: website.analytics.lastViewed
                 },
-                period: options.period || '30d',
-                breakdown: this.generateAnalyticsBreakdown(website.analytics, options.groupBy || 'day'),
-                topPages: [
-                    { page: '/', views: Math.floor(website.analytics.views * 0.6) },
-                    { page: '/about', views: Math.floor(website.analytics.views * 0.2) },
-                    { page: '/services', views: Math.floor(website.analytics.views * 0.15) },
-                    { page: '/contact', views: Math.floor(website.analytics.views * 0.05) }
-                ]
+                ...result
             };
         } catch (error) {
             console.error('Get website analytics error:', error);
-            throw new ApiError(500, `Failed to retrieve website analytics: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve website analytics: ${error.message}`);
         }
     }
 
     // Republish website
     async republishWebsite(websiteId, userId, options = {}) {
         try {
+            // Check email, license and approval up front so a refused publish doesn't leave the site offline
+            const { website: authorizedWebsite } = await authorizationService.authorizeWebsite(websiteId, userId, 'publish');
+            await emailVerificationService.assertCanPublish(userId);
+            await licenseVerificationService.assertCanPublish(authorizedWebsite.userId);
+
+            // Validate what publishWebsite will publish (the branch merged into the
+            // main line, or the requested or latest draft) before taking the current version down
+            const requiresApproval = await publishReviewService.requiresApproval(websiteId);
+            let content;
+            let specialty;
+            if (options.branch && options.versionNumber) {
+                throw new ApiError(400, "Publish either a branch or a version number, not both");
+            }
+            if (options.branch) {
+                if (requiresApproval) {
+                    throw new ApiError(409, "This website requires approval before publishing. Merge the branch and submit the resulting draft for review.");
+                }
+                const head = await versionService.getBranchHead(websiteId, versionService.normalizeBranchName(options.branch));
+                ({ content, specialty } = await versionService.previewMerge(websiteId, head._id, userId));
+            } else {
+                const draftVersion = await this.getDraftToPublish(websiteId, options.versionNumber);
+                if (requiresApproval) {
+                    await publishReviewService.getApprovedReview(websiteId, draftVersion);
+                }
+                const website = await Website.findById(websiteId).select('specialty');
+                ({ content } = draftVersion);
+                specialty = website?.specialty;
+            }
+
+            const validationResult = await this.validateContentForPublishing(content, specialty);
+            if (!validationResult.isValid) {
+                throw new ApiError(400, `Content validation failed: ${validationResult.errors.join(', ')}`);
+            }
+
             // First unpublish current version
             await this.unpublishWebsite(websiteId, userId, { reason: 'Republishing with updates' });
             
@@ -907,107 +1080,38 @@ class PublishService {
             };
         } catch (error) {
             console.error('Republish website error:', error);
-            throw new ApiError(500, `Failed to republish website: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to republish website: ${error.message}`);
         }
     }
 
-    // Set custom domain
+    // Set custom domain (pending until the DNS TXT record is verified)
     async setCustomDomain(websiteId, userId, options = {}) {
-        try {
-            const { domain, sslEnabled = true } = options;
-            
-            const website = await Website.findOne({
-                _id: websiteId,
-                userId: userId,
-                isActive: true
-            });
+        return domainService.setCustomDomain(websiteId, userId, options);
+    }
 
-            if (!website) {
-                throw new ApiError(404, "Website not found or access denied");
-            }
+    // Verify custom domain ownership via DNS TXT record
+    async verifyCustomDomain(websiteId, userId) {
+        return domainService.verifyCustomDomain(websiteId, userId);
+    }
 
-            // This would typically involve DNS configuration and SSL setup
-            // For now, just store the domain preference
-            return {
-                success: true,
-                domain: domain,
-                sslEnabled: sslEnabled,
-                message: "Custom domain configuration initiated (Note: DNS setup required)"
-            };
-        } catch (error) {
-            console.error('Set custom domain error:', error);
-            throw new ApiError(500, `Failed to set custom domain: ${error.message}`);
-        }
+    // Get custom domain status and DNS instructions
+    async getCustomDomain(websiteId, userId) {
+        return domainService.getCustomDomain(websiteId, userId);
     }
 
     // Remove custom domain
     async removeCustomDomain(websiteId, userId) {
-        try {
-            const website = await Website.findOne({
-                _id: websiteId,
-                userId: userId,
-                isActive: true
-            });
-
-            if (!website) {
-                throw new ApiError(404, "Website not found or access denied");
-            }
-
-            return {
-                success: true,
-                message: "Custom domain removed successfully"
-            };
-        } catch (error) {
-            console.error('Remove custom domain error:', error);
-            throw new ApiError(500, `Failed to remove custom domain: ${error.message}`);
-        }
+        return domainService.removeCustomDomain(websiteId, userId);
     }
 
-    // Generate sitemap
-    async generateSitemap(websiteId) {
-        try {
-            const publishedVersion = await WebsiteVersion.getPublishedVersion(websiteId);
-            
-            if (!publishedVersion) {
-                throw new ApiError(404, "No published website found");
-            }
+    // Generate sitemap from the published content
+    async generateSitemap(websiteId, options = {}) {
+        return sitemapService.generateSitemap(websiteId, options);
+    }
 
-            const baseUrl = publishedVersion.publicUrl || `https://example.com/website/${websiteId}`;
-            const lastModified = publishedVersion.publishedAt.toISOString();
-
-            const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-    <url>
-        <loc>${baseUrl}</loc>
-        <lastmod>${lastModified}</lastmod>
-        <changefreq>weekly</changefreq>
-        <priority>1.0</priority>
-    </url>
-    <url>
-        <loc>${baseUrl}/about</loc>
-        <lastmod>${lastModified}</lastmod>
-        <changefreq>monthly</changefreq>
-        <priority>0.8</priority>
-    </url>
-    <url>
-        <loc>${baseUrl}/services</loc>
-        <lastmod>${lastModified}</lastmod>
-        <changefreq>weekly</changefreq>
-        <priority>0.9</priority>
-    </url>
-    <url>
-        <loc>${baseUrl}/contact</loc>
-        <lastmod>${lastModified}</lastmod>
-        <changefreq>monthly</changefreq>
-        <priority>0.7</priority>
-    </url>
-</urlset>`;
-
-            return sitemap;
-        } catch (error) {
-            console.error('Generate sitemap error:', error);
-            throw new ApiError(500, `Failed to generate sitemap: ${error.message}`);
-        }
+    // Generate sitemap index for all of a user's published websites
+    async generateSitemapIndex(userId) {
+        return sitemapService.generateSitemapIndex(userId);
     }
 
     // Generate robots.txt
@@ -1019,7 +1123,8 @@ class PublishService {
                 throw new ApiError(404, "No published website found");
             }
 
-            const baseUrl = publishedVersion.publicUrl || `https://example.com/website/${websiteId}`;
+            const website = await Website.findById(websiteId).select('customDomain').lean();
+            const baseUrl = sitemapService.getSiteUrl(website, websiteId);
             
             const robotsTxt = `User-agent: *
 Allow: /
@@ -1037,7 +1142,7 @@ Disallow: /tmp/`;
             return robotsTxt;
         } catch (error) {
             console.error('Generate robots.txt error:', error);
-            throw new ApiError(500, `Failed to generate robots.txt: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to generate robots.txt: ${error.message}`);
         }
     }
 
@@ -1139,25 +1244,6 @@ Disallow: /tmp/`;
             ].filter(Boolean)
         };
     }
-
-    generateAnalyticsBreakdown(analytics, groupBy) {
-        // Generate mock analytics breakdown
-        const totalViews = analytics.views || 0;
-        const breakdown = [];
-        
-        for (let i = 0; i < 7; i++) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            
-            breakdown.push({
-                date: date.toISOString().split('T')[0],
-                views: Math.floor(totalViews / 30 * Math.random() * 2),
-                sessions: Math.floor(totalViews / 30 * 0.8 * Math.random() * 2)
-            });
-        }
-        
-        return breakdown.reverse();
-    }
 }
 
 export default new PublishService();
\ No newline at end of file
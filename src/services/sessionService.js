@@ -0,0 +1,282 @@
+// src/services/sessionService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { User } from "../models/user.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { logAuditEvent, HIPAA_EVENTS } from "../middlewares/hipaaAudit.middleware.js";
+
+// Per-device sign-in sessions with rotating refresh tokens.
+// Every refresh invalidates the previous token; presenting an old one again means
+// it was copied, so the whole session is revoked and that device is signed out.
+class SessionService {
+    constructor() {
+        // Parallel refreshes from the same device (e.g. two tabs) within this window are
+        // rejected without treating them as token theft
+        this.reuseGracePeriod = 10 * 1000;
+        this.maxActiveSessions = 20;
+    }
+
+    // Create a session for a fresh sign-in and issue its first token pair
+    async createSession(user, { userAgent, ip } = {}) {
+        const sessionId = new mongoose.Types.ObjectId();
+        const tokenId = this.generateTokenId();
+        const refreshToken = user.generateRefreshToken(sessionId, tokenId);
+
+        await Session.create({
+            _id: sessionId,
+            userId: user._id,
+            refreshTokenHash: this.hashTokenId(tokenId),
+            userAgent: userAgent?.substring(0, 512),
+            device: this.parseUserAgent(userAgent),
+            createdIp: ip,
+            lastUsedIp: ip,
+            lastUsedAt: new Date(),
+            expiresAt: this.getTokenExpiry(refreshToken)
+        });
+
+        await this.pruneSessions(user._id);
+
+        return {
+            sessionId,
+            accessToken: user.generateAccessToken(sessionId),
+            refreshToken
+        };
+    }
+
+    // Exchange a refresh token for a new pair, detecting reuse of rotated tokens
+    async rotateSession(incomingRefreshToken, { userAgent, ip } = {}) {
+        let decoded;
+        try {
+            decoded = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
+        } catch (error) {
+            throw new ApiError(401, "Invalid refresh token");
+        }
+
+        // Tokens issued before per-device sessions carry no session id
+        if (!decoded.sid || !decoded.jti) {
+            throw new ApiError(401, "Session has expired. Please sign in again");
+        }
+
+        const session = await Session.findById(decoded.sid)
+            .select('+refreshTokenHash +previousTokenHash');
+
+        if (!session || String(session.userId) !== String(decoded._id) || !session.isActive()) {
+            throw new ApiError(401, "Session has expired. Please sign in again");
+        }
+
+        const incomingHash = this.hashTokenId(decoded.jti);
+
+        if (session.refreshTokenHash !== incomingHash) {
+            await this.handleReusedToken(session, incomingHash, { userAgent, ip });
+        }
+
+        const user = await User.findById(decoded._id);
+        if (!user) {
+            throw new ApiError(401, "Invalid refresh token");
+        }
+
+        const tokenId = this.generateTokenId();
+        const refreshToken = user.generateRefreshToken(session._id, tokenId);
+
+        // Conditional on the current hash so two concurrent refreshes can't both succeed
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: incomingHash, revokedAt: { $exists: false } },
+            {
+                $set: {
+                    refreshTokenHash: this.hashTokenId(tokenId),
+                    previousTokenHash: incomingHash,
+                    rotatedAt: new Date(),
+                    lastUsedAt: new Date(),
+                    lastUsedIp: ip,
+                    expiresAt: this.getTokenExpiry(refreshToken)
+                },
+                $inc: { rotationCount: 1 }
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            throw new ApiError(401, "Refresh token has already been used");
+        }
+
+        return {
+            sessionId: session._id,
+            accessToken: user.generateAccessToken(session._id),
+            refreshToken
+        };
+    }
+
+    // Whether the session an access token belongs to is still signed in
+    async isSessionActive(sessionId) {
+        const session = await Session.exists({
+            _id: sessionId,
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        });
+
+        return Boolean(session);
+    }
+
+    // Active sessions for the account's device list
+    async listSessions(userId, currentSessionId) {
+        const sessions = await Session.find({
+            userId,
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        return {
+            sessions: sessions.map(session => this.formatSession(session, currentSessionId)),
+            total: sessions.length
+        };
+    }
+
+    async revokeSession(userId, sessionId, reason = 'user_revoked') {
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            throw new ApiError(400, "Invalid session ID");
+        }
+
+        const session = await Session.findOneAndUpdate(
+            { _id: sessionId, userId, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date(), revokedReason: reason } },
+            { new: true }
+        );
+
+        if (!session) {
+            throw new ApiError(404, "Session not found or already signed out");
+        }
+
+        return { sessionId: session._id, revokedAt: session.revokedAt };
+    }
+
+    // Sign out every device except the one making the request
+    async revokeOtherSessions(userId, currentSessionId) {
+        const filter = { userId, revokedAt: { $exists: false } };
+        if (currentSessionId) {
+            filter._id = { $ne: currentSessionId };
+        }
+
+        const result = await Session.updateMany(filter, {
+            $set: { revokedAt: new Date(), revokedReason: 'user_revoked' }
+        });
+
+        return { revokedCount: result.modifiedCount };
+    }
+
+    async revokeAllSessions(userId, reason) {
+        const result = await Session.updateMany(
+            { userId, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        return { revokedCount: result.modifiedCount };
+    }
+
+    // Helper methods
+    async handleReusedToken(session, incomingHash, { userAgent, ip }) {
+        const withinGracePeriod = session.previousTokenHash === incomingHash &&
+            session.rotatedAt &&
+            Date.now() - session.rotatedAt.getTime() < this.reuseGracePeriod;
+
+        if (!withinGracePeriod) {
+            await Session.updateOne(
+                { _id: session._id, revokedAt: { $exists: false } },
+                { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+            );
+
+            logAuditEvent(HIPAA_EVENTS.SECURITY_ALERT, {
+                sessionId: String(session._id),
+                userId: String(session.userId),
+                sourceIp: ip,
+                userAgent,
+                resource: 'refresh_token',
+                action: 'refresh',
+                outcome: 'failure',
+                riskLevel: 'high',
+                additionalInfo: {
+                    reason: 'refresh_token_reuse',
+                    rotationCount: session.rotationCount
+                }
+            });
+
+            throw new ApiError(401, "Refresh token reuse detected. This session has been signed out");
+        }
+
+        throw new ApiError(401, "Refresh token has already been used");
+    }
+
+    // Oldest sessions are signed out once an account exceeds the limit
+    async pruneSessions(userId) {
+        const stale = await Session.find({ userId, revokedAt: { $exists: false } })
+            .sort({ lastUsedAt: -1 })
+            .skip(this.maxActiveSessions)
+            .select('_id')
+            .lean();
+
+        if (stale.length > 0) {
+            await Session.updateMany(
+                { _id: { $in: stale.map(session => session._id) } },
+                { $set: { revokedAt: new Date(), revokedReason: 'user_revoked' } }
+            );
+        }
+    }
+
+    generateTokenId() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    hashTokenId(tokenId) {
+        return crypto.createHash('sha256').update(String(tokenId)).digest('hex');
+    }
+
+    getTokenExpiry(token) {
+        const { exp } = jwt.decode(token) || {};
+        // REFRESH_TOKEN_EXPIRY unset means no exp claim; fall back to 10 days
+        return exp ? new Date(exp * 1000) : new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+    }
+
+    parseUserAgent(userAgent = '') {
+        const ua = String(userAgent);
+
+        const browser = /Edg\//.test(ua) ? 'Edge'
+            : /OPR\/|Opera/.test(ua) ? 'Opera'
+            : /Firefox\//.test(ua) ? 'Firefox'
+            : /Chrome\/|CriOS\//.test(ua) ? 'Chrome'
+            : /Safari\//.test(ua) ? 'Safari'
+            : 'Unknown';
+
+        const os = /Windows/.test(ua) ? 'Windows'
+            : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+            : /Android/.test(ua) ? 'Android'
+            : /Mac OS X|Macintosh/.test(ua) ? 'macOS'
+            : /CrOS/.test(ua) ? 'ChromeOS'
+            : /Linux/.test(ua) ? 'Linux'
+            : 'Unknown';
+
+        const type = /iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua)) ? 'tablet'
+            : /Mobi|iPhone|iPod/.test(ua) ? 'mobile'
+            : ua ? 'desktop'
+            : 'unknown';
+
+        return { browser, os, type };
+    }
+
+    formatSession(session, currentSessionId) {
+        return {
+            sessionId: session._id,
+            device: session.device,
+            userAgent: session.userAgent,
+            ipAddress: session.lastUsedIp,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId)
+        };
+    }
+}
+
+export default new SessionService();
@@ -0,0 +1,194 @@
+// src/services/sitemapService.js
+import mongoose from "mongoose";
+import WebsiteVersion from "../models/WebsiteVersion.js";
+import { Website } from "../models/website.models.js";
+import { ApiError } from "../utils/apierror.js";
+import { generatePublicUrl, generateCustomDomainUrl } from "../utils/urlGenerator.js";
+
+// Sitemaps built from the published WebsiteVersion content. A published site is
+// rendered as a single page, so the sitemap lists only that page (other paths on a
+// custom domain answer with the same page and would be duplicates). Its lastmod
+// comes from the version in which any of its sections last changed. Static
+// exports also contain one file per section page (about.html, ...), which are
+// listed when passed as sectionPages.
+class SitemapService {
+    constructor() {
+        this.maxHistoryVersions = 200;
+        this.pageSections = ['websiteTitle', 'tagline', 'heroSection', 'aboutSection', 'services', 'contactInfo', 'seoMeta'];
+        this.sectionPageFields = {
+            about: ['aboutSection'],
+            services: ['services'],
+            contact: ['contactInfo']
+        };
+    }
+
+    // Generate the urlset sitemap for one published website
+    async generateSitemap(websiteId, { sectionPages = [] } = {}) {
+        try {
+            const publishedVersion = await WebsiteVersion.getPublishedVersion(websiteId);
+
+            if (!publishedVersion) {
+                throw new ApiError(404, "No published website found");
+            }
+
+            const website = await Website.findOne({ _id: websiteId, isActive: true })
+                .select('customDomain images')
+                .lean();
+
+            if (!website) {
+                throw new ApiError(404, "No published website found");
+            }
+
+            const baseUrl = this.getSiteUrl(website, websiteId);
+            const history = await this.getSectionHistory(websiteId, publishedVersion);
+            const lastmodFor = (fields) => this.latestDate(fields.map(field => history[field]), publishedVersion.publishedAt);
+
+            const urls = [{
+                loc: baseUrl,
+                lastmod: lastmodFor(this.pageSections),
+                changefreq: 'weekly',
+                priority: '1.0',
+                images: (website.images || []).filter(image => image.url)
+            }];
+
+            sectionPages.forEach(sectionId => {
+                urls.push({
+                    loc: `${baseUrl}/${sectionId}.html`,
+                    lastmod: lastmodFor(this.sectionPageFields[sectionId] || this.pageSections),
+                    changefreq: 'monthly',
+                    priority: '0.8'
+                });
+            });
+
+            return this.renderUrlset(urls);
+
+        } catch (error) {
+            console.error('Generate sitemap error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to generate sitemap: ${error.message}`);
+        }
+    }
+
+    // Generate a sitemap index covering all of a user's published websites. Public:
+    // it only lists sitemaps of sites that are already live.
+    async generateSitemapIndex(userId) {
+        try {
+            if (!mongoose.isValidObjectId(userId)) {
+                throw new ApiError(404, "No published website found");
+            }
+
+            const websites = await Website.find({
+                userId,
+                status: 'published',
+                isActive: true
+            }).select('_id customDomain publishedAt lastModified').sort({ publishedAt: -1 }).lean();
+
+            const entries = websites.map(website => ({
+                loc: `${this.getSiteUrl(website, website._id)}/sitemap.xml`,
+                lastmod: website.publishedAt || website.lastModified
+            }));
+
+            return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(entry => `    <sitemap>
+        <loc>${this.escapeXml(entry.loc)}</loc>${entry.lastmod ? `
+        <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : ''}
+    </sitemap>`).join('\n')}
+</sitemapindex>`;
+
+        } catch (error) {
+            console.error('Generate sitemap index error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to generate sitemap index: ${error.message}`);
+        }
+    }
+
+    // Verified custom domains take precedence over the platform URL (/sites/<shortId>)
+    getSiteUrl(website, websiteId) {
+        if (website?.customDomain?.status === 'verified') {
+            return generateCustomDomainUrl(website.customDomain.domain);
+        }
+
+        return generatePublicUrl(websiteId);
+    }
+
+    // Walk the version history (oldest first) recording when each section last changed.
+    // Returns { field: Date }
+    async getSectionHistory(websiteId, publishedVersion) {
+        const versions = await WebsiteVersion.find({
+            websiteId,
+            versionNumber: { $lte: publishedVersion.versionNumber },
+            versionType: { $ne: 'published' },
+            branch: null
+        })
+            .select('versionNumber content createdAt')
+            .sort({ versionNumber: -1, createdAt: -1 })
+            .limit(this.maxHistoryVersions)
+            .lean();
+
+        // The published snapshot is the newest state
+        versions.reverse();
+        versions.push({
+            content: publishedVersion.content,
+            createdAt: publishedVersion.publishedAt || publishedVersion.createdAt
+        });
+
+        const sections = {};
+        const previous = {};
+
+        versions.forEach(version => {
+            const content = version.content || {};
+
+            this.pageSections.forEach(field => {
+                const value = JSON.stringify(content[field] ?? null);
+                if (previous[field] !== value) {
+                    sections[field] = version.createdAt;
+                    previous[field] = value;
+                }
+            });
+        });
+
+        return sections;
+    }
+
+    renderUrlset(urls) {
+        const hasImages = urls.some(url => url.images?.length);
+        const namespaces = 'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"' +
+            (hasImages ? ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"' : '');
+
+        const body = urls.map(url => {
+            const images = (url.images || []).map(image => `
+        <image:image>
+            <image:loc>${this.escapeXml(image.url)}</image:loc>${image.caption || image.alt ? `
+            <image:caption>${this.escapeXml(image.caption || image.alt)}</image:caption>` : ''}
+        </image:image>`).join('');
+
+            return `    <url>
+        <loc>${this.escapeXml(url.loc)}</loc>
+        <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>
+        <changefreq>${url.changefreq}</changefreq>
+        <priority>${url.priority}</priority>${images}
+    </url>`;
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset ${namespaces}>
+${body}
+</urlset>`;
+    }
+
+    // Helper methods
+    latestDate(dates, fallback) {
+        const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+        return times.length > 0 ? new Date(Math.max(...times)) : (fallback || new Date());
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+export default new SitemapService();
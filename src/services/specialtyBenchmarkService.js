@@ -0,0 +1,131 @@
+// src/services/specialtyBenchmarkService.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import aiService from "../service/ai.service.js";
+import { confusionMatrix, classificationReport, topConfusions } from "../utils/classificationMetrics.js";
+import { fitCalibration, applyCalibration, reliability } from "../utils/confidenceCalibration.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SPECIALTY_DATASET = path.join(__dirname, '..', 'tests', 'fixtures', 'specialtyDetectionDataset.json');
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Specialty detection benchmark: runs a labeled dataset of transcriptions through
+// the detector and reports accuracy, per-specialty precision/recall, the confusion
+// matrix and how well confidence tracks accuracy, before and after calibration.
+// The calibration it fits is what detectMedicalSpecialty applies
+// (npm run specialty-benchmark -- --write-calibration).
+class SpecialtyBenchmarkService {
+    loadDataset(file = DEFAULT_SPECIALTY_DATASET) {
+        const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(dataset) || dataset.length === 0) {
+            throw new Error(`${file} must contain a non-empty array of { id, specialty, transcription }`);
+        }
+
+        const specialties = Object.keys(aiService.specialtyKeywords);
+        return dataset.map((entry, index) => {
+            if (!entry.transcription || !entry.specialty) {
+                throw new Error(`Entry ${entry.id || index} needs a transcription and a specialty`);
+            }
+            if (!specialties.includes(entry.specialty)) {
+                throw new Error(`Entry ${entry.id || index} is labeled with unsupported specialty "${entry.specialty}"`);
+            }
+            return { id: entry.id || `entry-${index + 1}`, ...entry };
+        });
+    }
+
+    // Raw (uncalibrated) detections for every entry
+    async detect(dataset) {
+        const predictions = [];
+        for (const entry of dataset) {
+            const detection = await aiService.classifySpecialty(entry.transcription);
+            predictions.push({
+                id: entry.id,
+                actual: entry.specialty,
+                predicted: detection.specialty,
+                method: detection.method,
+                confidence: detection.confidence,
+                correct: detection.specialty === entry.specialty
+            });
+        }
+        return predictions;
+    }
+
+    // Calibrated confidence for each prediction from a calibration fitted on the
+    // other folds, so the reported calibration error isn't measured on training data
+    crossValidate(predictions, { folds = 5, bins } = {}) {
+        const foldCount = Math.max(2, Math.min(folds, predictions.length));
+        const calibrations = Array.from({ length: foldCount }, (_, fold) =>
+            fitCalibration(predictions.filter((_, index) => index % foldCount !== fold), { bins }));
+
+        return predictions.map((prediction, index) => ({
+            ...prediction,
+            confidence: applyCalibration(calibrations[index % foldCount], prediction.method, prediction.confidence).confidence
+        }));
+    }
+
+    summarizeMethods(predictions) {
+        const methods = {};
+        for (const method of new Set(predictions.map(prediction => prediction.method))) {
+            const methodPredictions = predictions.filter(prediction => prediction.method === method);
+            methods[method] = {
+                n: methodPredictions.length,
+                accuracy: round(mean(methodPredictions.map(prediction => (prediction.correct ? 1 : 0)))),
+                meanRawConfidence: round(mean(methodPredictions.map(prediction => prediction.confidence)))
+            };
+        }
+        return methods;
+    }
+
+    // How the confirmation prompt would split the dataset at a threshold: share of
+    // detections sent to the user, and accuracy of those accepted without asking
+    summarizeConfirmation(predictions, threshold) {
+        const accepted = predictions.filter(prediction => prediction.confidence >= threshold);
+        const confirmed = predictions.filter(prediction => prediction.confidence < threshold);
+        const accuracy = (subset) => (subset.length ? round(mean(subset.map(prediction => (prediction.correct ? 1 : 0)))) : null);
+
+        return {
+            threshold,
+            confirmationRate: round(confirmed.length / predictions.length),
+            acceptedAccuracy: accuracy(accepted),
+            confirmedAccuracy: accuracy(confirmed),
+            errorsCaught: confirmed.filter(prediction => !prediction.correct).length,
+            errorsMissed: accepted.filter(prediction => !prediction.correct).length
+        };
+    }
+
+    async run({ dataset = this.loadDataset(), folds = 5, bins = 5, threshold = aiService.specialtyConfirmationThreshold } = {}) {
+        const predictions = await this.detect(dataset);
+        const matrix = confusionMatrix(predictions, Object.keys(aiService.specialtyKeywords));
+        const calibrated = this.crossValidate(predictions, { folds, bins });
+
+        return {
+            dataset: dataset.length,
+            ...classificationReport(matrix),
+            confusionMatrix: matrix,
+            topConfusions: topConfusions(matrix),
+            methods: this.summarizeMethods(predictions),
+            calibration: {
+                raw: reliability(predictions),
+                calibrated: reliability(calibrated),
+                folds
+            },
+            confirmation: this.summarizeConfirmation(calibrated, threshold),
+            fittedCalibration: fitCalibration(predictions, { bins }),
+            misclassified: calibrated.filter(prediction => !prediction.correct),
+            ranAt: new Date()
+        };
+    }
+
+    writeCalibration(calibration, file = aiService.specialtyCalibrationFile) {
+        fs.writeFileSync(file, `${JSON.stringify(calibration, null, 4)}\n`);
+        aiService.setSpecialtyCalibration(calibration);
+        return file;
+    }
+}
+
+export default new SpecialtyBenchmarkService();
@@ -1,9 +1,10 @@
 // src/services/unifiedProcessingService.js
 import crypto from 'crypto';
 import AudioTranscriptionService from './audioTranscriptionService.js';
-import AIService from '../service/ai.service.js';
+import AIService, { WEBSITE_SECTIONS } from '../service/ai.service.js';
 import cacheService from './cacheService.js';
 import websocketService from './websocketService.js';
+import aiUsageService from './aiUsageService.js';
 import { ApiError } from '../utils/apierror.js';
 import { Website } from '../models/website.models.js';
 import { isMongoDBAvailable, safeDBOperation } from '../utils/dbHelper.js';
@@ -30,6 +31,15 @@ class UnifiedProcessingService {
     return crypto.randomUUID();
   }
 
+  // Clients may choose the request ID so they know which progress room to join while the request
+  // runs. The room only accepts subscriptions once processing has started (the tracker exists), so
+  // subscribe after sending the request; sections emitted before that are in GET /result/:requestId.
+  async assertRequestIdAvailable(requestId) {
+    if (websocketService.getProgressTracker(requestId) || await cacheService.getCachedProgress(requestId)) {
+      throw new ApiError(409, 'Request ID is already in use');
+    }
+  }
+
   // Estimate processing time based on input type and size
   estimateProcessingTime(inputType, inputData) {
     const baseTimes = {
@@ -55,7 +65,7 @@ class UnifiedProcessingService {
 
   // Process text input
   async processTextInput(textData, userId, options = {}) {
-    const requestId = this.generateRequestId();
+    const requestId = options.requestId || this.generateRequestId();
     const startTime = Date.now();
 
     try {
@@ -80,6 +90,7 @@ class UnifiedProcessingService {
       const cachedResult = await cacheService.getCachedTextProcessing(cleanedText, textData.specialty || 'auto');
       
       if (cachedResult && !options.skipCache) {
+        aiUsageService.record({ source: 'unified_processing', userId, cacheHit: true });
         websocketService.updateProgress(requestId, {
           step: 4,
           progress: 100,
@@ -90,6 +101,7 @@ class UnifiedProcessingService {
         });
 
         websocketService.completeProgress(requestId, cachedResult);
+        await this.persistProgress(requestId);
         return {
           requestId,
           ...cachedResult,
@@ -109,6 +121,9 @@ class UnifiedProcessingService {
       });
 
       const detectedSpecialty = textData.specialty || await AIService.detectMedicalSpecialty(cleanedText);
+      if (detectedSpecialty.needsConfirmation) {
+        websocketService.emitSpecialtyConfirmation(requestId, detectedSpecialty);
+      }
 
       // Step 3: Generate website content
       websocketService.updateProgress(requestId, {
@@ -120,7 +135,7 @@ class UnifiedProcessingService {
         metadata: { specialty: detectedSpecialty }
       });
 
-      const websiteContent = await AIService.generateWebsiteContent(cleanedText, detectedSpecialty);
+      const websiteContent = await this.generateContentWithProgress(requestId, cleanedText, detectedSpecialty, 60, 90);
 
       // Step 4: Prepare final result
       websocketService.updateProgress(requestId, {
@@ -171,6 +186,7 @@ class UnifiedProcessingService {
             userId: userId,
             generationMetadata: {
               aiModel: AIService.modelId,
+              prompt: websiteContent.prompt,
               processingTime: processingTime,
               inputType: 'text',
               fallbackUsed: websiteContent.fallbackUsed || false,
@@ -193,19 +209,21 @@ class UnifiedProcessingService {
 
       // Complete progress tracking
       websocketService.completeProgress(requestId, result);
+      await this.persistProgress(requestId);
 
       return result;
 
     } catch (error) {
       console.error('Text processing error:', error);
       websocketService.errorProgress(requestId, error);
+      await this.persistProgress(requestId);
       throw error;
     }
   }
 
   // Process audio input
   async processAudioInput(audioData, userId, options = {}) {
-    const requestId = this.generateRequestId();
+    const requestId = options.requestId || this.generateRequestId();
     const startTime = Date.now();
 
     try {
@@ -290,6 +308,9 @@ class UnifiedProcessingService {
       });
 
       const detectedSpecialty = await AIService.detectMedicalSpecialty(transcriptionResult.text);
+      if (detectedSpecialty.needsConfirmation) {
+        websocketService.emitSpecialtyConfirmation(requestId, detectedSpecialty);
+      }
 
       // Step 5: Generate website content
       websocketService.updateProgress(requestId, {
@@ -301,7 +322,7 @@ class UnifiedProcessingService {
         metadata: { specialty: detectedSpecialty }
       });
 
-      const websiteContent = await AIService.generateWebsiteContent(transcriptionResult.text, detectedSpecialty);
+      const websiteContent = await this.generateContentWithProgress(requestId, transcriptionResult.text, detectedSpecialty, 70, 95);
 
       // Step 6: Prepare final result
       websocketService.updateProgress(requestId, {
@@ -358,6 +379,7 @@ class UnifiedProcessingService {
             userId: userId,
             generationMetadata: {
               aiModel: AIService.modelId,
+              prompt: websiteContent.prompt,
               processingTime: processingTime,
               inputType: 'audio',
               fallbackUsed: websiteContent.fallbackUsed || false,
@@ -382,6 +404,7 @@ class UnifiedProcessingService {
 
       // Complete progress tracking
       websocketService.completeProgress(requestId, result);
+      await this.persistProgress(requestId);
 
       return result;
 
@@ -398,10 +421,47 @@ class UnifiedProcessingService {
       }
 
       websocketService.errorProgress(requestId, error);
+      await this.persistProgress(requestId);
       throw error;
     }
   }
 
+  // Stream the website content, emitting and persisting each section as it completes.
+  // Progress moves from startProgress to endProgress as sections arrive.
+  async generateContentWithProgress(requestId, text, specialty, startProgress, endProgress) {
+    const step = (endProgress - startProgress) / WEBSITE_SECTIONS.length;
+    let completed = 0;
+
+    return AIService.generateWebsiteContentStream(text, specialty, async (section, content) => {
+      completed++;
+      websocketService.emitSection(requestId, section, content, Math.round(startProgress + step * completed));
+      await this.persistProgress(requestId);
+    });
+  }
+
+  // Keep a copy of the request's progress and partial content outside this process's memory,
+  // so GET /result/:requestId still answers after the tracker is gone
+  async persistProgress(requestId) {
+    const tracker = websocketService.getProgressTracker(requestId);
+    if (tracker) {
+      await cacheService.cacheProgress(requestId, this.buildProgressSnapshot(tracker));
+    }
+  }
+
+  buildProgressSnapshot(tracker) {
+    return {
+      requestId: tracker.requestId,
+      userId: tracker.userId,
+      status: tracker.status,
+      progress: tracker.progress,
+      sections: { ...tracker.sections },
+      completedSections: [...(tracker.completedSections || [])],
+      result: tracker.status === 'completed' ? tracker.result : null,
+      error: tracker.error || null,
+      updatedAt: new Date(tracker.lastUpdate).toISOString()
+    };
+  }
+
   // Validate and clean text input
   validateAndCleanText(text) {
     if (!text || typeof text !== 'string') {
@@ -447,25 +507,36 @@ class UnifiedProcessingService {
     return websocketService.getProgressTracker(requestId);
   }
 
-  // Get processing result for completed requests
-  getProcessingResult(requestId) {
+  // Get the processing result. Requests still running (or that failed) return the
+  // sections generated so far, so a client that lost its connection can resume.
+  async getProcessingResult(requestId) {
     const tracker = websocketService.getProgressTracker(requestId);
-    
-    if (!tracker) {
+    const snapshot = tracker ? this.buildProgressSnapshot(tracker) : await cacheService.getCachedProgress(requestId);
+
+    if (!snapshot) {
       return null;
     }
 
-    // Only return results for completed processing
-    if (tracker.status !== 'completed') {
+    if (snapshot.status === 'completed') {
       return {
-        requestId: tracker.requestId || requestId,
-        status: tracker.status,
-        message: 'Processing not completed yet'
+        ...snapshot.result,
+        requestId,
+        userId: snapshot.userId,
+        status: 'completed'
       };
     }
 
-    // Return the complete result data
-    return tracker.result || tracker;
+    return {
+      requestId,
+      userId: snapshot.userId,
+      status: snapshot.status,
+      progress: snapshot.progress,
+      partial: true,
+      sections: snapshot.sections,
+      completedSections: snapshot.completedSections,
+      error: snapshot.error,
+      updatedAt: snapshot.updatedAt
+    };
   }
 
   // Get user's active processing jobs
@@ -1,13 +1,24 @@
 // src/services/versionService.js
+import mongoose from "mongoose";
 import WebsiteVersion from "../models/WebsiteVersion.js";
 import { Website } from "../models/website.models.js";
 import { ApiError } from "../utils/apierror.js";
+import authorizationService from "./authorizationService.js";
+import { threeWayMerge } from "../utils/threeWayMerge.js";
+import { diffContent } from "../utils/contentDiff.js";
 
 class VersionService {
     constructor() {
         this.maxVersionsPerWebsite = 50;
         this.maxDraftVersions = 10;
         this.cleanupInterval = 24 * 60 * 60 * 1000; // 24 hours
+        this.maxAncestorDepth = 100;
+        this.branchNamePattern = /^[a-z0-9][a-z0-9-]{0,48}[a-z0-9]$/;
+        this.reservedBranchNames = ['main', 'published', 'draft'];
+        this.contentFields = [
+            'websiteTitle', 'tagline', 'heroSection', 'aboutSection', 'services',
+            'contactInfo', 'seoMeta', 'customizations', 'generatedHtml', 'templateName'
+        ];
         this.startCleanupTimer();
     }
 
@@ -17,10 +28,10 @@ class VersionService {
             const { page = 1, limit = 20, versionType = 'all' } = options;
             const skip = (page - 1) * limit;
 
-            // Verify user owns the website
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -68,10 +79,10 @@ class VersionService {
     // Get specific version
     async getVersion(websiteId, versionId, userId) {
         try {
-            // Verify user owns the website
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -107,9 +118,10 @@ class VersionService {
     // Create new version
     async createVersion(websiteId, userId, contentChanges = {}, options = {}) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -117,11 +129,11 @@ class VersionService {
                 throw new ApiError(404, "Website not found or access denied");
             }
 
-            // Get the latest version number
-            const latestVersion = await WebsiteVersion.findOne({ websiteId })
+            // Main line versions follow the latest main line version; numbers are shared with branches
+            const latestVersion = await WebsiteVersion.findOne({ websiteId, branch: null })
                 .sort({ versionNumber: -1 });
 
-            const newVersionNumber = latestVersion ? latestVersion.versionNumber + 1 : 1;
+            const newVersionNumber = await this.getNextVersionNumber(websiteId);
 
             // Create new version
             const newVersion = new WebsiteVersion({
@@ -143,12 +155,13 @@ class VersionService {
                 createdBy: userId,
                 changeDescription: options.changeDescription || 'New version created',
                 parentVersionId: latestVersion ? latestVersion._id : null,
-                isAutoSave: options.isAutoSave || false
+                isAutoSave: options.isAutoSave || false,
+                revision: options.revision
             });
 
             // Track changes if comparing with previous version
             if (latestVersion) {
-                newVersion.changes = this.calculateChanges(latestVersion.content, newVersion.content);
+                newVersion.changes = this.calculateChanges(latestVersion.toObject().content, newVersion.toObject().content);
             }
 
             await newVersion.save();
@@ -170,9 +183,10 @@ class VersionService {
     // Revert to specific version
     async revertToVersion(websiteId, versionId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -223,9 +237,10 @@ class VersionService {
     // Compare two versions
     async compareVersions(websiteId, versionId1, versionId2, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -242,7 +257,7 @@ class VersionService {
                 throw new ApiError(404, "One or both versions not found");
             }
 
-            const changes = this.calculateChanges(version1.content, version2.content);
+            const changes = this.calculateChanges(version1.toObject().content, version2.toObject().content);
 
             return {
                 version1: {
@@ -258,12 +273,7 @@ class VersionService {
                     createdAt: version2.createdAt
                 },
                 changes: changes,
-                summary: {
-                    totalChanges: changes.length,
-                    addedFields: changes.filter(c => c.changeType === 'added').length,
-                    modifiedFields: changes.filter(c => c.changeType === 'modified').length,
-                    removedFields: changes.filter(c => c.changeType === 'removed').length
-                }
+                summary: this.summarizeChanges(changes)
             };
 
         } catch (error) {
@@ -275,9 +285,10 @@ class VersionService {
     // Delete specific version
     async deleteVersion(websiteId, versionId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -318,46 +329,32 @@ class VersionService {
         }
     }
 
-    // Calculate changes between two content objects
+    // Calculate path-level changes between two content objects (see utils/contentDiff.js)
     calculateChanges(oldContent, newContent) {
-        const changes = [];
-        const allKeys = new Set([...Object.keys(oldContent), ...Object.keys(newContent)]);
-
-        for (const key of allKeys) {
-            const oldValue = oldContent[key];
-            const newValue = newContent[key];
-
-            if (oldValue === undefined && newValue !== undefined) {
-                changes.push({
-                    field: key,
-                    changeType: 'added',
-                    newValue: newValue
-                });
-            } else if (oldValue !== undefined && newValue === undefined) {
-                changes.push({
-                    field: key,
-                    changeType: 'removed',
-                    oldValue: oldValue
-                });
-            } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-                changes.push({
-                    field: key,
-                    changeType: 'modified',
-                    oldValue: oldValue,
-                    newValue: newValue
-                });
-            }
-        }
-
-        return changes;
+        return diffContent(oldContent, newContent);
+    }
+
+    summarizeChanges(changes) {
+        return {
+            totalChanges: changes.length,
+            addedFields: changes.filter(c => c.changeType === 'added').length,
+            modifiedFields: changes.filter(c => c.changeType === 'modified').length,
+            removedFields: changes.filter(c => c.changeType === 'removed').length,
+            movedItems: changes.filter(c => c.changeType === 'moved').length,
+            changedSections: [...new Set(changes.map(c => c.field))]
+        };
     }
 
     // Cleanup old draft versions
     async cleanupOldDrafts(websiteId) {
         try {
+            // Branch drafts and their fork points are kept until the branch is deleted
+            const forkPoints = await this.getForkPointIds(websiteId);
             const draftVersions = await WebsiteVersion.find({
                 websiteId: websiteId,
-                versionType: 'draft'
+                versionType: 'draft',
+                branch: null,
+                _id: { $nin: forkPoints }
             }).sort({ versionNumber: -1 });
 
             if (draftVersions.length > this.maxDraftVersions) {
@@ -399,9 +396,10 @@ class VersionService {
     // Get version statistics
     async getVersionStats(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -453,9 +451,10 @@ class VersionService {
         try {
             const { keepCount = 5, type = 'draft' } = options;
 
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -463,7 +462,9 @@ class VersionService {
                 throw new ApiError(404, "Website not found or access denied");
             }
 
-            const query = { websiteId: websiteId };
+            // Branches are removed with deleteBranch; their fork points stay as merge bases
+            const forkPoints = await this.getForkPointIds(websiteId);
+            const query = { websiteId: websiteId, branch: null, _id: { $nin: forkPoints } };
             if (type !== 'all') {
                 query.versionType = type;
             }
@@ -497,9 +498,10 @@ class VersionService {
     // Get version diff (changes made in specific version)
     async getVersionDiff(websiteId, versionId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -532,7 +534,7 @@ class VersionService {
                 };
             }
 
-            const changes = this.calculateChanges(parentVersion.content, version.content);
+            const changes = this.calculateChanges(parentVersion.toObject().content, version.toObject().content);
 
             return {
                 version: {
@@ -546,12 +548,7 @@ class VersionService {
                     createdAt: parentVersion.createdAt
                 },
                 changes: changes,
-                summary: {
-                    totalChanges: changes.length,
-                    addedFields: changes.filter(c => c.changeType === 'added').length,
-                    modifiedFields: changes.filter(c => c.changeType === 'modified').length,
-                    removedFields: changes.filter(c => c.changeType === 'removed').length
-                }
+                summary: this.summarizeChanges(changes)
             };
 
         } catch (error) {
@@ -563,9 +560,10 @@ class VersionService {
     // Create version from existing content
     async createVersionFromContent(websiteId, userId, content, options = {}) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -581,14 +579,16 @@ class VersionService {
         }
     }
 
-    // Revert to version with options
+    // Revert to version with options. With an expected revision the revert is
+    // merged with edits saved since then instead of overwriting them.
     async revertToVersion(websiteId, versionId, userId, options = {}) {
         try {
-            const { createNewVersion = true } = options;
+            const { expectedVersion, createNewVersion = true } = options;
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
 
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -605,60 +605,598 @@ class VersionService {
                 throw new ApiError(404, "Version not found");
             }
 
-            if (createNewVersion) {
-                // Create new version based on target version
-                const revertedVersion = await this.createVersion(
-                    websiteId,
-                    userId,
-                    targetVersion.content,
-                    {
-                        versionType: 'draft',
-                        changeDescription: `Reverted to version ${targetVersion.versionNumber}`,
-                        isAutoSave: false
-                    }
-                );
+            const loadedVersion = website.version;
+            await this.ensureRevision(website, userId);
 
-                // Update main website record
-                Object.assign(website, targetVersion.content);
-                website.lastModified = new Date();
-                website.version += 1;
-                
-                await website.save();
+            const changes = await this.resolveConcurrentEdit(website, expectedVersion, () =>
+                this.pickContent(targetVersion.toObject().content)
+            );
+
+            Object.assign(website, changes);
+
+            const revertedVersion = await this.commitRevision(website, userId, loadedVersion, {
+                changeDescription: `Reverted to version ${targetVersion.versionNumber}`,
+                createNewVersion
+            });
+
+            return {
+                version: revertedVersion,
+                website: website.toObject(),
+                targetVersion: targetVersion.versionNumber,
+                merged: expectedVersion !== undefined && expectedVersion !== loadedVersion,
+                message: `Successfully reverted to version ${targetVersion.versionNumber}`
+            };
+
+        } catch (error) {
+            console.error('Revert version error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to revert to version: ${error.message}`);
+        }
+    }
 
+    // Merge a concurrent draft into the current website content, using the
+    // closest common ancestor on the parentVersionId chain as the merge base
+    async mergeVersion(websiteId, versionId, userId, options = {}) {
+        try {
+            const { expectedVersion } = options;
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            if (expectedVersion !== undefined && expectedVersion !== website.version) {
+                const error = new ApiError(412, `Website has changed since version ${expectedVersion}. Reload and try again.`);
+                error.data = { expectedVersion, currentVersion: website.version };
+                throw error;
+            }
+
+            const sourceVersion = await WebsiteVersion.findOne({
+                _id: versionId,
+                websiteId: websiteId
+            });
+
+            if (!sourceVersion) {
+                throw new ApiError(404, "Version not found");
+            }
+
+            const loadedVersion = website.version;
+            const { ancestor, merged, mergedFields } = await this.buildMerge(website, sourceVersion, userId);
+
+            if (mergedFields.length === 0) {
                 return {
-                    version: revertedVersion.version,
-                    targetVersion: targetVersion.versionNumber,
-                    message: `Successfully reverted to version ${targetVersion.versionNumber}`
+                    website: website.toObject(),
+                    sourceVersion: sourceVersion.versionNumber,
+                    baseVersion: ancestor.versionNumber,
+                    message: "Nothing to merge"
                 };
+            }
+
+            mergedFields.forEach(field => {
+                website[field] = merged[field];
+            });
+
+            const mergedVersion = await this.commitRevision(website, userId, loadedVersion, {
+                changeDescription: `Merged version ${sourceVersion.versionNumber}`
+            });
+
+            return {
+                version: mergedVersion,
+                website: website.toObject(),
+                sourceVersion: sourceVersion.versionNumber,
+                baseVersion: ancestor.versionNumber,
+                mergedFields,
+                message: `Successfully merged version ${sourceVersion.versionNumber}`
+            };
+
+        } catch (error) {
+            console.error('Merge version error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to merge version: ${error.message}`);
+        }
+    }
+
+    // Content the website would have after merging a version, without saving it,
+    // so callers can check the result before committing to the merge
+    async previewMerge(websiteId, versionId, userId) {
+        await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+        const website = await Website.findOne({
+            _id: websiteId,
+            isActive: true
+        });
+
+        if (!website) {
+            throw new ApiError(404, "Website not found or access denied");
+        }
+
+        const sourceVersion = await WebsiteVersion.findOne({
+            _id: versionId,
+            websiteId: websiteId
+        });
+
+        if (!sourceVersion) {
+            throw new ApiError(404, "Version not found");
+        }
+
+        const { merged, mergedFields } = await this.buildMerge(website, sourceVersion, userId);
+
+        return {
+            content: { ...this.pickContent(website.toObject()), ...merged },
+            specialty: website.specialty,
+            mergedFields
+        };
+    }
+
+    // Three-way merge of a version into the current website content, based on
+    // their closest common ancestor. Throws 409 on unrelated history or conflicts.
+    async buildMerge(website, sourceVersion, userId) {
+        const head = await this.ensureRevision(website, userId);
+        const ancestor = await this.findCommonAncestor(head, sourceVersion);
+
+        if (!ancestor) {
+            throw new ApiError(409, `Version ${sourceVersion.versionNumber} shares no history with the current content and cannot be merged`);
+        }
+
+        const { merged, conflicts } = threeWayMerge(
+            this.pickContent(ancestor.toObject().content),
+            this.pickContent(website.toObject()),
+            this.pickContent(sourceVersion.toObject().content)
+        );
+
+        if (conflicts.length > 0) {
+            const error = new ApiError(409, `Version ${sourceVersion.versionNumber} conflicts with the current content`);
+            error.data = {
+                sourceVersion: sourceVersion.versionNumber,
+                baseVersion: ancestor.versionNumber,
+                currentVersion: website.version,
+                conflicts
+            };
+            throw error;
+        }
+
+        const changes = this.calculateChanges(this.pickContent(website.toObject()), merged);
+        return { ancestor, merged, mergedFields: [...new Set(changes.map(change => change.field))] };
+    }
+
+    // Fork a named draft branch from any version (default: the current content).
+    // Branch versions evolve separately and never expire.
+    async createBranch(websiteId, userId, options = {}) {
+        try {
+            const { fromVersionId, description } = options;
+            const branch = this.normalizeBranchName(options.name);
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            if (await WebsiteVersion.exists({ websiteId, branch })) {
+                throw new ApiError(409, `Branch '${branch}' already exists`);
+            }
+
+            let fromVersion;
+            if (fromVersionId) {
+                fromVersion = await WebsiteVersion.findOne({ _id: fromVersionId, websiteId });
+                if (!fromVersion) {
+                    throw new ApiError(404, "Version not found");
+                }
             } else {
-                // Just update the main website record
-                Object.assign(website, targetVersion.content);
-                website.lastModified = new Date();
-                website.version += 1;
-                
-                await website.save();
+                fromVersion = await this.ensureRevision(website, userId);
+            }
+
+            // The fork point is the merge base when the branch is promoted, so it must not expire
+            if (fromVersion.expiresAt) {
+                fromVersion.expiresAt = null;
+                await fromVersion.save();
+            }
+
+            const branchVersion = new WebsiteVersion({
+                websiteId,
+                versionNumber: await this.getNextVersionNumber(websiteId),
+                versionType: 'draft',
+                branch,
+                content: fromVersion.toObject().content,
+                createdBy: userId,
+                changeDescription: description || `Branched from version ${fromVersion.versionNumber}`,
+                parentVersionId: fromVersion._id,
+                expiresAt: null
+            });
+
+            await branchVersion.save();
+
+            return {
+                branch: this.formatBranch(branch, branchVersion, fromVersion),
+                version: branchVersion.toObject(),
+                message: `Branch '${branch}' created from version ${fromVersion.versionNumber}`
+            };
+
+        } catch (error) {
+            console.error('Create branch error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to create branch: ${error.message}`);
+        }
+    }
+
+    // List branches with their head and fork versions
+    async getBranches(websiteId, userId) {
+        try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const branches = await WebsiteVersion.aggregate([
+                { $match: { websiteId: new mongoose.Types.ObjectId(String(website._id)), branch: { $ne: null } } },
+                { $sort: { versionNumber: -1 } },
+                {
+                    $group: {
+                        _id: '$branch',
+                        headVersionId: { $first: '$_id' },
+                        headVersionNumber: { $first: '$versionNumber' },
+                        updatedAt: { $first: '$createdAt' },
+                        createdAt: { $last: '$createdAt' },
+                        forkedFromVersionId: { $last: '$parentVersionId' },
+                        description: { $last: '$changeDescription' },
+                        versionCount: { $sum: 1 }
+                    }
+                },
+                { $sort: { updatedAt: -1 } }
+            ]);
+
+            return {
+                branches: branches.map(({ _id, ...branch }) => ({ name: _id, ...branch })),
+                totalBranches: branches.length
+            };
+
+        } catch (error) {
+            console.error('Get branches error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve branches: ${error.message}`);
+        }
+    }
+
+    // Get a branch head and the changes it makes relative to its fork point
+    async getBranch(websiteId, userId, branchName) {
+        try {
+            const branch = this.normalizeBranchName(branchName);
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            const head = await this.getBranchHead(websiteId, branch);
+            const fork = await this.getBranchFork(websiteId, branch);
+            const changes = fork ? this.calculateChanges(fork.toObject().content, head.toObject().content) : [];
+
+            return {
+                branch: this.formatBranch(branch, head, fork),
+                version: head.toObject(),
+                changes,
+                summary: this.summarizeChanges(changes)
+            };
+
+        } catch (error) {
+            console.error('Get branch error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to retrieve branch: ${error.message}`);
+        }
+    }
+
+    // Commit content changes to a branch as a new branch version
+    async updateBranch(websiteId, userId, branchName, updateData, options = {}) {
+        try {
+            const branch = this.normalizeBranchName(branchName);
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
 
+            // generatedHtml is derived, so callers must opt in to committing it
+            const fields = options.fields || this.contentFields.filter(field => field !== 'generatedHtml');
+
+            const head = await this.getBranchHead(websiteId, branch);
+            const headContent = head.toObject().content;
+            const content = {
+                ...headContent,
+                ...this.pickContent(updateData, fields)
+            };
+
+            const changes = this.calculateChanges(headContent, content);
+            if (changes.length === 0) {
                 return {
-                    website: website.toObject(),
-                    targetVersion: targetVersion.versionNumber,
-                    message: `Successfully reverted to version ${targetVersion.versionNumber} without creating new version`
+                    version: head.toObject(),
+                    message: "No changes detected"
                 };
             }
 
+            const branchVersion = new WebsiteVersion({
+                websiteId,
+                versionNumber: await this.getNextVersionNumber(websiteId),
+                versionType: 'draft',
+                branch,
+                content,
+                changes,
+                createdBy: userId,
+                changeDescription: options.changeDescription || `Updated branch '${branch}'`,
+                parentVersionId: head._id,
+                expiresAt: null
+            });
+
+            await branchVersion.save();
+
+            return {
+                version: branchVersion.toObject(),
+                changes,
+                message: `Branch '${branch}' updated`
+            };
+
         } catch (error) {
-            console.error('Revert version error:', error);
-            throw error instanceof ApiError ? error : new ApiError(500, `Failed to revert to version: ${error.message}`);
+            console.error('Update branch error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to update branch: ${error.message}`);
         }
     }
 
+    // Delete a branch and all of its versions
+    async deleteBranch(websiteId, userId, branchName) {
+        try {
+            const branch = this.normalizeBranchName(branchName);
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
+            const website = await Website.findOne({
+                _id: websiteId,
+                isActive: true
+            });
+
+            if (!website) {
+                throw new ApiError(404, "Website not found or access denied");
+            }
+
+            await this.getBranchHead(websiteId, branch);
+            const result = await WebsiteVersion.deleteMany({ websiteId, branch });
+
+            return {
+                branch,
+                deletedVersions: result.deletedCount,
+                message: `Branch '${branch}' deleted`
+            };
+
+        } catch (error) {
+            console.error('Delete branch error:', error);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to delete branch: ${error.message}`);
+        }
+    }
+
+    async getBranchHead(websiteId, branch) {
+        const head = await WebsiteVersion.getBranchHead(websiteId, branch);
+        if (!head) {
+            throw new ApiError(404, `Branch '${branch}' does not exist`);
+        }
+        return head;
+    }
+
+    // The version the branch was forked from
+    async getBranchFork(websiteId, branch) {
+        const first = await WebsiteVersion.findOne({ websiteId, branch }).sort({ versionNumber: 1 });
+        return first?.parentVersionId ? WebsiteVersion.findById(first.parentVersionId) : null;
+    }
+
+    // Versions that branches were forked from
+    getForkPointIds(websiteId) {
+        return WebsiteVersion.distinct('parentVersionId', {
+            websiteId: websiteId,
+            branch: { $ne: null }
+        });
+    }
+
+    formatBranch(name, head, fork) {
+        return {
+            name,
+            headVersionId: head._id,
+            headVersionNumber: head.versionNumber,
+            updatedAt: head.createdAt,
+            forkedFromVersionId: fork?._id || null,
+            forkedFromVersionNumber: fork?.versionNumber || null
+        };
+    }
+
+    normalizeBranchName(name) {
+        const branch = String(name || '').trim().toLowerCase();
+
+        if (!this.branchNamePattern.test(branch)) {
+            throw new ApiError(400, "Branch names must be 2-50 lowercase letters, numbers or hyphens");
+        }
+
+        if (this.reservedBranchNames.includes(branch)) {
+            throw new ApiError(400, `'${branch}' is a reserved branch name`);
+        }
+
+        return branch;
+    }
+
+    // Version numbers are unique per website across the main line and all branches
+    async getNextVersionNumber(websiteId) {
+        const latest = await WebsiteVersion.findOne({ websiteId })
+            .sort({ versionNumber: -1 })
+            .select('versionNumber');
+
+        return latest ? latest.versionNumber + 1 : 1;
+    }
+
+    // Turn an edit made against revision `expectedVersion` into changes for the
+    // current content. buildChanges(content) returns the edited fields given the
+    // content the client started from. Without a precondition, or when the client
+    // saw the latest revision, the edit applies as is.
+    async resolveConcurrentEdit(website, expectedVersion, buildChanges) {
+        const current = this.pickContent(website.toObject());
+
+        if (expectedVersion === undefined || expectedVersion === website.version) {
+            return buildChanges(current);
+        }
+
+        const baseVersion = await WebsiteVersion.getRevision(website._id, expectedVersion);
+        if (!baseVersion) {
+            const error = new ApiError(412, `Version ${expectedVersion} of this website is no longer available to merge against. Reload and reapply your changes.`);
+            error.data = { expectedVersion, currentVersion: website.version };
+            throw error;
+        }
+
+        const base = this.pickContent(baseVersion.toObject().content);
+        const changes = buildChanges(base);
+        const fields = Object.keys(changes);
+
+        const { merged, conflicts } = threeWayMerge(
+            this.pickContent(base, fields),
+            this.pickContent(current, fields),
+            changes
+        );
+
+        if (conflicts.length > 0) {
+            const error = new ApiError(409, `Your changes conflict with edits saved since version ${expectedVersion}`);
+            error.data = { expectedVersion, currentVersion: website.version, conflicts };
+            throw error;
+        }
+
+        return merged;
+    }
+
+    // Snapshot the current revision if no version records it yet, so clients
+    // holding it can still merge after the next save. Returns the snapshot.
+    async ensureRevision(website, userId) {
+        const existing = await WebsiteVersion.getRevision(website._id, website.version);
+        if (existing) {
+            return existing;
+        }
+
+        const { version } = await this.createVersion(website._id, userId, {}, {
+            changeDescription: `Snapshot of revision ${website.version}`,
+            revision: website.version
+        });
+
+        return WebsiteVersion.hydrate(version);
+    }
+
+    // Save only if nobody else saved since the website was loaded, then snapshot
+    // the new revision as the latest draft. With createNewVersion: false the latest
+    // draft is updated in place instead when it is the snapshot of the revision just
+    // replaced; clients still holding that revision then reload instead of merging.
+    async commitRevision(website, userId, loadedVersion, options = {}) {
+        const { createNewVersion = true } = options;
+        website.$where = { version: loadedVersion };
+
+        try {
+            // Recomputes the quality score and saves
+            await website.updateQualityScore();
+        } catch (error) {
+            if (error.name === 'DocumentNotFoundError') {
+                throw new ApiError(409, "Website was changed by another request while saving. Reload and try again.");
+            }
+            throw error;
+        } finally {
+            website.$where = undefined;
+        }
+
+        if (!createNewVersion) {
+            const latestDraft = await WebsiteVersion.findOne({ websiteId: website._id, branch: null })
+                .sort({ versionNumber: -1 });
+
+            if (latestDraft?.versionType === 'draft' && latestDraft.revision === loadedVersion) {
+                const previousContent = latestDraft.toObject().content;
+                latestDraft.content = { ...previousContent, ...this.pickContent(website.toObject()) };
+                latestDraft.changes.push(...this.calculateChanges(previousContent, latestDraft.toObject().content));
+                latestDraft.changeDescription = options.changeDescription || 'Updated website content';
+                latestDraft.revision = website.version;
+                await latestDraft.save();
+
+                return latestDraft.toObject();
+            }
+        }
+
+        const { version } = await this.createVersion(website._id, userId, {}, {
+            changeDescription: options.changeDescription || 'Updated website content',
+            revision: website.version
+        });
+
+        return version;
+    }
+
+    // Closest shared version of the main line head and another version, found by
+    // walking both parentVersionId chains (a branch's chain leads to its fork point).
+    // Main line drafts that were never the website's content (no `revision`) can
+    // appear in the head's chain, because later snapshots take the latest main line
+    // version as their parent; they are skipped as merge bases so merging such a
+    // draft uses the revision it was created from. Older data without revisions
+    // falls back to the closest shared version.
+    async findCommonAncestor(head, version) {
+        const headAncestors = new Set();
+        for (let current = head, depth = 0; current && depth < this.maxAncestorDepth; depth++) {
+            headAncestors.add(String(current._id));
+            current = current.parentVersionId ? await WebsiteVersion.findById(current.parentVersionId) : null;
+        }
+
+        let closestShared = null;
+        for (let current = version, depth = 0; current && depth < this.maxAncestorDepth; depth++) {
+            if (headAncestors.has(String(current._id))) {
+                if (current.revision != null || current.branch) {
+                    return current;
+                }
+                closestShared = closestShared || current;
+            }
+            current = current.parentVersionId ? await WebsiteVersion.findById(current.parentVersionId) : null;
+        }
+
+        return closestShared;
+    }
+
+    pickContent(content, fields = this.contentFields) {
+        const picked = {};
+
+        fields.forEach(field => {
+            if (content?.[field] !== undefined) {
+                picked[field] = content[field];
+            }
+        });
+
+        return picked;
+    }
+
     // Delete version with force option
     async deleteVersion(websiteId, versionId, userId, options = {}) {
         try {
             const { force = false } = options;
 
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -709,13 +1247,14 @@ class VersionService {
                 type = 'all',
                 includeContent = false,
                 sortBy = 'versionNumber',
-                sortOrder = 'desc'
+                sortOrder = 'desc',
+                branch
             } = options;
 
-            // Verify user owns the website
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -727,6 +1266,10 @@ class VersionService {
             if (type !== 'all') {
                 query.versionType = type;
             }
+            // 'main' selects the main line, any other name that branch
+            if (branch) {
+                query.branch = branch === 'main' ? null : branch;
+            }
 
             let selectFields = '-content.generatedHtml'; // Exclude large HTML by default
             if (!includeContent) {
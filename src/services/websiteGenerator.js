@@ -7,6 +7,7 @@ import { StyleProcessor } from "./styleProcessor.js";
 import { Website } from "../models/website.models.js";
 import { ApiError } from "../utils/apierror.js";
 import loggingService from "./loggingService.js";
+import authorizationService from "./authorizationService.js";
 
 class WebsiteGenerator {
     constructor() {
@@ -75,6 +76,7 @@ class WebsiteGenerator {
                             processingTime: Date.now() - startTime,
                             specialtyDetection: specialtyInfo,
                             aiModel: this.aiService.modelId,
+                            prompt: aiContent.prompt,
                             templateName: templateResult.templateName,
                             fallbackUsed: aiContent.fallbackUsed || false,
                             confidenceScore: specialtyInfo.confidence || 0.8
@@ -156,12 +158,15 @@ class WebsiteGenerator {
             // Use AI service for specialty detection
             const detectionResult = await this.aiService.detectMedicalSpecialty(transcription);
             
-            // Fallback to general practice if confidence is too low
+            // Fallback to general practice if confidence is too low, still asking the user to confirm
             if (detectionResult.confidence < 0.4) {
                 return {
                     specialty: 'general-practice',
                     confidence: 0.5,
                     method: 'fallback',
+                    needsConfirmation: true,
+                    alternatives: [detectionResult.specialty, ...(detectionResult.alternatives || [])]
+                        .filter(specialty => specialty !== 'general-practice'),
                     originalDetection: detectionResult
                 };
             }
@@ -418,13 +423,14 @@ class WebsiteGenerator {
             });
         }
 
-        // Specialty confidence recommendations
-        if (specialtyInfo.confidence < 0.7) {
+        // Specialty confidence recommendations (detection flags results whose calibrated confidence is low)
+        if (specialtyInfo.needsConfirmation) {
             recommendations.push({
                 type: 'specialty',
                 priority: 'medium',
-                message: 'The detected medical specialty has low confidence. Consider specifying your specialty explicitly.',
-                action: 'specify-specialty'
+                message: specialtyInfo.confirmationMessage || 'The detected medical specialty has low confidence. Please confirm your specialty.',
+                action: 'confirm-specialty',
+                alternatives: specialtyInfo.alternatives || []
             });
         }
 
@@ -454,10 +460,10 @@ class WebsiteGenerator {
     // Regenerate specific section
     async regenerateSection(websiteId, sectionName, userId, options = {}) {
         try {
-            // Get existing website
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -504,16 +510,17 @@ class WebsiteGenerator {
 
         } catch (error) {
             console.error('Section regeneration error:', error);
-            throw new ApiError(500, `Failed to regenerate section: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to regenerate section: ${error.message}`);
         }
     }
 
     // Update website customizations
     async updateCustomizations(websiteId, customizations, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -560,7 +567,7 @@ class WebsiteGenerator {
 
         } catch (error) {
             console.error('Customization update error:', error);
-            throw new ApiError(500, `Failed to update customizations: ${error.message}`);
+            throw error instanceof ApiError ? error : new ApiError(500, `Failed to update customizations: ${error.message}`);
         }
     }
 
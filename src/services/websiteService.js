@@ -2,8 +2,11 @@
 import { Website, GenerationHistory } from "../models/website.models.js";
 import WebsiteVersion from "../models/WebsiteVersion.js";
 import { ApiError } from "../utils/apierror.js";
+import authorizationService from "./authorizationService.js";
 import { generatePublicUrl } from "../utils/urlGenerator.js";
 import loggingService from "./loggingService.js";
+import versionService from "./versionService.js";
+import domainService from "./domainService.js";
 import { PreviewGenerator } from "./previewGenerator.js";
 
 class WebsiteService {
@@ -16,6 +19,9 @@ class WebsiteService {
     // Get single website with version info
     async getWebsite(websiteId, userId, options = {}) {
         try {
+            // Checked before the cache so removed team members lose access immediately
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             // Check cache first
             const cacheKey = `website:${websiteId}:${userId}`;
             const cached = this.cache.get(cacheKey);
@@ -25,7 +31,6 @@ class WebsiteService {
 
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             }).populate('userId', 'fullName email');
 
@@ -84,8 +89,9 @@ class WebsiteService {
             } = options;
 
             const skip = (page - 1) * limit;
+            // Own websites plus those shared through organizations
             const query = {
-                userId: userId,
+                $and: [await authorizationService.websiteScope(userId)],
                 isActive: true
             };
 
@@ -155,12 +161,16 @@ class WebsiteService {
         }
     }
 
-    // Update website
+    // Update website. options.expectedVersion is the website version the client
+    // edited; if others saved since, the edit is three-way merged with theirs.
     async updateWebsite(websiteId, userId, updateData, options = {}) {
         try {
+            const { expectedVersion } = options;
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -168,43 +178,22 @@ class WebsiteService {
                 throw new ApiError(404, "Website not found or access denied");
             }
 
-            // Get current draft version or create new one
-            let currentDraft = await WebsiteVersion.getLatestVersion(websiteId, 'draft');
-            
-            if (!currentDraft) {
-                // Create first draft version from current website
-                currentDraft = new WebsiteVersion({
-                    websiteId: websiteId,
-                    versionNumber: 1,
-                    versionType: 'draft',
-                    content: {
-                        websiteTitle: website.websiteTitle,
-                        tagline: website.tagline,
-                        heroSection: website.heroSection,
-                        aboutSection: website.aboutSection,
-                        services: website.services,
-                        contactInfo: website.contactInfo,
-                        seoMeta: website.seoMeta,
-                        customizations: website.customizations,
-                        generatedHtml: website.generatedHtml,
-                        templateName: website.templateName
-                    },
-                    createdBy: userId
-                });
-                await currentDraft.save();
-            }
-
-            // Track changes
-            const changes = [];
+            const loadedVersion = website.version;
             const allowedFields = [
                 'websiteTitle', 'tagline', 'heroSection', 'aboutSection', 
                 'services', 'contactInfo', 'seoMeta', 'customizations'
             ];
 
+            const update = versionService.pickContent(updateData, allowedFields);
+            const patch = await versionService.resolveConcurrentEdit(website, expectedVersion, () => update);
+
+            // Track changes
+            const changes = [];
+
             for (const field of allowedFields) {
-                if (updateData[field] !== undefined) {
+                if (field in patch) {
                     const oldValue = website[field];
-                    const newValue = updateData[field];
+                    const newValue = patch[field];
                     
                     if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
                         changes.push({
@@ -216,9 +205,6 @@ class WebsiteService {
                         
                         // Update website
                         website[field] = newValue;
-                        
-                        // Update current draft content
-                        currentDraft.content[field] = newValue;
                     }
                 }
             }
@@ -230,31 +216,14 @@ class WebsiteService {
                 };
             }
 
-            // Create new version if this is a significant change
-            if (options.createNewVersion || changes.length > 3) {
-                const newVersion = await currentDraft.createNextVersion(
-                    Object.fromEntries(changes.map(c => [c.field, c.newValue]))
-                );
-                newVersion.changes = changes;
-                newVersion.changeDescription = options.changeDescription || 'Updated website content';
-                await newVersion.save();
-                
-                currentDraft = newVersion;
-            } else {
-                // Update existing draft
-                currentDraft.changes.push(...changes);
-                currentDraft.changeDescription = options.changeDescription || 'Updated website content';
-                await currentDraft.save();
-            }
+            // Make sure the revision being replaced can still serve as a merge base
+            await versionService.ensureRevision(website, userId);
 
-            // Update main website record
-            website.lastModified = new Date();
-            website.version += 1;
-            
-            // Update quality score
-            await website.updateQualityScore();
-            
-            await website.save();
+            // Significant changes always get their own version; smaller ones only when asked
+            const newVersion = await versionService.commitRevision(website, userId, loadedVersion, {
+                changeDescription: options.changeDescription || 'Updated website content',
+                createNewVersion: options.createNewVersion || changes.length > 3
+            });
 
             // Log the update
             await GenerationHistory.create({
@@ -262,21 +231,23 @@ class WebsiteService {
                 userId: userId,
                 action: 'updated',
                 changes: changes.map(c => ({ field: c.field, changeType: c.changeType })),
-                previousVersion: currentDraft.parentVersionId,
+                previousVersion: newVersion.parentVersionId,
                 metadata: {
                     changeCount: changes.length,
-                    versionNumber: currentDraft.versionNumber,
+                    versionNumber: newVersion.versionNumber,
+                    merged: expectedVersion !== undefined && expectedVersion !== loadedVersion,
                     processingTime: Date.now()
                 }
             });
 
             // Clear cache
-            this.cache.delete(`website:${websiteId}:${userId}`);
+            this.invalidateWebsiteCache(websiteId);
 
             return {
                 website: website.toObject(),
-                version: currentDraft.toObject(),
+                version: newVersion,
                 changes: changes,
+                merged: expectedVersion !== undefined && expectedVersion !== loadedVersion,
                 message: "Website updated successfully"
             };
 
@@ -289,9 +260,10 @@ class WebsiteService {
     // Soft delete website
     async deleteWebsite(websiteId, userId, options = {}) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'manage');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -335,7 +307,7 @@ class WebsiteService {
             });
 
             // Clear cache
-            this.cache.delete(`website:${websiteId}:${userId}`);
+            this.invalidateWebsiteCache(websiteId);
 
             return {
                 message: "Website deleted successfully",
@@ -352,9 +324,10 @@ class WebsiteService {
     // Restore deleted website
     async restoreWebsite(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'manage', { includeInactive: true });
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: false
             });
 
@@ -404,8 +377,10 @@ class WebsiteService {
     // Get website statistics
     async getWebsiteStats(userId) {
         try {
+            const scope = await authorizationService.websiteScope(userId);
+
             const stats = await Website.aggregate([
-                { $match: { userId: userId, isActive: true } },
+                { $match: { ...scope, isActive: true } },
                 {
                     $group: {
                         _id: null,
@@ -425,7 +400,7 @@ class WebsiteService {
             ]);
 
             const specialtyStats = await Website.aggregate([
-                { $match: { userId: userId, isActive: true } },
+                { $match: { ...scope, isActive: true } },
                 { $group: { _id: '$specialty', count: { $sum: 1 } } },
                 { $sort: { count: -1 } }
             ]);
@@ -461,9 +436,10 @@ class WebsiteService {
         try {
             const { sectionId, fieldId, isMinorChange = true } = options;
             
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -531,9 +507,10 @@ class WebsiteService {
     // Undo last change
     async undoChange(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -577,8 +554,7 @@ class WebsiteService {
             await website.save();
 
             // Clear cache
-            const cacheKey = `website:${websiteId}:${userId}`;
-            this.cache.delete(cacheKey);
+            this.invalidateWebsiteCache(websiteId);
 
             return {
                 success: true,
@@ -599,9 +575,10 @@ class WebsiteService {
     // Redo last undone change
     async redoChange(websiteId, userId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -645,8 +622,7 @@ class WebsiteService {
             await website.save();
 
             // Clear cache
-            const cacheKey = `website:${websiteId}:${userId}`;
-            this.cache.delete(cacheKey);
+            this.invalidateWebsiteCache(websiteId);
 
             return {
                 success: true,
@@ -669,9 +645,10 @@ class WebsiteService {
         try {
             const { limit = 20, sectionId, actionType } = options;
             
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             }).select('contentHistory');
 
@@ -783,6 +760,17 @@ class WebsiteService {
         return this.autoSaveContent(websiteId, userId, contentChanges, { isMinorChange: true });
     }
 
+    // Drop every member's cached copy of a website after it changes
+    invalidateWebsiteCache(websiteId) {
+        const prefix = `website:${websiteId}:`;
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(prefix)) {
+                this.cache.delete(key);
+            }
+        }
+        domainService.invalidateWebsite(websiteId);
+    }
+
     // Clear cache
     clearCache() {
         this.cache.clear();
@@ -794,9 +782,10 @@ class WebsiteService {
         try {
             const { deviceType = 'desktop', zoom = 100, forceRegenerate = false } = options;
             
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -900,9 +889,10 @@ class WebsiteService {
     // Get specific content section
     async getContentSection(websiteId, userId, sectionId) {
         try {
+            await authorizationService.authorizeWebsite(websiteId, userId, 'view');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -945,6 +935,7 @@ class WebsiteService {
                 content: this.formatSectionForEditing(section, sectionId),
                 metadata: { 
                     lastModified: website.lastModified,
+                    version: website.version,
                     websiteTitle: website.websiteTitle,
                     specialty: website.specialty
                 }
@@ -956,12 +947,15 @@ class WebsiteService {
         }
     }
 
-    // Update content section
-    async updateContentSection(websiteId, userId, sectionId, contentData) {
+    // Update content section; expectedVersion works as in updateWebsite
+    async updateContentSection(websiteId, userId, sectionId, contentData, options = {}) {
         try {
+            const { expectedVersion } = options;
+
+            await authorizationService.authorizeWebsite(websiteId, userId, 'edit');
+
             const website = await Website.findOne({
                 _id: websiteId,
-                userId: userId,
                 isActive: true
             });
 
@@ -969,50 +963,33 @@ class WebsiteService {
                 throw new ApiError(404, "Website not found or access denied");
             }
 
-            // Update the appropriate section
-            switch (sectionId) {
-                case 'hero':
-                    website.heroSection = { ...website.heroSection, ...contentData };
-                    break;
-                case 'about':
-                    website.aboutSection = { ...website.aboutSection, ...contentData };
-                    break;
-                case 'services':
-                    if (Array.isArray(contentData)) {
-                        website.services = contentData;
-                    } else {
-                        website.services = { ...website.services, ...contentData };
-                    }
-                    break;
-                case 'contact':
-                    website.contactInfo = { ...website.contactInfo, ...contentData };
-                    break;
-                case 'seo':
-                    website.seoMeta = { ...website.seoMeta, ...contentData };
-                    break;
-                case 'customizations':
-                    website.customizations = { ...website.customizations, ...contentData };
-                    break;
-                default:
-                    throw new ApiError(400, `Invalid section ID: ${sectionId}`);
+            if (!['hero', 'about', 'services', 'contact', 'seo', 'customizations'].includes(sectionId)) {
+                throw new ApiError(400, `Invalid section ID: ${sectionId}`);
             }
 
-            website.lastModified = new Date();
-            website.version += 1;
-            
-            // Update quality score
-            await website.updateQualityScore();
-            
-            await website.save();
+            const fieldName = this.getSectionFieldName(sectionId);
+            const loadedVersion = website.version;
+
+            // The patch is applied to the section as the client last saw it
+            const changes = await versionService.resolveConcurrentEdit(website, expectedVersion, (content) => ({
+                [fieldName]: this.patchSection(content[fieldName], sectionId, contentData)
+            }));
+
+            website[fieldName] = changes[fieldName];
+
+            await versionService.ensureRevision(website, userId);
+            await versionService.commitRevision(website, userId, loadedVersion, {
+                changeDescription: `Updated ${sectionId} section`
+            });
 
             // Clear cache
-            const cacheKey = `website:${websiteId}:${userId}`;
-            this.cache.delete(cacheKey);
+            this.invalidateWebsiteCache(websiteId);
 
             return {
                 sectionId,
-                content: this.formatSectionForEditing(website[this.getSectionFieldName(sectionId)], sectionId),
+                content: this.formatSectionForEditing(website[fieldName], sectionId),
                 success: true,
+                merged: expectedVersion !== undefined && expectedVersion !== loadedVersion,
                 metadata: {
                     lastModified: website.lastModified,
                     version: website.version,
@@ -1026,6 +1003,15 @@ class WebsiteService {
         }
     }
 
+    // Shallow-merge section edits; a services array replaces the list
+    patchSection(section, sectionId, contentData) {
+        if (sectionId === 'services' && Array.isArray(contentData)) {
+            return contentData;
+        }
+
+        return { ...section, ...contentData };
+    }
+
     // Generate complete HTML for preview
     generateCompleteHTML(website, options = {}) {
         const { deviceType = 'desktop', zoom = 100 } = options;
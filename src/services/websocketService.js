@@ -63,10 +63,21 @@ class WebSocketService {
         this.connectedClients.delete(socket.userId);
       });
 
-      // Handle progress subscription
+      // Handle progress subscription. Progress events carry generated content, so only
+      // the user who started the request may join its room.
       socket.on('subscribe-progress', (data) => {
-        const { requestId } = data;
+        const { requestId } = data || {};
         if (requestId) {
+          const tracker = this.progressTrackers.get(requestId);
+          if (!tracker || String(tracker.userId) !== String(socket.userId)) {
+            console.log(`Client ${socket.id} denied progress updates for request ${requestId}`);
+            socket.emit('subscription-error', {
+              requestId,
+              message: 'No active request with this ID for your account',
+              timestamp: new Date().toISOString()
+            });
+            return;
+          }
           socket.join(`progress-${requestId}`);
           console.log(`Client ${socket.id} subscribed to progress updates for request ${requestId}`);
         }
@@ -113,7 +124,9 @@ class WebSocketService {
       steps: [],
       startTime: Date.now(),
       lastUpdate: Date.now(),
-      metadata: {}
+      metadata: {},
+      sections: {},
+      completedSections: []
     };
 
     this.progressTrackers.set(requestId, tracker);
@@ -177,6 +190,66 @@ class WebSocketService {
     console.log(`Progress update sent for request ${requestId}: ${tracker.progress}% - ${stepData.message}`);
   }
 
+  // Emit a generated section as soon as it is complete, so clients can render it before the rest arrives
+  emitSection(requestId, section, content, progress) {
+    const tracker = this.progressTrackers.get(requestId);
+    if (!tracker) {
+      console.warn(`Progress tracker not found for request: ${requestId}`);
+      return;
+    }
+
+    tracker.sections[section] = content;
+    if (!tracker.completedSections.includes(section)) {
+      tracker.completedSections.push(section);
+    }
+    if (progress !== undefined) {
+      tracker.progress = Math.min(100, Math.max(tracker.progress, progress));
+    }
+    tracker.lastUpdate = Date.now();
+
+    const sectionData = {
+      requestId,
+      section,
+      content,
+      completedSections: [...tracker.completedSections],
+      progress: tracker.progress,
+      timestamp: new Date().toISOString()
+    };
+
+    this.io.to(`progress-${requestId}`).emit('section-complete', sectionData);
+
+    const userConnection = this.connectedClients.get(tracker.userId);
+    if (userConnection) {
+      userConnection.socket.emit('section-complete', sectionData);
+    }
+  }
+
+  // Ask the user to confirm a low-confidence specialty detection. Generation carries on
+  // with the detected specialty; the client resubmits with `specialty` to change it.
+  emitSpecialtyConfirmation(requestId, detection) {
+    const tracker = this.progressTrackers.get(requestId);
+    if (!tracker) {
+      console.warn(`Progress tracker not found for request: ${requestId}`);
+      return;
+    }
+
+    const confirmationData = {
+      requestId,
+      specialty: detection.specialty,
+      confidence: detection.confidence,
+      alternatives: detection.alternatives || [],
+      message: detection.confirmationMessage,
+      timestamp: new Date().toISOString()
+    };
+
+    this.io.to(`progress-${requestId}`).emit('specialty-confirmation', confirmationData);
+
+    const userConnection = this.connectedClients.get(tracker.userId);
+    if (userConnection) {
+      userConnection.socket.emit('specialty-confirmation', confirmationData);
+    }
+  }
+
   // Calculate estimated time of arrival
   calculateETA(tracker) {
     if (tracker.progress <= 0) return null;
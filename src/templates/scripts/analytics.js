@@ -0,0 +1,151 @@
+// First-party analytics beacon for published websites.
+// No cookies or persistent identifiers: a per-tab sessionStorage flag marks new
+// sessions, and visits from browsers sending Do Not Track or GPC are not counted.
+// The only cookie involved is the server-set A/B test assignment, which same-origin
+// beacons carry back so conversions can be attributed to a variant.
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    if (!script || navigator.doNotTrack === '1' || navigator.globalPrivacyControl) {
+        return;
+    }
+
+    var endpoint = script.src.replace(/\/beacon\.js(\?.*)?$/, '/beacon');
+    var startedAt = Date.now();
+    var storageKey = 'pa_pages';
+
+    function send(payload) {
+        payload.page = window.location.pathname;
+        payload.referrer = document.referrer || '';
+
+        var body = JSON.stringify(payload);
+        // text/plain keeps the request CORS-safelisted (no preflight)
+        if (navigator.sendBeacon) {
+            navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain' }));
+        } else {
+            fetch(endpoint, { method: 'POST', body: body, keepalive: true, credentials: 'same-origin', headers: { 'Content-Type': 'text/plain' } });
+        }
+    }
+
+    function pagesThisSession() {
+        try {
+            return parseInt(sessionStorage.getItem(storageKey) || '0', 10);
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    function countPage() {
+        try {
+            sessionStorage.setItem(storageKey, String(pagesThisSession() + 1));
+        } catch (e) {
+            // Storage disabled: every page counts as a new session
+        }
+    }
+
+    // The second page of a session marks it as engaged (i.e. not a bounce)
+    var previousPages = pagesThisSession();
+    countPage();
+    send({ type: 'pageview', newSession: previousPages === 0, engagedSession: previousPages === 1 });
+
+    // Real-user timings once the page has loaded
+    window.addEventListener('load', function () {
+        setTimeout(function () {
+            var nav = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+            if (!nav) {
+                return;
+            }
+
+            var metrics = {
+                pageLoadTime: Math.round(nav.loadEventEnd - nav.startTime),
+                timeToInteractive: Math.round(nav.domInteractive - nav.startTime)
+            };
+            var paint = performance.getEntriesByName('first-contentful-paint')[0];
+            if (paint) {
+                metrics.firstContentfulPaint = Math.round(paint.startTime);
+            }
+            send({ type: 'performance', metrics: metrics });
+        }, 0);
+    });
+
+    // Largest contentful paint and layout shifts keep changing while the page is
+    // open, so they are collected here and reported when the visitor leaves
+    var vitals = {};
+
+    function observe(type, callback) {
+        try {
+            new PerformanceObserver(function (list) {
+                list.getEntries().forEach(callback);
+            }).observe({ type: type, buffered: true });
+            return true;
+        } catch (e) {
+            // PerformanceObserver or this entry type is not supported
+            return false;
+        }
+    }
+
+    observe('largest-contentful-paint', function (entry) {
+        vitals.largestContentfulPaint = Math.round(entry.startTime);
+    });
+
+    // Layout shift summed over the page's lifetime; shifts right after input are expected.
+    // A page that never shifts reports 0, unless the browser can't measure it at all.
+    vitals.cumulativeLayoutShift = 0;
+    var measuresLayoutShift = observe('layout-shift', function (entry) {
+        if (!entry.hadRecentInput) {
+            vitals.cumulativeLayoutShift += entry.value;
+        }
+    });
+    if (!measuresLayoutShift) {
+        delete vitals.cumulativeLayoutShift;
+    }
+
+    // Calls to action: the appointment button, phone/email links and anything marked data-analytics-event
+    document.addEventListener('click', function (event) {
+        var target = event.target.closest && event.target.closest('a, button');
+        if (!target) {
+            return;
+        }
+
+        var href = target.getAttribute('href') || '';
+        var name = target.getAttribute('data-analytics-event') ||
+            (/\bappointment-btn\b/.test(target.className) ? 'appointment_click' : null) ||
+            (href.indexOf('tel:') === 0 ? 'phone_click' : null) ||
+            (href.indexOf('mailto:') === 0 ? 'email_click' : null) ||
+            (/\b(cta|btn-primary)\b/.test(target.className) ? 'cta_click' : null);
+
+        if (name) {
+            send({ type: 'event', name: name });
+        }
+    });
+
+    // Appointment requests sent through the contact form
+    document.addEventListener('submit', function (event) {
+        if (event.target.classList && event.target.classList.contains('contact-form')) {
+            send({ type: 'event', name: 'appointment_request' });
+        }
+    });
+
+    // Time on page and the collected vitals when the visitor leaves
+    var reported = false;
+    window.addEventListener('pagehide', function () {
+        if (reported) {
+            return;
+        }
+        reported = true;
+        send({ type: 'engagement', duration: Math.round((Date.now() - startedAt) / 1000) });
+
+        if (vitals.largestContentfulPaint !== undefined || vitals.cumulativeLayoutShift !== undefined) {
+            send({
+                type: 'performance',
+                metrics: {
+                    largestContentfulPaint: vitals.largestContentfulPaint,
+                    cumulativeLayoutShift: vitals.cumulativeLayoutShift === undefined
+                        ? undefined
+                        : Math.round(vitals.cumulativeLayoutShift * 1000) / 1000
+                }
+            });
+        }
+    });
+})();
@@ -0,0 +1,97 @@
+// src/tests/aiProviders.test.js - AI Provider Tests (offline, fixture provider)
+import AIService from '../service/ai.service.js';
+import { FixtureProvider, OpenAICompatibleProvider } from '../utils/aiProviders.js';
+
+const provider = new FixtureProvider([
+    { match: 'PING', response: 'PONG' },
+    { match: 'Practice Description: "Cardiology clinic', response: {
+        websiteTitle: 'Harbor Heart Clinic',
+        heroSection: { headline: 'Expert Cardiology Care', subheadline: 'Heart care close to home', ctaText: 'Book a Visit' },
+        aboutSection: { title: 'About Us', content: 'Board-certified cardiologists providing diagnostics, prevention and long-term care for heart conditions in a friendly setting.', highlights: ['Same-week appointments'] },
+        services: [
+            { name: 'Echocardiography', description: 'Ultrasound imaging of the heart' },
+            { name: 'Stress Testing', description: 'Exercise and pharmacologic stress tests' },
+            { name: 'Hypertension Management', description: 'Blood pressure care plans' },
+            { name: 'Arrhythmia Care', description: 'Diagnosis and treatment of irregular heartbeats' }
+        ],
+        contactInfo: { phone: '(555) 010-2000', email: 'care@harborheart.example' },
+        seoMeta: { title: 'Harbor Heart Clinic', description: 'Cardiology care', keywords: ['cardiology'] }
+    } }
+]);
+
+async function testAIProviders() {
+    console.log('\n=== AI Provider Tests ===\n');
+
+    // Test 1: Deterministic responses
+    console.log('1. Testing fixture responses...');
+    const first = await provider.generate('Please answer PING');
+    const second = await provider.generate('Please answer PING');
+    console.log(`   Fixture match -> ${first.text} ${first.text === 'PONG' ? '✓' : '✗'}`);
+    console.log(`   Same prompt, same answer ${first.text === second.text ? '✓' : '✗'}`);
+
+    const exact = await provider.generate("Respond with exactly: 'AI connection successful'");
+    console.log(`   Exact response -> ${exact.text} ${exact.text === 'AI connection successful' ? '✓' : '✗'}`);
+
+    const templated = await provider.generate('Return your response in this exact JSON format:\n{\n  "content": "text",\n  "confidence": 0.9\n}');
+    const parsed = JSON.parse(templated.text);
+    console.log(`   Response format echoed ${parsed.content === 'text' && parsed.confidence === 0.9 ? '✓' : '✗'}`);
+
+    // Test 2: Streaming yields the same text as generate
+    console.log('\n2. Testing streaming...');
+    let streamed = '';
+    let end = null;
+    for await (const chunk of provider.stream('Return {"a": "streamed answer"}')) {
+        if (chunk.type === 'text') streamed += chunk.text;
+        if (chunk.type === 'end') end = chunk;
+    }
+    console.log(`   Chunks reassemble ${streamed === end?.text && JSON.parse(streamed).a === 'streamed answer' ? '✓' : '✗'}`);
+    console.log(`   Usage reported ${end?.usage.inputTokens > 0 && end?.usage.outputTokens > 0 ? '✓' : '✗'}`);
+    console.log(`   countTokens("12345678") -> ${provider.countTokens('12345678')} ${provider.countTokens('12345678') === 2 ? '✓' : '✗'}`);
+
+    // Test 3: Server-sent events from an OpenAI-compatible server
+    console.log('\n3. Testing OpenAI-compatible streaming...');
+    const openai = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:1', model: 'test' });
+    const events = [
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+        'ces":[{"delta":{"content":"lo"}}]}\n\ndata: not json\n\n',
+        'data: {"choices":[{"delta":{"content":"!"}}],"usage":{"prompt_tokens":3,"completion_tokens":2}}'
+    ];
+    openai.client.post = async () => ({ data: events.map(event => Buffer.from(event)) });
+    let sse = '';
+    let sseEnd = null;
+    for await (const chunk of openai.stream('Say hello')) {
+        if (chunk.type === 'text') sse += chunk.text;
+        if (chunk.type === 'end') sseEnd = chunk;
+    }
+    console.log(`   Split events joined, malformed skipped, last line flushed -> ${sse} ${sse === 'Hello!' && sseEnd?.text === 'Hello!' ? '✓' : '✗'}`);
+    console.log(`   Usage from the last event ${sseEnd?.usage.inputTokens === 3 && sseEnd?.usage.outputTokens === 2 ? '✓' : '✗'}`);
+
+    // "é" and "—" are two and three bytes; split both across network chunks
+    const multiByte = Buffer.from('data: {"choices":[{"delta":{"content":"Dr. Guérin — cardiología"}}]}\n\n');
+    const splitAt = [multiByte.indexOf('é') + 1, multiByte.indexOf('—') + 2];
+    openai.client.post = async () => ({
+        data: [multiByte.subarray(0, splitAt[0]), multiByte.subarray(splitAt[0], splitAt[1]), multiByte.subarray(splitAt[1])]
+    });
+    let accented = '';
+    for await (const chunk of openai.stream('Say hello')) {
+        if (chunk.type === 'text') accented += chunk.text;
+    }
+    console.log(`   Characters split across chunks kept -> ${accented} ${accented === 'Dr. Guérin — cardiología' ? '✓' : '✗'}`);
+
+    // Test 4: Generation pipeline runs offline
+    console.log('\n4. Testing AIService with the fixture provider...');
+    AIService.setProvider(provider);
+    const content = await AIService.generateWebsiteContent('Cardiology clinic focused on heart health', 'cardiology');
+    console.log(`   Title -> ${content.websiteTitle} ${content.websiteTitle === 'Harbor Heart Clinic' ? '✓' : '✗'}`);
+    console.log(`   Quality score -> ${content.qualityScore} ${content.qualityScore === 1 ? '✓' : '✗'}`);
+    console.log(`   Model -> ${AIService.modelId} ${AIService.modelId === 'fixture' ? '✓' : '✗'}`);
+
+    console.log('\n=== Tests Complete ===\n');
+}
+
+// Run tests
+testAIProviders()
+    .catch(console.error)
+    .finally(() => process.exit(0));
+
+export { testAIProviders };
@@ -0,0 +1,105 @@
+// src/tests/compliance.test.js - Medical Marketing Compliance Tests
+import complianceService from '../services/complianceService.js';
+import aiService from '../service/ai.service.js';
+import { FixtureProvider } from '../utils/aiProviders.js';
+
+const websiteContent = {
+    websiteTitle: 'Bright Skin Dermatology',
+    heroSection: {
+        headline: 'Guaranteed results for clearer skin',
+        subheadline: 'Painless treatments from the best doctor in town',
+        ctaText: 'Book Now'
+    },
+    aboutSection: {
+        title: 'About Us',
+        content: 'Our laser therapy will reverse aging. "Dr. Park changed my life, my acne is gone!" - Jenna R.',
+        highlights: ['Board-certified dermatologists']
+    },
+    services: [
+        { name: 'Acne Treatment', description: 'Patient Maria Lopez, DOB: 04/12/1988, was treated last week.', icon: 'guaranteed-icon' }
+    ],
+    contactInfo: { phone: '(555) 123-4567', email: 'info@brightskin.com' },
+    generatedHtml: '<h1>Guaranteed results</h1>'
+};
+
+const ids = (result) => result.findings.map(finding => finding.ruleId);
+
+async function testCompliance() {
+    console.log('\n=== Compliance Checker Tests ===\n');
+
+    // Test 1: Phrase and regex rules on plain text
+    console.log('1. Testing rules on plain text...');
+    const textCases = [
+        { text: 'We offer guaranteed results with a 100% success rate.', expected: ['guaranteed-outcome', 'success-rate-claim'] },
+        { text: 'Ranked #1 for knee care, and our care is risk-free.', expected: ['risk-free-claim', 'unverifiable-superlative'] },
+        { text: 'We treat and manage chronic conditions and keep your data secure.', expected: [] },
+        { text: 'Record MRN: 00412345 attached.', expected: ['phi-record-number'] }
+    ];
+    for (const { text, expected } of textCases) {
+        const result = await complianceService.checkContent(text, { aiReview: false });
+        const found = [...new Set(ids(result))].sort();
+        const ok = JSON.stringify(found) === JSON.stringify([...expected].sort());
+        console.log(`   "${text.slice(0, 40)}..." -> [${found.join(', ')}] ${ok ? '✓' : '✗'}`);
+    }
+
+    // Test 2: Website content, paths, specialty rules and ignored fields
+    console.log('\n2. Testing website content...');
+    const result = await complianceService.checkContent(websiteContent, { specialty: 'dermatology', aiReview: false });
+    const hero = result.findings.find(finding => finding.ruleId === 'guaranteed-outcome');
+    console.log(`   Status fail with ${result.counts.error} errors: ${result.status === 'fail' ? '✓' : '✗'}`);
+    console.log(`   Finding anchored at ${hero?.path}: ${hero?.path === 'heroSection.headline' ? '✓' : '✗'}`);
+    console.log(`   Specialty rule applied: ${ids(result).includes('dermatology-permanent-youth') ? '✓' : '✗'}`);
+    console.log(`   Testimonial without disclaimer flagged: ${ids(result).includes('testimonial-without-disclaimer') ? '✓' : '✗'}`);
+    console.log(`   PHI flagged: ${ids(result).includes('phi-date-of-birth') && ids(result).includes('phi-named-patient') ? '✓' : '✗'}`);
+    console.log(`   Rendered HTML and icons ignored: ${!result.findings.some(finding => /generatedHtml|icon/.test(finding.path)) ? '✓' : '✗'}`);
+
+    const cardiology = await complianceService.checkContent(websiteContent, { specialty: 'cardiology', aiReview: false });
+    console.log(`   Dermatology rule skipped for cardiology: ${!ids(cardiology).includes('dermatology-permanent-youth') ? '✓' : '✗'}`);
+
+    const withDisclaimer = await complianceService.checkContent({
+        ...websiteContent,
+        aboutSection: { ...websiteContent.aboutSection, highlights: ['Individual results may vary'] }
+    }, { specialty: 'dermatology', aiReview: false });
+    console.log(`   Disclaimer clears testimonial rule: ${!ids(withDisclaimer).includes('testimonial-without-disclaimer') ? '✓' : '✗'}`);
+
+    // Test 3: AI review through the fixture provider
+    console.log('\n3. Testing AI review...');
+    aiService.setProvider(new FixtureProvider([{
+        match: 'healthcare marketing compliance reviewer',
+        response: {
+            findings: [
+                { category: 'outcome_claim', severity: 'error', path: 'aboutSection.content', excerpt: 'changed my life', message: 'Implied outcome' },
+                { category: 'pricing', severity: 'warning', path: 'services[0].name', excerpt: 'Acne', message: 'Out of scope' },
+                { category: 'outcome_claim', severity: 'error', path: 'heroSection.headline', excerpt: 'Guaranteed results for clearer skin', message: 'Duplicate of a rule' }
+            ]
+        }
+    }]));
+    const reviewed = await complianceService.checkContent(websiteContent, { specialty: 'dermatology', aiReview: true });
+    const aiFindings = reviewed.findings.filter(finding => finding.source === 'ai');
+    console.log(`   Review completed: ${reviewed.aiReview.status === 'completed' ? '✓' : '✗'}`);
+    console.log(`   Out-of-scope and duplicate findings dropped: ${aiFindings.length === 1 && aiFindings[0].match === 'changed my life' ? '✓' : '✗'}`);
+
+    aiService.setProvider({ name: 'broken', model: 'broken', generate: async () => { throw new Error('Model offline'); } });
+    const unavailable = await complianceService.checkContent('We guarantee results', { aiReview: true });
+    console.log(`   Rules still apply when the model is down: ${unavailable.aiReview.status === 'unavailable' && unavailable.counts.error === 1 ? '✓' : '✗'}`);
+    aiService.setProvider();
+
+    // Test 4: Publish gate modes
+    console.log('\n4. Testing publish gate...');
+    const gate = complianceService.publishGate;
+    for (const [mode, expectedErrors] of [['off', 0], ['warn', 0], ['enforce', result.counts.error]]) {
+        complianceService.publishGate = mode;
+        const outcome = await complianceService.checkForPublishing(websiteContent, 'dermatology');
+        console.log(`   ${mode} -> ${outcome.errors.length} blocking, ${outcome.warnings.length} warnings ${outcome.errors.length === expectedErrors ? '✓' : '✗'}`);
+    }
+    complianceService.publishGate = gate;
+
+    console.log('\n=== Tests Complete ===\n');
+}
+
+// Run tests
+testCompliance()
+    .catch(console.error)
+    .finally(() => process.exit(0));
+
+export { testCompliance };
@@ -0,0 +1,115 @@
+// src/tests/experiments.test.js - A/B Experiment Assignment and Conversion Tests
+import express from 'express';
+import mongoose from 'mongoose';
+import Experiment from '../models/Experiment.js';
+import AnalyticsAggregate from '../models/AnalyticsAggregate.js';
+import domainService from '../services/domainService.js';
+import publishService from '../services/publishService.js';
+import analyticsService from '../services/analyticsService.js';
+import publicSiteRouter from '../routes/publicSite.routes.js';
+import websiteLiveRouter from '../routes/websiteLive.routes.js';
+import websiteAnalyticsRouter from '../routes/websiteAnalytics.routes.js';
+
+const websiteId = new mongoose.Types.ObjectId();
+const experiment = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Hero test',
+    conversionEvents: ['cta_click'],
+    variants: [{ key: 'control', weight: 1 }]
+};
+const browser = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 Safari/605.1.15';
+
+// Published site, running experiment and analytics storage, all in memory
+const updates = [];
+domainService.findWebsiteByShortId = async (shortId) => (shortId === 'heart1' ? { _id: websiteId, shortId } : null);
+publishService.getPublishedWebsite = async () => ({
+    content: { generatedHtml: '<html><body>Heart Care</body></html>' },
+    metadata: { versionNumber: 1 },
+    website: { _id: websiteId, specialty: 'cardiology' }
+});
+Experiment.findOne = () => ({ select() { return this; }, lean: async () => experiment });
+Experiment.updateOne = async (filter, update) => updates.push(update.$inc);
+analyticsService.isPublished = async () => true;
+AnalyticsAggregate.increment = async () => {};
+
+const app = express();
+app.use('/api/v1/websites', websiteAnalyticsRouter);
+app.use('/api/v1/websites', websiteLiveRouter);
+app.use('/sites', publicSiteRouter);
+
+// Minimal cookie jar: a cookie goes with a request when its Path prefixes the URL path
+const jar = new Map();
+const store = (response) => {
+    for (const header of response.headers.getSetCookie()) {
+        const [pair, ...attributes] = header.split(';').map(part => part.trim());
+        const [name, value] = pair.split('=');
+        const cookiePath = attributes.find(attribute => /^path=/i.test(attribute))?.slice(5) || '/';
+        jar.set(`${cookiePath} ${name}`, { name, value, path: cookiePath });
+    }
+};
+const cookiesFor = (urlPath) => [...jar.values()]
+    .filter(cookie => urlPath.startsWith(cookie.path))
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+
+async function testExperiments() {
+    console.log('\n=== Experiment Tests ===\n');
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const request = async (urlPath, options = {}) => {
+        const cookie = cookiesFor(urlPath);
+        const response = await fetch(`${base}${urlPath}`, {
+            ...options,
+            headers: { 'user-agent': browser, ...(cookie ? { cookie } : {}), ...options.headers }
+        });
+        store(response);
+        return response;
+    };
+
+    try {
+        // Test 1: A /sites visit assigns a variant for the whole host
+        console.log('1. Testing assignment on /sites...');
+        const page = await request('/sites/heart1');
+        const html = await page.text();
+        const assignment = [...jar.values()].find(cookie => cookie.name === `mx_${experiment._id}`);
+        console.log(`   Page served with the beacon: ${page.status === 200 && html.includes(`/api/v1/websites/${websiteId}/beacon.js`) ? '✓' : '✗'}`);
+        console.log(`   Assignment cookie on "/" (${assignment?.path}): ${assignment?.value === 'control' && assignment.path === '/' ? '✓' : '✗'}`);
+        console.log(`   Visitor counted: ${updates.length === 1 && updates[0]['variants.$.visitors'] === 1 ? '✓' : '✗'}`);
+
+        // Test 2: The beacon from that page carries the assignment
+        console.log('\n2. Testing conversion from a /sites page...');
+        const beacon = await request(`/api/v1/websites/${websiteId}/beacon`, {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain' },
+            body: JSON.stringify({ type: 'event', name: 'cta_click', page: '/' })
+        });
+        const converted = jar.get(`/ mx_${experiment._id}`);
+        console.log(`   Beacon accepted: ${beacon.status === 204 ? '✓' : '✗'}`);
+        console.log(`   Conversion attributed: ${updates.length === 2 && updates[1]['variants.$.conversions'] === 1 ? '✓' : '✗'}`);
+        console.log(`   Converted marker on "/": ${converted?.value === 'control.c' ? '✓' : '✗'}`);
+
+        // Test 3: One assignment across entry points, one conversion per visitor
+        console.log('\n3. Testing the same visitor on /live...');
+        const live = await request(`/api/v1/websites/${websiteId}/live`);
+        console.log(`   No second assignment: ${live.status === 200 && live.headers.getSetCookie().length === 0 && updates.length === 2 ? '✓' : '✗'}`);
+
+        await request(`/api/v1/websites/${websiteId}/beacon`, {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain' },
+            body: JSON.stringify({ type: 'event', name: 'cta_click', page: '/' })
+        });
+        console.log(`   No second conversion: ${updates.length === 2 ? '✓' : '✗'}`);
+    } finally {
+        server.close();
+    }
+
+    console.log('\n=== Tests Complete ===\n');
+}
+
+// Run tests
+testExperiments()
+    .catch(console.error)
+    .finally(() => process.exit(0));
+
+export { testExperiments };
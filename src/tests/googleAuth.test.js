@@ -0,0 +1,89 @@
+// src/tests/googleAuth.test.js - Google Sign-in Tests (mock OAuth provider, no database)
+import MockOAuthStrategy from '../utils/mockOAuthStrategy.js';
+import oauthService from '../services/oauthService.js';
+import { User } from '../models/user.models.js';
+
+// Link tokens are signed with a key derived from the access token secret
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'google-auth-test-access-token-secret';
+
+// Run one leg of the mock strategy and report how passport would finish it
+const runStrategy = (query, verify = (accessToken, refreshToken, profile, done) => done(null, profile)) =>
+    new Promise((resolve) => {
+        const strategy = new MockOAuthStrategy({ callbackURL: '/api/v1/users/auth/google/callback' }, verify);
+        strategy.redirect = (url) => resolve({ type: 'redirect', url });
+        strategy.success = (user) => resolve({ type: 'success', user });
+        strategy.fail = (info) => resolve({ type: 'fail', info });
+        strategy.error = (error) => resolve({ type: 'error', error });
+        strategy.authenticate({ query });
+    });
+
+async function testGoogleAuth() {
+    console.log('\n=== Google Sign-in Tests ===\n');
+
+    // Test 1: Start leg redirects straight to the callback
+    console.log('1. Testing mock consent redirect...');
+    const start = await runStrategy({ mockId: '42', mockEmail: 'Dr.Rao@Example.com', mockGivenName: 'Anita', mockFamilyName: 'Rao' });
+    const code = new URL(start.url, 'http://localhost').searchParams.get('code');
+    console.log(`   Redirected to callback: ${start.type === 'redirect' && start.url.startsWith('/api/v1/users/auth/google/callback?code=') ? '✓' : '✗'}`);
+
+    // Test 2: Callback leg passes a Google-shaped profile to the verify callback
+    console.log('\n2. Testing callback profile...');
+    const callback = await runStrategy({ code });
+    const profile = callback.user;
+    console.log(`   Profile id: ${profile?.id === '42' ? '✓' : '✗'}`);
+    console.log(`   Email verified: ${profile?.emails?.[0]?.verified === true ? '✓' : '✗'}`);
+
+    // Test 3: Cancelled consent and tampered codes fail
+    console.log('\n3. Testing failed sign-ins...');
+    const cancelled = await runStrategy({ error: 'access_denied' });
+    const tampered = await runStrategy({ code: 'not-a-profile' });
+    console.log(`   Cancelled consent fails: ${cancelled.type === 'fail' ? '✓' : '✗'}`);
+    console.log(`   Tampered code fails: ${tampered.type === 'fail' ? '✓' : '✗'}`);
+
+    // Test 4: Profile normalization
+    console.log('\n4. Testing profile normalization...');
+    const identity = oauthService.normalizeGoogleProfile(profile);
+    console.log(`   Email lowercased: ${identity.email === 'dr.rao@example.com' ? '✓' : '✗'}`);
+    console.log(`   Names mapped: ${identity.firstName === 'Anita' && identity.lastName === 'Rao' ? '✓' : '✗'}`);
+
+    const unverified = await runStrategy({ code: new URL((await runStrategy({ mockEmailVerified: 'false' })).url, 'http://localhost').searchParams.get('code') });
+    console.log(`   Unverified email detected: ${oauthService.normalizeGoogleProfile(unverified.user).emailVerified === false ? '✓' : '✗'}`);
+
+    // Test 5: Partial profiles validate without professional details
+    console.log('\n5. Testing partial profile validation...');
+    const partialUser = new User({
+        personalInfo: { firstName: identity.firstName, lastName: identity.lastName, professionalEmail: identity.email },
+        accountInfo: { googleId: identity.googleId, profileComplete: false }
+    });
+    const partialErrors = partialUser.validateSync();
+    console.log(`   Partial profile valid: ${!partialErrors ? '✓' : '✗'}${partialErrors ? ` (${partialErrors.message})` : ''}`);
+
+    const missing = partialUser.getMissingProfileFields();
+    console.log(`   Missing fields reported: ${missing.includes('professionalInfo.licenseNumber') && missing.includes('practiceInfo.address.city') ? '✓' : '✗'} (${missing.length} fields)`);
+
+    partialUser.accountInfo.profileComplete = true;
+    const completeErrors = partialUser.validateSync();
+    console.log(`   Completed profile enforces required fields: ${completeErrors?.errors['professionalInfo.specialty'] ? '✓' : '✗'}`);
+
+    // Test 6: Link tokens
+    console.log('\n6. Testing link tokens...');
+    const linkToken = oauthService.createLinkToken('507f1f77bcf86cd799439011', identity);
+    const payload = oauthService.verifyLinkToken(linkToken);
+    console.log(`   Round trip: ${payload.googleId === '42' && payload.userId === '507f1f77bcf86cd799439011' ? '✓' : '✗'}`);
+
+    try {
+        oauthService.verifyLinkToken(`${linkToken}x`);
+        console.log('   Tampered token rejected: ✗');
+    } catch (error) {
+        console.log(`   Tampered token rejected: ${error.statusCode === 401 ? '✓' : '✗'}`);
+    }
+
+    console.log('\n=== Tests Complete ===\n');
+}
+
+// Run tests
+testGoogleAuth()
+    .catch(console.error)
+    .finally(() => process.exit(0));
+
+export { testGoogleAuth };
@@ -0,0 +1,101 @@
+// src/tests/progressResume.test.js - Resuming a Request Through GET /result/:requestId
+import crypto from 'crypto';
+import express from 'express';
+import cacheService from '../services/cacheService.js';
+import websocketService from '../services/websocketService.js';
+import unifiedProcessingService from '../services/unifiedProcessingService.js';
+import { getProcessingResult } from '../controllers/unifiedProcessing.controller.js';
+
+const ownerId = 'user-owner';
+const otherId = 'user-other';
+
+// Progress snapshots live in memory instead of the cache backend
+const progress = new Map();
+cacheService.cacheProgress = async (requestId, snapshot) => progress.set(requestId, JSON.parse(JSON.stringify(snapshot)));
+cacheService.getCachedProgress = async (requestId) => progress.get(requestId) || null;
+
+const app = express();
+app.get('/result/:requestId', (req, res, next) => {
+    req.user = { _id: req.headers['x-user-id'] };
+    next();
+}, getProcessingResult);
+app.use((error, req, res, next) => {
+    res.status(error.statusCode || 500).json({ message: error.message });
+});
+
+const rejects = async (fn, check) => {
+    try {
+        await fn();
+        return false;
+    } catch (error) {
+        return check(error);
+    }
+};
+
+// A request that has generated two sections, then lost its tracker (restart or another instance)
+const startRequest = async (status) => {
+    const requestId = crypto.randomUUID();
+    const tracker = websocketService.createProgressTracker(requestId, ownerId, 5);
+    tracker.status = status;
+    tracker.progress = 40;
+    tracker.sections = { hero: { title: 'Heart Care' }, services: [{ name: 'Echocardiography' }] };
+    tracker.completedSections = ['hero', 'services'];
+    if (status === 'error') {
+        tracker.error = 'Generation failed';
+    }
+    await unifiedProcessingService.persistProgress(requestId);
+    websocketService.progressTrackers.delete(requestId);
+    return requestId;
+};
+
+async function testProgressResume() {
+    console.log('\n=== Progress Resume Tests ===\n');
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const getResult = async (requestId, userId) => {
+        const response = await fetch(`${base}/result/${requestId}`, { headers: { 'x-user-id': userId } });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        // Test 1: A running request answers with the sections generated so far
+        console.log('1. Testing partial result for a running request...');
+        const running = await startRequest('processing');
+        const { status, body } = await getResult(running, ownerId);
+        const data = body.data || {};
+        console.log(`   Served from the cached snapshot: ${status === 200 && data.requestId === running ? '✓' : '✗'}`);
+        console.log(`   Marked partial with its status: ${data.partial === true && data.status === 'processing' && data.progress === 40 ? '✓' : '✗'}`);
+        console.log(`   Sections generated so far returned: ${data.sections?.hero?.title === 'Heart Care' && data.sections?.services?.[0]?.name === 'Echocardiography' ? '✓' : '✗'}`);
+        console.log(`   Completed sections listed: ${JSON.stringify(data.completedSections) === '["hero","services"]' ? '✓' : '✗'}`);
+
+        // Test 2: A failed request keeps its partial content and reports the error
+        console.log('\n2. Testing partial result for a failed request...');
+        const failed = await getResult(await startRequest('error'), ownerId);
+        console.log(`   Error and sections returned: ${failed.status === 200 && failed.body.data?.error === 'Generation failed' && failed.body.data?.completedSections?.length === 2 ? '✓' : '✗'}`);
+
+        // Test 3: Only the owner can resume
+        console.log('\n3. Testing ownership...');
+        const denied = await getResult(running, otherId);
+        console.log(`   Another user is refused: ${denied.status === 403 && !denied.body.data ? '✓' : '✗'}`);
+
+        const unknown = await getResult(crypto.randomUUID(), ownerId);
+        console.log(`   Unknown request is a 404: ${unknown.status === 404 ? '✓' : '✗'}`);
+
+        // Test 4: A resumable request keeps its ID
+        console.log('\n4. Testing request ID reuse...');
+        const reused = await rejects(() => unifiedProcessingService.assertRequestIdAvailable(running), error => error.statusCode === 409);
+        console.log(`   Cached request ID cannot be reused: ${reused ? '✓' : '✗'}`);
+    } finally {
+        server.close();
+    }
+
+    console.log('\n=== Tests Complete ===\n');
+}
+
+// Run tests
+testProgressResume()
+    .catch(console.error)
+    .finally(() => process.exit(0));
+
+export { testProgressResume };
@@ -0,0 +1,118 @@
+// src/tests/promptRegistry.test.js - Prompt Registry Tests
+import mongoose from 'mongoose';
+import PromptPin from '../models/PromptPin.js';
+import promptRegistry, { PromptRegistryService } from '../services/promptRegistryService.js';
+import aiService from '../service/ai.service.js';
+
+const PROMPTS = {
+    greeting: {
+        description: 'Greeting',
+        variables: ['name', 'clinic'],
+        versions: [
+            { version: 1, template: 'Hello {{name}}' },
+            { version: 2, template: 'Hello {{ name }} from {{clinic}}' },
+            { version: 3, draft: true, template: 'Hi {{name}} at {{clinic}}, {{unknown}}' },
+            { version: 4, template: 'Welcome {{name}} to {{clinic}}' }
+        ]
+    },
+    summary: {
+        description: 'Summary',
+        variables: ['text'],
+        versions: [
+            { version: 1, template: 'Summarize {{text}}' },
+            { version: 2, template: 'Briefly summarize {{text}}' }
+        ]
+    }
+};
+
+// In-memory pin store, with the connection reported as open so pins can be written
+const pins = new Map();
+Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+PromptPin.find = () => ({ lean: async () => [...pins.values()] });
+PromptPin.findOneAndUpdate = async ({ name }, { $set }) => {
+    pins.set(name, { ...pins.get(name), name, ...$set, updatedAt: new Date() });
+};
+PromptPin.deleteOne = async ({ name }) => {
+    pins.delete(name);
+};
+
+const rejects = async (fn, check) => {
+    try {
+        await fn();
+        return false;
+    } catch (error) {
+        return check(error);
+    }
+};
+
+async function testPromptRegistry() {
+    console.log('\n=== Prompt Registry Tests ===\n');
+
+    process.env.AI_PROMPT_PINS = 'summary=1, greeting=9';
+    const registry = new PromptRegistryService(PROMPTS);
+
+    // Test 1: Rendering
+    console.log('1. Testing render...');
+    const rendered = registry.render('greeting', { name: 'Dr. Lee', clinic: 'Heart Care' }, 2);
+    console.log(`   Variables filled in: ${rendered.text === 'Hello Dr. Lee from Heart Care' ? '✓' : '✗'}`);
+    console.log(`   Id is name@version: ${rendered.id === 'greeting@2' ? '✓' : '✗'}`);
+
+    const missing = await rejects(() => registry.render('greeting', { name: 'Dr. Lee' }, 2), error => /missing variables: clinic/.test(error.message));
+    console.log(`   Missing variable rejected: ${missing ? '✓' : '✗'}`);
+
+    const undeclared = await rejects(() => registry.render('greeting', { name: 'Dr. Lee', clinic: 'Heart Care' }, 3), error => /undeclared variable "unknown"/.test(error.message));
+    console.log(`   Undeclared variable rejected: ${undeclared ? '✓' : '✗'}`);
+
+    const noVersion = await rejects(() => registry.render('greeting', { name: 'Dr. Lee', clinic: 'Heart Care' }, 7), error => error.statusCode === 400);
+    const noPrompt = await rejects(() => registry.render('farewell'), error => error.statusCode === 400);
+    console.log(`   Unknown version and prompt rejected: ${noVersion && noPrompt ? '✓' : '✗'}`);
+
+    // Test 2: Which version is active
+    console.log('\n2. Testing active version...');
+    console.log(`   Latest released version, drafts skipped: ${registry.getActiveVersion('greeting') === 4 ? '✓' : '✗'}`);
+    console.log(`   AI_PROMPT_PINS entry applies: ${registry.getActiveVersion('summary') === 1 ? '✓' : '✗'}`);
+    console.log(`   AI_PROMPT_PINS entry for a missing version ignored: ${registry.getPin('greeting') === null ? '✓' : '✗'}`);
+
+    await registry.pin('summary', 2, { pinnedBy: 'test', reason: 'Precedence' });
+    const pin = registry.getPin('summary');
+    console.log(`   Stored pin takes precedence over AI_PROMPT_PINS: ${registry.getActiveVersion('summary') === 2 && pin.source === 'database' ? '✓' : '✗'}`);
+    console.log(`   Previous version recorded: ${pins.get('summary').previousVersion === 1 ? '✓' : '✗'}`);
+
+    // Test 3: Rollback
+    console.log('\n3. Testing rollback...');
+    const first = await registry.rollback('greeting');
+    console.log(`   Rolls back past the draft (v${first.version}): ${first.version === 2 && registry.getActiveVersion('greeting') === 2 ? '✓' : '✗'}`);
+
+    await registry.pin('greeting', 3, { reason: 'Draft rollout' });
+    console.log(`   Draft can be pinned: ${registry.getActiveVersion('greeting') === 3 ? '✓' : '✗'}`);
+
+    const fromDraft = await registry.rollback('greeting');
+    console.log(`   Rollback from a draft goes to the released version before it: ${fromDraft.version === 2 ? '✓' : '✗'}`);
+
+    await registry.rollback('greeting');
+    const exhausted = await rejects(() => registry.rollback('greeting'), error => error.statusCode === 400);
+    console.log(`   No rollback before the first version: ${registry.getActiveVersion('greeting') === 1 && exhausted ? '✓' : '✗'}`);
+
+    // Test 4: Unpin
+    console.log('\n4. Testing unpin...');
+    const greeting = await registry.unpin('greeting');
+    console.log(`   Follows the latest version again: ${greeting.version === 4 && !pins.has('greeting') ? '✓' : '✗'}`);
+
+    const summary = await registry.unpin('summary');
+    console.log(`   AI_PROMPT_PINS entry applies again: ${summary.version === 1 && registry.getPin('summary')?.source === 'environment' ? '✓' : '✗'}`);
+
+    // Test 5: Generated content records the prompt it came from
+    console.log('\n5. Testing website prompt id...');
+    const prompt = aiService.buildWebsiteContentPrompt('Cardiology clinic in Austin', 'cardiology');
+    const expectedId = `website.generate@${promptRegistry.getActiveVersion('website.generate')}`;
+    console.log(`   Website prompt returns its id (${prompt.id}): ${prompt.id === expectedId && prompt.text.includes('Cardiology clinic in Austin') ? '✓' : '✗'}`);
+
+    console.log('\n=== Tests Complete ===\n');
+}
+
+// Run tests
+testPromptRegistry()
+    .catch(console.error)
+    .finally(() => process.exit(0));
+
+export { testPromptRegistry };
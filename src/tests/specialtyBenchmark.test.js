@@ -0,0 +1,83 @@
+// src/tests/specialtyBenchmark.test.js - Specialty Detection Benchmark Tests
+import aiService from '../service/ai.service.js';
+import specialtyBenchmarkService from '../services/specialtyBenchmarkService.js';
+import { confusionMatrix, classificationReport } from '../utils/classificationMetrics.js';
+import { fitCalibration, applyCalibration, reliability } from '../utils/confidenceCalibration.js';
+
+async function testSpecialtyBenchmark() {
+    console.log('\n=== Specialty Detection Benchmark Tests ===\n');
+
+    // Test 1: Confusion matrix and precision/recall
+    console.log('1. Testing classification metrics...');
+    const pairs = [
+        { actual: 'cardiology', predicted: 'cardiology' },
+        { actual: 'cardiology', predicted: 'cardiology' },
+        { actual: 'cardiology', predicted: 'general-practice' },
+        { actual: 'nephrology', predicted: 'urology' },
+        { actual: 'urology', predicted: 'urology' }
+    ];
+    const matrix = confusionMatrix(pairs, ['cardiology', 'nephrology', 'urology']);
+    const report = classificationReport(matrix);
+    console.log(`   Unlabeled prediction added to labels: ${matrix.labels.includes('general-practice') ? '✓' : '✗'}`);
+    console.log(`   Accuracy 3/5: ${report.accuracy === 0.6 ? '✓' : '✗'}`);
+    console.log(`   Cardiology recall 2/3, precision 1: ${report.perLabel.cardiology.recall === 0.667 && report.perLabel.cardiology.precision === 1 ? '✓' : '✗'}`);
+    console.log(`   Urology precision 1/2: ${report.perLabel.urology.precision === 0.5 ? '✓' : '✗'}`);
+    console.log(`   Macro average skips labels without examples: ${report.macro.recall === round((2 / 3 + 0 + 1) / 3) ? '✓' : '✗'}`);
+
+    // Test 2: Calibration maps raw confidence to observed accuracy
+    console.log('\n2. Testing calibration...');
+    const samples = [
+        ...Array.from({ length: 20 }, (_, i) => ({ method: 'strong', confidence: 0.9, correct: i < 15 })),
+        ...Array.from({ length: 10 }, (_, i) => ({ method: 'fallback', confidence: 0.7, correct: i < 1 }))
+    ];
+    const calibration = fitCalibration(samples);
+    const strong = applyCalibration(calibration, 'strong', 0.9);
+    const fallback = applyCalibration(calibration, 'fallback', 0.7);
+    const unknown = applyCalibration(calibration, 'error-fallback', 0.5);
+    console.log(`   Strong 0.9 -> ${strong.confidence} (~0.75): ${Math.abs(strong.confidence - 0.75) < 0.03 ? '✓' : '✗'}`);
+    console.log(`   Fallback 0.7 -> ${fallback.confidence} (well below raw): ${fallback.confidence < 0.3 ? '✓' : '✗'}`);
+    console.log(`   Unknown method keeps raw confidence: ${unknown.confidence === 0.5 && !unknown.calibrated ? '✓' : '✗'}`);
+
+    const calibrated = samples.map(sample => ({ ...sample, confidence: applyCalibration(calibration, sample.method, sample.confidence).confidence }));
+    console.log(`   Calibration error reduced: ${reliability(calibrated).ece < reliability(samples).ece ? '✓' : '✗'}`);
+
+    // Test 3: Detection results carry calibrated confidence and the confirmation prompt
+    console.log('\n3. Testing calibrated detection...');
+    const exact = await aiService.detectMedicalSpecialty('Our dermatology clinic treats acne and eczema.');
+    console.log(`   Calibrated with raw confidence kept: ${exact.calibrated && exact.rawConfidence === 0.99 ? '✓' : '✗'}`);
+    console.log(`   Exact match accepted without confirmation: ${!exact.needsConfirmation ? '✓' : '✗'}`);
+
+    const vague = await aiService.detectMedicalSpecialty('We are a friendly clinic that has served the community for years.');
+    console.log(`   Fallback asks for confirmation: ${vague.needsConfirmation && vague.confidence < vague.rawConfidence ? '✓' : '✗'}`);
+    console.log(`   Confirmation message present: ${vague.confirmationMessage ? '✓' : '✗'}`);
+
+    const kidney = await aiService.detectMedicalSpecialty('We treat proteinuria, electrolyte problems and kidney failure.');
+    console.log(`   Alternatives offered for ambiguous input (${kidney.alternatives?.join(', ')}): ${kidney.needsConfirmation && kidney.alternatives.includes('nephrology') ? '✓' : '✗'}`);
+
+    // Test 4: Benchmark over the labeled dataset
+    console.log('\n4. Testing benchmark...');
+    const dataset = specialtyBenchmarkService.loadDataset();
+    const benchmark = await specialtyBenchmarkService.run({ dataset });
+    const labels = Object.keys(aiService.specialtyKeywords);
+    console.log(`   Every specialty labeled in the dataset: ${labels.every(label => benchmark.perLabel[label].support > 0) ? '✓' : '✗'}`);
+    console.log(`   Confusion matrix covers the dataset: ${benchmark.confusionMatrix.matrix.flat().reduce((sum, count) => sum + count, 0) === dataset.length ? '✓' : '✗'}`);
+    console.log(`   Cross-validated calibration beats raw (ECE ${benchmark.calibration.raw.ece} -> ${benchmark.calibration.calibrated.ece}): ${benchmark.calibration.calibrated.ece < benchmark.calibration.raw.ece ? '✓' : '✗'}`);
+
+    try {
+        specialtyBenchmarkService.loadDataset('package.json');
+        console.log('   Invalid dataset rejected: ✗');
+    } catch (error) {
+        console.log('   Invalid dataset rejected: ✓');
+    }
+
+    console.log('\n=== Tests Complete ===\n');
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Run tests
+testSpecialtyBenchmark()
+    .catch(console.error)
+    .finally(() => process.exit(0));
+
+export { testSpecialtyBenchmark };
@@ -225,6 +225,32 @@ async function testTemplateService() {
     const previewData = TemplateService.generatePreviewData('dermatology');
     console.log(`   Preview data generated: ${previewData.websiteTitle ? '✓' : '✗'}`);
     
+    // Test 8: Template engine syntax
+    console.log('\n8. Testing template engine...');
+    const engineCases = [
+        { name: 'escaping', template: '{{title}} {{{title}}}', data: { title: '<b>A&B</b>' }, expected: '&lt;b&gt;A&amp;B&lt;/b&gt; <b>A&B</b>' },
+        { name: 'else', template: '{{#if logo}}img{{else}}text{{/if}}', data: {}, expected: 'text' },
+        { name: 'unless', template: '{{#unless closed}}open{{/unless}}', data: { closed: false }, expected: 'open' },
+        { name: 'each with @index/@first', template: '{{#each items}}{{#if @first}}[{{/if}}{{@index}}{{this}}{{/each}}', data: { items: ['a', 'b'] }, expected: '[0a1b' },
+        { name: 'nested scopes', template: '{{#each services}}{{#each tags}}{{this}}@{{../name}} {{/each}}{{/each}}', data: { services: [{ name: 'ECG', tags: ['x', 'y'] }] }, expected: 'x@ECG y@ECG ' },
+        { name: 'empty each', template: '{{#each certifications}}c{{else}}none{{/each}}', data: { certifications: [] }, expected: 'none' },
+        { name: 'unresolved value', template: 'a{{missing.value}}b', data: {}, expected: 'ab' },
+        { name: 'formatPhone', template: '{{formatPhone phone}}', data: { phone: '555-123-4567' }, expected: '(555) 123-4567' },
+        { name: 'formatDate', template: '{{formatDate date "MMM D, YYYY"}}', data: { date: '2024-03-05T12:00:00Z' }, expected: 'Mar 5, 2024' }
+    ];
+    
+    engineCases.forEach(({ name, template, data, expected }) => {
+        const result = TemplateService.renderTemplate(template, data);
+        console.log(`   ${name}: ${result === expected ? '✓' : `✗ (${result})`}`);
+    });
+    
+    try {
+        TemplateService.renderTemplate('<div>\n  {{#if logo}}\n  <img>\n</div>', {}, 'broken.html');
+        console.log('   syntax error: ✗ (no error thrown)');
+    } catch (error) {
+        console.log(`   syntax error: ${error.message.includes('line 2') ? '✓' : '✗'} (${error.message})`);
+    }
+    
     console.log('\n=== Tests Complete ===\n');
 }
 
@@ -0,0 +1,366 @@
+// src/utils/aiProviders.js
+import fs from "fs";
+import crypto from "crypto";
+import axios from "axios";
+import { InvokeModelCommand, InvokeModelWithResponseStreamCommand } from "@aws-sdk/client-bedrock-runtime";
+import { createBedrockClient } from "../config/aws.js";
+
+// AI providers turn a prompt into text. Every provider implements:
+//   generate(prompt, options) -> { text, usage: { inputTokens, outputTokens }, model, provider }
+//   stream(prompt, options)   -> async iterable of { type: 'text', text } chunks,
+//                                ending with { type: 'end', text, usage }
+//   countTokens(text)         -> number
+// options: { maxTokens, temperature, topP }
+
+const DEFAULT_OPTIONS = { maxTokens: 3000, temperature: 0.7, topP: 0.9 };
+
+// Roughly four characters per token for English text; used where the model
+// does not report usage itself
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+// Amazon Bedrock with the Anthropic messages format
+export class BedrockProvider {
+    constructor({ client, model } = {}) {
+        this.name = 'bedrock';
+        this.client = client || createBedrockClient();
+        this.model = model || process.env.BEDROCK_MODEL_ID || "anthropic.claude-3-sonnet-20240229-v1:0";
+    }
+
+    buildCommand(CommandType, prompt, options) {
+        const { maxTokens, temperature, topP } = { ...DEFAULT_OPTIONS, ...options };
+
+        return new CommandType({
+            modelId: this.model,
+            contentType: "application/json",
+            accept: "application/json",
+            body: JSON.stringify({
+                anthropic_version: "bedrock-2023-05-31",
+                max_tokens: maxTokens,
+                temperature,
+                top_p: topP,
+                messages: [{ role: "user", content: prompt }]
+            })
+        });
+    }
+
+    async generate(prompt, options = {}) {
+        const response = await this.client.send(this.buildCommand(InvokeModelCommand, prompt, options));
+        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+
+        const text = responseBody.content?.[0]?.text;
+        if (typeof text !== 'string') {
+            throw new Error('Invalid response from Bedrock');
+        }
+
+        return {
+            text,
+            usage: {
+                inputTokens: responseBody.usage?.input_tokens ?? estimateTokens(prompt),
+                outputTokens: responseBody.usage?.output_tokens ?? estimateTokens(text)
+            },
+            model: this.model,
+            provider: this.name
+        };
+    }
+
+    async *stream(prompt, options = {}) {
+        const response = await this.client.send(this.buildCommand(InvokeModelWithResponseStreamCommand, prompt, options));
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        let text = '';
+
+        for await (const event of response.body) {
+            if (!event.chunk?.bytes) {
+                // Stream-level errors arrive as events instead of chunks
+                const [errorType, error] = Object.entries(event)[0] || [];
+                throw new Error(`Bedrock stream error (${errorType}): ${error?.message || 'unknown'}`);
+            }
+
+            const chunk = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
+            if (chunk.type === 'message_start') {
+                usage.inputTokens = chunk.message?.usage?.input_tokens || 0;
+            } else if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
+                text += chunk.delta.text;
+                yield { type: 'text', text: chunk.delta.text };
+            } else if (chunk.type === 'message_delta') {
+                usage.outputTokens = chunk.usage?.output_tokens || usage.outputTokens;
+            }
+        }
+
+        yield {
+            type: 'end',
+            text,
+            usage: {
+                inputTokens: usage.inputTokens || estimateTokens(prompt),
+                outputTokens: usage.outputTokens || estimateTokens(text)
+            }
+        };
+    }
+
+    countTokens(text) {
+        return estimateTokens(text);
+    }
+}
+
+// Self-hosted models behind an OpenAI-compatible chat completions API
+// (vLLM, llama.cpp server, Ollama, LocalAI...). baseUrl includes the version
+// prefix, e.g. http://localhost:8000/v1
+export class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, model, timeout = 60000 } = {}) {
+        if (!baseUrl) {
+            throw new Error('OpenAICompatibleProvider requires a baseUrl');
+        }
+        if (!model) {
+            throw new Error('OpenAICompatibleProvider requires a model');
+        }
+
+        this.name = 'openai';
+        this.model = model;
+        this.client = axios.create({
+            baseURL: baseUrl.replace(/\/+$/, ''),
+            timeout,
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        });
+    }
+
+    buildBody(prompt, options, stream) {
+        const { maxTokens, temperature, topP } = { ...DEFAULT_OPTIONS, ...options };
+
+        return {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: maxTokens,
+            temperature,
+            top_p: topP,
+            stream,
+            ...(stream ? { stream_options: { include_usage: true } } : {})
+        };
+    }
+
+    async generate(prompt, options = {}) {
+        const response = await this.client.post('/chat/completions', this.buildBody(prompt, options, false));
+
+        const text = response.data?.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error('Invalid response from model server');
+        }
+
+        return {
+            text,
+            usage: {
+                inputTokens: response.data.usage?.prompt_tokens ?? estimateTokens(prompt),
+                outputTokens: response.data.usage?.completion_tokens ?? estimateTokens(text)
+            },
+            model: this.model,
+            provider: this.name
+        };
+    }
+
+    // Server-sent events: one "data: {json}" line per chunk, closed by "data: [DONE]"
+    async *stream(prompt, options = {}) {
+        const response = await this.client.post('/chat/completions', this.buildBody(prompt, options, true), {
+            responseType: 'stream'
+        });
+
+        let text = '';
+        let usage = null;
+
+        for await (const chunk of this.readEvents(response.data)) {
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                yield { type: 'text', text: delta };
+            }
+        }
+
+        yield {
+            type: 'end',
+            text,
+            usage: {
+                inputTokens: usage?.prompt_tokens ?? estimateTokens(prompt),
+                outputTokens: usage?.completion_tokens ?? estimateTokens(text)
+            }
+        };
+    }
+
+    // Parsed events of an SSE body. The last line may arrive without a newline.
+    // The decoder keeps multi-byte characters split across network chunks intact.
+    async *readEvents(body) {
+        const decoder = new TextDecoder('utf-8');
+        let buffer = '';
+
+        const takeLines = () => {
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            return lines.map(line => this.parseEvent(line)).filter(Boolean);
+        };
+
+        for await (const data of body) {
+            buffer += decoder.decode(data, { stream: true });
+            yield* takeLines();
+        }
+
+        buffer += decoder.decode();
+        yield* takeLines();
+
+        const last = this.parseEvent(buffer);
+        if (last) {
+            yield last;
+        }
+    }
+
+    // JSON payload of a "data:" line; other lines, [DONE] and malformed payloads give null
+    parseEvent(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+            return null;
+        }
+
+        const payload = trimmed.replace(/^data:\s*/, '');
+        if (payload === '[DONE]') {
+            return null;
+        }
+
+        try {
+            return JSON.parse(payload);
+        } catch (error) {
+            console.warn(`[AI Provider] Skipping malformed stream event: ${payload.slice(0, 200)}`);
+            return null;
+        }
+    }
+
+    countTokens(text) {
+        return estimateTokens(text);
+    }
+}
+
+// Offline provider for development and tests. The same prompt always gets the
+// same answer:
+//   1. the first entry of the fixture list whose `match` appears in the prompt
+//      (AI_FIXTURE_FILE, a JSON array of { match, response })
+//   2. for prompts asking to "Respond with exactly: '...'", that text
+//   3. the JSON response format spelled out in the prompt, echoed back
+//   4. a short text derived from the prompt hash
+export class FixtureProvider {
+    constructor(fixtures) {
+        this.name = 'fixture';
+        this.model = 'fixture';
+        this.fixtures = fixtures || FixtureProvider.loadFixtures(process.env.AI_FIXTURE_FILE);
+        this.chunkSize = 16;
+    }
+
+    static loadFixtures(filePath) {
+        if (!filePath) {
+            return [];
+        }
+
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    respond(prompt) {
+        const fixture = this.fixtures.find(entry => entry.match && prompt.includes(entry.match));
+        if (fixture) {
+            return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+        }
+
+        const exact = prompt.match(/Respond with exactly:\s*'([^']*)'/i);
+        if (exact) {
+            return exact[1];
+        }
+
+        const template = FixtureProvider.findResponseTemplate(prompt);
+        if (template) {
+            return JSON.stringify(template, null, 2);
+        }
+
+        const hash = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+        return `Fixture response ${hash}`;
+    }
+
+    // Last top-level {...} block in the prompt that parses as JSON; prompts spell
+    // out the expected response format at the end
+    static findResponseTemplate(prompt) {
+        let template = null;
+        let depth = 0;
+        let start = -1;
+
+        for (let i = 0; i < prompt.length; i++) {
+            if (prompt[i] === '{') {
+                if (depth === 0) {
+                    start = i;
+                }
+                depth++;
+            } else if (prompt[i] === '}' && depth > 0) {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        template = JSON.parse(prompt.slice(start, i + 1));
+                    } catch (error) {
+                        // Not JSON (e.g. prose in braces); keep looking
+                    }
+                }
+            }
+        }
+
+        return template;
+    }
+
+    async generate(prompt) {
+        const text = this.respond(prompt);
+
+        return {
+            text,
+            usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) },
+            model: this.model,
+            provider: this.name
+        };
+    }
+
+    async *stream(prompt) {
+        const text = this.respond(prompt);
+
+        for (let i = 0; i < text.length; i += this.chunkSize) {
+            yield { type: 'text', text: text.slice(i, i + this.chunkSize) };
+        }
+
+        yield {
+            type: 'end',
+            text,
+            usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+        };
+    }
+
+    countTokens(text) {
+        return estimateTokens(text);
+    }
+}
+
+// Pick the provider from AI_PROVIDER ('bedrock', 'openai' or 'fixture').
+// bedrockOptions ({ client, model }) only apply to the Bedrock provider.
+export const createAIProvider = (name = process.env.AI_PROVIDER, bedrockOptions = {}) => {
+    if (name === 'openai') {
+        return new OpenAICompatibleProvider({
+            baseUrl: process.env.AI_OPENAI_BASE_URL,
+            apiKey: process.env.AI_OPENAI_API_KEY,
+            model: process.env.AI_OPENAI_MODEL,
+            timeout: parseInt(process.env.AI_MODEL_TIMEOUT) || 60000
+        });
+    }
+
+    if (name === 'fixture') {
+        return new FixtureProvider();
+    }
+
+    return new BedrockProvider(bedrockOptions);
+};
+
+export default {
+    BedrockProvider,
+    OpenAICompatibleProvider,
+    FixtureProvider,
+    createAIProvider,
+    estimateTokens
+};
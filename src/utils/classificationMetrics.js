@@ -0,0 +1,70 @@
+// src/utils/classificationMetrics.js
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+// Confusion matrix of [{ actual, predicted }]: matrix[i][j] counts examples of
+// labels[i] predicted as labels[j]. Predicted labels outside `labels` are added.
+export const confusionMatrix = (pairs, labels = []) => {
+    const allLabels = [...labels];
+    pairs.forEach(({ actual, predicted }) => {
+        [actual, predicted].forEach(label => {
+            if (!allLabels.includes(label)) {
+                allLabels.push(label);
+            }
+        });
+    });
+
+    const index = new Map(allLabels.map((label, position) => [label, position]));
+    const matrix = allLabels.map(() => allLabels.map(() => 0));
+    pairs.forEach(({ actual, predicted }) => {
+        matrix[index.get(actual)][index.get(predicted)]++;
+    });
+
+    return { labels: allLabels, matrix };
+};
+
+// Precision, recall and F1 per label from a confusion matrix, with macro averages
+// over the labels that have examples and micro (overall) accuracy
+export const classificationReport = ({ labels, matrix }) => {
+    const total = matrix.reduce((sum, row) => sum + row.reduce((rowSum, count) => rowSum + count, 0), 0);
+    const correct = labels.reduce((sum, label, i) => sum + matrix[i][i], 0);
+    const perLabel = {};
+
+    labels.forEach((label, i) => {
+        const support = matrix[i].reduce((sum, count) => sum + count, 0);
+        const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+        const precision = ratio(matrix[i][i], predicted);
+        const recall = ratio(matrix[i][i], support);
+
+        perLabel[label] = {
+            precision: round(precision),
+            recall: round(recall),
+            f1: round(ratio(2 * precision * recall, precision + recall)),
+            support,
+            predicted
+        };
+    });
+
+    const withSupport = Object.values(perLabel).filter(metrics => metrics.support > 0);
+    const macro = (key) => round(ratio(withSupport.reduce((sum, metrics) => sum + metrics[key], 0), withSupport.length));
+
+    return {
+        accuracy: round(ratio(correct, total)),
+        total,
+        correct,
+        macro: { precision: macro('precision'), recall: macro('recall'), f1: macro('f1') },
+        perLabel
+    };
+};
+
+// The most frequent off-diagonal cells, e.g. to see which specialties get mixed up
+export const topConfusions = ({ labels, matrix }, limit = 10) => {
+    const confusions = [];
+    matrix.forEach((row, i) => row.forEach((count, j) => {
+        if (i !== j && count > 0) {
+            confusions.push({ actual: labels[i], predicted: labels[j], count });
+        }
+    }));
+    return confusions.sort((a, b) => b.count - a.count).slice(0, limit);
+};
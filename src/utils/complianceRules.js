@@ -0,0 +1,127 @@
+// src/utils/complianceRules.js
+import { COMPLIANCE_SEVERITIES, COMPLIANCE_CATEGORIES } from "../config/complianceRules.config.js";
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+const EXCERPT_CONTEXT = 40;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Phrases match whole words, including phrases that start or end with a symbol ("#1")
+const phrasesToRegExp = (phrases) =>
+    new RegExp(`(?<![\\w])(?:${phrases.map(phrase => escapeRegExp(phrase.trim()).replace(/\s+/g, '\\s+')).join('|')})(?![\\w])`, 'gi');
+
+const toRegExp = (pattern, flags = '') => new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+
+// Merge override rules into the defaults by id; { id, enabled: false } removes a rule
+export const mergeRules = (defaults, overrides = []) => {
+    const rules = new Map(defaults.map(rule => [rule.id, rule]));
+    for (const override of overrides) {
+        if (override.enabled === false) {
+            rules.delete(override.id);
+        } else {
+            rules.set(override.id, { ...rules.get(override.id), ...override });
+        }
+    }
+    return [...rules.values()];
+};
+
+// Validate rules and build their regular expressions once. Throws on the first invalid rule.
+export const compileRules = (rules) => rules.map(rule => {
+    if (!rule.id) {
+        throw new Error('Compliance rule is missing an id');
+    }
+    if (!COMPLIANCE_SEVERITIES.includes(rule.severity)) {
+        throw new Error(`Compliance rule "${rule.id}" has unknown severity "${rule.severity}"`);
+    }
+    if (!COMPLIANCE_CATEGORIES.includes(rule.category)) {
+        throw new Error(`Compliance rule "${rule.id}" has unknown category "${rule.category}"`);
+    }
+    if (!rule.pattern && !(Array.isArray(rule.phrases) && rule.phrases.length > 0)) {
+        throw new Error(`Compliance rule "${rule.id}" needs phrases or a pattern`);
+    }
+
+    try {
+        return {
+            ...rule,
+            specialties: rule.specialties?.map(specialty => specialty.toLowerCase()) || null,
+            matcher: rule.pattern ? toRegExp(rule.pattern, rule.flags) : phrasesToRegExp(rule.phrases),
+            disclaimer: rule.requires ? toRegExp(rule.requires.pattern, rule.requires.flags) : null
+        };
+    } catch (error) {
+        throw new Error(`Compliance rule "${rule.id}" has an invalid pattern: ${error.message}`);
+    }
+});
+
+// Every string in website content with its path, e.g. services[2].description
+export const collectText = (value, path = '', texts = []) => {
+    if (typeof value === 'string') {
+        if (value.trim()) {
+            texts.push({ path: path || 'content', text: value });
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => collectText(item, `${path}[${index}]`, texts));
+    } else if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            collectText(item, path ? `${path}.${key}` : key, texts);
+        }
+    }
+    return texts;
+};
+
+const excerpt = (text, index, length) => {
+    const start = Math.max(0, index - EXCERPT_CONTEXT);
+    const end = Math.min(text.length, index + length + EXCERPT_CONTEXT);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+const toFinding = (rule, path, text, match) => ({
+    ruleId: rule.id,
+    category: rule.category,
+    severity: rule.severity,
+    message: rule.message,
+    suggestion: rule.suggestion || null,
+    path,
+    match: match[0],
+    excerpt: excerpt(text, match.index, match[0].length),
+    source: 'rules'
+});
+
+// Run compiled rules over [{ path, text }] for a specialty. Findings are sorted
+// by severity; a rule reports each distinct match once per path.
+export const evaluateRules = (rules, texts, specialty = null) => {
+    const normalizedSpecialty = specialty ? String(specialty).toLowerCase() : null;
+    const applicable = rules.filter(rule => !rule.specialties || rule.specialties.includes(normalizedSpecialty));
+    const findings = [];
+
+    for (const rule of applicable) {
+        if (rule.disclaimer && texts.some(({ text }) => new RegExp(rule.disclaimer).test(text))) {
+            continue;
+        }
+
+        for (const { path, text } of texts) {
+            const seen = new Set();
+            for (const match of text.matchAll(rule.matcher)) {
+                const key = match[0].toLowerCase();
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    findings.push(toFinding(rule, path, text, match));
+                }
+            }
+        }
+    }
+
+    return findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+};
+
+export const summarizeFindings = (findings) => {
+    const counts = { error: 0, warning: 0, info: 0 };
+    findings.forEach(finding => {
+        counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+    });
+
+    return {
+        status: counts.error > 0 ? 'fail' : counts.warning > 0 ? 'warn' : 'pass',
+        passed: counts.error === 0,
+        counts
+    };
+};
@@ -0,0 +1,92 @@
+// src/utils/confidenceCalibration.js
+// Histogram-binning calibration of detector confidence. Samples are
+// { method, confidence, correct }: the detection method, its raw confidence and
+// whether the prediction matched the label. Each method's raw confidence range
+// is split into equal-width bins and a bin's calibrated confidence is the
+// accuracy observed in it, shrunk towards the method's accuracy (and that
+// towards the overall accuracy) so sparse bins don't swing to 0 or 1.
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const binIndex = (confidence, bins) => Math.min(bins - 1, Math.max(0, Math.floor(confidence * bins)));
+
+const countCorrect = (samples) => samples.filter(sample => sample.correct).length;
+
+export const fitCalibration = (samples, { bins = 5, priorStrength = 2 } = {}) => {
+    const overall = (countCorrect(samples) + 1) / (samples.length + 2);
+    const methods = {};
+
+    for (const method of new Set(samples.map(sample => sample.method))) {
+        const methodSamples = samples.filter(sample => sample.method === method);
+        const correct = countCorrect(methodSamples);
+        const accuracy = (correct + priorStrength * overall) / (methodSamples.length + priorStrength);
+
+        methods[method] = {
+            n: methodSamples.length,
+            correct,
+            accuracy: round(accuracy),
+            bins: Array.from({ length: bins }, (_, index) => {
+                const binSamples = methodSamples.filter(sample => binIndex(sample.confidence, bins) === index);
+                const binCorrect = countCorrect(binSamples);
+                return {
+                    min: round(index / bins),
+                    max: round((index + 1) / bins),
+                    n: binSamples.length,
+                    correct: binCorrect,
+                    confidence: round((binCorrect + priorStrength * accuracy) / (binSamples.length + priorStrength))
+                };
+            }).filter(bin => bin.n > 0)
+        };
+    }
+
+    return {
+        version: 1,
+        fittedAt: new Date().toISOString(),
+        samples: samples.length,
+        bins,
+        priorStrength,
+        overall: { n: samples.length, accuracy: round(overall) },
+        methods
+    };
+};
+
+// Calibrated confidence for a method's raw confidence. Methods the calibration
+// hasn't seen keep their raw confidence and report calibrated: false.
+export const applyCalibration = (calibration, method, confidence) => {
+    const methodCalibration = calibration?.methods?.[method];
+    if (!methodCalibration) {
+        return { confidence, calibrated: false };
+    }
+
+    const bin = methodCalibration.bins.find(entry => confidence >= entry.min && (confidence < entry.max || entry.max >= 1));
+    return { confidence: bin ? bin.confidence : methodCalibration.accuracy, calibrated: true };
+};
+
+// Reliability of a set of confidences: per-bin mean confidence against observed
+// accuracy, expected calibration error (ECE) and Brier score. Lower is better for both.
+export const reliability = (samples, { bins = 10, key = 'confidence' } = {}) => {
+    const table = Array.from({ length: bins }, (_, index) => ({ min: round(index / bins), max: round((index + 1) / bins), n: 0, confidenceSum: 0, correct: 0 }));
+    let brier = 0;
+
+    samples.forEach(sample => {
+        const confidence = sample[key];
+        const bin = table[binIndex(confidence, bins)];
+        bin.n++;
+        bin.confidenceSum += confidence;
+        bin.correct += sample.correct ? 1 : 0;
+        brier += (confidence - (sample.correct ? 1 : 0)) ** 2;
+    });
+
+    const filled = table.filter(bin => bin.n > 0).map(({ confidenceSum, ...bin }) => ({
+        ...bin,
+        meanConfidence: round(confidenceSum / bin.n),
+        accuracy: round(bin.correct / bin.n)
+    }));
+    const ece = filled.reduce((sum, bin) => sum + (bin.n / samples.length) * Math.abs(bin.accuracy - bin.meanConfidence), 0);
+
+    return {
+        ece: round(samples.length ? ece : 0),
+        brier: round(samples.length ? brier / samples.length : 0),
+        bins: filled
+    };
+};
@@ -0,0 +1,294 @@
+// src/utils/contentDiff.js
+
+// Strings at least this long get a word-level diff
+const WORD_DIFF_MIN_LENGTH = 80;
+// Word diffs are quadratic in the number of tokens; longer texts are reported whole
+const WORD_DIFF_MAX_TOKENS = 1500;
+// Derived fields that are compared but never word-diffed
+const ATOMIC_FIELDS = ['generatedHtml'];
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Round-trip through JSON so ObjectIds, Dates and mongoose subdocuments compare as plain values
+const normalize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const itemKey = (item) => {
+    if (!isPlainObject(item)) {
+        return null;
+    }
+    const key = item._id ?? item.id;
+    return key === undefined || key === null ? null : String(key);
+};
+
+// Arrays whose items all carry an _id (or id) are matched by key rather than position
+const isKeyedArray = (value) =>
+    Array.isArray(value) && value.length > 0 && value.every(item => itemKey(item) !== null);
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const topLevelField = (path) => path.split(/[.[]/)[0];
+
+// Longest common subsequence lengths of two token lists, filled from the end
+const lcsTable = (a, b) => {
+    const table = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+    return table;
+};
+
+// Word-level diff of two strings as [{ type: 'equal'|'added'|'removed', text }]
+export const diffWords = (oldText, newText) => {
+    const oldTokens = String(oldText).split(/(\s+)/).filter(Boolean);
+    const newTokens = String(newText).split(/(\s+)/).filter(Boolean);
+
+    if (oldTokens.length > WORD_DIFF_MAX_TOKENS || newTokens.length > WORD_DIFF_MAX_TOKENS) {
+        return null;
+    }
+
+    const lcs = lcsTable(oldTokens, newTokens);
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < oldTokens.length && j < newTokens.length) {
+        if (oldTokens[i] === newTokens[j]) {
+            push('equal', oldTokens[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', oldTokens[i++]);
+        } else {
+            push('added', newTokens[j++]);
+        }
+    }
+    while (i < oldTokens.length) {
+        push('removed', oldTokens[i++]);
+    }
+    while (j < newTokens.length) {
+        push('added', newTokens[j++]);
+    }
+
+    return parts;
+};
+
+const createChange = (path, changeType, oldValue, newValue) => {
+    const change = { path, field: topLevelField(path), changeType };
+
+    if (oldValue !== undefined) {
+        change.oldValue = oldValue;
+    }
+    if (newValue !== undefined) {
+        change.newValue = newValue;
+    }
+
+    if (changeType === 'modified' &&
+        typeof oldValue === 'string' && typeof newValue === 'string' &&
+        !ATOMIC_FIELDS.includes(change.field) &&
+        Math.max(oldValue.length, newValue.length) >= WORD_DIFF_MIN_LENGTH) {
+        const wordDiff = diffWords(oldValue, newValue);
+        if (wordDiff) {
+            change.wordDiff = wordDiff;
+        }
+    }
+
+    return change;
+};
+
+const diffValues = (oldValue, newValue, path, changes) => {
+    if (isEqual(oldValue, newValue)) {
+        return;
+    }
+
+    if (oldValue === undefined || oldValue === null) {
+        changes.push(createChange(path, 'added', undefined, newValue));
+        return;
+    }
+
+    if (newValue === undefined || newValue === null) {
+        changes.push(createChange(path, 'removed', oldValue, undefined));
+        return;
+    }
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+        const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+        for (const key of keys) {
+            diffValues(oldValue[key], newValue[key], joinPath(path, key), changes);
+        }
+        return;
+    }
+
+    if (isKeyedArray(oldValue) && isKeyedArray(newValue)) {
+        diffKeyedArrays(oldValue, newValue, path, changes);
+        return;
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+        const length = Math.max(oldValue.length, newValue.length);
+        for (let index = 0; index < length; index++) {
+            diffValues(oldValue[index], newValue[index], `${path}[${index}]`, changes);
+        }
+        return;
+    }
+
+    changes.push(createChange(path, 'modified', oldValue, newValue));
+};
+
+// Items are reported at their position in the new array (removed ones at their old position)
+const diffKeyedArrays = (oldItems, newItems, path, changes) => {
+    const oldIndexes = new Map(oldItems.map((item, index) => [itemKey(item), index]));
+    const newKeys = new Set(newItems.map(itemKey));
+
+    oldItems.forEach((item, index) => {
+        if (!newKeys.has(itemKey(item))) {
+            changes.push(createChange(`${path}[${index}]`, 'removed', item, undefined));
+        }
+    });
+
+    // Items outside the longest run kept in the same relative order count as moved
+    const keptOld = oldItems.map(itemKey).filter(key => newKeys.has(key));
+    const keptNew = newItems.map(itemKey).filter(key => oldIndexes.has(key));
+    const lcs = lcsTable(keptOld, keptNew);
+    const stable = new Set();
+    for (let i = 0, j = 0; i < keptOld.length && j < keptNew.length;) {
+        if (keptOld[i] === keptNew[j]) {
+            stable.add(keptOld[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    newItems.forEach((item, index) => {
+        const key = itemKey(item);
+        const itemPath = `${path}[${index}]`;
+
+        if (!oldIndexes.has(key)) {
+            changes.push(createChange(itemPath, 'added', undefined, item));
+            return;
+        }
+
+        const oldIndex = oldIndexes.get(key);
+        if (!stable.has(key)) {
+            changes.push({ ...createChange(itemPath, 'moved'), fromIndex: oldIndex, toIndex: index });
+        }
+
+        diffValues(oldItems[oldIndex], item, itemPath, changes);
+    });
+};
+
+// Deep, path-based diff of two website content snapshots. Each change is
+// { path: 'services[2].description', field: 'services', changeType, oldValue, newValue }
+// plus wordDiff for long text edits and fromIndex/toIndex for reordered items.
+export const diffContent = (oldContent, newContent) => {
+    const changes = [];
+    const oldValue = normalize(oldContent) || {};
+    const newValue = normalize(newContent) || {};
+
+    const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+    for (const key of keys) {
+        diffValues(oldValue[key], newValue[key], key, changes);
+    }
+
+    return changes;
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatValue = (value) => {
+    if (value === undefined) {
+        return '';
+    }
+    return escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+};
+
+const renderSides = (change) => {
+    if (change.wordDiff) {
+        const render = (hidden, tag) => change.wordDiff
+            .filter(part => part.type !== hidden)
+            .map(part => (part.type === 'equal' ? escapeHtml(part.text) : `<${tag}>${escapeHtml(part.text)}</${tag}>`))
+            .join('');
+
+        return [render('added', 'del'), render('removed', 'ins')];
+    }
+
+    if (change.changeType === 'moved') {
+        return [`position ${change.fromIndex + 1}`, `position ${change.toIndex + 1}`];
+    }
+
+    return [formatValue(change.oldValue), formatValue(change.newValue)];
+};
+
+// Standalone HTML page showing a diff side by side
+export const renderDiffHtml = (changes, options = {}) => {
+    const { title = 'Version diff', oldLabel = 'Before', newLabel = 'After' } = options;
+
+    const rows = changes.map(change => {
+        const [oldSide, newSide] = renderSides(change);
+        return `        <tr class="${change.changeType}">
+            <th scope="row"><code>${escapeHtml(change.path)}</code><span>${change.changeType}</span></th>
+            <td><pre>${oldSide}</pre></td>
+            <td><pre>${newSide}</pre></td>
+        </tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+        table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+        th, td { border: 1px solid #e5e7eb; padding: 0.5rem; vertical-align: top; text-align: left; }
+        thead th { background: #f9fafb; }
+        tbody th { width: 22%; font-weight: normal; }
+        tbody th span { display: block; font-size: 0.75rem; color: #6b7280; text-transform: uppercase; }
+        pre { margin: 0; white-space: pre-wrap; word-break: break-word; font-family: inherit; }
+        del { background: #fee2e2; color: #991b1b; }
+        ins { background: #dcfce7; color: #166534; text-decoration: none; }
+        tr.added td:nth-child(3) { background: #f0fdf4; }
+        tr.removed td:nth-child(2) { background: #fef2f2; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${changes.length} change${changes.length === 1 ? '' : 's'}</p>
+    <table>
+        <thead>
+        <tr>
+            <th>Field</th>
+            <th>${escapeHtml(oldLabel)}</th>
+            <th>${escapeHtml(newLabel)}</th>
+        </tr>
+        </thead>
+        <tbody>
+${rows}
+        </tbody>
+    </table>
+</body>
+</html>`;
+};
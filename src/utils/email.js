@@ -106,4 +106,249 @@ export const sendPasswordResetConfirmationEmail = async (email, userName) => {
     // Don't throw error for confirmation email failure
     return false;
   }
-};
\ No newline at end of file
+};
+// Send organization invitation email
+export const sendOrganizationInvitationEmail = async (email, inviteToken, organizationName, inviterName, role) => {
+  try {
+    const transporter = createTransporter();
+
+    const inviteURL = `${process.env.FRONTEND_URL}/invitations/accept?token=${inviteToken}`;
+
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME || 'Doctor Website Builder'}" <${process.env.FROM_EMAIL || process.env.SMTP_EMAIL}>`,
+      to: email,
+      subject: `You're invited to join ${organizationName} - Doctor Website Builder`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; text-align: center;">
+            <h2 style="color: #2c3e50; margin-bottom: 20px;">Practice Team Invitation</h2>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              ${inviterName} has invited you to join <strong>${organizationName}</strong> as ${role === 'owner' ? 'an' : 'a'} ${role}.
+            </p>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Team members work together on the practice's websites according to their role.
+            </p>
+            <div style="margin: 30px 0;">
+              <a href="${inviteURL}" 
+                 style="background-color: #3498db; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; font-weight: bold; 
+                        display: inline-block;">
+                Accept Invitation
+              </a>
+            </div>
+            <p style="color: #777; font-size: 14px;">
+              This invitation will expire in 7 days. Sign in with ${email} to accept it.
+            </p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              If the button doesn't work, copy and paste this link into your browser:<br>
+              <a href="${inviteURL}" style="color: #3498db; word-break: break-all;">${inviteURL}</a>
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Invitation email sending error:', error);
+    throw new Error('Failed to send invitation email');
+  }
+};
+
+// Send medical license expiry reminder email
+export const sendLicenseExpiryReminderEmail = async (email, userName, expiryDate, daysLeft) => {
+  try {
+    const transporter = createTransporter();
+
+    const profileURL = `${process.env.FRONTEND_URL}/profile`;
+    const formattedDate = new Date(expiryDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME || 'Doctor Website Builder'}" <${process.env.FROM_EMAIL || process.env.SMTP_EMAIL}>`,
+      to: email,
+      subject: `Your medical license expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'} - Doctor Website Builder`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; text-align: center;">
+            <h2 style="color: #e67e22; margin-bottom: 20px;">License Renewal Reminder</h2>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Hello Dr. ${userName},
+            </p>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Our records show your medical license expires on <strong>${formattedDate}</strong>.
+              Once it lapses, your published websites will be flagged or taken offline until the renewed license is verified.
+            </p>
+            <div style="margin: 30px 0;">
+              <a href="${profileURL}" 
+                 style="background-color: #3498db; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; font-weight: bold; 
+                        display: inline-block;">
+                Update License Details
+              </a>
+            </div>
+            <p style="color: #777; font-size: 14px;">
+              If you have already renewed, update the expiry date on your profile and verify it again.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('License reminder email sending error:', error);
+    throw new Error('Failed to send license reminder email');
+  }
+};
+
+// Send notice that published websites were flagged or unpublished for a lapsed license
+export const sendLicenseLapsedEmail = async (email, userName, reason, websiteCount, action) => {
+  try {
+    const transporter = createTransporter();
+
+    const profileURL = `${process.env.FRONTEND_URL}/profile`;
+    const outcome = action === 'unpublish'
+      ? `${websiteCount} published website${websiteCount === 1 ? ' has' : 's have'} been taken offline`
+      : `${websiteCount} published website${websiteCount === 1 ? ' has' : 's have'} been flagged for review`;
+
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME || 'Doctor Website Builder'}" <${process.env.FROM_EMAIL || process.env.SMTP_EMAIL}>`,
+      to: email,
+      subject: 'Action required: your medical license has lapsed - Doctor Website Builder',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; text-align: center;">
+            <h2 style="color: #c0392b; margin-bottom: 20px;">Medical License Lapsed</h2>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Hello Dr. ${userName},
+            </p>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              ${reason}. ${outcome}, and publishing is paused until a valid license is verified.
+            </p>
+            <div style="margin: 30px 0;">
+              <a href="${profileURL}" 
+                 style="background-color: #3498db; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; font-weight: bold; 
+                        display: inline-block;">
+                Verify Renewed License
+              </a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('License lapse email sending error:', error);
+    // Enforcement has already happened; the email is informational
+    return false;
+  }
+};
+
+// Send email address verification link
+export const sendEmailVerificationEmail = async (email, verificationToken, userName) => {
+  try {
+    const transporter = createTransporter();
+
+    const verifyURL = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME || 'Doctor Website Builder'}" <${process.env.FROM_EMAIL || process.env.SMTP_EMAIL}>`,
+      to: email,
+      subject: 'Verify your email address - Doctor Website Builder',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; text-align: center;">
+            <h2 style="color: #2c3e50; margin-bottom: 20px;">Verify Your Email Address</h2>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Hello Dr. ${userName},
+            </p>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Please confirm this is your email address. You can publish websites once it is verified.
+            </p>
+            <div style="margin: 30px 0;">
+              <a href="${verifyURL}" 
+                 style="background-color: #3498db; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; font-weight: bold; 
+                        display: inline-block;">
+                Verify Email
+              </a>
+            </div>
+            <p style="color: #777; font-size: 14px;">
+              This link will expire in 24 hours. If you didn't create an account, please ignore this email.
+            </p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              If the button doesn't work, copy and paste this link into your browser:<br>
+              <a href="${verifyURL}" style="color: #3498db; word-break: break-all;">${verifyURL}</a>
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Verification email sending error:', error);
+    throw new Error('Failed to send verification email');
+  }
+};
+
+// Send one half of a change-of-email confirmation; target is 'old' or 'new'
+export const sendEmailChangeConfirmationEmail = async (email, confirmationToken, userName, newEmail, target) => {
+  try {
+    const transporter = createTransporter();
+
+    const confirmURL = `${process.env.FRONTEND_URL}/confirm-email-change?token=${confirmationToken}`;
+    const intro = target === 'old'
+      ? `We received a request to change the email address on your account to <strong>${newEmail}</strong>.`
+      : `We received a request to use this address, <strong>${newEmail}</strong>, for your Doctor Website Builder account.`;
+
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME || 'Doctor Website Builder'}" <${process.env.FROM_EMAIL || process.env.SMTP_EMAIL}>`,
+      to: email,
+      subject: 'Confirm your email address change - Doctor Website Builder',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; text-align: center;">
+            <h2 style="color: #2c3e50; margin-bottom: 20px;">Confirm Email Change</h2>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Hello Dr. ${userName},
+            </p>
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              ${intro} The change takes effect once both the current and the new address have been confirmed.
+            </p>
+            <div style="margin: 30px 0;">
+              <a href="${confirmURL}" 
+                 style="background-color: #3498db; color: white; padding: 12px 30px; 
+                        text-decoration: none; border-radius: 5px; font-weight: bold; 
+                        display: inline-block;">
+                Confirm Change
+              </a>
+            </div>
+            <p style="color: #777; font-size: 14px;">
+              This link will expire in 2 hours. If you didn't request this change, do not click the link and change your password.
+            </p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">
+              If the button doesn't work, copy and paste this link into your browser:<br>
+              <a href="${confirmURL}" style="color: #3498db; word-break: break-all;">${confirmURL}</a>
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Email change confirmation sending error:', error);
+    throw new Error('Failed to send email change confirmation');
+  }
+};
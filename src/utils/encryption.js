@@ -6,6 +6,14 @@ const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toSt
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 12; // For GCM, recommended size is 12 bytes
 
+// AES-256 needs a 32-byte key: 64-character hex keys are used as-is, other secrets are hashed
+const toKeyBuffer = (key) => {
+  if (/^[0-9a-f]{64}$/i.test(key)) {
+    return Buffer.from(key, 'hex');
+  }
+  return crypto.createHash('sha256').update(String(key)).digest();
+};
+
 // Generate encryption key if not exists
 export const generateEncryptionKey = () => {
   return crypto.randomBytes(32).toString('hex');
@@ -15,7 +23,7 @@ export const generateEncryptionKey = () => {
 export const encryptData = (data, key = ENCRYPTION_KEY) => {
   try {
     const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipherGCM(ALGORITHM, Buffer.from(key, 'hex'), iv);
+    const cipher = crypto.createCipheriv(ALGORITHM, toKeyBuffer(key), iv);
     cipher.setAAD(Buffer.from('additional-data'));
     
     let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
@@ -38,7 +46,7 @@ export const decryptData = (encryptedData, key = ENCRYPTION_KEY) => {
   try {
     const { encrypted, iv, authTag } = encryptedData;
     
-    const decipher = crypto.createDecipherGCM(ALGORITHM, Buffer.from(key, 'hex'), Buffer.from(iv, 'hex'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, toKeyBuffer(key), Buffer.from(iv, 'hex'));
     decipher.setAAD(Buffer.from('additional-data'));
     decipher.setAuthTag(Buffer.from(authTag, 'hex'));
     
@@ -51,6 +59,21 @@ export const decryptData = (encryptedData, key = ENCRYPTION_KEY) => {
   }
 };
 
+// Encrypt a string into a single "iv:authTag:ciphertext" value that fits a String schema field
+export const encryptString = (value, key = ENCRYPTION_KEY) => {
+  const { encrypted, iv, authTag } = encryptData(value, key);
+  return `${iv}:${authTag}:${encrypted}`;
+};
+
+// Decrypt a value produced by encryptString
+export const decryptString = (value, key = ENCRYPTION_KEY) => {
+  const [iv, authTag, encrypted] = String(value).split(':');
+  if (!iv || !authTag || !encrypted) {
+    throw new Error('Decryption failed: malformed value');
+  }
+  return decryptData({ encrypted, iv, authTag }, key);
+};
+
 // Encrypt sensitive fields in user documents
 export const encryptSensitiveFields = (userData) => {
   const sensitiveFields = [
@@ -109,7 +132,7 @@ export const hashForIndex = (data) => {
 // Encrypt file data
 export const encryptFile = (fileBuffer, key = ENCRYPTION_KEY) => {
   const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipherGCM(ALGORITHM, Buffer.from(key, 'hex'), iv);
+  const cipher = crypto.createCipheriv(ALGORITHM, toKeyBuffer(key), iv);
   
   const encrypted = Buffer.concat([cipher.update(fileBuffer), cipher.final()]);
   const authTag = cipher.getAuthTag();
@@ -125,7 +148,7 @@ export const encryptFile = (fileBuffer, key = ENCRYPTION_KEY) => {
 export const decryptFile = (encryptedFileData, key = ENCRYPTION_KEY) => {
   const { encrypted, iv, authTag } = encryptedFileData;
   
-  const decipher = crypto.createDecipherGCM(ALGORITHM, Buffer.from(key, 'hex'), iv);
+  const decipher = crypto.createDecipheriv(ALGORITHM, toKeyBuffer(key), iv);
   decipher.setAuthTag(authTag);
   
   return Buffer.concat([decipher.update(encrypted), decipher.final()]);
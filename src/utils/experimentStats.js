@@ -0,0 +1,44 @@
+// src/utils/experimentStats.js
+
+// Standard normal CDF using the Abramowitz & Stegun 7.1.26 erf approximation (error < 1.5e-7)
+export const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+export const conversionRate = ({ visitors = 0, conversions = 0 }) =>
+    (visitors > 0 ? conversions / visitors : 0);
+
+// Two-sided two-proportion z-test of a variant against the control, with a 95%
+// confidence interval for the difference in conversion rates
+export const compareProportions = (control, variant) => {
+    const controlRate = conversionRate(control);
+    const variantRate = conversionRate(variant);
+    const difference = variantRate - controlRate;
+
+    if (!control.visitors || !variant.visitors) {
+        return { difference, lift: null, zScore: null, pValue: null, confidenceInterval: null };
+    }
+
+    const pooledRate = (control.conversions + variant.conversions) / (control.visitors + variant.visitors);
+    const pooledError = Math.sqrt(pooledRate * (1 - pooledRate) * (1 / control.visitors + 1 / variant.visitors));
+    const zScore = pooledError > 0 ? difference / pooledError : 0;
+    const pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(zScore))));
+
+    const standardError = Math.sqrt(
+        controlRate * (1 - controlRate) / control.visitors +
+        variantRate * (1 - variantRate) / variant.visitors
+    );
+
+    return {
+        difference,
+        lift: controlRate > 0 ? difference / controlRate : null,
+        zScore,
+        pValue,
+        confidenceInterval: [difference - 1.96 * standardError, difference + 1.96 * standardError]
+    };
+};
@@ -0,0 +1,95 @@
+// src/utils/jsonSectionParser.js
+
+// Incremental parser for a JSON object that arrives in chunks (a streamed model
+// response). push() returns the top-level entries whose values became complete
+// with that chunk, so each section can be used before the whole object arrives.
+// Text before the opening brace (e.g. a ```json fence) is ignored.
+export class JsonSectionParser {
+    constructor() {
+        this.buffer = '';
+        this.position = 0;
+        this.started = false;
+        this.finished = false;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.key = null;
+        this.keyStart = -1;
+        this.valueStart = -1;
+    }
+
+    push(chunk) {
+        this.buffer += chunk;
+        const entries = [];
+
+        for (; this.position < this.buffer.length && !this.finished; this.position++) {
+            const char = this.buffer[this.position];
+
+            if (!this.started) {
+                if (char === '{') {
+                    this.started = true;
+                    this.depth = 1;
+                }
+                continue;
+            }
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                    if (this.depth === 1 && this.keyStart !== -1) {
+                        this.key = JSON.parse(this.buffer.slice(this.keyStart, this.position + 1));
+                        this.keyStart = -1;
+                    }
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.inString = true;
+                // At depth 1 a string before the colon is a key
+                if (this.depth === 1 && this.key === null) {
+                    this.keyStart = this.position;
+                }
+            } else if (char === ':' && this.depth === 1 && this.key !== null && this.valueStart === -1) {
+                this.valueStart = this.position + 1;
+            } else if (char === '{' || char === '[') {
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                this.depth--;
+                if (this.depth === 0) {
+                    this.completeEntry(entries);
+                    this.finished = true;
+                }
+            } else if (char === ',' && this.depth === 1) {
+                this.completeEntry(entries);
+            }
+        }
+
+        return entries;
+    }
+
+    completeEntry(entries) {
+        if (this.key !== null && this.valueStart !== -1) {
+            const raw = this.buffer.slice(this.valueStart, this.position).trim();
+            try {
+                entries.push({ key: this.key, value: JSON.parse(raw) });
+            } catch (error) {
+                // Malformed value; the full response is parsed again at the end
+            }
+        }
+
+        this.key = null;
+        this.valueStart = -1;
+    }
+
+    // Everything received so far, for parsing the whole response at the end
+    getText() {
+        return this.buffer;
+    }
+}
+
+export default JsonSectionParser;
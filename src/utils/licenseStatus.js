@@ -0,0 +1,80 @@
+// src/utils/licenseStatus.js
+
+// Rules for turning registry answers and profile dates into a license status,
+// kept free of models and config so they can be checked on plain objects.
+// licenseVerificationService applies them to user documents.
+
+export const LAPSED_LICENSE_STATUSES = ['expired', 'suspended', 'revoked'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Map a registry answer to a verification status
+export const evaluateLicenseResult = (result, user, now = new Date()) => {
+    if (!result.found) {
+        return 'not_found';
+    }
+
+    // 'unknown' (a status the registry reports that we don't recognize) counts as unverified
+    if (result.status !== 'active') {
+        return result.status;
+    }
+
+    if (result.expiresAt && result.expiresAt <= now) {
+        return 'expired';
+    }
+
+    // The registry must list the doctor under the same last name
+    const lastName = String(user.personalInfo?.lastName || '').trim().toLowerCase();
+    if (result.licenseeName && lastName &&
+        !result.licenseeName.toLowerCase().split(/[\s,]+/).includes(lastName)) {
+        return 'name_mismatch';
+    }
+
+    return 'verified';
+};
+
+// A license has lapsed when the registry says so or its expiry date has passed
+export const isLicenseLapsed = (user, now = new Date()) => {
+    if (LAPSED_LICENSE_STATUSES.includes(user.licenseVerification?.status)) {
+        return true;
+    }
+
+    const expiryDate = user.professionalInfo?.licenseExpiryDate;
+    return !!expiryDate && new Date(expiryDate) <= now;
+};
+
+// Closest reminder threshold (days before expiry, largest first) that has been
+// reached and not sent yet for this expiry date
+export const getDueLicenseReminder = (user, reminderDays, now = new Date()) => {
+    const expiryDate = user.professionalInfo?.licenseExpiryDate;
+    if (!expiryDate || new Date(expiryDate) <= now) {
+        return null;
+    }
+
+    const daysLeft = Math.ceil((new Date(expiryDate) - now) / DAY);
+    const verification = user.licenseVerification || {};
+    const sameExpiry = verification.reminderExpiryDate &&
+        new Date(verification.reminderExpiryDate).getTime() === new Date(expiryDate).getTime();
+    const sent = sameExpiry ? verification.remindersSent || [] : [];
+
+    const threshold = [...reminderDays]
+        .reverse()
+        .find(days => daysLeft <= days && !sent.includes(days));
+
+    return threshold ? { threshold, daysLeft, expiryDate: new Date(expiryDate) } : null;
+};
+
+// Record a sent reminder; thresholds further from expiry are skipped rather than sent late
+export const markLicenseReminderSent = (user, reminder, reminderDays) => {
+    const verification = user.licenseVerification;
+    const sameExpiry = verification.reminderExpiryDate &&
+        new Date(verification.reminderExpiryDate).getTime() === reminder.expiryDate.getTime();
+    const sent = new Set(sameExpiry ? verification.remindersSent : []);
+
+    reminderDays
+        .filter(days => days >= reminder.threshold)
+        .forEach(days => sent.add(days));
+
+    verification.remindersSent = [...sent];
+    verification.reminderExpiryDate = reminder.expiryDate;
+};
@@ -0,0 +1,140 @@
+// src/utils/licenseVerifiers.js
+import fs from "fs";
+import axios from "axios";
+
+// License verifiers look a license up in a registry and report what the
+// registry holds for it:
+//   verify({ licenseNumber, licenseState }) ->
+//     { found, status: 'active'|'expired'|'suspended'|'revoked'|'unknown', expiresAt, licenseeName, source }
+// A status the registry reports that isn't one of ours comes back as 'unknown',
+// which is not treated as verified.
+// They throw an error with `transient = true` when the registry could not be
+// reached, so callers can retry later instead of recording a failed check.
+
+const REGISTRY_STATUSES = ['active', 'expired', 'suspended', 'revoked'];
+
+// Licenses known to the local fixture registry (development and tests)
+const DEFAULT_FIXTURE_RECORDS = [
+    { licenseNumber: 'MD-100001', licenseState: 'CA', licenseeName: 'Anita Rao', status: 'active', expiresAt: '2030-06-30' },
+    { licenseNumber: 'MD-100002', licenseState: 'NY', licenseeName: 'Daniel Okafor', status: 'active', expiresAt: '2029-01-31' },
+    { licenseNumber: 'MD-100003', licenseState: 'TX', licenseeName: 'Maria Lopez', status: 'expired', expiresAt: '2024-12-31' },
+    { licenseNumber: 'MD-100004', licenseState: 'FL', licenseeName: 'James Chen', status: 'suspended', expiresAt: '2028-03-31' },
+    { licenseNumber: 'MD-100005', licenseState: 'WA', licenseeName: 'Priya Shah', status: 'revoked', expiresAt: '2027-09-30' }
+];
+
+const normalizeLicenseNumber = (value) => String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+const normalizeState = (value) => String(value || '').trim().toUpperCase();
+
+const transientError = (message) => {
+    const error = new Error(message);
+    error.transient = true;
+    return error;
+};
+
+// Registry backed by a fixed list of records, loaded from LICENSE_FIXTURE_FILE
+// (a JSON array) when set
+export class FixtureLicenseVerifier {
+    constructor(records) {
+        this.name = 'fixture';
+        this.records = records || FixtureLicenseVerifier.loadRecords(process.env.LICENSE_FIXTURE_FILE);
+    }
+
+    static loadRecords(filePath) {
+        if (!filePath) {
+            return DEFAULT_FIXTURE_RECORDS;
+        }
+
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    async verify({ licenseNumber, licenseState }) {
+        const number = normalizeLicenseNumber(licenseNumber);
+        const state = normalizeState(licenseState);
+
+        const record = this.records.find(entry =>
+            normalizeLicenseNumber(entry.licenseNumber) === number && normalizeState(entry.licenseState) === state
+        );
+
+        if (!record) {
+            return { found: false, source: this.name };
+        }
+
+        return {
+            found: true,
+            status: REGISTRY_STATUSES.includes(record.status) ? record.status : 'unknown',
+            expiresAt: record.expiresAt ? new Date(record.expiresAt) : null,
+            licenseeName: record.licenseeName || null,
+            source: this.name
+        };
+    }
+}
+
+// Registry reached over HTTP: GET {baseUrl}/licenses/{state}/{number}, answering
+// 404 for unknown licenses and { status, expiresAt, licenseeName } otherwise
+export class HttpLicenseVerifier {
+    constructor({ baseUrl, apiKey, timeout = 10000 } = {}) {
+        if (!baseUrl) {
+            throw new Error('HttpLicenseVerifier requires a baseUrl');
+        }
+
+        this.name = 'http';
+        this.client = axios.create({
+            baseURL: baseUrl.replace(/\/+$/, ''),
+            timeout,
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        });
+    }
+
+    async verify({ licenseNumber, licenseState }) {
+        const number = encodeURIComponent(normalizeLicenseNumber(licenseNumber));
+        const state = encodeURIComponent(normalizeState(licenseState));
+
+        let response;
+        try {
+            response = await this.client.get(`/licenses/${state}/${number}`);
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return { found: false, source: this.name };
+            }
+            throw transientError(`License registry unavailable: ${error.message}`);
+        }
+
+        const record = response.data?.data || response.data || {};
+        const status = String(record.status || '').toLowerCase();
+
+        return {
+            found: true,
+            status: REGISTRY_STATUSES.includes(status) ? status : 'unknown',
+            expiresAt: record.expiresAt ? new Date(record.expiresAt) : null,
+            licenseeName: record.licenseeName || null,
+            source: this.name
+        };
+    }
+}
+
+// Pick the verifier from LICENSE_VERIFIER ('http' or 'fixture'). Without a
+// registry URL the fixture registry is used, which is only allowed in
+// development and tests: anywhere else this throws, so startup fails.
+export const createLicenseVerifier = (name = process.env.LICENSE_VERIFIER, env = process.env.NODE_ENV || 'development') => {
+    const verifierName = name || (process.env.LICENSE_VERIFIER_URL ? 'http' : 'fixture');
+
+    if (!['development', 'test'].includes(env) && (verifierName !== 'http' || !process.env.LICENSE_VERIFIER_URL)) {
+        throw new Error('LICENSE_VERIFIER_URL must point at the license registry outside development and test');
+    }
+
+    if (verifierName === 'http') {
+        return new HttpLicenseVerifier({
+            baseUrl: process.env.LICENSE_VERIFIER_URL,
+            apiKey: process.env.LICENSE_VERIFIER_API_KEY,
+            timeout: parseInt(process.env.LICENSE_VERIFIER_TIMEOUT) || 10000
+        });
+    }
+
+    return new FixtureLicenseVerifier();
+};
+
+export default {
+    FixtureLicenseVerifier,
+    HttpLicenseVerifier,
+    createLicenseVerifier
+};
@@ -0,0 +1,59 @@
+// src/utils/lruCache.js
+
+// Size-bounded cache with per-entry expiry. A Map iterates in insertion order,
+// so moving an entry to the end on every read keeps the least recently used
+// entry first, which is the one dropped when the cache is full.
+// get() returns undefined for a miss, so null can be cached (e.g. "not found").
+export class LruCache {
+    constructor({ maxSize = 1000, ttl = 60 * 1000 } = {}) {
+        this.maxSize = maxSize;
+        this.ttl = ttl;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            return undefined;
+        }
+
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value, ttl = this.ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return this;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    // Drop every entry whose value matches, e.g. all hosts of one website
+    deleteWhere(predicate) {
+        for (const [key, entry] of this.entries) {
+            if (predicate(entry.value, key)) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
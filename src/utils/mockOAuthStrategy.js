@@ -0,0 +1,78 @@
+// src/utils/mockOAuthStrategy.js
+import passport from "passport";
+
+// Stand-in for passport-google-oauth20 used by tests and local development.
+// The start request skips the consent screen and redirects straight to the
+// callback; the profile travels in the `code` parameter, so tests choose who
+// signs in with query parameters:
+//   GET /auth/google?mockId=123&mockEmail=dr.rao@example.com&mockEmailVerified=false
+// The verify callback receives a profile shaped like the real Google one.
+class MockOAuthStrategy extends passport.Strategy {
+    constructor(options, verify) {
+        super();
+        this.name = options.name || 'google';
+        this._callbackURL = options.callbackURL;
+        this._verify = verify;
+    }
+
+    authenticate(req) {
+        if (req.query?.error) {
+            return this.fail({ message: req.query.error_description || req.query.error });
+        }
+
+        // Callback leg: decode the profile and hand it to the verify callback
+        if (req.query?.code) {
+            let profile;
+            try {
+                profile = buildMockProfile(JSON.parse(Buffer.from(req.query.code, 'base64url').toString('utf8')));
+            } catch (error) {
+                return this.fail({ message: 'Invalid mock authorization code' });
+            }
+
+            return this._verify('mock-access-token', 'mock-refresh-token', profile, (err, user, info) => {
+                if (err) return this.error(err);
+                if (!user) return this.fail(info);
+                return this.success(user, info);
+            });
+        }
+
+        // Start leg: "consent" immediately
+        const code = Buffer.from(JSON.stringify({
+            id: req.query?.mockId,
+            email: req.query?.mockEmail,
+            emailVerified: req.query?.mockEmailVerified !== 'false',
+            givenName: req.query?.mockGivenName,
+            familyName: req.query?.mockFamilyName,
+            photo: req.query?.mockPhoto
+        })).toString('base64url');
+
+        return this.redirect(`${this._callbackURL}?code=${code}`);
+    }
+}
+
+// Same shape as the profile passport-google-oauth20 passes to its verify callback
+export const buildMockProfile = ({
+    id = '100000000000000000001',
+    email = 'mock.doctor@example.com',
+    emailVerified = true,
+    givenName = 'Mock',
+    familyName = 'Doctor',
+    photo
+} = {}) => ({
+    provider: 'google',
+    id: String(id),
+    displayName: [givenName, familyName].filter(Boolean).join(' '),
+    name: { givenName, familyName },
+    emails: [{ value: email, verified: emailVerified }],
+    photos: photo ? [{ value: photo }] : [],
+    _json: {
+        sub: String(id),
+        email,
+        email_verified: emailVerified,
+        given_name: givenName,
+        family_name: familyName,
+        picture: photo
+    }
+});
+
+export default MockOAuthStrategy;
@@ -0,0 +1,86 @@
+// src/utils/tarArchive.js
+import zlib from 'zlib';
+
+const BLOCK_SIZE = 512;
+
+// Write an octal number field, NUL-terminated, padded with leading zeros
+const writeOctal = (header, value, offset, length) => {
+    const octal = value.toString(8).padStart(length - 1, '0');
+    header.write(`${octal}\0`, offset, length, 'ascii');
+};
+
+// Split long paths into the ustar prefix (155 bytes) and name (100 bytes) fields
+const splitPath = (entryPath) => {
+    if (Buffer.byteLength(entryPath) <= 100) {
+        return { name: entryPath, prefix: '' };
+    }
+
+    const slashIndex = entryPath.lastIndexOf('/', entryPath.length - 2);
+    const prefix = entryPath.slice(0, slashIndex);
+    const name = entryPath.slice(slashIndex + 1);
+
+    if (slashIndex === -1 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(name) > 100) {
+        throw new Error(`Archive entry path is too long: ${entryPath}`);
+    }
+
+    return { name, prefix };
+};
+
+// Build a 512-byte ustar header for a regular file
+const createHeader = (entryPath, size, mtime) => {
+    const header = Buffer.alloc(BLOCK_SIZE, 0);
+    const { name, prefix } = splitPath(entryPath);
+
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8); // mode
+    writeOctal(header, 0, 108, 8); // uid
+    writeOctal(header, 0, 116, 8); // gid
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.fill(' ', 148, 156); // checksum placeholder
+    header.write('0', 156, 1, 'ascii'); // regular file
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        checksum += header[i];
+    }
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+    return header;
+};
+
+// Create an uncompressed tar archive from [{ path, content, mtime }]
+export const createTar = (entries) => {
+    const blocks = [];
+
+    for (const entry of entries) {
+        const content = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content), 'utf8');
+        const mtime = entry.mtime || new Date();
+
+        blocks.push(createHeader(entry.path, content.length, mtime));
+        blocks.push(content);
+
+        const remainder = content.length % BLOCK_SIZE;
+        if (remainder > 0) {
+            blocks.push(Buffer.alloc(BLOCK_SIZE - remainder, 0));
+        }
+    }
+
+    // Two empty blocks mark the end of the archive
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2, 0));
+
+    return Buffer.concat(blocks);
+};
+
+// Create a gzip-compressed tar archive (.tar.gz)
+export const createTarGz = (entries) => {
+    return zlib.gzipSync(createTar(entries));
+};
+
+export default {
+    createTar,
+    createTarGz
+};
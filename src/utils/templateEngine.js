@@ -0,0 +1,534 @@
+// src/utils/templateEngine.js
+import { ApiError } from "./apierror.js";
+
+// Template syntax:
+//   {{path}}                 escaped output          {{{path}}}        raw output
+//   {{helper arg "text" 2}}  helper call             (helper arg)      subexpression
+//   {{#if x}}..{{else if y}}..{{else}}..{{/if}}      {{#unless x}}..{{/unless}}
+//   {{#each list}}..{{else}}..{{/each}}              {{#with obj}}..{{/with}}
+//   {{> partial}}            {{! comment }}          {{!-- comment --}}
+// Paths: name.sub, this, ../parentName, @index, @first, @last, @key, @root.name
+
+const BLOCK_HELPERS = ['if', 'unless', 'each', 'with'];
+const PATH_SEGMENT = /^(?:[A-Za-z_$][\w$-]*|\d+)$/;
+const DATA_VARIABLES = ['index', 'first', 'last', 'key', 'root'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;',
+    '=': '&#61;'
+};
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Dates are formatted in UTC so output doesn't depend on the server's timezone
+const formatDate = (value, format = 'MMMM D, YYYY') => {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return '';
+    }
+
+    const hours = date.getUTCHours();
+    const tokens = {
+        YYYY: date.getUTCFullYear(),
+        YY: String(date.getUTCFullYear()).slice(-2),
+        MMMM: MONTHS[date.getUTCMonth()],
+        MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+        MM: pad(date.getUTCMonth() + 1),
+        M: date.getUTCMonth() + 1,
+        dddd: WEEKDAYS[date.getUTCDay()],
+        ddd: WEEKDAYS[date.getUTCDay()].slice(0, 3),
+        DD: pad(date.getUTCDate()),
+        D: date.getUTCDate(),
+        HH: pad(hours),
+        H: hours,
+        hh: pad(hours % 12 || 12),
+        h: hours % 12 || 12,
+        mm: pad(date.getUTCMinutes()),
+        A: hours < 12 ? 'AM' : 'PM'
+    };
+
+    return String(format).replace(/YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|hh|h|mm|A/g, token => tokens[token]);
+};
+
+// North American numbers are formatted as (555) 123-4567 or, for tel: links, +15551234567.
+// Anything else is returned as entered.
+const formatPhone = (value, style = 'national') => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    const text = String(value).trim();
+    let digits = text.replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.slice(1);
+    } else if (digits.length !== 10) {
+        return style === 'e164' && digits.length >= 8 ? `+${digits}` : text;
+    }
+
+    if (style === 'e164') {
+        return `+1${digits}`;
+    }
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+};
+
+export const templateHelpers = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    not: (value) => !isTruthy(value),
+    and: (...values) => values.every(isTruthy),
+    or: (...values) => values.some(isTruthy),
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+    formatDate,
+    formatPhone,
+    // JSON literal safe to place inside <script> blocks; use with {{{ }}}
+    json: (value) => JSON.stringify(value ?? '')
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029')
+};
+
+// Empty arrays count as false, as in Handlebars
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const locate = (source, offset) => {
+    const before = source.slice(0, offset);
+    const line = before.split('\n').length;
+    const column = offset - before.lastIndexOf('\n');
+    return { line, column };
+};
+
+const templateError = (message, source, name, offset) => {
+    const { line, column } = locate(source, offset);
+    return new ApiError(500, `${message} in ${name} at line ${line}, column ${column}`, [{ template: name, line, column }]);
+};
+
+// Split a template into text and tag tokens, each with its source offset
+const tokenize = (source, name) => {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+        const open = source.indexOf('{{', index);
+        if (open === -1) {
+            tokens.push({ type: 'text', value: source.slice(index), offset: index });
+            break;
+        }
+        if (open > index) {
+            tokens.push({ type: 'text', value: source.slice(index, open), offset: index });
+        }
+
+        let closer = '}}';
+        let bodyStart = open + 2;
+        if (source.startsWith('{{!--', open)) {
+            closer = '--}}';
+            bodyStart = open + 5;
+        } else if (source.startsWith('{{{', open)) {
+            closer = '}}}';
+            bodyStart = open + 3;
+        }
+
+        const close = source.indexOf(closer, bodyStart);
+        if (close === -1) {
+            throw templateError(`Unclosed tag "${source.slice(open, open + 30).split('\n')[0]}"`, source, name, open);
+        }
+
+        const body = source.slice(bodyStart, close).trim();
+        index = close + closer.length;
+
+        if (closer === '--}}' || body.startsWith('!')) {
+            continue;
+        }
+        if (closer === '}}}') {
+            tokens.push({ type: 'raw', value: body, offset: open });
+        } else if (body.startsWith('#')) {
+            tokens.push({ type: 'open', value: body.slice(1).trim(), offset: open });
+        } else if (body.startsWith('/')) {
+            tokens.push({ type: 'close', value: body.slice(1).trim(), offset: open });
+        } else if (body.startsWith('>')) {
+            tokens.push({ type: 'partial', value: body.slice(1).trim(), offset: open });
+        } else if (body === 'else' || body.startsWith('else ')) {
+            tokens.push({ type: 'else', value: body.slice(4).trim(), offset: open });
+        } else {
+            tokens.push({ type: 'mustache', value: body, offset: open });
+        }
+    }
+
+    return tokens;
+};
+
+// Split an expression into words, string literals and parentheses
+const lexExpression = (text, fail) => {
+    const parts = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '(' || char === ')') {
+            parts.push({ type: char });
+            index++;
+        } else if (char === '"' || char === "'") {
+            const end = text.indexOf(char, index + 1);
+            if (end === -1) {
+                throw fail(`Unterminated string in "${text}"`);
+            }
+            parts.push({ type: 'string', value: text.slice(index + 1, end) });
+            index = end + 1;
+        } else {
+            const match = text.slice(index).match(/^[^\s()"']+/);
+            parts.push({ type: 'word', value: match[0] });
+            index += match[0].length;
+        }
+    }
+
+    return parts;
+};
+
+const parsePath = (word, fail) => {
+    let rest = word;
+    let depth = 0;
+    while (rest.startsWith('../')) {
+        depth++;
+        rest = rest.slice(3);
+    }
+
+    if (rest === 'this' || rest === '.') {
+        return { type: 'path', depth, data: false, parts: [], explicit: true };
+    }
+
+    const data = rest.startsWith('@');
+    const explicit = rest.startsWith('this.') || depth > 0;
+    const parts = (data ? rest.slice(1) : rest.replace(/^this\./, '')).split('.');
+
+    if (!parts.every(part => PATH_SEGMENT.test(part)) || (data && !DATA_VARIABLES.includes(parts[0]))) {
+        throw fail(`Invalid path "${word}"`);
+    }
+
+    return { type: 'path', depth, data, parts, explicit };
+};
+
+const parseValue = (part, fail) => {
+    if (part.type === 'string') {
+        return { type: 'literal', value: part.value };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(part.value)) {
+        return { type: 'literal', value: Number(part.value) };
+    }
+    if (['true', 'false', 'null', 'undefined'].includes(part.value)) {
+        return { type: 'literal', value: { true: true, false: false, null: null, undefined }[part.value] };
+    }
+    return parsePath(part.value, fail);
+};
+
+// Parse "helper arg (sub arg) 'text'" or a single path/literal into an expression tree
+const parseExpression = (text, fail) => {
+    const parts = lexExpression(text, fail);
+    let index = 0;
+
+    const parseArgs = (closing) => {
+        const args = [];
+        while (index < parts.length && parts[index].type !== ')') {
+            const part = parts[index++];
+            if (part.type === '(') {
+                args.push(parseCall());
+            } else {
+                args.push(parseValue(part, fail));
+            }
+        }
+        if (closing && parts[index]?.type !== ')') {
+            throw fail(`Unclosed subexpression in "${text}"`);
+        }
+        if (!closing && index < parts.length) {
+            throw fail(`Unexpected ")" in "${text}"`);
+        }
+        return args;
+    };
+
+    const parseCall = () => {
+        const head = parts[index++];
+        if (!head || head.type !== 'word') {
+            throw fail(`Subexpression must start with a helper name in "${text}"`);
+        }
+        if (!templateHelpers[head.value]) {
+            throw fail(`Unknown helper "${head.value}"`);
+        }
+        const args = parseArgs(true);
+        index++; // consume ")"
+        return { type: 'call', helper: head.value, args };
+    };
+
+    const args = parseArgs(false);
+    if (args.length === 0) {
+        throw fail('Empty expression');
+    }
+    if (args.length === 1) {
+        return args[0];
+    }
+
+    const [head, ...rest] = args;
+    if (head.type !== 'path' || head.depth > 0 || head.data || head.parts.length !== 1 || !templateHelpers[head.parts[0]]) {
+        throw fail(`Unknown helper "${parts[0].value}"`);
+    }
+    return { type: 'call', helper: head.parts[0], args: rest };
+};
+
+// Build the node tree, checking that blocks are properly nested
+const parse = (source, name) => {
+    const root = { type: 'root', body: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const target = () => (current().inverse || current().body);
+
+    tokenize(source, name).forEach(token => {
+        const fail = (message) => templateError(message, source, name, token.offset);
+
+        switch (token.type) {
+            case 'text':
+                target().push({ type: 'text', value: token.value });
+                break;
+
+            case 'mustache':
+            case 'raw':
+                target().push({
+                    type: 'output',
+                    escape: token.type === 'mustache',
+                    expression: parseExpression(token.value, fail),
+                    offset: token.offset
+                });
+                break;
+
+            case 'partial': {
+                if (!/^[\w./-]+$/.test(token.value)) {
+                    throw fail(`Invalid partial name "${token.value}"`);
+                }
+                target().push({ type: 'partial', name: token.value, offset: token.offset });
+                break;
+            }
+
+            case 'open': {
+                const [, helper, argument] = token.value.match(/^(\S*)\s*([\s\S]*)$/);
+                if (!BLOCK_HELPERS.includes(helper)) {
+                    throw fail(`Unknown block helper "#${helper}"`);
+                }
+                if (!argument) {
+                    throw fail(`{{#${helper}}} needs an argument`);
+                }
+                const block = {
+                    type: 'block',
+                    helper,
+                    expression: parseExpression(argument, fail),
+                    body: [],
+                    inverse: null,
+                    offset: token.offset
+                };
+                target().push(block);
+                stack.push(block);
+                break;
+            }
+
+            case 'else': {
+                const block = current();
+                if (block.type !== 'block') {
+                    throw fail('{{else}} outside of a block');
+                }
+                if (block.inverse) {
+                    throw fail(`Duplicate {{else}} in {{#${block.helper}}} opened at line ${locate(source, block.offset).line}`);
+                }
+                block.inverse = [];
+
+                // {{else if x}} opens an if block that the outer closing tag also closes
+                if (token.value) {
+                    const [, helper, argument] = token.value.match(/^(\S*)\s*([\s\S]*)$/);
+                    if (!['if', 'unless'].includes(helper) || !argument) {
+                        throw fail(`Invalid "{{else ${token.value}}}"; use {{else if condition}}`);
+                    }
+                    const chained = {
+                        type: 'block',
+                        helper,
+                        expression: parseExpression(argument, fail),
+                        body: [],
+                        inverse: null,
+                        chained: true,
+                        offset: token.offset
+                    };
+                    block.inverse.push(chained);
+                    stack.push(chained);
+                }
+                break;
+            }
+
+            case 'close': {
+                while (current().chained) {
+                    stack.pop();
+                }
+                const block = current();
+                if (block.type !== 'block') {
+                    throw fail(`Unexpected {{/${token.value}}} with no open block`);
+                }
+                if (block.helper !== token.value) {
+                    throw fail(`{{/${token.value}}} does not close {{#${block.helper}}} opened at line ${locate(source, block.offset).line}`);
+                }
+                stack.pop();
+                break;
+            }
+        }
+    });
+
+    const unclosed = stack.find(node => node.type === 'block' && !node.chained);
+    if (unclosed) {
+        throw templateError(`Unclosed {{#${unclosed.helper}}}`, source, name, unclosed.offset);
+    }
+
+    return root.body;
+};
+
+// Look a path up in the scope chain. Plain names fall back to enclosing scopes so
+// loop bodies can still reach top-level values such as {{practiceTitle}}.
+const resolvePath = (path, scope) => {
+    if (path.data) {
+        const [variable, ...rest] = path.parts;
+        const start = variable === 'root' ? scope.root : scope.data[variable];
+        return rest.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), start);
+    }
+
+    let owner = scope;
+    for (let level = 0; level < path.depth && owner.parent; level++) {
+        owner = owner.parent;
+    }
+
+    const lookup = (context) => path.parts.reduce(
+        (value, key) => (value === undefined || value === null ? undefined : value[key]),
+        context
+    );
+
+    if (path.explicit || path.parts.length === 0) {
+        return lookup(owner.context);
+    }
+
+    for (let candidate = owner; candidate; candidate = candidate.parent) {
+        const context = candidate.context;
+        if (context !== null && typeof context === 'object' && context[path.parts[0]] !== undefined) {
+            return lookup(context);
+        }
+    }
+    return undefined;
+};
+
+const stringify = (value) => {
+    if (value === undefined || value === null || isPlainObject(value)) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.filter(item => !isPlainObject(item)).join(', ');
+    }
+    return String(value);
+};
+
+// Compile a template into a render function: render(data, { partial(name, context) })
+// where partial returns the rendered partial markup, or null when it doesn't exist
+export const compileTemplate = (source, name = 'template') => {
+    const nodes = parse(source, name);
+
+    const evaluate = (expression, scope, offset) => {
+        if (expression.type === 'literal') {
+            return expression.value;
+        }
+        if (expression.type === 'path') {
+            return resolvePath(expression, scope);
+        }
+
+        const args = expression.args.map(arg => evaluate(arg, scope, offset));
+        try {
+            return templateHelpers[expression.helper](...args);
+        } catch (error) {
+            throw templateError(`Helper "${expression.helper}" failed: ${error.message}`, source, name, offset);
+        }
+    };
+
+    const renderBlock = (node, scope, options) => {
+        const value = evaluate(node.expression, scope, node.offset);
+        const inverse = () => (node.inverse ? renderNodes(node.inverse, scope, options) : '');
+        const child = (context, data = {}) => ({ context, parent: scope, root: scope.root, data: { ...scope.data, ...data } });
+
+        switch (node.helper) {
+            case 'if':
+                return isTruthy(value) ? renderNodes(node.body, scope, options) : inverse();
+
+            case 'unless':
+                return isTruthy(value) ? inverse() : renderNodes(node.body, scope, options);
+
+            case 'with':
+                return isTruthy(value) ? renderNodes(node.body, child(value), options) : inverse();
+
+            case 'each': {
+                if (Array.isArray(value) && value.length > 0) {
+                    return value.map((item, index) => renderNodes(node.body, child(item, {
+                        index,
+                        key: index,
+                        first: index === 0,
+                        last: index === value.length - 1
+                    }), options)).join('');
+                }
+                if (isPlainObject(value) && Object.keys(value).length > 0) {
+                    const keys = Object.keys(value);
+                    return keys.map((key, index) => renderNodes(node.body, child(value[key], {
+                        index,
+                        key,
+                        first: index === 0,
+                        last: index === keys.length - 1
+                    }), options)).join('');
+                }
+                return inverse();
+            }
+        }
+        return '';
+    };
+
+    const renderNodes = (list, scope, options) => list.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+
+            case 'output': {
+                const text = stringify(evaluate(node.expression, scope, node.offset));
+                return node.escape ? escapeHtml(text) : text;
+            }
+
+            case 'block':
+                return renderBlock(node, scope, options);
+
+            case 'partial': {
+                const markup = options.partial ? options.partial(node.name, scope.context) : null;
+                if (markup === null || markup === undefined) {
+                    throw templateError(`Partial "${node.name}" could not be resolved`, source, name, node.offset);
+                }
+                return markup;
+            }
+        }
+        return '';
+    }).join('');
+
+    return (data = {}, options = {}) => renderNodes(nodes, { context: data, parent: null, root: data, data: {} }, options);
+};
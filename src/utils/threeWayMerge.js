@@ -0,0 +1,114 @@
+// src/utils/threeWayMerge.js
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Round-trip through JSON so ObjectIds, Dates and mongoose subdocuments compare as plain values
+const normalize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isEqual = (a, b) => {
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+const itemKey = (item) => {
+    if (!isPlainObject(item)) {
+        return null;
+    }
+    const key = item._id ?? item.id;
+    return key === undefined || key === null ? null : String(key);
+};
+
+// Arrays whose items all carry an _id (or id) are merged item by item
+const isKeyedArray = (value) =>
+    Array.isArray(value) && value.every(item => itemKey(item) !== null);
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const mergeValues = (base, ours, theirs, path, conflicts) => {
+    if (isEqual(ours, theirs)) {
+        return ours;
+    }
+    if (isEqual(base, ours)) {
+        return theirs;
+    }
+    if (isEqual(base, theirs)) {
+        return ours;
+    }
+
+    // Both sides changed the value differently: descend where the structure allows it
+    if (isPlainObject(ours) && isPlainObject(theirs) && (base === undefined || isPlainObject(base))) {
+        return mergeObjects(base || {}, ours, theirs, path, conflicts);
+    }
+
+    if (isKeyedArray(ours) && isKeyedArray(theirs) && (base === undefined || isKeyedArray(base))) {
+        return mergeKeyedArrays(base || [], ours, theirs, path, conflicts);
+    }
+
+    conflicts.push({ path, base, ours, theirs });
+    return ours;
+};
+
+const mergeObjects = (base, ours, theirs, path, conflicts) => {
+    const merged = {};
+    const keys = new Set([...Object.keys(ours), ...Object.keys(theirs), ...Object.keys(base)]);
+
+    for (const key of keys) {
+        const value = mergeValues(base[key], ours[key], theirs[key], joinPath(path, key), conflicts);
+        if (value !== undefined) {
+            merged[key] = value;
+        }
+    }
+
+    return merged;
+};
+
+const mergeKeyedArrays = (base, ours, theirs, path, conflicts) => {
+    const baseItems = new Map(base.map(item => [itemKey(item), item]));
+    const theirItems = new Map(theirs.map(item => [itemKey(item), item]));
+    const ourKeys = new Set(ours.map(itemKey));
+    const merged = [];
+
+    // Keep our ordering; items only they added are appended
+    ours.forEach((item, index) => {
+        const key = itemKey(item);
+        const value = mergeValues(baseItems.get(key), item, theirItems.get(key), `${path}[${index}]`, conflicts);
+        if (value !== undefined) {
+            merged.push(value);
+        }
+    });
+
+    theirs.forEach((item, index) => {
+        const key = itemKey(item);
+        if (ourKeys.has(key)) {
+            return;
+        }
+        const value = mergeValues(baseItems.get(key), undefined, item, `${path}[${index}]`, conflicts);
+        if (value !== undefined) {
+            merged.push(value);
+        }
+    });
+
+    return merged;
+};
+
+// Three-way merge of two edits made from a common base. Changes to different
+// fields (or different array items, matched by _id) are combined; when both
+// sides changed the same value differently "ours" is kept and the clash is
+// reported as { path, base, ours, theirs }.
+export const threeWayMerge = (base, ours, theirs) => {
+    const conflicts = [];
+    const merged = mergeValues(normalize(base), normalize(ours), normalize(theirs), '', conflicts);
+
+    return { merged, conflicts };
+};